@@ -0,0 +1,476 @@
+// Action packs: extra sidebar pages of host actions declared in a JSON manifest, so a
+// game-specific set of tweaks can ship without editing index.html or script.js.
+//
+//   { format: "nx-action-pack", version: 1, id, name, icon, title, description,
+//     actions: [{ id, label, command, risk, admin, reversible, confirm, description,
+//                 sideEffects, reboot, journal, benchmark, groups, icon }],
+//     strings: { ar: { "action.<id>": "...", "nav.pack-<id>": "..." } } }
+//
+// Actions take the same fields as the built-in registry entries (actions.js) and go
+// through the same confirmation, job queue and journal. Icons are Font Awesome classes.
+// `strings` translates the pack's own labels; the manifest text is the English catalog.
+//
+// Packs come from two places: the app's packs/index.json ({ packs: ["file.json"] },
+// paths relative to packs/) and files imported on the settings page, which are kept in
+// localStorage. Every pack can be switched off in settings.
+
+const ACTION_PACK_FORMAT = "nx-action-pack"
+const ACTION_PACK_VERSION = 1
+const ACTION_PACK_INDEX = "packs/index.json"
+const ACTION_PACK_MAX_ACTIONS = 50
+const ACTION_PACK_ID = /^[a-z0-9][a-z0-9-]{0,39}$/
+const ACTION_PACK_COMMAND = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,63}$/
+const ACTION_PACK_ICON = /^fa[sbr] fa-[a-z0-9-]+$/
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+function isText(value) {
+  return typeof value === "string" && value.trim() !== ""
+}
+
+// Returns a list of problems; an empty list means the pack can be installed. Action ids
+// and host commands may not clash with the built-in actions or another pack.
+function validateActionPack(pack, registry) {
+  if (!isPlainObject(pack)) return ["A pack must be an object"]
+  if (pack.format !== ACTION_PACK_FORMAT) return [`format must be "${ACTION_PACK_FORMAT}"`]
+  if (pack.version !== ACTION_PACK_VERSION) {
+    return pack.version > ACTION_PACK_VERSION
+      ? [`This pack needs a newer version (pack format ${pack.version})`]
+      : [`version must be ${ACTION_PACK_VERSION}`]
+  }
+
+  const errors = []
+  if (typeof pack.id !== "string" || !ACTION_PACK_ID.test(pack.id)) {
+    errors.push("id must be lowercase letters, digits and dashes")
+  }
+  if (!isText(pack.name)) errors.push("name is required")
+  if (pack.icon !== undefined && !ACTION_PACK_ICON.test(pack.icon)) errors.push('icon must look like "fas fa-gamepad"')
+  ;["title", "description"].forEach((field) => {
+    if (pack[field] !== undefined && typeof pack[field] !== "string") errors.push(`${field} must be a string`)
+  })
+
+  if (!Array.isArray(pack.actions) || pack.actions.length === 0) {
+    errors.push("A pack needs at least one action")
+    return errors
+  }
+  if (pack.actions.length > ACTION_PACK_MAX_ACTIONS) {
+    errors.push(`A pack can have at most ${ACTION_PACK_MAX_ACTIONS} actions`)
+  }
+
+  const ids = new Set()
+  pack.actions.forEach((action, index) => {
+    const prefix = `Action ${index + 1}`
+    if (!isPlainObject(action)) {
+      errors.push(`${prefix} must be an object`)
+      return
+    }
+    if (typeof action.id !== "string" || !ACTION_PACK_ID.test(action.id)) {
+      errors.push(`${prefix}: id must be lowercase letters, digits and dashes`)
+    } else if (ids.has(action.id)) {
+      errors.push(`${prefix}: id "${action.id}" is used twice`)
+    } else {
+      const existing = registry.get(action.id)
+      if (existing && existing.pack !== pack.id) errors.push(`${prefix}: id "${action.id}" is already taken`)
+    }
+    ids.add(action.id)
+
+    if (!isText(action.label)) errors.push(`${prefix}: label is required`)
+    if (typeof action.command !== "string" || !ACTION_PACK_COMMAND.test(action.command)) {
+      errors.push(`${prefix}: command must be letters, digits and . _ : -`)
+    } else {
+      // A pack button must not run a built-in command without the confirmation it asks for
+      const owners = registry.usingCommand(action.command).filter((entry) => entry.pack !== pack.id)
+      if (HOST_ACTION_GROUPS[action.command] || owners.some((entry) => !entry.pack)) {
+        errors.push(`${prefix}: command "${action.command}" belongs to a built-in action`)
+      } else if (owners.length > 0) {
+        errors.push(`${prefix}: command "${action.command}" is already used by another pack`)
+      }
+    }
+    if (!["low", "medium", "high"].includes(action.risk)) errors.push(`${prefix}: risk must be low, medium or high`)
+    const confirm = action.confirm === undefined ? null : action.confirm
+    if (![null, "ask", "typed"].includes(confirm)) errors.push(`${prefix}: confirm must be null, "ask" or "typed"`)
+    // Packs come from outside the app, so anything high risk has to ask first
+    else if (action.risk === "high" && confirm === null) errors.push(`${prefix}: high risk actions need confirm`)
+    ;["admin", "reversible", "reboot", "journal", "benchmark"].forEach((field) => {
+      if (action[field] !== undefined && typeof action[field] !== "boolean") {
+        errors.push(`${prefix}: ${field} must be true or false`)
+      }
+    })
+    if (action.description !== undefined && typeof action.description !== "string") {
+      errors.push(`${prefix}: description must be a string`)
+    } else if (confirm !== null && !isText(action.description)) {
+      // The confirmation dialog is built around it
+      errors.push(`${prefix}: actions that confirm need a description`)
+    }
+    if (action.sideEffects !== undefined && (!Array.isArray(action.sideEffects) || !action.sideEffects.every(isText))) {
+      errors.push(`${prefix}: sideEffects must be a list of strings`)
+    }
+    const groups = action.groups === undefined ? [] : action.groups
+    if (!Array.isArray(groups) || !groups.every((group) => JOB_GROUP_LABELS[group])) {
+      errors.push(`${prefix}: groups must be from ${Object.keys(JOB_GROUP_LABELS).join(", ")}`)
+    }
+    if (action.icon !== undefined && !ACTION_PACK_ICON.test(action.icon)) {
+      errors.push(`${prefix}: icon must look like "fas fa-bolt"`)
+    }
+  })
+
+  if (pack.strings !== undefined) {
+    if (!isPlainObject(pack.strings)) {
+      errors.push("strings must be an object of languages")
+    } else {
+      const own = (key) =>
+        key === `nav.pack-${pack.id}` || key === `page.pack-${pack.id}` || ids.has(key.split(".")[1] || "")
+      Object.entries(pack.strings).forEach(([language, strings]) => {
+        if (!I18N_LANGUAGES[language]) errors.push(`strings: unknown language "${language}"`)
+        else if (!isPlainObject(strings)) errors.push(`strings.${language} must be an object`)
+        else {
+          Object.entries(strings).forEach(([key, text]) => {
+            if (!/^(action|nav|page)\./.test(key) || !own(key))
+              errors.push(`strings.${language}: "${key}" is not in this pack`)
+            else if (typeof text !== "string") errors.push(`strings.${language}.${key} must be a string`)
+          })
+        }
+      })
+    }
+  }
+  return errors
+}
+
+// Registry entries for a valid pack, all on the pack's own page
+function actionPackEntries(pack) {
+  return pack.actions.map((action) => ({
+    id: action.id,
+    kind: "action",
+    page: `pack-${pack.id}`,
+    pack: pack.id,
+    label: action.label.trim(),
+    command: action.command,
+    risk: action.risk,
+    admin: action.admin === true,
+    reversible: action.reversible === true,
+    confirm: action.confirm === undefined ? null : action.confirm,
+    description: action.description || null,
+    sideEffects: action.sideEffects || [],
+    reboot: action.reboot === true,
+    journal: action.journal === true,
+    benchmark: action.benchmark === true,
+    groups: action.groups || [],
+    icon: action.icon || "fas fa-bolt",
+  }))
+}
+
+class ActionPackStore {
+  constructor(registry, storageKey = "nx.packs") {
+    this.registry = registry
+    this.storageKey = storageKey
+    this.listeners = []
+    this.bundled = []
+    const saved = this.load()
+    this.imported = saved.imported
+    this.disabled = new Set(saved.disabled)
+  }
+
+  load() {
+    let saved = null
+    try {
+      saved = JSON.parse(window.localStorage.getItem(this.storageKey))
+    } catch (error) {
+      console.log(`[v0] Ignoring unreadable action packs: ${error.message}`)
+    }
+    return {
+      imported: saved && Array.isArray(saved.imported) ? saved.imported : [],
+      disabled: saved && Array.isArray(saved.disabled) ? saved.disabled : [],
+    }
+  }
+
+  save() {
+    try {
+      const data = { imported: this.imported, disabled: Array.from(this.disabled) }
+      window.localStorage.setItem(this.storageKey, JSON.stringify(data))
+    } catch (error) {
+      console.log(`[v0] Could not save action packs: ${error.message}`)
+    }
+    this.listeners.forEach((listener) => listener())
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  // Bundled packs first; an imported pack cannot replace a bundled one
+  all() {
+    const bundled = this.bundled.map((pack) => ({ pack, source: "bundled" }))
+    const ids = new Set(this.bundled.map((pack) => pack.id))
+    const imported = this.imported.filter((pack) => !ids.has(pack.id)).map((pack) => ({ pack, source: "imported" }))
+    return bundled.concat(imported)
+  }
+
+  get(id) {
+    return this.all().find((item) => item.pack.id === id) || null
+  }
+
+  enabled(id) {
+    return !this.disabled.has(id)
+  }
+
+  setEnabled(id, enabled) {
+    if (enabled) this.disabled.delete(id)
+    else this.disabled.add(id)
+    this.save()
+  }
+
+  // The manifests listed in packs/index.json. A missing index just means no bundled packs.
+  async loadBundled(indexPath = ACTION_PACK_INDEX) {
+    const base = indexPath.slice(0, indexPath.lastIndexOf("/") + 1)
+    let index
+    try {
+      const response = await fetch(indexPath)
+      if (!response.ok) return []
+      index = await response.json()
+    } catch (error) {
+      console.log(`[v0] No bundled action packs: ${error.message}`)
+      return []
+    }
+
+    const files = index && Array.isArray(index.packs) ? index.packs : []
+    const loaded = []
+    for (const file of files) {
+      try {
+        const response = await fetch(encodeURI(base + file))
+        if (!response.ok) throw new Error(`Could not read ${file} (${response.status})`)
+        const pack = await response.json()
+        const errors = validateActionPack(pack, this.registry)
+        if (loaded.some((other) => other.id === pack.id)) errors.push(`id "${pack.id}" is used by another pack`)
+        if (errors.length > 0) throw new Error(errors.join("; "))
+        loaded.push(pack)
+      } catch (error) {
+        window.activityLog.warning("app", `Skipped action pack ${file}: ${error.message}`)
+      }
+    }
+    this.bundled = loaded
+    this.listeners.forEach((listener) => listener())
+    return loaded
+  }
+
+  // Accepts one manifest or a list of them. A pack with the id of an imported one
+  // replaces it (a newer release); one with the id of a bundled pack is refused.
+  import(text) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      return { added: [], errors: [`Not valid JSON: ${error.message}`] }
+    }
+
+    const added = []
+    const errors = []
+    ;(Array.isArray(data) ? data : [data]).forEach((pack, index) => {
+      const label = pack && isText(pack.name) ? `"${pack.name}"` : `Pack ${index + 1}`
+      const problems = validateActionPack(pack, this.registry)
+      if (pack && this.bundled.some((other) => other.id === pack.id))
+        problems.push("a bundled pack already has this id")
+      if (problems.length > 0) {
+        errors.push(`${label}: ${problems.join("; ")}`)
+        return
+      }
+      this.imported = this.imported.filter((other) => other.id !== pack.id).concat([pack])
+      added.push(pack.id)
+    })
+    if (added.length > 0) this.save()
+    return { added, errors }
+  }
+
+  remove(id) {
+    this.imported = this.imported.filter((pack) => pack.id !== id)
+    this.disabled.delete(id)
+    this.save()
+  }
+}
+
+// Sidebar buttons, pages and the settings list for the packs in an ActionPackStore.
+// bindButton(entry) wires a rendered action button the way the built-in ones are;
+// onChange() runs after packs were mounted or taken down.
+class ActionPackPages {
+  constructor(store, registry, { bindButton, onChange } = {}) {
+    this.store = store
+    this.registry = registry
+    this.bindButton = bindButton || (() => {})
+    this.onPagesChange = onChange || (() => {})
+    this.mounted = new Map()
+    this.settings = null
+
+    this.store.onChange(() => this.sync())
+    window.i18n.onChange(() => this.renderSettings())
+    this.sync()
+  }
+
+  // Mounts enabled packs and takes down the ones that were switched off or removed
+  sync() {
+    const wanted = new Map(
+      this.store
+        .all()
+        .filter(({ pack }) => this.store.enabled(pack.id))
+        .map(({ pack }) => [pack.id, pack]),
+    )
+    let changed = false
+    this.mounted.forEach((mounted, id) => {
+      if (wanted.get(id) !== mounted.pack) {
+        this.unmount(id)
+        changed = true
+      }
+    })
+    wanted.forEach((pack, id) => {
+      if (!this.mounted.has(id) && this.mount(pack)) changed = true
+    })
+    this.renderSettings()
+    if (changed) this.onPagesChange()
+  }
+
+  mount(pack) {
+    // Checked again: a pack stored earlier may clash with an action added since
+    const errors = validateActionPack(pack, this.registry)
+    if (errors.length > 0) {
+      window.activityLog.warning("app", `Action pack ${pack.id} was not loaded: ${errors.join("; ")}`)
+      return false
+    }
+
+    const { t } = window.i18n
+    const page = `pack-${pack.id}`
+    const entries = actionPackEntries(pack)
+    entries.forEach((entry) => this.registry.register(entry))
+    window.i18n.define(
+      "en",
+      Object.assign(actionCatalog(entries), { [`nav.${page}`]: pack.name, [`page.${page}`]: pack.title || pack.name }),
+    )
+    Object.entries(pack.strings || {}).forEach(([language, strings]) => window.i18n.define(language, strings))
+
+    const nav = document.createElement("button")
+    nav.className = "nav-btn"
+    nav.dataset.page = page
+    nav.innerHTML = '<div class="btn-glow"></div><i></i><span></span><div class="btn-ripple"></div>'
+    nav.querySelector("i").className = pack.icon || "fas fa-puzzle-piece"
+    nav.querySelector("span").dataset.i18n = `nav.${page}`
+    nav.querySelector("span").textContent = t(`nav.${page}`)
+    // Packs sit with the game pages, above the app's own tools
+    const navList = document.querySelector(".nav-buttons")
+    navList.insertBefore(nav, navList.querySelector('[data-page="recipes"]'))
+
+    const section = document.createElement("div")
+    section.className = "page action-pack-page"
+    section.id = page
+    const title = document.createElement("h1")
+    title.className = "page-title"
+    title.dataset.i18n = `page.${page}`
+    title.textContent = t(`page.${page}`)
+    section.appendChild(title)
+    if (pack.description) {
+      const description = document.createElement("p")
+      description.className = "action-pack-description"
+      description.textContent = pack.description
+      section.appendChild(description)
+    }
+    const grid = document.createElement("div")
+    grid.className = "gameloop-grid"
+    entries.forEach((entry) => grid.appendChild(this.renderButton(entry)))
+    section.appendChild(grid)
+    document.querySelector(".main-content").appendChild(section)
+
+    entries.forEach((entry) => this.bindButton(entry))
+    this.mounted.set(pack.id, { pack, entries, nav, section })
+    window.activityLog.info("app", `Loaded action pack ${pack.id} (${entries.length} actions)`)
+    return true
+  }
+
+  renderButton(entry) {
+    const button = document.createElement("button")
+    button.className = "gameloop-btn"
+    button.dataset.action = entry.id
+    button.innerHTML =
+      '<div class="gameloop-btn-glow"></div><i></i><span class="gameloop-btn-text"></span><div class="gameloop-btn-ripple"></div>'
+    button.querySelector("i").className = entry.icon
+    const label = button.querySelector(".gameloop-btn-text")
+    label.dataset.i18n = `action.${entry.id}`
+    label.textContent = this.registry.label(entry)
+    return button
+  }
+
+  unmount(id) {
+    const mounted = this.mounted.get(id)
+    if (!mounted) return
+    if (mounted.section.classList.contains("active")) window.switchToPage("dashboard")
+    mounted.nav.remove()
+    mounted.section.remove()
+    mounted.entries.forEach((entry) => this.registry.unregister(entry.id))
+    this.mounted.delete(id)
+  }
+
+  // Settings page list: every known pack with an on/off switch; imported ones can be removed
+  renderSettings(container = this.settings) {
+    if (!container) return
+    this.settings = container
+    const { t } = window.i18n
+    container.textContent = ""
+
+    const packs = this.store.all()
+    if (packs.length === 0) {
+      const empty = document.createElement("div")
+      empty.className = "benchmark-empty"
+      empty.textContent = t("settings.packs.none")
+      container.appendChild(empty)
+      return
+    }
+
+    packs.forEach(({ pack, source }) => {
+      const row = document.createElement("div")
+      row.className = "action-pack-row"
+
+      const toggle = document.createElement("input")
+      toggle.type = "checkbox"
+      toggle.checked = this.store.enabled(pack.id)
+      toggle.setAttribute("aria-label", t("settings.packs.enable", { name: pack.name }))
+      toggle.addEventListener("change", () => this.store.setEnabled(pack.id, toggle.checked))
+
+      const name = document.createElement("span")
+      name.className = "alert-rule-name"
+      const icon = document.createElement("i")
+      icon.className = pack.icon || "fas fa-puzzle-piece"
+      name.append(icon, ` ${pack.name}`)
+
+      const info = document.createElement("span")
+      info.className = "hotkey-page"
+      const state = this.store.enabled(pack.id) && !this.mounted.has(pack.id) ? ` • ${t("settings.packs.failed")}` : ""
+      info.textContent = `${t(`settings.packs.source.${source}`)} • ${t("settings.packs.actions", { count: pack.actions.length })}${state}`
+
+      row.append(toggle, name, info)
+      if (source === "imported") {
+        const remove = document.createElement("button")
+        remove.className = "benchmark-tool-btn"
+        remove.textContent = t("common.delete")
+        remove.addEventListener("click", async () => {
+          const { confirmed } = await window.confirmDialog.show({
+            title: t("settings.packs.removeTitle"),
+            description: t("settings.packs.confirmRemove", { name: pack.name }),
+            confirmLabel: t("common.delete"),
+          })
+          if (confirmed) this.store.remove(pack.id)
+        })
+        row.appendChild(remove)
+      }
+      container.appendChild(row)
+    })
+  }
+
+  importText(text, source) {
+    const { t } = window.i18n
+    const { added, errors } = this.store.import(text)
+    if (added.length > 0) notify.success(t("settings.packs.importDone", { count: added.length, source }))
+    if (errors.length > 0) notify.error(errors.join("\n"), t("settings.packs.skipped", { source }))
+  }
+}
+
+window.ACTION_PACK_FORMAT = ACTION_PACK_FORMAT
+window.validateActionPack = validateActionPack
+window.ActionPackStore = ActionPackStore
+window.ActionPackPages = ActionPackPages
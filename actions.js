@@ -0,0 +1,604 @@
+// Every host action the dashboard exposes. Buttons are bound from this list in
+// script.js instead of one hand-written click handler per button.
+//
+//   id          value of the button's data-action / data-mod attribute
+//   kind        "action" (data-action) or "mod" (data-mod)
+//   page        id of the .page section that holds the button
+//   command     string the C# host receives as the request action
+//   risk        "low" | "medium" | "high"
+//   admin       the host needs elevation to run it
+//   reversible  the change can be undone afterwards
+//   confirm     null, "ask" (a dialog the user may turn off) or "typed" (the name must be
+//               typed in, always asked); see confirm-dialog.js
+//   description what the action does, shown when it asks for confirmation
+//   sideEffects consequences worth knowing before it runs (optional)
+//   reboot      a restart is needed to finish (optional)
+//   benchmark   capture before/after metrics around the run (optional)
+//   journal     record the host-reported state change on the History page (optional)
+//   groups      mutual-exclusion groups (job-queue.js); actions sharing one never run at once
+//
+// Action packs (action-packs.js) register more entries at runtime, each with a `pack` id.
+const ACTION_REGISTRY = [
+  // Clean
+  {
+    id: "full-clean",
+    page: "clean",
+    label: "Full Clean",
+    command: "full-clean",
+    risk: "medium",
+    admin: true,
+    reversible: false,
+    confirm: "ask",
+    description: "Deletes temporary files, caches and logs across the system.",
+    sideEffects: [
+      "Browser and app caches are emptied, so the next launch of each app is slower",
+      "Windows and app log files are removed",
+    ],
+    benchmark: true,
+    groups: ["disk"],
+  },
+  {
+    id: "clean-ram",
+    page: "clean",
+    label: "Clean RAM",
+    command: "clean-ram",
+    risk: "low",
+    admin: true,
+    reversible: true,
+    confirm: null,
+  },
+  {
+    id: "ip-flush",
+    page: "clean",
+    label: "IP Flush",
+    command: "ip-flush",
+    risk: "low",
+    admin: true,
+    reversible: true,
+    confirm: null,
+    groups: ["network"],
+  },
+  {
+    id: "reset-firewall",
+    page: "clean",
+    label: "Reset Firewall",
+    command: "reset-firewall",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "typed",
+    description: "Restores the Windows Firewall defaults.",
+    sideEffects: [
+      "Every custom inbound and outbound rule is removed",
+      "Games and apps may ask for network access again",
+    ],
+    groups: ["network"],
+  },
+  {
+    id: "clear-temp",
+    page: "clean",
+    label: "Clear Temp",
+    command: "clear-temp",
+    risk: "medium",
+    admin: false,
+    reversible: false,
+    confirm: null,
+    groups: ["disk"],
+  },
+
+  // GameLoop
+  {
+    id: "kill-emulator",
+    page: "gameloop",
+    label: "Kill Emulator",
+    command: "kill-emulator",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    groups: ["emulator"],
+  },
+  {
+    id: "fix-98",
+    page: "gameloop",
+    label: "Fix 98",
+    command: "fix-98",
+    risk: "medium",
+    admin: true,
+    reversible: false,
+    confirm: null,
+    groups: ["emulator"],
+  },
+  {
+    id: "environment-fix",
+    page: "gameloop",
+    label: "Environment ex fix",
+    command: "environment-fix",
+    risk: "medium",
+    admin: true,
+    reversible: false,
+    confirm: null,
+    groups: ["emulator"],
+  },
+  {
+    id: "super-smooth",
+    kind: "mod",
+    page: "gameloop",
+    label: "Super Smooth 120 FPS",
+    command: "super-smooth",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    groups: ["graphics"],
+  },
+  {
+    id: "ultra-hd",
+    kind: "mod",
+    page: "gameloop",
+    label: "Ultra HD 120 FPS",
+    command: "ultra-hd",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    groups: ["graphics"],
+  },
+  {
+    id: "hdr",
+    kind: "mod",
+    page: "gameloop",
+    label: "HDR 120 FPS",
+    command: "hdr",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    groups: ["graphics"],
+  },
+  {
+    id: "smooth",
+    kind: "mod",
+    page: "gameloop",
+    label: "Smooth 120 FPS",
+    command: "smooth",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    groups: ["graphics"],
+  },
+  {
+    id: "t-box-speed",
+    kind: "mod",
+    page: "gameloop",
+    label: "T Box Speed",
+    command: "t-box-speed",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    groups: ["graphics"],
+  },
+
+  // Tweeks
+  {
+    id: "park-control",
+    page: "tweeks",
+    label: "Park Control",
+    command: "park-control",
+    risk: "medium",
+    admin: true,
+    reversible: true,
+    confirm: null,
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "timer-resolution",
+    page: "tweeks",
+    label: "Timer Resolution",
+    command: "timer-resolution",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "cru",
+    page: "tweeks",
+    label: "CRU",
+    command: "cru",
+    risk: "medium",
+    admin: true,
+    reversible: true,
+    confirm: null,
+    groups: ["system"],
+  },
+  {
+    id: "filterkeys",
+    page: "tweeks",
+    label: "Filterkeys",
+    command: "filterkeys",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "optimized-tweak",
+    page: "tweeks",
+    label: "Optimized Tweak",
+    command: "optimized-tweak",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "ask",
+    description: "Changes registry, power and service settings for lower latency. Create a restore point first.",
+    sideEffects: ["The power plan and processor throttling settings change", "Some background services are disabled"],
+    reboot: true,
+    benchmark: true,
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "debloat",
+    page: "tweeks",
+    label: "Debloat",
+    command: "debloat",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "typed",
+    description: "Uninstalls built-in Windows apps and disables background services.",
+    sideEffects: [
+      "Removed apps have to be reinstalled from the Microsoft Store",
+      "Telemetry, SysMain and other background services stop",
+    ],
+    reboot: true,
+    benchmark: true,
+    journal: true,
+    groups: ["system"],
+  },
+
+  // Settings
+  {
+    id: "control-panel",
+    page: "settings",
+    label: "Control Panel",
+    command: "control-panel",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+  },
+  {
+    id: "visual-effects",
+    page: "settings",
+    label: "Visual Effects",
+    command: "visual-effects",
+    risk: "medium",
+    admin: false,
+    reversible: true,
+    confirm: null,
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "msconfig",
+    page: "settings",
+    label: "Msconfig",
+    command: "msconfig",
+    risk: "low",
+    admin: true,
+    reversible: true,
+    confirm: null,
+  },
+  {
+    id: "windows-update-blocker",
+    page: "settings",
+    label: "Windows Update Blocker",
+    command: "windows-update-blocker",
+    risk: "high",
+    admin: true,
+    reversible: true,
+    confirm: "ask",
+    description: "Stops Windows Update from downloading and installing updates.",
+    sideEffects: [
+      "Security patches are not installed until updates are unblocked",
+      "Microsoft Store app updates may stop as well",
+    ],
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "defender-control",
+    page: "settings",
+    label: "Defender Control",
+    command: "defender-control",
+    risk: "high",
+    admin: true,
+    reversible: true,
+    confirm: "typed",
+    description: "Switches off Microsoft Defender real-time protection.",
+    sideEffects: [
+      "Files are no longer scanned when they are opened or downloaded",
+      "Windows Security keeps warning until protection is back on",
+    ],
+    journal: true,
+    groups: ["system"],
+  },
+
+  // Windows
+  {
+    id: "nx-script",
+    page: "windows",
+    label: "Nx Script",
+    command: "nx-script",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "ask",
+    description: "Applies a batch of system-wide tweaks.",
+    sideEffects: ["Registry, service and scheduled task settings change"],
+    reboot: true,
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "basic",
+    page: "windows",
+    label: "Basic",
+    command: "basic",
+    risk: "medium",
+    admin: true,
+    reversible: false,
+    confirm: null,
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "advanced",
+    page: "windows",
+    label: "Advanced",
+    command: "advanced",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "ask",
+    description: "Applies the Basic tweaks plus deeper service and scheduler changes.",
+    sideEffects: ["Includes everything in the Basic pack", "Background services and scheduled tasks are switched off"],
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "ultimate",
+    page: "windows",
+    label: "Ultimate",
+    command: "ultimate",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "typed",
+    description: "Applies every Windows tweak, including service and security changes.",
+    sideEffects: [
+      "Includes everything in the Basic and Advanced packs",
+      "Services and security features are switched off",
+    ],
+    reboot: true,
+    journal: true,
+    groups: ["system"],
+  },
+  {
+    id: "windows-10-activation",
+    page: "windows",
+    label: "Windows 10 Activation",
+    command: "windows-10-activation",
+    risk: "medium",
+    admin: true,
+    reversible: false,
+    confirm: null,
+    groups: ["system"],
+  },
+
+  // Fortnite
+  {
+    id: "basicF",
+    page: "fortnite",
+    label: "Basic",
+    command: "basicF",
+    risk: "medium",
+    admin: true,
+    reversible: false,
+    confirm: null,
+    groups: ["system"],
+  },
+  {
+    id: "advancedF",
+    page: "fortnite",
+    label: "Advanced",
+    command: "advancedF",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "ask",
+    description: "Applies the Basic Fortnite tweaks plus system changes for lower input latency.",
+    sideEffects: ["Fortnite graphics settings are overwritten", "Power and network settings change system-wide"],
+    groups: ["system"],
+  },
+  {
+    id: "ultimateF",
+    page: "fortnite",
+    label: "Ultimate",
+    command: "ultimateF",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "typed",
+    description: "Applies every Fortnite tweak, including system-wide changes.",
+    sideEffects: [
+      "Fortnite graphics and input settings are overwritten",
+      "System-wide changes from the Windows packs are included",
+    ],
+    reboot: true,
+    groups: ["system"],
+  },
+  {
+    id: "commend",
+    page: "fortnite",
+    label: "Commend",
+    command: "commend",
+    risk: "low",
+    admin: false,
+    reversible: true,
+    confirm: null,
+  },
+  {
+    id: "cleanF",
+    page: "fortnite",
+    label: "Clean",
+    command: "cleanF",
+    risk: "high",
+    admin: true,
+    reversible: false,
+    confirm: "ask",
+    description: "Removes Fortnite caches, logs and config files.",
+    sideEffects: [
+      "Fortnite settings go back to their defaults on the next launch",
+      "Shader caches are rebuilt on the next launch",
+    ],
+    groups: ["disk"],
+  },
+]
+
+// Host actions with no button of their own, started from code with runButtonlessAction()
+// (script.js). They are kept out of all(), so they are never bound to a button or offered
+// by the palette, hotkeys, alerts or recipes, but they confirm like any other entry.
+const BUTTONLESS_ACTIONS = [
+  {
+    id: "apply-preset",
+    page: "gameloop",
+    label: "Apply graphics preset",
+    command: "apply-preset",
+    risk: "medium",
+    admin: false,
+    reversible: false,
+    confirm: "ask",
+    description: "Overwrites the game's graphics settings file (Active.sav) with the chosen preset.",
+    sideEffects: ["The graphics settings currently in the game are replaced"],
+    groups: ["graphics"],
+  },
+]
+
+// Host requests outside the registry that still must not overlap with related actions
+const HOST_ACTION_GROUPS = {
+  "apply-preset": ["graphics"],
+  "write-tvm-config": ["emulator"],
+  "revert-change": ["system"],
+}
+
+class ActionRegistry {
+  constructor(entries, buttonless = []) {
+    this.entries = new Map()
+    this.buttonless = new Map()
+    entries.forEach((entry) => this.register(entry))
+    buttonless.forEach((entry) => this.buttonless.set(entry.id, this.normalize(entry)))
+  }
+
+  normalize(entry) {
+    return Object.assign(
+      {
+        kind: "action",
+        confirm: null,
+        description: null,
+        sideEffects: [],
+        reboot: false,
+        benchmark: false,
+        journal: false,
+        groups: [],
+      },
+      entry,
+    )
+  }
+
+  register(entry) {
+    this.entries.set(entry.id, this.normalize(entry))
+  }
+
+  // Action packs (action-packs.js) take their entries out again when switched off
+  unregister(id) {
+    this.entries.delete(id)
+  }
+
+  get(id) {
+    return this.entries.get(id) || null
+  }
+
+  // A registered or button-less entry, for code that only needs its metadata
+  lookup(id) {
+    return this.get(id) || this.buttonless.get(id) || null
+  }
+
+  byCommand(command) {
+    return this.all().find((entry) => entry.command === command) || null
+  }
+
+  // Every entry that sends this host command, button-less ones included
+  usingCommand(command) {
+    return this.all()
+      .concat(Array.from(this.buttonless.values()))
+      .filter((entry) => entry.command === command)
+  }
+
+  all() {
+    return Array.from(this.entries.values())
+  }
+
+  forPage(page) {
+    return this.all().filter((entry) => entry.page === page)
+  }
+
+  selectorFor(entry) {
+    const attribute = entry.kind === "mod" ? "data-mod" : "data-action"
+    return `#${entry.page} [${attribute}="${entry.id}"]`
+  }
+
+  findButton(entry) {
+    return document.querySelector(this.selectorFor(entry))
+  }
+
+  // The label in the interface language; the labels above are the English catalog
+  label(entry) {
+    return window.i18n ? window.i18n.t(`action.${entry.id}`, {}, entry.label) : entry.label
+  }
+
+  description(entry) {
+    const key = `action.${entry.id}.description`
+    return window.i18n ? window.i18n.t(key, {}, entry.description) : entry.description
+  }
+
+  sideEffects(entry) {
+    return entry.sideEffects.map((text, index) =>
+      window.i18n ? window.i18n.t(`action.${entry.id}.effect.${index}`, {}, text) : text,
+    )
+  }
+}
+
+// English catalog entries for the labels and confirmation texts above
+function actionCatalog(entries) {
+  const strings = {}
+  entries.forEach((entry) => {
+    strings[`action.${entry.id}`] = entry.label
+    if (entry.description) strings[`action.${entry.id}.description`] = entry.description
+    ;(entry.sideEffects || []).forEach((text, index) => (strings[`action.${entry.id}.effect.${index}`] = text))
+  })
+  return strings
+}
+
+window.ActionRegistry = ActionRegistry
+window.actionRegistry = new ActionRegistry(ACTION_REGISTRY, BUTTONLESS_ACTIONS)
+if (window.i18n) window.i18n.define("en", actionCatalog([...ACTION_REGISTRY, ...BUTTONLESS_ACTIONS]))
@@ -0,0 +1,317 @@
+// Persistent activity log for support: every request sent to the host, every reply,
+// telemetry anomalies, alerts, toasts and page errors, each with a timestamp and a
+// severity. Entries are kept in English whatever the interface language, so a log file
+// from any user reads the same.
+//
+//   { id, time, severity: "debug" | "info" | "warning" | "error",
+//     source: "host" | "metric" | "ui" | "app", action, message, details }
+//
+// `action` is the host command the entry belongs to, or null. The existing "[v0]"
+// console lines are kept as debug entries. The Log page (ActivityLogPanel) filters,
+// searches and exports the entries as JSON or plain text.
+
+const ACTIVITY_SEVERITIES = ["debug", "info", "warning", "error"]
+const ACTIVITY_DETAILS_LIMIT = 1000
+const ACTIVITY_TOAST_SEVERITY = { success: "info", info: "info", warning: "warning", error: "error" }
+
+class ActivityLog {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || "nx.activity"
+    this.limit = options.limit || 1000
+    this.entries = this.load()
+    this.listeners = []
+    this.sequence = 0
+    this.saveTimer = null
+  }
+
+  load() {
+    try {
+      const entries = JSON.parse(window.localStorage.getItem(this.storageKey) || "[]")
+      return Array.isArray(entries) ? entries : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  // Batched, so a burst of host messages costs one write
+  save() {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = setTimeout(() => {
+      try {
+        window.localStorage.setItem(this.storageKey, JSON.stringify(this.entries))
+      } catch (error) {
+        // Not console.log: that would add an entry and schedule another save
+        console.warn(`[v0] Could not save the activity log: ${error.message}`)
+      }
+    }, 500)
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  // Large host results are cut down so a few of them cannot fill localStorage
+  compact(details) {
+    if (details === undefined || details === null) return null
+    let text
+    try {
+      text = JSON.stringify(details)
+    } catch (error) {
+      return String(details)
+    }
+    return text.length > ACTIVITY_DETAILS_LIMIT ? `${text.slice(0, ACTIVITY_DETAILS_LIMIT)}…` : details
+  }
+
+  add(severity, source, message, { action = null, details = null } = {}) {
+    this.sequence += 1
+    const entry = {
+      id: `${Date.now().toString(36)}-${this.sequence}`,
+      time: Date.now(),
+      severity,
+      source,
+      action,
+      message: String(message),
+      details: this.compact(details),
+    }
+    this.entries.push(entry)
+    if (this.entries.length > this.limit) this.entries.splice(0, this.entries.length - this.limit)
+    this.save()
+    this.listeners.forEach((listener) => listener(entry))
+    return entry
+  }
+
+  debug(source, message, extra) {
+    return this.add("debug", source, message, extra)
+  }
+
+  info(source, message, extra) {
+    return this.add("info", source, message, extra)
+  }
+
+  warning(source, message, extra) {
+    return this.add("warning", source, message, extra)
+  }
+
+  error(source, message, extra) {
+    return this.add("error", source, message, extra)
+  }
+
+  clear() {
+    this.entries = []
+    this.save()
+    this.listeners.forEach((listener) => listener(null))
+  }
+
+  // Newest first. severity is the lowest level shown, action a host command or "" for all.
+  filter({ severity = "debug", action = "", query = "" } = {}) {
+    const minimum = ACTIVITY_SEVERITIES.indexOf(severity)
+    const needle = query.trim().toLowerCase()
+    return this.entries
+      .filter((entry) => ACTIVITY_SEVERITIES.indexOf(entry.severity) >= minimum)
+      .filter((entry) => !action || entry.action === action)
+      .filter((entry) => !needle || this.line(entry).toLowerCase().includes(needle))
+      .reverse()
+  }
+
+  actions() {
+    return Array.from(new Set(this.entries.map((entry) => entry.action).filter(Boolean))).sort()
+  }
+
+  line(entry) {
+    const details = entry.details === null ? "" : ` ${JSON.stringify(entry.details)}`
+    return [
+      new Date(entry.time).toISOString(),
+      entry.severity.toUpperCase().padEnd(7),
+      entry.source.padEnd(6),
+      entry.action || "-",
+      `${entry.message}${details}`,
+    ].join(" ")
+  }
+
+  export(format = "json", entries = this.entries) {
+    if (format === "text") return entries.map((entry) => this.line(entry)).join("\n")
+    return JSON.stringify({ exportedAt: new Date().toISOString(), userAgent: navigator.userAgent, entries }, null, 2)
+  }
+
+  // Requests, replies, timeouts and cancels from a HostBridge (bridge.js)
+  watchBridge(bridge) {
+    bridge.on("request", ({ id, action, args }) =>
+      this.info("host", `Sent ${action}`, { action, details: { id, args } }),
+    )
+    bridge.on("reply", ({ id, action, ok, result, error, ms }) => {
+      if (ok) this.info("host", `${action} succeeded after ${ms} ms`, { action, details: { id, result } })
+      else this.error("host", `${action} failed: ${error.message}`, { action, details: Object.assign({ id }, error) })
+    })
+    bridge.on("timeout", ({ id, action, ms }) =>
+      this.error("host", `${action} timed out after ${ms} ms`, { action, details: { id } }),
+    )
+    bridge.on("cancel", ({ id, action }) =>
+      this.warning("host", `${action} was cancelled`, { action, details: { id } }),
+    )
+    bridge.on("event", ({ name, payload }) => {
+      // Telemetry arrives every couple of seconds; its problems are logged by the dashboard instead
+      if (name !== "telemetry") this.info("host", `Event ${name}`, { details: payload })
+    })
+    bridge.on("invalid", ({ error, data }) =>
+      this.error("host", `Invalid host message: ${error.message}`, { details: { data } }),
+    )
+  }
+
+  recordToast(type, title, message) {
+    const severity = ACTIVITY_TOAST_SEVERITY[type]
+    if (severity) this.add(severity, "ui", title ? `${title}: ${message}` : message)
+  }
+
+  // "[v0]" console lines and uncaught errors
+  captureConsole() {
+    const log = console.log
+    console.log = (...args) => {
+      log.apply(console, args)
+      if (typeof args[0] === "string" && args[0].startsWith("[v0] ")) this.debug("app", args.join(" ").slice(5))
+    }
+
+    window.addEventListener("error", (event) => {
+      const where = event.filename ? ` (${event.filename}:${event.lineno})` : ""
+      this.error("app", `${event.message}${where}`)
+    })
+    window.addEventListener("unhandledrejection", (event) => {
+      const reason = event.reason
+      this.error("app", `Unhandled rejection: ${reason && reason.message ? reason.message : reason}`)
+    })
+  }
+}
+
+class ActivityLogPanel {
+  constructor(log, root) {
+    this.log = log
+    this.root = root
+    this.renderTimer = null
+    if (!root) return
+
+    this.list = root.querySelector(".activity-list")
+    this.summary = root.querySelector(".activity-summary")
+    this.search = root.querySelector(".activity-search")
+    this.severity = root.querySelector(".activity-severity")
+    this.action = root.querySelector(".activity-action")
+
+    this.search.addEventListener("input", () => this.render())
+    this.severity.addEventListener("change", () => this.render())
+    this.action.addEventListener("change", () => this.render())
+    root.querySelector(".activity-export-json").addEventListener("click", () => this.download("json"))
+    root.querySelector(".activity-export-text").addEventListener("click", () => this.download("text"))
+    root.querySelector(".activity-clear").addEventListener("click", async () => {
+      if (this.log.entries.length === 0) return
+      const { t } = window.i18n
+      const { confirmed } = await window.confirmDialog.show({
+        title: t("activity.clearTitle"),
+        description: t("activity.confirmClear"),
+        confirmLabel: t("common.clear"),
+      })
+      if (confirmed) this.log.clear()
+    })
+
+    this.log.onChange(() => this.scheduleRender())
+    window.i18n.onChange(() => this.render())
+    this.render()
+  }
+
+  // Entries can arrive many at a time; redraw once they settle
+  scheduleRender() {
+    clearTimeout(this.renderTimer)
+    this.renderTimer = setTimeout(() => this.render(), 200)
+  }
+
+  filters() {
+    return { severity: this.severity.value, action: this.action.value, query: this.search.value }
+  }
+
+  download(format) {
+    const text = this.log.export(format, this.log.filter(this.filters()).reverse())
+    const blob = new Blob([text], { type: format === "json" ? "application/json" : "text/plain" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = `nx-activity-${new Date().toISOString().slice(0, 10)}.${format === "json" ? "json" : "log"}`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(link.href), 0)
+  }
+
+  renderActions() {
+    const { t } = window.i18n
+    const selected = this.action.value
+    this.action.textContent = ""
+    const all = document.createElement("option")
+    all.value = ""
+    all.textContent = t("activity.allActions")
+    this.action.appendChild(all)
+    this.log.actions().forEach((command) => {
+      const entry = window.actionRegistry && window.actionRegistry.byCommand(command)
+      const option = document.createElement("option")
+      option.value = command
+      option.textContent = entry ? window.actionRegistry.label(entry) : command
+      this.action.appendChild(option)
+    })
+    this.action.value = this.log.actions().includes(selected) ? selected : ""
+  }
+
+  render() {
+    if (!this.root) return
+    const { t } = window.i18n
+    this.renderActions()
+
+    const entries = this.log.filter(this.filters())
+    // Rendering thousands of rows makes the page sluggish; the export still has them all
+    const shown = entries.slice(0, 300)
+    this.summary.textContent = t("activity.summary", { shown: shown.length, total: this.log.entries.length })
+    this.list.textContent = ""
+
+    if (shown.length === 0) {
+      const empty = document.createElement("div")
+      empty.className = "benchmark-empty"
+      empty.textContent = t(this.log.entries.length === 0 ? "activity.empty" : "activity.noMatch")
+      this.list.appendChild(empty)
+      return
+    }
+
+    shown.forEach((entry) => this.list.appendChild(this.renderEntry(entry)))
+  }
+
+  renderEntry(entry) {
+    const row = document.createElement("details")
+    row.className = `activity-entry ${entry.severity}`
+
+    const summary = document.createElement("summary")
+    const time = document.createElement("time")
+    time.dateTime = new Date(entry.time).toISOString()
+    time.textContent = new Date(entry.time).toLocaleTimeString(window.i18n.language)
+    time.title = new Date(entry.time).toLocaleString(window.i18n.language)
+    const severity = document.createElement("span")
+    severity.className = "activity-severity-badge"
+    severity.textContent = entry.severity
+    const source = document.createElement("span")
+    source.className = "activity-source"
+    source.textContent = entry.action ? `${entry.source} • ${entry.action}` : entry.source
+    const message = document.createElement("span")
+    message.className = "activity-message"
+    message.textContent = entry.message
+    summary.append(time, severity, source, message)
+    row.appendChild(summary)
+
+    if (entry.details !== null) {
+      const details = document.createElement("pre")
+      details.className = "activity-details"
+      details.textContent = typeof entry.details === "string" ? entry.details : JSON.stringify(entry.details, null, 2)
+      row.appendChild(details)
+    } else {
+      row.classList.add("plain")
+    }
+    return row
+  }
+}
+
+window.ACTIVITY_SEVERITIES = ACTIVITY_SEVERITIES
+window.ActivityLog = ActivityLog
+window.ActivityLogPanel = ActivityLogPanel
+window.activityLog = new ActivityLog()
+window.activityLog.captureConsole()
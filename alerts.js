@@ -0,0 +1,279 @@
+// Threshold rules for the dashboard metrics. Each metric has a warn and a critical
+// level (usage %), a sustain time the value has to stay above a level before the alert
+// fires, and a hysteresis band it has to drop below before the alert clears. Alerts go
+// out through the notify.* API and can offer a suggested action from the registry.
+// Rules are edited on the settings page and persisted in localStorage.
+
+const ALERT_LEVELS = ["normal", "warn", "critical"]
+
+const DEFAULT_ALERT_RULES = {
+  cpu: { enabled: true, warn: 80, critical: 95, sustain: 10, hysteresis: 5, action: null },
+  gpu: { enabled: true, warn: 85, critical: 97, sustain: 10, hysteresis: 5, action: null },
+  ram: { enabled: true, warn: 80, critical: 90, sustain: 15, hysteresis: 5, action: "clean-ram" },
+  disk: { enabled: true, warn: 85, critical: 95, sustain: 0, hysteresis: 2, action: "clear-temp" },
+  proc: { enabled: true, warn: 80, critical: 95, sustain: 10, hysteresis: 5, action: null },
+}
+
+// English names for the activity log; toasts and the editor use alerts.metric.*
+const ALERT_LABELS = { cpu: "CPU", gpu: "GPU", ram: "RAM", disk: "Disk", proc: "Processor" }
+
+const ALERT_EDITOR_COLUMNS = ["metric", "enabled", "warn", "critical", "sustain", "hysteresis", "action"]
+
+function alertMetricLabel(metric) {
+  return window.i18n.t(`alerts.metric.${metric}`, {}, ALERT_LABELS[metric] || metric)
+}
+
+class AlertEngine {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || "nx.alertRules"
+    this.registry = options.registry || null
+    this.rules = this.load()
+    this.states = {}
+  }
+
+  load() {
+    const rules = JSON.parse(JSON.stringify(DEFAULT_ALERT_RULES))
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(this.storageKey) || "{}")
+      // Suggested actions are not checked: one from an action pack is only registered later
+      Object.keys(saved).forEach((metric) => {
+        if (rules[metric] && this.validate(Object.assign({}, rules[metric], saved[metric]), null).length === 0) {
+          Object.assign(rules[metric], saved[metric])
+        }
+      })
+    } catch (error) {
+      console.log("[v0] Discarding unreadable alert rules")
+    }
+    return rules
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.rules))
+    } catch (error) {
+      console.log(`[v0] Could not save alert rules: ${error.message}`)
+    }
+  }
+
+  validate(rule, registry = this.registry) {
+    const { t } = window.i18n
+    const errors = []
+    const inRange = (value, min, max) => typeof value === "number" && value >= min && value <= max
+
+    if (!inRange(rule.warn, 1, 100)) errors.push(t("alerts.error.warn"))
+    if (!inRange(rule.critical, 1, 100)) errors.push(t("alerts.error.critical"))
+    if (rule.warn >= rule.critical) errors.push(t("alerts.error.order"))
+    if (!inRange(rule.sustain, 0, 3600)) errors.push(t("alerts.error.sustain"))
+    if (!inRange(rule.hysteresis, 0, 50)) errors.push(t("alerts.error.hysteresis"))
+    if (rule.action && registry && !registry.get(rule.action)) {
+      errors.push(t("alerts.error.action", { action: rule.action }))
+    }
+    return errors
+  }
+
+  // Returns the validation errors; the rule is only stored when there are none
+  updateRule(metric, patch) {
+    const rule = Object.assign({}, this.rules[metric], patch)
+    // A suggested action kept from before may belong to a pack that is switched off
+    const errors = this.validate(rule, rule.action === this.rules[metric].action ? null : this.registry)
+    if (errors.length === 0) {
+      this.rules[metric] = rule
+      delete this.states[metric]
+      this.save()
+    }
+    return errors
+  }
+
+  reset() {
+    this.rules = JSON.parse(JSON.stringify(DEFAULT_ALERT_RULES))
+    this.states = {}
+    this.save()
+  }
+
+  level(metric) {
+    return this.states[metric] ? this.states[metric].level : "normal"
+  }
+
+  // Level the value is at once the sustain time is applied. Each level keeps its own
+  // time above its threshold, so a value swinging around the critical line still counts
+  // as above warn. Falling only has to clear the threshold minus the hysteresis band.
+  targetLevel(rule, value, state, timestamp) {
+    ALERT_LEVELS.slice(1).forEach((level) => {
+      if (value < rule[level]) state.above[level] = null
+      else if (state.above[level] === null) state.above[level] = timestamp
+    })
+    const sustained = (level) => state.above[level] !== null && timestamp - state.above[level] >= rule.sustain * 1000
+    const held = (level) =>
+      ALERT_LEVELS.indexOf(state.level) >= ALERT_LEVELS.indexOf(level) && value >= rule[level] - rule.hysteresis
+
+    if (sustained("critical") || held("critical")) return "critical"
+    if (sustained("warn") || held("warn")) return "warn"
+    return "normal"
+  }
+
+  evaluate(metric, value, timestamp = Date.now()) {
+    const rule = this.rules[metric]
+    if (!rule || !rule.enabled) {
+      delete this.states[metric]
+      return "normal"
+    }
+
+    const state =
+      this.states[metric] || (this.states[metric] = { level: "normal", above: { warn: null, critical: null } })
+    const target = this.targetLevel(rule, value, state, timestamp)
+    if (target === state.level) return state.level
+
+    const rising = ALERT_LEVELS.indexOf(target) > ALERT_LEVELS.indexOf(state.level)
+    state.level = target
+
+    // Stepping down from critical to warn is not worth a toast of its own
+    if (rising || target === "normal") {
+      this.fire(metric, target, value)
+    }
+    return target
+  }
+
+  fire(metric, level, value) {
+    const { t } = window.i18n
+    const rule = this.rules[metric]
+    const label = ALERT_LABELS[metric] || metric
+    const params = { metric: alertMetricLabel(metric), value: Math.round(value) }
+
+    if (level === "normal") {
+      window.activityLog.info("metric", `${label} usage is back to ${params.value}%`, {
+        details: { metric, value },
+      })
+      notify.info(t("alerts.recovered", params), t("alerts.recoveredTitle", params))
+      return
+    }
+
+    const threshold = level === "critical" ? rule.critical : rule.warn
+    const sustained = rule.sustain > 0 ? ` for ${rule.sustain}s` : ""
+    window.activityLog.add(
+      level === "critical" ? "error" : "warning",
+      "metric",
+      `${label} usage has been above ${threshold}%${sustained} (now ${params.value}%)`,
+      { details: { metric, value, rule } },
+    )
+    Object.assign(params, { threshold, seconds: rule.sustain })
+    const message = t(rule.sustain > 0 ? "alerts.aboveFor" : "alerts.above", params)
+    const entry = rule.action && this.registry ? this.registry.get(rule.action) : null
+    const actions = entry && level === "critical" ? [this.suggestedAction(entry)] : []
+    if (level === "critical") notify.error(message, t("alerts.criticalTitle", params), { actions })
+    else notify.warning(message, t("alerts.highTitle", params), { actions })
+  }
+
+  // Suggested actions go through the action's own button so confirmation still applies
+  suggestedAction(entry) {
+    return {
+      label: window.i18n.t("alerts.run", { label: this.registry.label(entry) }),
+      onClick: () => {
+        const target = this.registry.findButton(entry)
+        if (target) target.click()
+      },
+    }
+  }
+
+  // Settings page editor: one row per metric, changes are validated and saved on the fly
+  renderEditor(container) {
+    if (!container) return
+    container.textContent = ""
+
+    const table = document.createElement("div")
+    table.className = "alert-rules-table"
+
+    const head = document.createElement("div")
+    head.className = "alert-rule-row alert-rule-head"
+    ALERT_EDITOR_COLUMNS.forEach((column) => {
+      const cell = document.createElement("span")
+      cell.textContent = window.i18n.t(`alerts.column.${column}`)
+      head.appendChild(cell)
+    })
+    table.appendChild(head)
+
+    Object.keys(this.rules).forEach((metric) => table.appendChild(this.renderRuleRow(metric)))
+    container.appendChild(table)
+
+    const footer = document.createElement("div")
+    footer.className = "alert-rules-footer"
+    const error = document.createElement("span")
+    error.className = "alert-rules-error"
+    error.setAttribute("role", "alert")
+    const reset = document.createElement("button")
+    reset.className = "alert-rules-reset"
+    reset.textContent = window.i18n.t("alerts.reset")
+    reset.addEventListener("click", () => {
+      this.reset()
+      this.renderEditor(container)
+    })
+    footer.append(error, reset)
+    container.appendChild(footer)
+  }
+
+  renderRuleRow(metric) {
+    const rule = this.rules[metric]
+    const row = document.createElement("div")
+    row.className = "alert-rule-row"
+    row.dataset.metric = metric
+
+    const name = document.createElement("span")
+    name.className = "alert-rule-name"
+    name.textContent = alertMetricLabel(metric)
+    row.appendChild(name)
+
+    const enabled = document.createElement("input")
+    enabled.type = "checkbox"
+    enabled.checked = rule.enabled
+    enabled.dataset.field = "enabled"
+    row.appendChild(enabled)
+
+    ;["warn", "critical", "sustain", "hysteresis"].forEach((field) => {
+      const input = document.createElement("input")
+      input.type = "number"
+      input.min = 0
+      input.value = rule[field]
+      input.dataset.field = field
+      row.appendChild(input)
+    })
+
+    const action = document.createElement("select")
+    action.dataset.field = "action"
+    const none = document.createElement("option")
+    none.value = ""
+    none.textContent = window.i18n.t("alerts.none")
+    action.appendChild(none)
+    if (this.registry) {
+      this.registry.all().forEach((entry) => {
+        const option = document.createElement("option")
+        option.value = entry.id
+        option.textContent = `${this.registry.label(entry)} (${window.i18n.t(`nav.${entry.page}`, {}, entry.page)})`
+        action.appendChild(option)
+      })
+    }
+    if (rule.action && !(this.registry && this.registry.get(rule.action))) {
+      const option = document.createElement("option")
+      option.value = rule.action
+      option.textContent = window.i18n.t("alerts.actionMissing", { action: rule.action })
+      action.appendChild(option)
+    }
+    action.value = rule.action || ""
+    row.appendChild(action)
+
+    row.addEventListener("change", () => {
+      const patch = { enabled: enabled.checked, action: action.value || null }
+      row.querySelectorAll("input[type=number]").forEach((input) => {
+        patch[input.dataset.field] = input.value === "" ? NaN : Number(input.value)
+      })
+
+      const errors = this.updateRule(metric, patch)
+      row.classList.toggle("invalid", errors.length > 0)
+      const message = row.parentNode.parentNode.querySelector(".alert-rules-error")
+      if (message) message.textContent = errors.length > 0 ? `${alertMetricLabel(metric)}: ${errors[0]}` : ""
+    })
+
+    return row
+  }
+}
+
+window.DEFAULT_ALERT_RULES = DEFAULT_ALERT_RULES
+window.AlertEngine = AlertEngine
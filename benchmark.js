@@ -0,0 +1,213 @@
+// Before/after benchmarks around heavy actions (registry entries with benchmark: true).
+// A run snapshots the dashboard metrics, executes the action, waits for the system to
+// settle, snapshots again and stores a diff report in a session history that can be
+// exported as JSON.
+
+const BENCHMARK_FIELDS = [
+  { metric: "cpu", field: "usage", label: "CPU", unit: "%" },
+  { metric: "ram", field: "usage", label: "RAM", unit: "%" },
+  { metric: "ram", field: "used", label: "RAM used", unit: " GB" },
+  { metric: "disk", field: "usage", label: "Disk", unit: "%" },
+  { metric: "disk", field: "free", label: "Disk free", unit: " GB" },
+]
+
+class BenchmarkRunner {
+  constructor(dashboard, options = {}) {
+    this.dashboard = dashboard
+    this.settleMs = options.settleMs || 10000
+    // Usage is averaged over this window so one noisy sample doesn't decide the result
+    this.sampleWindow = options.sampleWindow || 10000
+    this.storageKey = options.storageKey || "nx.benchmarks"
+    this.limit = options.limit || 50
+    this.reports = this.load()
+    this.list = document.getElementById("benchmark-list")
+
+    const exportButton = document.getElementById("benchmark-export")
+    const clearButton = document.getElementById("benchmark-clear")
+    if (exportButton) exportButton.addEventListener("click", () => this.download())
+    if (clearButton) clearButton.addEventListener("click", () => this.clear())
+
+    this.render()
+    window.i18n.onChange(() => this.render())
+  }
+
+  // Only samples newer than `since` are averaged, so the "after" side never includes pre-run readings
+  snapshot(since = 0, now = Date.now()) {
+    const { telemetry, history } = this.dashboard
+    const windowMs = Math.max(1, Math.min(this.sampleWindow, now - since))
+    const metrics = {}
+
+    BENCHMARK_FIELDS.forEach(({ metric, field }) => {
+      const state = telemetry.state(metric, now)
+      let value = state === "unavailable" ? undefined : telemetry.values[metric][field]
+
+      if (field === "usage" && value !== undefined) {
+        const stats = history.stats(history.series(metric, windowMs, now))
+        if (stats) value = stats.avg
+      }
+
+      metrics[metric] = metrics[metric] || { state }
+      if (value !== undefined) {
+        metrics[metric][field] = Math.round(value * 10) / 10
+      }
+    })
+
+    return { timestamp: now, metrics }
+  }
+
+  deltas(before, after) {
+    return BENCHMARK_FIELDS.map(({ metric, field, label, unit }) => {
+      const from = before.metrics[metric][field]
+      const to = after.metrics[metric][field]
+      const delta = from !== undefined && to !== undefined ? Math.round((to - from) * 10) / 10 : null
+      return { metric, field, label, unit, before: from, after: to, delta }
+    })
+  }
+
+  // execute() must resolve to { ok, error } like runHostAction()
+  async run(entry, execute) {
+    const before = this.snapshot()
+    const startedAt = Date.now()
+    const outcome = await execute()
+    const finishedAt = Date.now()
+    const duration = finishedAt - startedAt
+
+    if (outcome.ok) {
+      const { t } = window.i18n
+      const label = window.actionRegistry.label(entry)
+      notify.info(t("benchmark.measuring", { label, seconds: this.settleMs / 1000 }), t("benchmark.title"))
+      await new Promise((resolve) => setTimeout(resolve, this.settleMs))
+    }
+
+    const after = this.snapshot(finishedAt)
+    const report = {
+      id: `${startedAt.toString(36)}-${entry.id}`,
+      action: entry.id,
+      label: entry.label,
+      startedAt,
+      duration,
+      ok: outcome.ok,
+      error: outcome.ok ? null : outcome.error.message,
+      settleMs: outcome.ok ? this.settleMs : 0,
+      before,
+      after,
+      deltas: this.deltas(before, after),
+    }
+
+    this.reports.unshift(report)
+    this.reports = this.reports.slice(0, this.limit)
+    this.save()
+    this.render()
+    return report
+  }
+
+  load() {
+    try {
+      const reports = JSON.parse(window.localStorage.getItem(this.storageKey) || "[]")
+      return Array.isArray(reports) ? reports : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.reports))
+    } catch (error) {
+      console.log(`[v0] Could not save benchmark history: ${error.message}`)
+    }
+  }
+
+  clear() {
+    this.reports = []
+    this.save()
+    this.render()
+  }
+
+  export() {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), reports: this.reports }, null, 2)
+  }
+
+  download() {
+    const blob = new Blob([this.export()], { type: "application/json" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = `nx-benchmarks-${new Date().toISOString().slice(0, 10)}.json`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(link.href), 0)
+  }
+
+  render() {
+    if (!this.list) return
+
+    this.list.textContent = ""
+
+    if (this.reports.length === 0) {
+      const empty = document.createElement("div")
+      empty.className = "benchmark-empty"
+      empty.textContent = window.i18n.t("benchmark.empty")
+      this.list.appendChild(empty)
+      return
+    }
+
+    this.reports.forEach((report) => this.list.appendChild(this.renderReport(report)))
+  }
+
+  // Reports keep the English labels they were recorded with; they are translated here
+  renderReport(report) {
+    const { t, language } = window.i18n
+    const card = document.createElement("div")
+    card.className = `benchmark-card ${report.ok ? "success" : "failed"}`
+
+    const header = document.createElement("div")
+    header.className = "benchmark-header"
+    const title = document.createElement("h4")
+    title.textContent = window.actionRegistry.label({ id: report.action, label: report.label })
+    const status = document.createElement("span")
+    status.className = "benchmark-status"
+    status.textContent = t(report.ok ? "benchmark.success" : "benchmark.failed")
+    const meta = document.createElement("span")
+    meta.className = "benchmark-meta"
+    meta.textContent = `${new Date(report.startedAt).toLocaleString(language)} • ${(report.duration / 1000).toFixed(1)}s`
+    header.append(title, status, meta)
+    card.appendChild(header)
+
+    if (report.error) {
+      const error = document.createElement("p")
+      error.className = "benchmark-error"
+      error.textContent = report.error
+      card.appendChild(error)
+    }
+
+    const rows = document.createElement("div")
+    rows.className = "benchmark-rows"
+    report.deltas.forEach((row) => {
+      const line = document.createElement("div")
+      line.className = "benchmark-row"
+      const show = (value) => (value !== undefined && value !== null ? `${value}${row.unit}` : "--")
+
+      const label = document.createElement("span")
+      label.textContent = t(`benchmark.field.${row.metric}.${row.field}`, {}, row.label)
+      const values = document.createElement("span")
+      values.textContent = `${show(row.before)} → ${show(row.after)}`
+      const delta = document.createElement("span")
+      delta.className = "benchmark-delta"
+      if (row.delta !== null) {
+        delta.textContent = `${row.delta > 0 ? "+" : ""}${row.delta}${row.unit}`
+        delta.classList.add(row.delta < 0 ? "down" : row.delta > 0 ? "up" : "flat")
+      } else {
+        delta.textContent = t("benchmark.notAvailable")
+      }
+
+      line.append(label, values, delta)
+      rows.appendChild(line)
+    })
+    card.appendChild(rows)
+
+    return card
+  }
+}
+
+window.BenchmarkRunner = BenchmarkRunner
@@ -0,0 +1,282 @@
+// Request/response bridge between the dashboard and the C# WebView2 host, speaking
+// the message schema in protocol.js.
+//
+// Every request is posted as { v, type: "request", id, action, args } and the host
+// answers with "progress", "success" or "error" messages carrying the same id. Host
+// "event" messages are re-emitted as "event"; messages that fail validation are
+// emitted as "invalid" so the page can show them instead of dropping them. When the
+// page stops waiting for a request (its AbortSignal fired) it posts a "cancel"
+// message; the host should stop the work if it can, and any later reply for that id
+// is ignored. "request", "reply", "timeout" and "cancel" are emitted as well, for the
+// activity log (activity-log.js).
+
+class HostBridgeError extends Error {
+  constructor(message, code = "host-error", details = null) {
+    super(message)
+    this.name = "HostBridgeError"
+    this.code = code
+    this.details = details
+  }
+}
+
+// Progress and error text, translated when the host names a catalog key (i18n.js)
+function hostText(source) {
+  return window.i18n ? window.i18n.hostText(source) : source.message
+}
+
+class HostBridge {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 30000
+    this.pending = new Map()
+    this.listeners = {}
+    this.sequence = 0
+    this.host = null
+    this.handleMessage = this.handleMessage.bind(this)
+
+    this.attach(options.host || HostBridge.detectHost())
+  }
+
+  static detectHost() {
+    if (window.chrome && window.chrome.webview) {
+      return window.chrome.webview
+    }
+    return MockHost.isEnabled() ? new MockHost() : null
+  }
+
+  get available() {
+    return this.host !== null
+  }
+
+  // Swap the transport, e.g. to plug a MockHost in a plain browser or jsdom
+  attach(host) {
+    if (this.host && typeof this.host.removeEventListener === "function") {
+      this.host.removeEventListener("message", this.handleMessage)
+    }
+
+    this.host = host || null
+
+    if (this.host) {
+      this.host.addEventListener("message", this.handleMessage)
+    }
+  }
+
+  createId() {
+    this.sequence += 1
+    return `${Date.now().toString(36)}-${this.sequence}`
+  }
+
+  request(action, args = {}, options = {}) {
+    if (!this.host) {
+      return Promise.reject(new HostBridgeError("WebView host not available", "no-host"))
+    }
+
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(new HostBridgeError(`"${action}" was cancelled`, "cancelled"))
+    }
+
+    const id = this.createId()
+    const timeout = options.timeout || this.timeout
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        id,
+        action,
+        resolve,
+        reject,
+        onProgress: options.onProgress,
+        timeout,
+        timer: null,
+        signal: options.signal || null,
+        onAbort: () => this.cancel(id),
+        startedAt: Date.now(),
+      }
+      this.pending.set(id, entry)
+      this.armTimeout(entry)
+      if (entry.signal) entry.signal.addEventListener("abort", entry.onAbort, { once: true })
+
+      try {
+        this.host.postMessage(createHostMessage("request", { id, action, args }))
+        this.emit("request", { id, action, args })
+      } catch (error) {
+        this.settle(id)
+        reject(new HostBridgeError(error.message, "post-failed"))
+      }
+    })
+  }
+
+  // Progress messages re-arm the timer so long-running actions only time out when the host goes quiet
+  armTimeout(entry) {
+    clearTimeout(entry.timer)
+    entry.timer = setTimeout(() => {
+      this.settle(entry.id)
+      this.emit("timeout", { id: entry.id, action: entry.action, ms: this.elapsed(entry) })
+      entry.reject(new HostBridgeError(`"${entry.action}" timed out after ${entry.timeout / 1000}s`, "timeout"))
+    }, entry.timeout)
+  }
+
+  cancel(id) {
+    const entry = this.settle(id)
+    if (!entry) return false
+
+    try {
+      this.host.postMessage(createHostMessage("cancel", { id }))
+    } catch (error) {
+      console.log(`[v0] Could not tell the host to cancel ${entry.action}: ${error.message}`)
+    }
+    this.emit("cancel", { id, action: entry.action })
+    entry.reject(new HostBridgeError(`"${entry.action}" was cancelled`, "cancelled"))
+    return true
+  }
+
+  elapsed(entry) {
+    return Date.now() - entry.startedAt
+  }
+
+  settle(id) {
+    const entry = this.pending.get(id)
+    if (entry) {
+      clearTimeout(entry.timer)
+      // A long-lived signal shared by many requests would otherwise keep every settled entry alive
+      if (entry.signal) entry.signal.removeEventListener("abort", entry.onAbort)
+      this.pending.delete(id)
+    }
+    return entry
+  }
+
+  handleMessage(event) {
+    let message
+    try {
+      message = readHostMessage(event.data)
+    } catch (error) {
+      this.emit("invalid", { error, data: event.data })
+      return
+    }
+
+    if (message.type === "event") {
+      this.emit("event", message)
+      return
+    }
+
+    const entry = this.pending.get(message.id)
+    if (!entry) {
+      // Normal after a timeout or cancel; anything else points at a host bug
+      console.log(`[v0] Ignoring ${message.type} for unknown or finished request ${message.id}`)
+      return
+    }
+
+    switch (message.type) {
+      case "progress":
+        this.armTimeout(entry)
+        if (typeof entry.onProgress === "function") {
+          entry.onProgress({ progress: message.progress, message: hostText(message) })
+        }
+        break
+
+      case "success":
+        this.settle(entry.id)
+        this.emit("reply", {
+          id: entry.id,
+          action: entry.action,
+          ok: true,
+          result: message.result,
+          ms: this.elapsed(entry),
+        })
+        entry.resolve(message.result !== undefined ? message.result : {})
+        break
+
+      case "error":
+        this.settle(entry.id)
+        this.emit("reply", {
+          id: entry.id,
+          action: entry.action,
+          ok: false,
+          error: message.error,
+          ms: this.elapsed(entry),
+        })
+        entry.reject(new HostBridgeError(hostText(message.error), message.error.code, message.error.details))
+        break
+    }
+  }
+
+  on(type, listener) {
+    ;(this.listeners[type] = this.listeners[type] || []).push(listener)
+    return () => this.off(type, listener)
+  }
+
+  off(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter((fn) => fn !== listener)
+  }
+
+  emit(type, payload) {
+    ;(this.listeners[type] || []).forEach((listener) => {
+      try {
+        listener(payload)
+      } catch (error) {
+        console.log(`[v0] HostBridge ${type} listener failed: ${error.message}`)
+      }
+    })
+  }
+}
+
+// In-page stand-in for window.chrome.webview. Enable it with ?mock-host in the
+// URL or localStorage "nx.mockHost" = "1", or attach one directly in tests:
+//   hostBridge.attach(new MockHost({ handlers: { "clean-ram": () => ({ freedMb: 512 }) } }))
+// Handlers receive (args, { progress }) and may return a value, a promise, or throw.
+class MockHost {
+  constructor(options = {}) {
+    this.latency = options.latency !== undefined ? options.latency : 400
+    this.handlers = Object.assign({}, options.handlers)
+    this.listeners = []
+    this.messages = []
+  }
+
+  static isEnabled() {
+    try {
+      return /[?&]mock-host\b/.test(window.location.search) || window.localStorage.getItem("nx.mockHost") === "1"
+    } catch (error) {
+      return false
+    }
+  }
+
+  register(action, handler) {
+    this.handlers[action] = handler
+  }
+
+  addEventListener(type, listener) {
+    if (type === "message") this.listeners.push(listener)
+  }
+
+  removeEventListener(type, listener) {
+    if (type === "message") this.listeners = this.listeners.filter((fn) => fn !== listener)
+  }
+
+  // Deliver a message to the page as if the host had sent it
+  dispatch(data) {
+    setTimeout(() => this.listeners.forEach((listener) => listener({ data })), 0)
+  }
+
+  postMessage(message) {
+    this.messages.push(message)
+
+    if (!message || message.type !== "request") return
+
+    const { id, action, args } = message
+    const v = PROTOCOL_VERSION
+    const handler = this.handlers[action] || (() => ({ message: `${action} completed (mock)` }))
+    const progress = (value, text) => this.dispatch({ v, type: "progress", id, progress: value, message: text })
+
+    setTimeout(async () => {
+      try {
+        const result = await handler(args || {}, { progress })
+        this.dispatch({ v, type: "success", id, result: result === undefined ? {} : result })
+      } catch (error) {
+        this.dispatch({ v, type: "error", id, error: { code: error.code || "mock-error", message: error.message } })
+      }
+    }, this.latency)
+  }
+}
+
+window.HostBridge = HostBridge
+window.HostBridgeError = HostBridgeError
+window.MockHost = MockHost
+window.hostBridge = new HostBridge()
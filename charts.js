@@ -0,0 +1,179 @@
+// SVG line charts drawn from MetricHistory: a sparkline on every dashboard card and
+// a detailed view (#metric-chart-modal) with 1 min / 10 min / 1 h windows.
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+const SPARKLINE_WINDOW = 5 * 60 * 1000
+// label is a catalog key (i18n.js)
+const CHART_WINDOWS = [
+  { label: "chart.window.1m", ms: 60 * 1000 },
+  { label: "chart.window.10m", ms: 10 * 60 * 1000 },
+  { label: "chart.window.1h", ms: 60 * 60 * 1000 },
+]
+
+// Map { t, v } points onto an SVG path inside a width x height box (v is 0-100)
+function buildLinePath(points, from, to, width, height) {
+  const span = Math.max(1, to - from)
+  return points
+    .map((point, index) => {
+      const x = ((point.t - from) / span) * width
+      const y = height - (Math.max(0, Math.min(100, point.v)) / 100) * height
+      return `${index === 0 ? "M" : "L"}${x.toFixed(1)} ${y.toFixed(1)}`
+    })
+    .join(" ")
+}
+
+function createSvgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name)
+  Object.keys(attributes).forEach((key) => element.setAttribute(key, attributes[key]))
+  return element
+}
+
+class MetricCharts {
+  constructor(history) {
+    this.history = history
+    this.windowMs = CHART_WINDOWS[0].ms
+    this.activeMetric = null
+    this.modal = document.getElementById("metric-chart-modal")
+
+    this.initializeCards()
+    this.initializeModal()
+    window.i18n.onChange(() => this.renderDetail())
+  }
+
+  initializeCards() {
+    document.querySelectorAll(".performance-card[data-metric]").forEach((card) => {
+      const svg = createSvgElement("svg", {
+        class: "metric-sparkline",
+        viewBox: "0 0 100 24",
+        preserveAspectRatio: "none",
+        "aria-hidden": "true",
+      })
+      svg.appendChild(createSvgElement("path", { class: "sparkline-path" }))
+      card.appendChild(svg)
+
+      card.setAttribute("tabindex", "0")
+      card.dataset.i18nTitle = "chart.showHistory"
+      card.setAttribute("title", window.i18n.t("chart.showHistory"))
+      card.addEventListener("click", () => this.open(card.dataset.metric))
+      card.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault()
+          this.open(card.dataset.metric)
+        }
+      })
+    })
+  }
+
+  initializeModal() {
+    if (!this.modal) return
+
+    const windows = this.modal.querySelector(".chart-windows")
+    CHART_WINDOWS.forEach((option) => {
+      const button = document.createElement("button")
+      button.className = "chart-window-btn"
+      button.dataset.window = option.ms
+      button.dataset.i18n = option.label
+      button.textContent = window.i18n.t(option.label)
+      button.addEventListener("click", () => this.setWindow(option.ms))
+      windows.appendChild(button)
+    })
+
+    const persist = this.modal.querySelector("#chart-persist")
+    if (persist) {
+      persist.checked = this.history.persist
+      persist.addEventListener("change", () => this.history.setPersistence(persist.checked))
+    }
+
+    this.modal.querySelector(".chart-close").addEventListener("click", () => this.close())
+    this.modal.addEventListener("click", (e) => {
+      if (e.target === this.modal) this.close()
+    })
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.activeMetric) this.close()
+    })
+  }
+
+  renderSparklines(now = Date.now()) {
+    document.querySelectorAll(".performance-card[data-metric]").forEach((card) => {
+      const path = card.querySelector(".sparkline-path")
+      if (!path) return
+
+      const points = this.history.series(card.dataset.metric, SPARKLINE_WINDOW, now)
+      path.setAttribute("d", buildLinePath(points, now - SPARKLINE_WINDOW, now, 100, 24))
+    })
+
+    if (this.activeMetric) {
+      this.renderDetail(now)
+    }
+  }
+
+  open(metric) {
+    if (!this.modal) return
+
+    this.activeMetric = metric
+    this.modal.hidden = false
+    this.renderDetail()
+  }
+
+  close() {
+    if (!this.modal) return
+
+    this.activeMetric = null
+    this.modal.hidden = true
+  }
+
+  setWindow(windowMs) {
+    this.windowMs = windowMs
+    this.renderDetail()
+  }
+
+  renderDetail(now = Date.now()) {
+    if (!this.modal || !this.activeMetric) return
+
+    const { t } = window.i18n
+    const card = document.querySelector(`.performance-card[data-metric="${this.activeMetric}"] h3`)
+    this.modal.querySelector(".chart-title").textContent = t("chart.title", {
+      metric: card ? card.textContent : this.activeMetric,
+    })
+
+    const width = 600
+    const height = 220
+    const points = this.history.series(this.activeMetric, this.windowMs, now)
+    const stats = this.history.stats(points)
+    const svg = this.modal.querySelector(".chart-canvas")
+
+    svg.textContent = ""
+    ;[25, 50, 75].forEach((level) => {
+      const y = height - (level / 100) * height
+      svg.appendChild(createSvgElement("line", { class: "chart-grid", x1: 0, x2: width, y1: y, y2: y }))
+    })
+
+    if (points.length > 0) {
+      const line = buildLinePath(points, now - this.windowMs, now, width, height)
+      const firstX = (((points[0].t - (now - this.windowMs)) / this.windowMs) * width).toFixed(1)
+      const lastX = (((points[points.length - 1].t - (now - this.windowMs)) / this.windowMs) * width).toFixed(1)
+
+      svg.appendChild(
+        createSvgElement("path", { class: "chart-area", d: `${line} L${lastX} ${height} L${firstX} ${height} Z` }),
+      )
+      svg.appendChild(createSvgElement("path", { class: "chart-line", d: line }))
+    }
+
+    const label = CHART_WINDOWS.find((option) => option.ms === this.windowMs)
+    this.modal.querySelector(".chart-axis-start").textContent =
+      `-${label ? t(label.label) : `${this.windowMs / 1000}s`}`
+    this.modal.querySelector(".chart-empty").hidden = points.length > 0
+
+    const format = (value) => (stats ? `${value.toFixed(1)}%` : "--")
+    this.modal.querySelector(".chart-stat-min").textContent = t("chart.stat.min", { value: format(stats && stats.min) })
+    this.modal.querySelector(".chart-stat-avg").textContent = t("chart.stat.avg", { value: format(stats && stats.avg) })
+    this.modal.querySelector(".chart-stat-max").textContent = t("chart.stat.max", { value: format(stats && stats.max) })
+    this.modal.querySelector(".chart-stat-samples").textContent = t("chart.stat.samples", { count: points.length })
+
+    this.modal.querySelectorAll(".chart-window-btn").forEach((button) => {
+      button.classList.toggle("active", Number(button.dataset.window) === this.windowMs)
+    })
+  }
+}
+
+window.MetricCharts = MetricCharts
@@ -0,0 +1,454 @@
+// Keyboard access for index.html: a Ctrl+K command palette that fuzzy-searches every
+// sidebar page and every registry action or mod, and per-action hotkeys edited on the
+// settings page. Both run an action by clicking its own button, so the confirmation
+// prompt, busy state, journal and benchmark are the same as with the mouse.
+//
+// Hotkeys are stored in localStorage as { [actionId]: "Ctrl+Shift+R" }.
+
+const PALETTE_SHORTCUT = "Ctrl+K"
+const DEFAULT_HOTKEYS = {
+  "clean-ram": "Alt+R",
+  "clear-temp": "Alt+T",
+  "kill-emulator": "Alt+K",
+}
+const HOTKEY_IGNORED_TARGETS = "input, textarea, select, [contenteditable='true']"
+
+// "Ctrl+Shift+R" for a keydown, or null while only modifiers are held. Letters and digits
+// come from event.code so the same keys work with the Arabic keyboard layout.
+function hotkeyFromEvent(event) {
+  if (["Control", "Alt", "Shift", "Meta", "AltGraph"].includes(event.key)) return null
+
+  let key = event.key
+  if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3)
+  else if (/^Digit[0-9]$/.test(event.code)) key = event.code.slice(5)
+  else if (key === " ") key = "Space"
+  else if (key.length === 1) key = key.toUpperCase()
+
+  const parts = []
+  if (event.ctrlKey || event.metaKey) parts.push("Ctrl")
+  if (event.altKey) parts.push("Alt")
+  if (event.shiftKey) parts.push("Shift")
+  return [...parts, key].join("+")
+}
+
+// Every query character has to appear in order. Runs of consecutive characters and
+// matches at the start of a word score higher; null means no match.
+function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "")
+  const haystack = text.toLowerCase()
+  if (needle === "") return 0
+
+  let score = 0
+  let last = -1
+  for (const char of needle) {
+    const index = haystack.indexOf(char, last + 1)
+    if (index === -1) return null
+    score += 1
+    if (index === last + 1) score += 3
+    if (index === 0 || /[^\p{L}\p{N}]/u.test(haystack[index - 1])) score += 2
+    score -= Math.min(3, index - last - 1) * 0.1
+    last = index
+  }
+  return score
+}
+
+// Runs an action through its button. A disabled button means the action is still running.
+function clickActionButton(registry, entry) {
+  const { t } = window.i18n
+  const label = registry.label(entry)
+  const button = registry.findButton(entry)
+  if (!button) notify.error(t("palette.missing", { label }))
+  else if (button.disabled) notify.info(t("palette.busy", { label }))
+  else button.click()
+}
+
+class HotkeyMap {
+  constructor(registry, storageKey = "nx.hotkeys") {
+    this.registry = registry
+    this.storageKey = storageKey
+    this.keys = this.load()
+  }
+
+  load() {
+    let saved = null
+    try {
+      saved = JSON.parse(window.localStorage.getItem(this.storageKey))
+    } catch (error) {
+      console.log(`[v0] Ignoring unreadable hotkeys: ${error.message}`)
+    }
+    // Ids the registry does not know yet are kept: action packs register theirs later
+    const keys = {}
+    Object.entries(saved && typeof saved === "object" ? saved : DEFAULT_HOTKEYS).forEach(([id, hotkey]) => {
+      if (typeof hotkey === "string") keys[id] = hotkey
+    })
+    return keys
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.keys))
+    } catch (error) {
+      console.log(`[v0] Could not save hotkeys: ${error.message}`)
+    }
+  }
+
+  get(id) {
+    return this.keys[id] || null
+  }
+
+  actionFor(hotkey) {
+    const id = Object.keys(this.keys).find(
+      (candidate) => this.keys[candidate] === hotkey && this.registry.get(candidate),
+    )
+    return id ? this.registry.get(id) : null
+  }
+
+  // Returns a list of problems; an empty list means the hotkey can be assigned
+  validate(id, hotkey) {
+    const { t } = window.i18n
+    const errors = []
+    const parts = hotkey.split("+")
+    const key = parts[parts.length - 1]
+    if (!parts.includes("Ctrl") && !parts.includes("Alt") && !/^F\d{1,2}$/.test(key)) {
+      errors.push(t("hotkeys.needsModifier", { key: hotkey }))
+    }
+    if (hotkey === PALETTE_SHORTCUT) errors.push(t("hotkeys.reserved", { key: hotkey }))
+
+    const owner = this.actionFor(hotkey)
+    if (owner && owner.id !== id) errors.push(t("hotkeys.taken", { key: hotkey, label: this.registry.label(owner) }))
+    return errors
+  }
+
+  // null removes the hotkey
+  set(id, hotkey) {
+    if (hotkey === null) {
+      delete this.keys[id]
+    } else {
+      const errors = this.validate(id, hotkey)
+      if (errors.length > 0) return errors
+      this.keys[id] = hotkey
+    }
+    this.save()
+    return []
+  }
+
+  reset() {
+    this.keys = Object.assign({}, DEFAULT_HOTKEYS)
+    this.save()
+  }
+
+  // Settings page editor: one row per action. Clicking a shortcut records the next key
+  // combination; Escape cancels and Backspace removes it.
+  renderEditor(container) {
+    if (!container) return
+    const { t } = window.i18n
+    container.textContent = ""
+
+    const table = document.createElement("div")
+    table.className = "hotkey-table"
+    const head = document.createElement("div")
+    head.className = "hotkey-row hotkey-head"
+    ;[t("hotkeys.head.action"), t("hotkeys.head.page"), t("hotkeys.head.key")].forEach((text) => {
+      const cell = document.createElement("span")
+      cell.textContent = text
+      head.appendChild(cell)
+    })
+    table.appendChild(head)
+
+    const error = document.createElement("span")
+    error.className = "alert-rules-error"
+    error.setAttribute("role", "alert")
+
+    this.registry.all().forEach((entry) => table.appendChild(this.renderRow(entry, error)))
+    container.appendChild(table)
+
+    const footer = document.createElement("div")
+    footer.className = "alert-rules-footer"
+    const reset = document.createElement("button")
+    reset.className = "alert-rules-reset"
+    reset.textContent = t("hotkeys.reset")
+    reset.addEventListener("click", () => {
+      this.reset()
+      this.renderEditor(container)
+    })
+    footer.append(error, reset)
+    container.appendChild(footer)
+  }
+
+  renderRow(entry, error) {
+    const { t } = window.i18n
+    const label = this.registry.label(entry)
+    const row = document.createElement("div")
+    row.className = "hotkey-row"
+    row.dataset.action = entry.id
+
+    const name = document.createElement("span")
+    name.className = "alert-rule-name"
+    name.textContent = label
+    const page = document.createElement("span")
+    page.className = "hotkey-page"
+    page.textContent = t(`nav.${entry.page}`, {}, entry.page)
+
+    const record = document.createElement("button")
+    record.className = "hotkey-record"
+    record.title = t("hotkeys.recordHint")
+    const show = () => {
+      const hotkey = this.get(entry.id)
+      record.classList.remove("recording")
+      record.classList.toggle("unset", !hotkey)
+      record.textContent = hotkey || t("hotkeys.none")
+      record.setAttribute("aria-label", `${label}: ${hotkey || t("hotkeys.none")}`)
+    }
+    record.addEventListener("click", () => {
+      record.classList.add("recording")
+      record.textContent = t("hotkeys.press")
+    })
+    record.addEventListener("blur", show)
+    // Handled here so the key being recorded does not also run an action
+    record.addEventListener("keydown", (event) => {
+      if (!record.classList.contains("recording") || event.key === "Tab") return
+      event.preventDefault()
+      event.stopPropagation()
+
+      let errors = []
+      if (event.key === "Backspace" || event.key === "Delete") {
+        errors = this.set(entry.id, null)
+      } else if (event.key !== "Escape") {
+        const hotkey = hotkeyFromEvent(event)
+        if (!hotkey) return
+        errors = this.set(entry.id, hotkey)
+      }
+      error.textContent = errors.length > 0 ? `${label}: ${errors[0]}` : ""
+      row.classList.toggle("invalid", errors.length > 0)
+      show()
+    })
+    show()
+
+    row.append(name, page, record)
+    return row
+  }
+}
+
+class CommandPalette {
+  constructor(registry, hotkeys) {
+    this.registry = registry
+    this.hotkeys = hotkeys
+    this.items = []
+    this.matches = []
+    this.selected = 0
+    this.returnFocus = null
+    this.root = this.create()
+    document.body.appendChild(this.root)
+
+    document.addEventListener("keydown", (event) => this.onShortcut(event))
+  }
+
+  create() {
+    const { t } = window.i18n
+    const root = document.createElement("div")
+    root.className = "command-palette"
+    root.hidden = true
+    root.innerHTML = `
+      <div class="command-palette-dialog" role="dialog" aria-modal="true">
+        <div class="command-palette-search">
+          <i class="fas fa-search"></i>
+          <input type="text" class="command-palette-input" role="combobox" aria-expanded="true"
+            aria-controls="command-palette-list" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+        </div>
+        <ul class="command-palette-list" id="command-palette-list" role="listbox"></ul>
+        <div class="command-palette-hint"></div>
+      </div>`
+
+    this.dialog = root.querySelector(".command-palette-dialog")
+    this.input = root.querySelector(".command-palette-input")
+    this.list = root.querySelector(".command-palette-list")
+    this.hint = root.querySelector(".command-palette-hint")
+    this.dialog.setAttribute("aria-label", t("palette.label"))
+
+    this.input.addEventListener("input", () => {
+      this.selected = 0
+      this.render()
+    })
+    this.input.addEventListener("keydown", (event) => this.onKeydown(event))
+    root.addEventListener("click", (event) => {
+      if (event.target === root) this.close()
+    })
+    return root
+  }
+
+  isOpen() {
+    return !this.root.hidden
+  }
+
+  open() {
+    const { t } = window.i18n
+    this.returnFocus = document.activeElement
+    this.items = this.collect()
+    this.input.value = ""
+    this.input.placeholder = t("palette.placeholder")
+    this.input.setAttribute("aria-label", t("palette.placeholder"))
+    this.hint.textContent = t("palette.hint")
+    this.selected = 0
+    this.root.hidden = false
+    this.render()
+    this.input.focus()
+  }
+
+  close() {
+    this.root.hidden = true
+    if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus()
+    this.returnFocus = null
+  }
+
+  // Pages come from the sidebar, so the palette lists exactly what switchPage() can show
+  collect() {
+    const { t } = window.i18n
+    const pageName = (page) => t(`nav.${page}`, {}, page)
+    const pages = Array.from(document.querySelectorAll(".nav-btn[data-page]")).map((button) => ({
+      id: `page:${button.dataset.page}`,
+      label: pageName(button.dataset.page),
+      detail: t("palette.page"),
+      keywords: button.dataset.page,
+      icon: (button.querySelector("i") || {}).className || "fas fa-file",
+      run: () => window.switchToPage(button.dataset.page),
+    }))
+
+    const actions = this.registry.all().map((entry) => ({
+      id: `action:${entry.id}`,
+      label: this.registry.label(entry),
+      detail: entry.kind === "mod" ? `${pageName(entry.page)} • ${t("palette.mod")}` : pageName(entry.page),
+      keywords: `${entry.id} ${entry.label} ${entry.page}`,
+      icon: entry.kind === "mod" ? "fas fa-magic" : entry.icon || "fas fa-bolt",
+      risk: entry.risk,
+      hotkey: this.hotkeys.get(entry.id),
+      run: () => clickActionButton(this.registry, entry),
+    }))
+
+    return [...pages, ...actions]
+  }
+
+  // The label counts for more than the id, English label and page name behind it
+  search(query) {
+    return this.items
+      .map((item, order) => {
+        const byLabel = fuzzyScore(query, item.label)
+        const byKeywords = fuzzyScore(query, item.keywords)
+        const scores = [byLabel === null ? null : byLabel + 1, byKeywords].filter((score) => score !== null)
+        return { item, order, score: scores.length > 0 ? Math.max(...scores) : null }
+      })
+      .filter((match) => match.score !== null)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .map((match) => match.item)
+  }
+
+  render() {
+    const { t } = window.i18n
+    this.matches = this.search(this.input.value)
+    this.selected = Math.max(0, Math.min(this.selected, this.matches.length - 1))
+    this.list.textContent = ""
+
+    if (this.matches.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "command-palette-empty"
+      empty.textContent = t("palette.empty", { query: this.input.value.trim() })
+      this.list.appendChild(empty)
+      this.input.removeAttribute("aria-activedescendant")
+      return
+    }
+
+    this.matches.forEach((item, index) => {
+      const option = document.createElement("li")
+      option.className = "command-palette-option"
+      option.id = `command-palette-option-${index}`
+      option.setAttribute("role", "option")
+      option.setAttribute("aria-selected", String(index === this.selected))
+
+      const icon = document.createElement("i")
+      icon.className = item.icon
+      const label = document.createElement("span")
+      label.className = "command-palette-label"
+      label.textContent = item.label
+      const detail = document.createElement("span")
+      detail.className = "command-palette-detail"
+      detail.textContent = item.detail
+      option.append(icon, label, detail)
+
+      if (item.risk === "medium" || item.risk === "high") {
+        const risk = document.createElement("span")
+        risk.className = `risk-badge ${item.risk}`
+        risk.textContent = t(`risk.${item.risk}`)
+        option.appendChild(risk)
+      }
+      if (item.hotkey) {
+        const hotkey = document.createElement("kbd")
+        hotkey.textContent = item.hotkey
+        option.appendChild(hotkey)
+      }
+
+      // mousedown would take the focus away from the input
+      option.addEventListener("mousedown", (event) => event.preventDefault())
+      option.addEventListener("mousemove", () => {
+        if (this.selected !== index) this.select(index)
+      })
+      option.addEventListener("click", () => this.choose(item))
+      this.list.appendChild(option)
+    })
+    this.select(this.selected)
+  }
+
+  select(index) {
+    const options = this.list.querySelectorAll(".command-palette-option")
+    if (options.length === 0) return
+    this.selected = (index + options.length) % options.length
+    options.forEach((option, i) => option.setAttribute("aria-selected", String(i === this.selected)))
+    const option = options[this.selected]
+    this.input.setAttribute("aria-activedescendant", option.id)
+    if (option.scrollIntoView) option.scrollIntoView({ block: "nearest" })
+  }
+
+  choose(item) {
+    this.close()
+    item.run()
+  }
+
+  onKeydown(event) {
+    const moves = { ArrowDown: 1, ArrowUp: -1, PageDown: 5, PageUp: -5 }
+    if (moves[event.key] !== undefined) {
+      event.preventDefault()
+      this.select(this.selected + moves[event.key])
+    } else if (event.key === "Enter") {
+      event.preventDefault()
+      if (this.matches[this.selected]) this.choose(this.matches[this.selected])
+    } else if (event.key === "Escape") {
+      event.preventDefault()
+      this.close()
+    } else if (event.key === "Tab") {
+      // The input is the only stop inside the dialog
+      event.preventDefault()
+    }
+  }
+
+  // Ctrl+K toggles the palette anywhere; action hotkeys are ignored while typing in a field
+  onShortcut(event) {
+    const hotkey = hotkeyFromEvent(event)
+    if (!hotkey) return
+    if (hotkey === PALETTE_SHORTCUT) {
+      event.preventDefault()
+      if (this.isOpen()) this.close()
+      else this.open()
+      return
+    }
+
+    if (this.isOpen() || event.repeat) return
+    if (event.target instanceof Element && event.target.closest(HOTKEY_IGNORED_TARGETS)) return
+    const entry = this.hotkeys.actionFor(hotkey)
+    if (!entry) return
+    event.preventDefault()
+    clickActionButton(this.registry, entry)
+  }
+}
+
+window.DEFAULT_HOTKEYS = DEFAULT_HOTKEYS
+window.hotkeyFromEvent = hotkeyFromEvent
+window.HotkeyMap = HotkeyMap
+window.CommandPalette = CommandPalette
@@ -0,0 +1,289 @@
+// Confirmation dialog for actions that are hard to take back. Everything it discloses
+// comes from the registry entry (actions.js): description, sideEffects, reboot,
+// reversible and admin. confirm: "ask" offers "don't ask again", confirm: "typed" makes
+// the user type the action's name first and is asked every time.
+//
+// The skipped actions are kept in localStorage as a list of ids and listed on the
+// settings page, where they can be asked for again.
+//
+// show() is also the dialog for the page's own questions (deleting a preset, clearing
+// the history, ...): title, description and confirmLabel are enough there.
+
+const CONFIRM_FOCUSABLE = "button:not([disabled]), input:not([disabled])"
+
+class ConfirmDialog {
+  constructor(registry, storageKey = "nx.confirm.skip") {
+    this.registry = registry
+    this.storageKey = storageKey
+    this.skipped = this.load()
+    this.listeners = []
+    // Requests made while a dialog is open wait for it to close
+    this.queue = Promise.resolve()
+  }
+
+  load() {
+    try {
+      const ids = JSON.parse(window.localStorage.getItem(this.storageKey) || "[]")
+      // Ids the registry does not know yet are kept: action packs register theirs later
+      return new Set(Array.isArray(ids) ? ids.filter((id) => typeof id === "string") : [])
+    } catch (error) {
+      console.log(`[v0] Ignoring unreadable confirmation settings: ${error.message}`)
+      return new Set()
+    }
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.skipped)))
+    } catch (error) {
+      console.log(`[v0] Could not save confirmation settings: ${error.message}`)
+    }
+    this.listeners.forEach((listener) => listener(this.skipped))
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  // Typed confirmations cannot be turned off
+  needsConfirmation(entry) {
+    return entry.confirm === "typed" || (entry.confirm === "ask" && !this.skipped.has(entry.id))
+  }
+
+  askAgain(id = null) {
+    if (id) this.skipped.delete(id)
+    else this.skipped.clear()
+    this.save()
+  }
+
+  facts(entry) {
+    const { t } = window.i18n
+    return [
+      entry.reboot && t("confirm.reboot"),
+      entry.journal ? t("confirm.journal") : entry.reversible ? t("confirm.reversible") : t("confirm.irreversible"),
+      entry.admin && t("confirm.admin"),
+    ].filter(Boolean)
+  }
+
+  // Resolves to true when the action may run
+  async confirmAction(entry) {
+    if (!this.needsConfirmation(entry)) return true
+
+    const { t } = window.i18n
+    const label = this.registry.label(entry)
+    const answer = await this.show({
+      title: label,
+      risk: entry.risk,
+      description: this.registry.description(entry),
+      effects: this.registry.sideEffects(entry),
+      facts: this.facts(entry),
+      word: entry.confirm === "typed" ? label.toLocaleUpperCase() : null,
+      skippable: entry.confirm === "ask",
+      confirmLabel: t("confirm.run", { label }),
+    })
+
+    if (answer.confirmed && answer.skip) {
+      this.skipped.add(entry.id)
+      this.save()
+    }
+    return answer.confirmed
+  }
+
+  // One dialog for every step of a recipe that would ask on its own, before the first step runs
+  async confirmRecipe(recipe) {
+    const entries = Array.from(new Set(recipe.steps.map((step) => this.registry.get(step.action)))).filter(
+      (entry) => entry && this.needsConfirmation(entry),
+    )
+    if (entries.length === 0) return true
+
+    const { t } = window.i18n
+    const levels = ["low", "medium", "high"]
+    const answer = await this.show({
+      title: t("confirm.recipe.title", { name: recipe.name }),
+      risk: levels[Math.max(...entries.map((entry) => levels.indexOf(entry.risk)))],
+      description: t("confirm.recipe.text", { count: entries.length }),
+      effects: entries.map((entry) => `${this.registry.label(entry)}: ${this.registry.description(entry)}`),
+      facts: Array.from(new Set(entries.flatMap((entry) => this.facts(entry)))),
+      word: entries.some((entry) => entry.confirm === "typed") ? recipe.name.toLocaleUpperCase() : null,
+      skippable: false,
+      confirmLabel: t("confirm.run", { label: recipe.name }),
+    })
+    return answer.confirmed
+  }
+
+  show(options) {
+    const shown = this.queue.then(() => this.open(options))
+    this.queue = shown.catch(() => {})
+    return shown
+  }
+
+  // Resolves to { confirmed, skip } once the user answers
+  open({
+    title,
+    risk = "medium",
+    description,
+    effects = [],
+    facts = [],
+    word = null,
+    skippable = false,
+    confirmLabel,
+  }) {
+    const { t } = window.i18n
+    const returnFocus = document.activeElement
+
+    const overlay = document.createElement("div")
+    overlay.className = "confirm-overlay"
+    overlay.innerHTML = `
+      <div class="confirm-dialog" role="alertdialog" aria-modal="true"
+        aria-labelledby="confirm-dialog-title" aria-describedby="confirm-dialog-description">
+        <div class="confirm-dialog-header">
+          <i class="fas fa-exclamation-triangle"></i>
+          <h3 id="confirm-dialog-title"></h3>
+          <span class="risk-badge"></span>
+        </div>
+        <p class="confirm-dialog-description" id="confirm-dialog-description"></p>
+        <div class="confirm-dialog-effects">
+          <h4></h4>
+          <ul></ul>
+        </div>
+        <ul class="confirm-dialog-facts"></ul>
+        <label class="confirm-dialog-typed">
+          <span></span>
+          <input type="text" autocomplete="off" spellcheck="false">
+        </label>
+        <label class="confirm-dialog-skip">
+          <input type="checkbox">
+          <span></span>
+        </label>
+        <div class="confirm-dialog-buttons">
+          <button class="benchmark-tool-btn confirm-dialog-cancel"></button>
+          <button class="benchmark-tool-btn confirm-dialog-confirm"></button>
+        </div>
+      </div>`
+
+    const dialog = overlay.querySelector(".confirm-dialog")
+    const badge = overlay.querySelector(".risk-badge")
+    overlay.querySelector("#confirm-dialog-title").textContent = title
+    badge.className = `risk-badge ${risk}`
+    badge.textContent = t(`risk.${risk}`)
+    overlay.querySelector(".confirm-dialog-description").textContent = description || ""
+
+    const effectList = overlay.querySelector(".confirm-dialog-effects")
+    effectList.hidden = effects.length === 0
+    effectList.querySelector("h4").textContent = t("confirm.effects")
+    effects.forEach((text) => {
+      const item = document.createElement("li")
+      item.textContent = text
+      effectList.querySelector("ul").appendChild(item)
+    })
+    facts.forEach((text) => {
+      const item = document.createElement("li")
+      item.textContent = text
+      overlay.querySelector(".confirm-dialog-facts").appendChild(item)
+    })
+
+    const typed = overlay.querySelector(".confirm-dialog-typed")
+    const typedInput = typed.querySelector("input")
+    typed.hidden = !word
+    typed.querySelector("span").textContent = word ? t("confirm.typed", { word }) : ""
+
+    const skip = overlay.querySelector(".confirm-dialog-skip")
+    skip.hidden = !skippable
+    skip.querySelector("span").textContent = t("confirm.skip")
+
+    const cancel = overlay.querySelector(".confirm-dialog-cancel")
+    const confirm = overlay.querySelector(".confirm-dialog-confirm")
+    cancel.textContent = t("confirm.cancel")
+    confirm.textContent = confirmLabel
+    confirm.classList.add(risk)
+
+    const matches = () => !word || typedInput.value.trim().toLocaleUpperCase() === word
+    confirm.disabled = !matches()
+    typedInput.addEventListener("input", () => (confirm.disabled = !matches()))
+
+    return new Promise((resolve) => {
+      const finish = (confirmed) => {
+        overlay.remove()
+        if (returnFocus && returnFocus.focus) returnFocus.focus()
+        resolve({ confirmed, skip: skippable && skip.querySelector("input").checked })
+      }
+
+      cancel.addEventListener("click", () => finish(false))
+      confirm.addEventListener("click", () => finish(true))
+      overlay.addEventListener("click", (event) => {
+        if (event.target === overlay) finish(false)
+      })
+
+      // Keys stay inside the dialog, so hotkeys and the command palette wait until it closes
+      overlay.addEventListener("keydown", (event) => {
+        event.stopPropagation()
+        if (event.key === "Escape") {
+          event.preventDefault()
+          finish(false)
+        } else if (event.key === "Enter" && event.target === typedInput) {
+          event.preventDefault()
+          if (matches()) finish(true)
+        } else if (event.key === "Tab") {
+          const focusable = Array.from(dialog.querySelectorAll(CONFIRM_FOCUSABLE)).filter(
+            (element) => !element.closest("[hidden]"),
+          )
+          const first = focusable[0]
+          const last = focusable[focusable.length - 1]
+          if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault()
+            last.focus()
+          } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault()
+            first.focus()
+          }
+        }
+      })
+
+      document.body.appendChild(overlay)
+      // Typing is the quickest way through a typed confirmation; otherwise Cancel is the safe default
+      if (word) typedInput.focus()
+      else cancel.focus()
+    })
+  }
+
+  // Settings page list of the actions that no longer ask
+  renderSettings(container) {
+    if (!container) return
+    const { t } = window.i18n
+    container.textContent = ""
+
+    const skipped = Array.from(this.skipped).filter((id) => this.registry.lookup(id))
+    if (skipped.length === 0) {
+      const empty = document.createElement("div")
+      empty.className = "benchmark-empty"
+      empty.textContent = t("settings.confirm.none")
+      container.appendChild(empty)
+      return
+    }
+
+    skipped.forEach((id) => {
+      const entry = this.registry.lookup(id)
+      const row = document.createElement("div")
+      row.className = "confirm-skip-row"
+      const name = document.createElement("span")
+      name.textContent = this.registry.label(entry)
+      const page = document.createElement("span")
+      page.className = "hotkey-page"
+      page.textContent = t(`nav.${entry.page}`, {}, entry.page)
+      const again = document.createElement("button")
+      again.className = "benchmark-tool-btn"
+      again.textContent = t("settings.confirm.askAgain")
+      again.addEventListener("click", () => this.askAgain(id))
+      row.append(name, page, again)
+      container.appendChild(row)
+    })
+
+    const all = document.createElement("button")
+    all.className = "alert-rules-reset"
+    all.textContent = t("settings.confirm.askAll")
+    all.addEventListener("click", () => this.askAgain())
+    container.appendChild(all)
+  }
+}
+
+window.ConfirmDialog = ConfirmDialog
@@ -0,0 +1,733 @@
+// Reader and writer for the UE4 GVAS save files behind the graphics presets (the
+// Active.sav files the mod buttons copy into the game). parseGvas() turns the bytes into
+// plain JSON and serializeGvas() turns that JSON back into the same bytes:
+//
+//   { header: { saveGameVersion, packageVersion, engineVersion, customVersionFormat,
+//               customVersions, saveGameClass },
+//     properties: [{ name, type, value, ... }], trailer: "hex" }
+//
+// Only the property types found in UE4.18 settings saves are decoded (Int, Float, Bool,
+// Str, Name, Byte, Enum, Struct, Array, Map); anything else keeps its raw bytes as hex so
+// nothing is lost.
+
+class GvasError extends Error {
+  constructor(message, offset) {
+    super(offset !== undefined ? `${message} (at byte ${offset})` : message)
+    this.name = "GvasError"
+    this.offset = offset
+  }
+}
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")
+
+class GvasReader {
+  constructor(bytes) {
+    this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes)
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength)
+    this.offset = 0
+  }
+
+  get remaining() {
+    return this.bytes.length - this.offset
+  }
+
+  ensure(length) {
+    if (length < 0 || this.offset + length > this.bytes.length) {
+      throw new GvasError(`Unexpected end of file reading ${length} bytes`, this.offset)
+    }
+  }
+
+  raw(length) {
+    this.ensure(length)
+    const slice = this.bytes.slice(this.offset, this.offset + length)
+    this.offset += length
+    return slice
+  }
+
+  uint8() {
+    this.ensure(1)
+    return this.view.getUint8(this.offset++)
+  }
+
+  uint16() {
+    this.ensure(2)
+    const value = this.view.getUint16(this.offset, true)
+    this.offset += 2
+    return value
+  }
+
+  int32() {
+    this.ensure(4)
+    const value = this.view.getInt32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  uint32() {
+    this.ensure(4)
+    const value = this.view.getUint32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  // Property sizes are int64; anything past 2^53 would be a corrupt file anyway
+  int64() {
+    const low = this.uint32()
+    const high = this.int32()
+    return high * 0x100000000 + low
+  }
+
+  float() {
+    this.ensure(4)
+    const value = this.view.getFloat32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  // FString: positive length = Latin-1 bytes, negative length = UTF-16 code units,
+  // both including the terminating null. Length 0 is an empty string with no terminator.
+  string() {
+    const length = this.int32()
+    if (length === 0) return ""
+
+    if (length > 0) {
+      const bytes = this.raw(length)
+      return String.fromCharCode(...bytes.subarray(0, length - 1))
+    }
+
+    const units = -length
+    this.ensure(units * 2)
+    let text = ""
+    for (let i = 0; i < units - 1; i++) text += String.fromCharCode(this.view.getUint16(this.offset + i * 2, true))
+    this.offset += units * 2
+
+    // A UTF-16 string that would fit in Latin-1 is tagged so it is written back the same way
+    return /[^\x00-\xff]/.test(text) ? text : { text, utf16: true }
+  }
+
+  guid() {
+    return toHex(this.raw(16))
+  }
+
+  // Optional property GUID: a flag byte followed by 16 bytes when set
+  propertyGuid() {
+    return this.uint8() ? this.guid() : null
+  }
+}
+
+const GVAS_NATIVE_STRUCTS = [
+  "Guid",
+  "Vector",
+  "Vector2D",
+  "Rotator",
+  "Quat",
+  "LinearColor",
+  "Color",
+  "IntPoint",
+  "DateTime",
+]
+
+// Plain text of a string returned by GvasReader.string()
+const gvasText = (value) => (typeof value === "string" ? value : value.text)
+
+function readHeader(reader) {
+  const magic = String.fromCharCode(...reader.raw(4))
+  if (magic !== "GVAS") {
+    throw new GvasError("Not a GVAS save file", 0)
+  }
+
+  const header = {
+    saveGameVersion: reader.int32(),
+    packageVersion: reader.int32(),
+    engineVersion: {
+      major: reader.uint16(),
+      minor: reader.uint16(),
+      patch: reader.uint16(),
+      changelist: reader.uint32(),
+      branch: reader.string(),
+    },
+    customVersionFormat: reader.int32(),
+    customVersions: [],
+  }
+
+  const count = reader.int32()
+  for (let i = 0; i < count; i++) {
+    header.customVersions.push({ guid: reader.guid(), version: reader.int32() })
+  }
+
+  header.saveGameClass = reader.string()
+  return header
+}
+
+// Values inside arrays and maps are written without a property tag
+function readBareValue(reader, type, end, structType) {
+  switch (type) {
+    case "IntProperty":
+      return reader.int32()
+    case "FloatProperty":
+      return reader.float()
+    case "BoolProperty":
+      return reader.uint8() !== 0
+    case "ByteProperty":
+      return reader.uint8()
+    case "StrProperty":
+    case "NameProperty":
+    case "EnumProperty":
+    case "ObjectProperty":
+      return reader.string()
+    case "StructProperty":
+      return readStructValue(reader, structType, end)
+    default:
+      throw new GvasError(`Unsupported ${type} inside a container`, reader.offset)
+  }
+}
+
+// Native structs are kept as raw bytes (Guid as a hex string); everything else is a
+// nested property list terminated by "None"
+function readStructValue(reader, structType, end) {
+  if (structType === "Guid") return reader.guid()
+  if (GVAS_NATIVE_STRUCTS.includes(structType)) {
+    if (end === undefined) throw new GvasError(`Cannot size native struct ${structType}`, reader.offset)
+    return { raw: toHex(reader.raw(end - reader.offset)) }
+  }
+  return readProperties(reader)
+}
+
+function readProperty(reader) {
+  const start = reader.offset
+  const name = reader.string()
+  if (gvasText(name) === "None") return null
+
+  const type = gvasText(reader.string())
+  const size = reader.int64()
+  const property = { name, type }
+  let valueStart = null
+
+  switch (type) {
+    case "IntProperty":
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      property.value = reader.int32()
+      break
+
+    case "FloatProperty":
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      property.value = reader.float()
+      break
+
+    case "BoolProperty":
+      // The value sits in the tag, before the GUID flag, and the size is 0
+      property.value = reader.uint8() !== 0
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      break
+
+    case "StrProperty":
+    case "NameProperty":
+    case "ObjectProperty":
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      property.value = reader.string()
+      break
+
+    case "EnumProperty":
+      property.enumType = reader.string()
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      property.value = reader.string()
+      break
+
+    case "ByteProperty":
+      property.enumType = reader.string()
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      property.value = gvasText(property.enumType) === "None" ? reader.uint8() : reader.string()
+      break
+
+    case "StructProperty":
+      property.structType = gvasText(reader.string())
+      property.structGuid = reader.guid()
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      property.value = readStructValue(reader, property.structType, reader.offset + size)
+      break
+
+    case "ArrayProperty": {
+      property.innerType = gvasText(reader.string())
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      const end = valueStart + size
+      const count = reader.int32()
+      property.value = []
+
+      if (property.innerType === "StructProperty") {
+        // Struct arrays carry one inner tag describing every element
+        property.elementTag = {
+          name: reader.string(),
+          type: reader.string(),
+          size: reader.int64(),
+          structType: gvasText(reader.string()),
+          structGuid: reader.guid(),
+          guid: reader.propertyGuid(),
+        }
+        const elementSize = count > 0 ? (end - reader.offset) / count : 0
+        for (let i = 0; i < count; i++) {
+          const elementEnd = reader.offset + elementSize
+          property.value.push(readStructValue(reader, property.elementTag.structType, elementEnd))
+        }
+      } else {
+        for (let i = 0; i < count; i++) {
+          property.value.push(readBareValue(reader, property.innerType, end))
+        }
+      }
+      break
+    }
+
+    case "MapProperty": {
+      property.keyType = gvasText(reader.string())
+      property.valueType = gvasText(reader.string())
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      const end = valueStart + size
+      property.removed = reader.int32()
+      const count = reader.int32()
+      property.value = []
+      for (let i = 0; i < count; i++) {
+        // Struct keys have no type information; in UE4.18 saves they are Guids,
+        // struct values are property lists
+        const key = readBareValue(reader, property.keyType, undefined, "Guid")
+        const value = readBareValue(reader, property.valueType, end, null)
+        property.value.push({ key, value })
+      }
+      break
+    }
+
+    default:
+      property.guid = reader.propertyGuid()
+      valueStart = reader.offset
+      property.raw = toHex(reader.raw(size))
+      break
+  }
+
+  if (reader.offset - valueStart !== size) {
+    throw new GvasError(`Size of ${gvasText(name)} does not match its contents`, start)
+  }
+  if (property.guid === null) delete property.guid
+  return property
+}
+
+function readProperties(reader) {
+  const properties = []
+  for (;;) {
+    const property = readProperty(reader)
+    if (!property) return properties
+    properties.push(property)
+  }
+}
+
+function parseGvas(bytes) {
+  const reader = new GvasReader(bytes)
+  const header = readHeader(reader)
+  const properties = readProperties(reader)
+  const trailer = toHex(reader.raw(reader.remaining))
+  return { header, properties, trailer }
+}
+
+// Flatten top-level properties into { name: value } for display and comparison
+function gvasValues(save) {
+  const values = {}
+  save.properties.forEach((property) => {
+    values[gvasText(property.name)] = property.value
+  })
+  return values
+}
+
+const fromHex = (hex) => new Uint8Array((hex.match(/../g) || []).map((pair) => parseInt(pair, 16)))
+
+class GvasWriter {
+  constructor(capacity = 16384) {
+    this.bytes = new Uint8Array(capacity)
+    this.view = new DataView(this.bytes.buffer)
+    this.offset = 0
+  }
+
+  reserve(length) {
+    if (this.offset + length <= this.bytes.length) return
+
+    const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.offset + length))
+    bytes.set(this.bytes)
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer)
+  }
+
+  raw(bytes) {
+    this.reserve(bytes.length)
+    this.bytes.set(bytes, this.offset)
+    this.offset += bytes.length
+  }
+
+  uint8(value) {
+    this.reserve(1)
+    this.view.setUint8(this.offset++, value)
+  }
+
+  uint16(value) {
+    this.reserve(2)
+    this.view.setUint16(this.offset, value, true)
+    this.offset += 2
+  }
+
+  int32(value) {
+    this.reserve(4)
+    this.view.setInt32(this.offset, value, true)
+    this.offset += 4
+  }
+
+  uint32(value) {
+    this.reserve(4)
+    this.view.setUint32(this.offset, value, true)
+    this.offset += 4
+  }
+
+  int64(value) {
+    this.uint32(value % 0x100000000)
+    this.int32(Math.floor(value / 0x100000000))
+  }
+
+  // Overwrite an int64 written earlier, used to fill in property sizes
+  patchInt64(offset, value) {
+    this.view.setUint32(offset, value % 0x100000000, true)
+    this.view.setInt32(offset + 4, Math.floor(value / 0x100000000), true)
+  }
+
+  float(value) {
+    this.reserve(4)
+    this.view.setFloat32(this.offset, value, true)
+    this.offset += 4
+  }
+
+  string(value) {
+    const text = gvasText(value)
+    if (text === "") {
+      this.int32(0)
+      return
+    }
+
+    if (value.utf16 || /[^\x00-\xff]/.test(text)) {
+      this.int32(-(text.length + 1))
+      for (let i = 0; i <= text.length; i++) this.uint16(i < text.length ? text.charCodeAt(i) : 0)
+    } else {
+      this.int32(text.length + 1)
+      for (let i = 0; i <= text.length; i++) this.uint8(i < text.length ? text.charCodeAt(i) : 0)
+    }
+  }
+
+  guid(hex) {
+    if (!/^[0-9a-f]{32}$/i.test(hex)) throw new GvasError(`Invalid GUID "${hex}"`)
+    this.raw(fromHex(hex))
+  }
+
+  propertyGuid(hex) {
+    this.uint8(hex ? 1 : 0)
+    if (hex) this.guid(hex)
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.offset)
+  }
+}
+
+function writeHeader(writer, header) {
+  writer.raw([0x47, 0x56, 0x41, 0x53]) // "GVAS"
+  writer.int32(header.saveGameVersion)
+  writer.int32(header.packageVersion)
+  writer.uint16(header.engineVersion.major)
+  writer.uint16(header.engineVersion.minor)
+  writer.uint16(header.engineVersion.patch)
+  writer.uint32(header.engineVersion.changelist)
+  writer.string(header.engineVersion.branch)
+  writer.int32(header.customVersionFormat)
+  writer.int32(header.customVersions.length)
+  header.customVersions.forEach(({ guid, version }) => {
+    writer.guid(guid)
+    writer.int32(version)
+  })
+  writer.string(header.saveGameClass)
+}
+
+function writeBareValue(writer, type, value) {
+  switch (type) {
+    case "IntProperty":
+      return writer.int32(value)
+    case "FloatProperty":
+      return writer.float(value)
+    case "BoolProperty":
+    case "ByteProperty":
+      return writer.uint8(Number(value))
+    case "StrProperty":
+    case "NameProperty":
+    case "EnumProperty":
+    case "ObjectProperty":
+      return writer.string(value)
+    case "StructProperty":
+      return writeStructValue(writer, value)
+    default:
+      throw new GvasError(`Unsupported ${type} inside a container`)
+  }
+}
+
+function writeStructValue(writer, value) {
+  if (typeof value === "string") return writer.guid(value)
+  if (Array.isArray(value)) return writeProperties(writer, value)
+  return writer.raw(fromHex(value.raw))
+}
+
+function writeProperty(writer, property) {
+  const { type, value } = property
+  writer.string(property.name)
+  writer.string(type)
+  const sizeOffset = writer.offset
+  writer.int64(0)
+
+  switch (type) {
+    case "BoolProperty":
+      writer.uint8(value ? 1 : 0)
+      writer.propertyGuid(property.guid)
+      break
+
+    case "EnumProperty":
+    case "ByteProperty":
+      writer.string(property.enumType)
+      writer.propertyGuid(property.guid)
+      break
+
+    case "StructProperty":
+      writer.string(property.structType)
+      writer.guid(property.structGuid)
+      writer.propertyGuid(property.guid)
+      break
+
+    case "ArrayProperty":
+      writer.string(property.innerType)
+      writer.propertyGuid(property.guid)
+      break
+
+    case "MapProperty":
+      writer.string(property.keyType)
+      writer.string(property.valueType)
+      writer.propertyGuid(property.guid)
+      break
+
+    default:
+      writer.propertyGuid(property.guid)
+      break
+  }
+
+  const valueStart = writer.offset
+
+  switch (type) {
+    case "IntProperty":
+    case "FloatProperty":
+    case "StrProperty":
+    case "NameProperty":
+    case "ObjectProperty":
+    case "EnumProperty":
+      writeBareValue(writer, type, value)
+      break
+
+    case "BoolProperty":
+      break
+
+    case "ByteProperty":
+      if (gvasText(property.enumType) === "None") writer.uint8(value)
+      else writer.string(value)
+      break
+
+    case "StructProperty":
+      writeStructValue(writer, value)
+      break
+
+    case "ArrayProperty":
+      writer.int32(value.length)
+      if (property.innerType === "StructProperty") {
+        const tag = property.elementTag
+        writer.string(tag.name)
+        writer.string(tag.type)
+        const tagSizeOffset = writer.offset
+        writer.int64(0)
+        writer.string(tag.structType)
+        writer.guid(tag.structGuid)
+        writer.propertyGuid(tag.guid)
+        const elementsStart = writer.offset
+        value.forEach((element) => writeStructValue(writer, element))
+        writer.patchInt64(tagSizeOffset, writer.offset - elementsStart)
+      } else {
+        value.forEach((element) => writeBareValue(writer, property.innerType, element))
+      }
+      break
+
+    case "MapProperty":
+      writer.int32(property.removed || 0)
+      writer.int32(value.length)
+      value.forEach((entry) => {
+        writeBareValue(writer, property.keyType, entry.key)
+        writeBareValue(writer, property.valueType, entry.value)
+      })
+      break
+
+    default:
+      writer.raw(fromHex(property.raw))
+      break
+  }
+
+  writer.patchInt64(sizeOffset, writer.offset - valueStart)
+}
+
+function writeProperties(writer, properties) {
+  properties.forEach((property) => writeProperty(writer, property))
+  writer.string("None")
+}
+
+function serializeGvas(save) {
+  const writer = new GvasWriter()
+  writeHeader(writer, save.header)
+  writeProperties(writer, save.properties)
+  writer.raw(fromHex(save.trailer || ""))
+  return writer.toBytes()
+}
+
+// True when parse + serialize reproduces the file byte for byte. Presets are only
+// built from templates that pass, so an unknown layout can never produce a broken save.
+function gvasRoundTrips(bytes) {
+  const original = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes)
+  let written
+  try {
+    written = serializeGvas(parseGvas(original))
+  } catch (error) {
+    return false
+  }
+  return written.length === original.length && written.every((byte, index) => byte === original[index])
+}
+
+// Change top-level properties in place. Values keep the property's type: ints are
+// rounded, floats stay floats, and unknown names are rejected instead of added.
+function setGvasValues(save, values) {
+  Object.keys(values).forEach((name) => {
+    const property = save.properties.find((candidate) => gvasText(candidate.name) === name)
+    if (!property) throw new GvasError(`Property ${name} does not exist in this save`)
+
+    const value = values[name]
+    switch (property.type) {
+      case "IntProperty":
+        if (!Number.isFinite(value)) throw new GvasError(`${name} must be a number`)
+        property.value = Math.round(value) | 0
+        break
+      case "FloatProperty":
+        if (!Number.isFinite(value)) throw new GvasError(`${name} must be a number`)
+        property.value = Math.fround(value)
+        break
+      case "BoolProperty":
+        property.value = Boolean(value)
+        break
+      case "StrProperty":
+        property.value = String(value)
+        break
+      default:
+        throw new GvasError(`${name} is a ${property.type} and cannot be edited`)
+    }
+  })
+  return save
+}
+
+// Flatten a property tree into { path: { type, value } } with leaf values only.
+// Arrays become Name[0], map entries Name[key] and nested structs Name.Child.
+function flattenGvas(properties, prefix = "", out = {}) {
+  const seen = {}
+  properties.forEach((property) => {
+    // Static arrays repeat a name; keep every copy as Name#1, Name#2...
+    const name = gvasText(property.name)
+    const copy = seen[name] || 0
+    seen[name] = copy + 1
+    const path = prefix + (copy > 0 ? `${name}#${copy}` : name)
+    flattenValue(path, property.type, property.value !== undefined ? property.value : property.raw, property, out)
+  })
+  return out
+}
+
+function flattenValue(path, type, value, property, out) {
+  if (type === "ArrayProperty") {
+    if (value.length === 0) out[path] = { type, value: "(empty)" }
+    value.forEach((element, index) => flattenValue(`${path}[${index}]`, property.innerType, element, {}, out))
+  } else if (type === "MapProperty") {
+    if (value.length === 0) out[path] = { type, value: "(empty)" }
+    value.forEach(({ key, value: entry }) => {
+      const name = typeof key === "object" && key.raw === undefined ? gvasText(key) : key.raw || key
+      flattenValue(`${path}[${name}]`, property.valueType, entry, {}, out)
+    })
+  } else if (Array.isArray(value)) {
+    flattenGvas(value, `${path}.`, out)
+  } else if (value && typeof value === "object") {
+    out[path] = { type, value: value.raw !== undefined ? value.raw : gvasText(value) }
+  } else {
+    out[path] = { type, value }
+  }
+}
+
+// Compare two saves key by key. Every path present in either save is reported as
+// "same", "changed", "added" (only in b) or "removed" (only in a).
+function diffGvas(a, b) {
+  const left = flattenGvas(a.properties)
+  const right = flattenGvas(b.properties)
+  const paths = Object.keys(left)
+  Object.keys(right).forEach((path) => {
+    if (!(path in left)) paths.push(path)
+  })
+
+  return paths.map((path) => {
+    const before = left[path]
+    const after = right[path]
+    let status = "same"
+    if (!before) status = "added"
+    else if (!after) status = "removed"
+    else if (before.value !== after.value || before.type !== after.type) status = "changed"
+
+    return {
+      path,
+      type: (after || before).type,
+      status,
+      before: before ? before.value : undefined,
+      after: after ? after.value : undefined,
+    }
+  })
+}
+
+if (typeof window !== "undefined") {
+  window.GvasError = GvasError
+  window.GvasReader = GvasReader
+  window.parseGvas = parseGvas
+  window.gvasText = gvasText
+  window.gvasValues = gvasValues
+  window.GvasWriter = GvasWriter
+  window.serializeGvas = serializeGvas
+  window.gvasRoundTrips = gvasRoundTrips
+  window.setGvasValues = setGvasValues
+  window.flattenGvas = flattenGvas
+  window.diffGvas = diffGvas
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    GvasError,
+    GvasReader,
+    GvasWriter,
+    parseGvas,
+    serializeGvas,
+    gvasRoundTrips,
+    gvasText,
+    gvasValues,
+    setGvasValues,
+    flattenGvas,
+    diffGvas,
+  }
+}
@@ -0,0 +1,1261 @@
+// Interface strings for every page, in English and Arabic. Markup opts in with
+// data-i18n="key" (text), data-i18n-html (catalog markup such as <strong>) and
+// data-i18n-title / -placeholder / -aria-label; scripts call i18n.t(key, params), where
+// "{name}" in a string is replaced by params.name. A missing Arabic string falls back
+// to English, then to the fallback the caller passes, then to the key itself. Action
+// labels ("action.<id>") are defined in English from actions.js at startup.
+//
+// The host may name a catalog key instead of sending English text; any reply or event
+// payload that carries `message` can add `messageKey` and `params` (see hostText()).
+// The chosen language is kept in localStorage and shared by all pages.
+
+const I18N_LANGUAGES = {
+  en: { name: "English", dir: "ltr" },
+  ar: { name: "العربية", dir: "rtl" },
+}
+
+const I18N_DEFAULT_LANGUAGE = "en"
+
+const I18N_ATTRIBUTES = ["title", "placeholder", "aria-label"]
+
+const I18N_CATALOGS = {
+  en: {
+    "notify.success": "Success!",
+    "notify.error": "Error",
+    "notify.warning": "Warning",
+    "notify.info": "Information",
+    "notify.loading": "Loading...",
+    "notify.default": "Notification",
+    "notify.close": "Dismiss notification",
+    "notify.viewLog": "View log",
+    "notify.undo": "Undo",
+
+    "time.d": "d",
+    "time.h": "h",
+    "time.m": "m",
+    "time.s": "s",
+
+    "host.running": 'Running "{label}"...',
+    "host.waiting": '"{label}" is waiting for {blocker}...',
+    "host.completed": "{label} completed",
+    "host.cancelled": "{label} was cancelled",
+    "host.noResponse": "No response",
+    "host.unknownEvent": 'The host sent an unknown event "{name}"',
+    "host.ignored": "Host message ignored",
+    "host.invalid": "Invalid host message",
+    "host.invalidDetail": "Invalid host message: {error}",
+    "host.unexpectedType": 'Unexpected "{type}" message from the host',
+    "host.unknownCommand": 'Unknown command "{command}"',
+    "host.unknownResult": 'The host answered with an unknown result "{code}"',
+    "host.missingElement": 'The host asked to click a missing element "{id}"',
+    "host.sendFailed": "Could not send {name}: {error}",
+
+    "license.left": "License: {time} left",
+    "license.expired": "License expired",
+    "license.expires": "Expires {date}",
+    "license.renew": "Renew your license to keep using NX TWEAKER",
+
+    "nav.dashboard": "Home",
+    "nav.clean": "Clean",
+    "nav.gameloop": "GameLoop",
+    "nav.tweeks": "Tweeks",
+    "nav.settings": "Settings",
+    "nav.windows": "Windows",
+    "nav.fortnite": "Fortnite",
+    "nav.recipes": "Recipes",
+    "nav.history": "History",
+    "nav.activity": "Log",
+
+    "page.clean": "SYSTEM CLEANER",
+    "page.gameloop": "GAMELOOP OPTIMIZER",
+    "page.tweeks": "SYSTEM TWEAKS",
+    "page.settings": "SETTINGS",
+    "page.windows": "WINDOWS TOOLS",
+    "page.fortnite": "FORTNITE OPTIMIZER",
+    "page.recipes": "RECIPES",
+    "page.history": "CHANGE HISTORY",
+    "page.activity": "ACTIVITY LOG",
+
+    "common.export": "Export",
+    "common.import": "Import",
+    "common.clear": "Clear",
+    "common.delete": "Delete",
+
+    "home.hero.title": "WELCOME TO NX TWEAKER",
+    "home.hero.subtitle": "The Ultimate System Optimization Suite",
+    "home.stat.version": "Version",
+    "home.stat.tools": "Tools",
+    "home.stat.fps": "Max FPS",
+    "home.feature.boost.title": "Performance Boost",
+    "home.feature.boost.text": "Optimize your system for maximum speed and efficiency",
+    "home.feature.secure.title": "Safe & Secure",
+    "home.feature.secure.text": "All tweaks are tested and reversible for your safety",
+    "home.feature.gaming.title": "Gaming Ready",
+    "home.feature.gaming.text": "Specialized optimizations for gaming performance",
+    "home.monitor.title": "SYSTEM MONITOR",
+    "home.monitor.subtitle": "Live readings reported by NX TWEAKER",
+    "home.metric.freq": "Freq: {value}",
+    "home.metric.temp": "Temp: {value}",
+    "home.metric.memory": "Memory: {value}",
+    "home.metric.used": "Used: {value}",
+    "home.metric.free": "Free: {value}",
+    "home.metric.total": "Total: {value}",
+    "home.metric.cores": "Cores: {value}",
+    "home.metric.threads": "Threads: {value}",
+    "home.state.live": "live",
+    "home.state.stale": "stale",
+    "home.state.unavailable": "unavailable",
+    "home.state.demo": "demo",
+    "home.benchmarks.title": "BEFORE & AFTER",
+    "home.benchmarks.subtitle": "What Full Clean, Optimized Tweak and Debloat actually changed",
+    "home.recommend.title": "RECOMMENDED FOR YOUR PC",
+    "home.recommend.subtitle": "Presets and tweaks picked for your hardware",
+    "home.updates.title": "UPDATES & NEWS",
+    "home.updates.subtitle": "Stay up to date with the latest features",
+
+    "recommend.basedOn": "Based on {specs}",
+    "recommend.waiting": "Waiting for NX TWEAKER to report your hardware",
+    "recommend.badge.preset": "Preset",
+    "recommend.badge.tweak": "Tweak",
+    "recommend.apply": "Apply",
+    "recommend.run": "Run",
+    "recommend.dismiss": "Dismiss",
+    "recommend.restore": "Show {count} dismissed",
+    "recommend.failed": "Could not apply {name}",
+    "recommend.part.cpu": "CPU",
+    "recommend.part.ram": "RAM",
+    "recommend.part.gpu": "GPU",
+    "recommend.spec.cpu": "{cores} cores",
+    "recommend.spec.cpuFreq": "{cores} cores at {freq} GHz",
+    "recommend.spec.ram": "{total} GB RAM",
+    "recommend.spec.gpu": "{memory} GB video memory",
+    "recommend.spec.display": "{hz} Hz display",
+    "recommend.reason.limit": "Your {part} sets the limit: {value}",
+    "recommend.reason.light": "Lower quality keeps 120 FPS steady on this hardware",
+    "recommend.reason.display": "{fps} FPS is the most your {hz} Hz display can show",
+    "recommend.reason.displayUnknown": "The refresh rate was not reported, so 60 Hz is assumed",
+    "recommend.why.park-control":
+      "{cores} cores: keeping them all unparked avoids stutter when the game spreads its threads",
+    "recommend.why.timer-resolution": "With only {cores} cores, a finer system timer evens out frame pacing",
+    "recommend.why.clean-ram": "Only {total} GB RAM: freeing memory before a match leaves more for the emulator",
+    "recommend.why.visual-effects": "Windows animations take memory and GPU time this PC needs for the game",
+    "recommend.why.cru":
+      "Your display runs at {hz} Hz; CRU can try a higher refresh rate so 90 and 120 FPS presets show",
+
+    "gameloop.mods": "MODS",
+    "gameloop.inspector": "PRESET INSPECTOR",
+    "gameloop.builder": "PRESET BUILDER",
+    "gameloop.profiles": "APP PROFILES",
+
+    "settings.alerts.title": "ALERT RULES",
+    "settings.alerts.subtitle": "When the dashboard should warn you about CPU, GPU, RAM and disk usage",
+    "settings.language.title": "LANGUAGE",
+    "settings.language.subtitle": "Interface language and layout direction",
+    "settings.hotkeys.title": "KEYBOARD SHORTCUTS",
+    "settings.hotkeys.subtitle": "Press Ctrl+K anywhere to search pages and actions, or give an action its own keys",
+    "settings.confirm.title": "CONFIRMATIONS",
+    "settings.confirm.subtitle": "Actions you asked not to confirm again",
+    "settings.confirm.none": "Every action that can change your system asks before it runs",
+    "settings.confirm.askAgain": "Ask again",
+    "settings.confirm.askAll": "Ask for all of them again",
+    "settings.packs.title": "ACTION PACKS",
+    "settings.packs.subtitle": "Extra pages of game-specific actions, loaded from JSON manifests",
+    "settings.packs.none": "No action packs installed",
+    "settings.packs.import": "Import pack",
+    "settings.packs.enable": "Enable {name}",
+    "settings.packs.source.bundled": "Bundled",
+    "settings.packs.source.imported": "Imported",
+    "settings.packs.actions": "{count} actions",
+    "settings.packs.failed": "failed to load",
+    "settings.packs.confirmRemove": "Remove the {name} action pack?",
+    "settings.packs.importDone": "Imported {count} action pack(s) from {source}",
+    "settings.packs.skipped": "Skipped {source}",
+
+    "palette.label": "Command palette",
+    "palette.placeholder": "Search pages, actions and mods...",
+    "palette.hint": "↑ ↓ to move • Enter to run • Esc to close",
+    "palette.empty": 'Nothing matches "{query}"',
+    "palette.page": "Page",
+    "palette.mod": "Mod",
+    "risk.low": "Low risk",
+    "risk.medium": "Medium risk",
+    "risk.high": "High risk",
+
+    "confirm.label": "Confirm {label}",
+    "confirm.run": "Run {label}",
+    "confirm.cancel": "Cancel",
+    "confirm.effects": "What else changes",
+    "confirm.reboot": "A restart is needed to finish",
+    "confirm.journal": "Can be reverted from the History page",
+    "confirm.reversible": "Can be undone later",
+    "confirm.irreversible": "Cannot be undone",
+    "confirm.admin": "Runs with administrator rights",
+    "confirm.typed": "Type {word} to confirm",
+    "confirm.skip": "Don't ask again for this action",
+    "confirm.recipe.title": "Run {name}",
+    "confirm.recipe.text": "{count} step(s) in this recipe need your confirmation:",
+    "palette.busy": "{label} is already running",
+    "palette.missing": "The {label} button is missing from the page",
+
+    "hotkeys.head.action": "Action",
+    "hotkeys.head.page": "Page",
+    "hotkeys.head.key": "Shortcut",
+    "hotkeys.none": "Not set",
+    "hotkeys.press": "Press keys...",
+    "hotkeys.recordHint": "Click, then press the new keys. Esc cancels, Backspace removes the shortcut.",
+    "hotkeys.reset": "Reset to defaults",
+    "hotkeys.needsModifier": "Use Ctrl or Alt with {key} so typing is not affected",
+    "hotkeys.reserved": "{key} opens the command palette",
+    "hotkeys.taken": "{key} is already used by {label}",
+
+    "recipes.new": "New recipe",
+    "recipes.exportAll": "Export all",
+
+    "chart.showHistory": "Show history",
+    "chart.window.1m": "1 min",
+    "chart.window.10m": "10 min",
+    "chart.window.1h": "1 h",
+    "chart.title": "{metric} HISTORY",
+    "chart.stat.min": "Min: {value}",
+    "chart.stat.avg": "Avg: {value}",
+    "chart.stat.max": "Max: {value}",
+    "chart.stat.samples": "Samples: {count}",
+    "chart.close": "Close",
+    "chart.empty": "No samples in this window yet",
+    "chart.now": "now",
+    "chart.persist": "Keep history between sessions",
+    "benchmark.title": "Benchmark",
+    "benchmark.measuring": "Measuring the effect of {label} for {seconds}s...",
+    "benchmark.empty": "No benchmark runs yet. Run Full Clean, Optimized Tweak or Debloat to record one.",
+    "benchmark.success": "Success",
+    "benchmark.failed": "Failed",
+    "benchmark.notAvailable": "n/a",
+    "benchmark.field.cpu.usage": "CPU",
+    "benchmark.field.ram.usage": "RAM",
+    "benchmark.field.ram.used": "RAM used",
+    "benchmark.field.disk.usage": "Disk",
+    "benchmark.field.disk.free": "Disk free",
+    "recipes.error.object": "A recipe must be an object",
+    "recipes.error.name": "Name is required",
+    "recipes.error.onError": 'On error must be "stop" or "continue"',
+    "recipes.error.noSteps": "A recipe needs at least one step",
+    "recipes.error.stepObject": "Step {n} must be an object",
+    "recipes.error.unknownAction": 'Step {n}: unknown action "{action}"',
+    "recipes.error.args": "Step {n}: args must be an object",
+    "recipes.error.delay": "Step {n}: delay must be between 0 and {max} minutes",
+    "recipes.error.json": "Not valid JSON: {error}",
+    "recipes.error.newer": "This file needs a newer version (recipe format {version})",
+    "recipes.numbered": "Recipe {n}",
+    "recipes.summary": "{done} of {total} step(s) completed",
+    "recipes.cancelled": "{name} cancelled",
+    "recipes.failed": "{name} failed",
+    "recipes.empty": "No recipes yet. Create one or import a file from your team.",
+    "recipes.imported": "Imported {count} recipe(s) from {source}",
+    "recipes.skipped": "Some recipes in {source} were skipped",
+    "recipes.confirmDelete": 'Delete the recipe "{name}"?',
+    "recipes.mode.stop": "Stops on error",
+    "recipes.mode.continue": "Continues on error",
+    "recipes.thenWait": "then wait {seconds}s",
+    "recipes.run": "Run",
+    "recipes.edit": "Edit",
+    "recipes.save": "Save",
+    "recipes.dismiss": "Dismiss",
+    "recipes.addStep": "Add step",
+    "recipes.field.name": "Name",
+    "recipes.field.description": "Description",
+    "recipes.field.onError": "When a step fails",
+    "recipes.onError.stop": "Stop the recipe",
+    "recipes.onError.continue": "Continue with the next step",
+    "recipes.step.action": "Step {n} action",
+    "recipes.step.args": "Step {n} args (JSON)",
+    "recipes.step.argsPlaceholder": "args, e.g. {}",
+    "recipes.step.delay": "Wait after step {n} (seconds)",
+    "recipes.step.delayHint": "Seconds to wait after this step",
+    "recipes.step.up": "Move up",
+    "recipes.step.down": "Move down",
+    "recipes.step.remove": "Remove step",
+    "recipes.step.pending": "Pending",
+    "recipes.step.running": "Running",
+    "recipes.step.waiting": "Waiting",
+    "recipes.step.done": "Done",
+    "recipes.step.failed": "Failed",
+    "recipes.step.skipped": "Skipped",
+    "recipes.error.argsJson": "Step {n}: args are not valid JSON",
+    "recipes.run.queued": "queued",
+    "recipes.run.running": "running",
+    "recipes.run.cancelling": "cancelling",
+    "recipes.run.done": "done",
+    "recipes.run.failed": "failed",
+    "recipes.run.cancelled": "cancelled",
+    "graphics.on": "On",
+    "graphics.off": "Off",
+    "graphics.level": "Level {value}",
+    "presets.error.read": "Could not read {path} ({status})",
+    "presets.error.storage": "Not enough storage to keep this preset",
+    "presets.reading": "Reading bundled presets...",
+    "presets.unreadable": '{count} preset(s) could not be read here. Use "Open .sav" to inspect a file directly.',
+    "presets.loaded": "{count} presets loaded",
+    "presets.opened": "Opened {name}",
+    "presets.notPreset": "Not a preset file",
+    "presets.showAll": "Show every property",
+    "presets.details": "{name} — {saveClass}, UE {engine}, {count} properties",
+    "presets.inspect": "Inspect bundled presets",
+    "presets.open": "Open .sav",
+    "builder.name": "Name",
+    "builder.template": "Start from",
+    "builder.save": "Save preset",
+    "builder.editing": "Editing a copy of {name}",
+    "builder.nameRequired": "Give the preset a name first",
+    "builder.templateRequired": "Pick a template to start from",
+    "builder.error.layout": "{name} uses a layout the writer cannot reproduce",
+    "builder.error.roundTrip": "{key} did not survive the round trip",
+    "builder.saved": 'Saved "{name}" with {count} change(s)',
+    "builder.ready": "{name} is ready on the gameloop page and in the quick panel",
+    "builder.savedTitle": "Preset saved",
+    "builder.notSaved": "Preset not saved",
+    "builder.meta": "from {template} • {count} change(s)",
+    "builder.confirmDelete": 'Delete the preset "{name}"?',
+    "diff.title": "Compare presets",
+    "diff.heading": "COMPARE PRESETS",
+    "diff.left": "Left preset",
+    "diff.right": "Right preset",
+    "diff.vs": "vs",
+    "diff.onlyChanges": "Only differences",
+    "diff.mine": "{name} (mine)",
+    "diff.current": "Current game save",
+    "diff.deleted": "This preset has been deleted",
+    "diff.reading": "Reading presets...",
+    "diff.summary": "{changed} changed, {added} added, {removed} removed • {same} identical",
+    "diff.property": "Property",
+    "diff.status.changed": "Changed",
+    "diff.status.added": "Added",
+    "diff.status.removed": "Removed",
+    "diff.status.same": "Same",
+    "diff.identical": "These presets are identical",
+    "diff.handle": "Compare with another preset",
+    "diff.compare": "Compare",
+    "tvm.loadHost": "Load from Gameloop",
+    "tvm.loadBundled": "Load bundled",
+    "tvm.open": "Open XML",
+    "tvm.reset": "Reset start counts",
+    "tvm.resetHint": "Only the ticked apps, or every app when none is ticked",
+    "tvm.download": "Download XML",
+    "tvm.save": "Save to Gameloop",
+    "tvm.unreadable": "Unreadable profile file",
+    "tvm.error.host": "Could not read Gameloop's profiles: {error}",
+    "tvm.error.bundled": "Could not read the bundled TVM_100.xml ({error}). Open the file instead.",
+    "tvm.resetDone": "Start count reset for {count} app(s). Save to write it to Gameloop.",
+    "tvm.resetTitle": "Start counts",
+    "tvm.label": "Gameloop profiles",
+    "tvm.empty": "Load Gameloop's profiles to edit them",
+    "tvm.loaded": "{count} apps from {source}",
+    "tvm.unsaved": "unsaved changes",
+    "tvm.started": "Started {count} times",
+    "tvm.keyMappings": "{count} key mappings",
+    "tvm.updated": "{apk}: {field} updated",
+    "tvm.field.ModeID": "Mode",
+    "tvm.field.EnableTips": "Key tips",
+    "tvm.field.EnableGameKeyDT": "Game key detection",
+    "tvm.field.TipsTransparent": "Tips opacity",
+    "tvm.field.Lightness": "Brightness",
+    "tvm.field.EnableSwitchViewLockMethod": "View lock switch",
+    "tvm.field.ExitFullScreenKey": "Exit full screen key",
+    "journal.revertLabel": "Revert {label}",
+    "journal.rollbackConfirm": "Revert {count} change(s) made since {since}?",
+    "journal.rolledBack": "Rolled back {count} change(s) to {since}",
+    "journal.rollbackDone": "Rollback complete",
+    "journal.rollbackPartial": "Reverted {reverted} of {count} change(s); the rest are still applied",
+    "journal.rollbackStopped": "Rollback stopped",
+    "journal.clearConfirm": "Clear the change history? Cleared entries can no longer be reverted.",
+    "journal.empty": "No tweaks applied yet. Changes made from the Tweeks, Settings and Windows pages show up here.",
+    "journal.notSet": "(not set)",
+    "journal.status.applied": "Applied",
+    "journal.status.reverted": "Reverted",
+    "journal.status.failed": "Failed",
+    "journal.revertedAt": "reverted {time}",
+    "journal.revertFailed": "Revert failed: {error}",
+    "journal.unreported": "The host did not report what changed; this entry cannot be reverted",
+    "journal.unchanged": "Nothing changed",
+    "journal.revert": "Revert",
+    "journal.rollback": "Roll back to here",
+    "journal.rollbackHint": "Revert this change and everything applied after it",
+    "alerts.metric.cpu": "CPU",
+    "alerts.metric.gpu": "GPU",
+    "alerts.metric.ram": "RAM",
+    "alerts.metric.disk": "Disk",
+    "alerts.metric.proc": "Processor",
+    "alerts.column.metric": "Metric",
+    "alerts.column.enabled": "On",
+    "alerts.column.warn": "Warn %",
+    "alerts.column.critical": "Critical %",
+    "alerts.column.sustain": "Sustain (s)",
+    "alerts.column.hysteresis": "Hysteresis",
+    "alerts.column.action": "Suggested action",
+    "alerts.reset": "Reset to defaults",
+    "alerts.none": "None",
+    "alerts.actionMissing": '"{action}" (not available)',
+    "alerts.error.warn": "Warn level must be between 1 and 100",
+    "alerts.error.critical": "Critical level must be between 1 and 100",
+    "alerts.error.order": "Warn level must be below the critical level",
+    "alerts.error.sustain": "Sustain time must be between 0 and 3600 seconds",
+    "alerts.error.hysteresis": "Hysteresis must be between 0 and 50",
+    "alerts.error.action": 'Unknown suggested action "{action}"',
+    "alerts.recovered": "{metric} usage is back to {value}%",
+    "alerts.recoveredTitle": "{metric} recovered",
+    "alerts.above": "{metric} usage has been above {threshold}% (now {value}%)",
+    "alerts.aboveFor": "{metric} usage has been above {threshold}% for {seconds}s (now {value}%)",
+    "alerts.criticalTitle": "{metric} critical",
+    "alerts.highTitle": "{metric} high",
+    "alerts.run": "Run {label}",
+
+    "journal.rollbackTitle": "Roll back changes",
+    "journal.clearTitle": "Clear the change history",
+    "builder.deleteTitle": "Delete preset",
+    "recipes.deleteTitle": "Delete recipe",
+    "settings.packs.removeTitle": "Remove action pack",
+    "activity.clearTitle": "Clear the activity log",
+
+    "recipes.step.missing": '"{action}" (not available)',
+    "recipes.error.missingAction": 'The action "{action}" is not available. Is its action pack switched on?',
+
+    "jobs.panel": "Action queue",
+    "jobs.clear": "Clear finished",
+    "jobs.inProgress": "Actions • {count} in progress",
+    "jobs.allFinished": "Actions • all finished",
+    "jobs.waitingFor": "Waiting for {label}",
+    "jobs.cancel": "Cancel {label}",
+    "activity.search": "Search the log...",
+    "activity.severity": "Severity",
+    "activity.action": "Action",
+    "activity.level.debug": "Everything",
+    "activity.level.info": "Info and above",
+    "activity.level.warning": "Warnings and errors",
+    "activity.level.error": "Errors only",
+    "activity.allActions": "All actions",
+    "activity.exportJson": "Export JSON",
+    "activity.exportText": "Export text",
+    "activity.summary": "Showing {shown} of {total} entries",
+    "activity.empty": "Nothing has been logged yet. Actions, host replies, alerts and errors show up here.",
+    "activity.noMatch": "No entries match these filters",
+    "activity.confirmClear": "Clear the activity log? Support will no longer see what happened before now.",
+
+    "free.loading.title": "INITIALIZING PUBG MODS...",
+    "free.loading.text": "Loading core engine, reading config files and preparing safe tweaks...",
+    "free.loading.unlock": "To unlock the full paid version, join our Discord server.",
+    "free.loading.engineTitle": "INITIALIZING ENGINE...",
+    "free.loading.engineText": "Loading core modules, reading configs and preparing safe tweaks...",
+    "free.loading.unlockTitle": "UNLOCK FULL VERSION",
+    "free.welcome.title": "Welcome to PUBG Mods By NX",
+    "free.welcome.text":
+      "Push your PUBG experience to the absolute limit with cinematic graphics and ultra smooth FPS.",
+    "free.welcome.enter": "ENTER DASHBOARD",
+    "free.section.graphics": "Graphics",
+    "free.section.smooth": "Smooth",
+    "free.section.hdr": "HDR",
+    "free.section.ultraHdr": "Ultra HDR",
+    "free.section.myPresets": "My Presets",
+    "free.section.emulator": "Emulator",
+    "free.section.notice": "NOTICE",
+    "free.notice.text": "This is the free edition and not the full version. To purchase, contact us:",
+    "free.mod.supersmooth120": "Super Smooth 120FPS",
+    "free.mod.smooth120": "Smooth 120FPS",
+    "free.mod.balanced120": "Balanced 120FPS",
+    "free.mod.hdr60": "HDR 60FPS",
+    "free.mod.hdr90": "HDR 90FPS",
+    "free.mod.hdr120": "HDR 120FPS",
+    "free.mod.ultrahdr60": "Ultra HDR 60FPS",
+    "free.mod.ultrahdr90": "Ultra HDR 90FPS",
+    "free.mod.ultrahdr120": "Ultra HDR 120FPS",
+    "free.applying": "Applying {name} preset...",
+    "free.modActivated": 'Mod "{mod}" has been activated.',
+    "free.control.launchEmulator": "Launch Emulator",
+    "free.control.launchGame": "Launch Game",
+    "free.control.stopEmulator": "Stop Emulator",
+    "free.job.launchGame": "Launch game",
+    "free.job.launchGamePending": "Launching PUBG with your current mod profile...",
+    "free.job.startEmulator": "Start emulator",
+    "free.job.startEmulatorPending": "Starting emulator instance...",
+    "free.job.stopEmulator": "Stop emulator",
+    "free.job.stopEmulatorPending": "Stopping emulator process...",
+    "free.job.waiting": "{label} is waiting for {blocker}...",
+    "free.job.failed": "{label} failed",
+    "free.job.unconfirmed": "{label} was sent, but the host never confirmed it",
+    "session.label": "Emulator",
+    "session.state.unknown": "Waiting for the emulator status",
+    "session.state.stopped": "Emulator stopped",
+    "session.state.starting": "Emulator starting...",
+    "session.state.running": "Emulator running",
+    "session.state.game-launched": "Game running",
+    "session.state.stopping": "Emulator stopping...",
+    "session.unavailable": "Not available right now: {state}",
+    "session.autoApply": "Apply {name} before launching the game",
+    "session.autoApplyNone": "Apply a graphics preset to launch the game with it",
+    "session.exit.emulator": "The emulator closed unexpectedly",
+    "session.exit.game": "The game closed unexpectedly",
+    "session.exitCode": " (exit code {code})",
+    "session.timeout.starting": "The emulator has not finished starting; its status is unknown",
+    "session.timeout.stopping": "The emulator has not confirmed it stopped; its status is unknown",
+    "session.presetFailed": "The preset could not be applied, so the game was not launched",
+    "session.presetUnconfirmed": "The host never confirmed the preset, so the game was not launched",
+
+    "login.help": "Need help?",
+    "login.tagline": "Advanced • Reliable • Undetected",
+    "login.feature.boost": "Advanced Performance Boost",
+    "login.feature.secure": "Undetected & Secure",
+    "login.feature.realtime": "Real-time Optimization",
+    "login.feature.quality": "Premium Quality",
+    "login.online": "System Online • Ready to Use",
+    "login.title": "Access Portal",
+    "login.subtitle": "Enter your license key to unlock premium features",
+    "login.keyLabel": "License Key",
+    "login.showKey": "Show key",
+    "login.hideKey": "Hide key",
+    "login.remember": "Remember this device",
+    "login.button.enter": "ENTER LICENSE KEY",
+    "login.button.access": "ACCESS TOOL",
+    "login.button.verifying": "VERIFYING...",
+    "login.button.locked": "TRY AGAIN IN {time}",
+    "login.connect": "Connect with us",
+    "login.promo": "Premium tweaking experience awaits",
+    "login.verifying.title": "Verifying License Key",
+    "login.verifying.text": "Please wait while we authenticate your access...",
+    "login.restoring.title": "Restoring Session",
+    "login.restoring.text": "Signing in on this remembered device...",
+    "login.lockout": "{message} • Too many attempts, try again in {time}",
+    "login.noHost": "Open this page from the NX TWEAKER app to verify your key",
+    "login.unexpected": "Unexpected Response",
+  },
+
+  ar: {
+    "notify.success": "تم بنجاح!",
+    "notify.error": "خطأ",
+    "notify.warning": "تحذير",
+    "notify.info": "معلومات",
+    "notify.loading": "جارٍ التحميل...",
+    "notify.default": "إشعار",
+    "notify.close": "إغلاق الإشعار",
+    "notify.viewLog": "عرض السجل",
+    "notify.undo": "تراجع",
+
+    "time.d": "ي",
+    "time.h": "س",
+    "time.m": "د",
+    "time.s": "ث",
+
+    "host.running": 'جارٍ تشغيل "{label}"...',
+    "host.waiting": '"{label}" بانتظار انتهاء {blocker}...',
+    "host.completed": "اكتمل {label}",
+    "host.cancelled": "تم إلغاء {label}",
+    "host.noResponse": "لا توجد استجابة",
+    "host.unknownEvent": 'أرسل التطبيق حدثاً غير معروف "{name}"',
+    "host.ignored": "تم تجاهل رسالة التطبيق",
+    "host.invalid": "رسالة غير صالحة من التطبيق",
+    "host.invalidDetail": "رسالة غير صالحة من التطبيق: {error}",
+    "host.unexpectedType": 'رسالة "{type}" غير متوقعة من التطبيق',
+    "host.unknownCommand": 'أمر غير معروف "{command}"',
+    "host.unknownResult": 'أجاب التطبيق بنتيجة غير معروفة "{code}"',
+    "host.missingElement": 'طلب التطبيق النقر على عنصر غير موجود "{id}"',
+    "host.sendFailed": "تعذّر إرسال {name}: {error}",
+
+    "license.left": "الترخيص: متبقٍ {time}",
+    "license.expired": "انتهت صلاحية الترخيص",
+    "license.expires": "ينتهي في {date}",
+    "license.renew": "جدّد ترخيصك لمواصلة استخدام NX TWEAKER",
+    "license.result.ok.title": "تم التحقق من الترخيص بنجاح!",
+    "license.result.ok.message": "مرحباً بك في NX TWEAKER الإصدار الاحترافي",
+    "license.result.invalid.title": "مفتاح ترخيص غير صالح",
+    "license.result.invalid.message": "يرجى التحقق من المفتاح والمحاولة مرة أخرى",
+    "license.result.expired.title": "انتهت صلاحية الترخيص",
+    "license.result.expired.message": "جدّد ترخيصك لمواصلة استخدام NX TWEAKER",
+    "license.result.device-limit.title": "تم بلوغ حد الأجهزة",
+    "license.result.device-limit.message": "هذا المفتاح مفعّل بالفعل على الحد الأقصى من الأجهزة",
+    "license.result.host-error.title": "فشل التحقق",
+    "license.result.host-error.message": "تعذّر على NX TWEAKER التحقق من المفتاح. أعد تشغيل التطبيق وحاول مرة أخرى.",
+    "license.result.offline.title": "لا يوجد اتصال",
+    "license.result.offline.message": "تعذّر الوصول إلى خادم التراخيص. تحقق من اتصالك وحاول مرة أخرى.",
+
+    "nav.dashboard": "الرئيسية",
+    "nav.clean": "التنظيف",
+    "nav.gameloop": "GameLoop",
+    "nav.tweeks": "التحسينات",
+    "nav.settings": "الإعدادات",
+    "nav.windows": "ويندوز",
+    "nav.fortnite": "فورتنايت",
+    "nav.recipes": "الوصفات",
+    "nav.history": "السجل",
+    "nav.activity": "النشاط",
+
+    "page.clean": "منظف النظام",
+    "page.gameloop": "محسّن GameLoop",
+    "page.tweeks": "تحسينات النظام",
+    "page.settings": "الإعدادات",
+    "page.windows": "أدوات ويندوز",
+    "page.fortnite": "محسّن فورتنايت",
+    "page.recipes": "الوصفات",
+    "page.history": "سجل التغييرات",
+    "page.activity": "سجل النشاط",
+
+    "common.export": "تصدير",
+    "common.import": "استيراد",
+    "common.clear": "مسح",
+    "common.delete": "حذف",
+
+    "home.hero.title": "مرحباً بك في NX TWEAKER",
+    "home.hero.subtitle": "الحزمة المتكاملة لتحسين أداء النظام",
+    "home.stat.version": "الإصدار",
+    "home.stat.tools": "أداة",
+    "home.stat.fps": "أقصى FPS",
+    "home.feature.boost.title": "تعزيز الأداء",
+    "home.feature.boost.text": "حسّن نظامك لأقصى سرعة وكفاءة",
+    "home.feature.secure.title": "آمن وموثوق",
+    "home.feature.secure.text": "جميع التحسينات مُختبرة وقابلة للتراجع حفاظاً على سلامتك",
+    "home.feature.gaming.title": "جاهز للألعاب",
+    "home.feature.gaming.text": "تحسينات مخصصة لأداء الألعاب",
+    "home.monitor.title": "مراقب النظام",
+    "home.monitor.subtitle": "قراءات مباشرة يرسلها NX TWEAKER",
+    "home.metric.freq": "التردد: {value}",
+    "home.metric.temp": "الحرارة: {value}",
+    "home.metric.memory": "الذاكرة: {value}",
+    "home.metric.used": "المستخدم: {value}",
+    "home.metric.free": "المتاح: {value}",
+    "home.metric.total": "الإجمالي: {value}",
+    "home.metric.cores": "الأنوية: {value}",
+    "home.metric.threads": "المسارات: {value}",
+    "home.state.live": "مباشر",
+    "home.state.stale": "متأخر",
+    "home.state.unavailable": "غير متاح",
+    "home.state.demo": "تجريبي",
+    "home.benchmarks.title": "قبل وبعد",
+    "home.benchmarks.subtitle": "ما الذي غيّره التنظيف الكامل والتحسين الأمثل وإزالة البرامج غير الضرورية فعلاً",
+    "home.recommend.title": "موصى به لجهازك",
+    "home.recommend.subtitle": "إعدادات وتحسينات مختارة حسب مواصفات جهازك",
+    "home.updates.title": "التحديثات والأخبار",
+    "home.updates.subtitle": "ابقَ على اطلاع بأحدث الميزات",
+
+    "recommend.basedOn": "بناءً على {specs}",
+    "recommend.waiting": "بانتظار أن يرسل NX TWEAKER مواصفات جهازك",
+    "recommend.badge.preset": "إعداد",
+    "recommend.badge.tweak": "تحسين",
+    "recommend.apply": "تطبيق",
+    "recommend.run": "تشغيل",
+    "recommend.dismiss": "إخفاء",
+    "recommend.restore": "إظهار المخفية ({count})",
+    "recommend.failed": "تعذّر تطبيق {name}",
+    "recommend.part.cpu": "المعالج",
+    "recommend.part.ram": "الذاكرة",
+    "recommend.part.gpu": "كرت الشاشة",
+    "recommend.spec.cpu": "{cores} أنوية",
+    "recommend.spec.cpuFreq": "{cores} أنوية بتردد {freq} GHz",
+    "recommend.spec.ram": "ذاكرة {total} GB",
+    "recommend.spec.gpu": "ذاكرة رسومية {memory} GB",
+    "recommend.spec.display": "شاشة {hz} Hz",
+    "recommend.reason.limit": "{part} هو ما يحدّ الأداء: {value}",
+    "recommend.reason.light": "الجودة الأقل تحافظ على 120 إطاراً ثابتة على هذا الجهاز",
+    "recommend.reason.display": "{fps} إطاراً هو أقصى ما تعرضه شاشتك بتردد {hz} Hz",
+    "recommend.reason.displayUnknown": "لم يُرسَل معدل تحديث الشاشة، لذا يُفترض 60 Hz",
+    "recommend.why.park-control": "{cores} أنوية: إبقاؤها كلها نشطة يمنع التقطيع عندما توزّع اللعبة عملها",
+    "recommend.why.timer-resolution": "مع {cores} أنوية فقط، مؤقت نظام أدق يجعل الإطارات أكثر انتظاماً",
+    "recommend.why.clean-ram": "ذاكرة {total} GB فقط: تحرير الذاكرة قبل المباراة يترك المزيد للمحاكي",
+    "recommend.why.visual-effects": "حركات Windows تستهلك ذاكرة ووقت كرت الشاشة الذي تحتاجه اللعبة",
+    "recommend.why.cru": "شاشتك تعمل بتردد {hz} Hz؛ يمكن لـ CRU تجربة معدل أعلى لتظهر إعدادات 90 و120 إطاراً",
+
+    "gameloop.mods": "التعديلات",
+    "gameloop.inspector": "فاحص الإعدادات الجاهزة",
+    "gameloop.builder": "منشئ الإعدادات الجاهزة",
+    "gameloop.profiles": "ملفات التطبيقات",
+
+    "settings.alerts.title": "قواعد التنبيه",
+    "settings.alerts.subtitle": "متى تنبهك لوحة التحكم بشأن استخدام المعالج وبطاقة الرسوميات والذاكرة والقرص",
+    "settings.language.title": "اللغة",
+    "settings.language.subtitle": "لغة الواجهة واتجاه التخطيط",
+    "settings.hotkeys.title": "اختصارات لوحة المفاتيح",
+    "settings.hotkeys.subtitle": "اضغط Ctrl+K في أي مكان للبحث في الصفحات والإجراءات، أو خصص مفاتيح لإجراء معين",
+    "settings.confirm.title": "التأكيدات",
+    "settings.confirm.subtitle": "الإجراءات التي طلبت عدم تأكيدها مجدداً",
+    "settings.confirm.none": "كل إجراء قد يغيّر نظامك يطلب التأكيد قبل تشغيله",
+    "settings.confirm.askAgain": "اسألني مجدداً",
+    "settings.confirm.askAll": "اسألني عنها كلها مجدداً",
+    "settings.packs.title": "حزم الإجراءات",
+    "settings.packs.subtitle": "صفحات إضافية لإجراءات خاصة بالألعاب، تُحمَّل من ملفات JSON",
+    "settings.packs.none": "لا توجد حزم إجراءات مثبتة",
+    "settings.packs.import": "استيراد حزمة",
+    "settings.packs.enable": "تفعيل {name}",
+    "settings.packs.source.bundled": "مضمّنة",
+    "settings.packs.source.imported": "مستوردة",
+    "settings.packs.actions": "{count} إجراءات",
+    "settings.packs.failed": "تعذّر التحميل",
+    "settings.packs.confirmRemove": "هل تريد إزالة حزمة الإجراءات {name}؟",
+    "settings.packs.importDone": "تم استيراد {count} حزمة إجراءات من {source}",
+    "settings.packs.skipped": "تم تخطي {source}",
+
+    "palette.label": "لوحة الأوامر",
+    "palette.placeholder": "ابحث في الصفحات والإجراءات والتعديلات...",
+    "palette.hint": "↑ ↓ للتنقل • Enter للتشغيل • Esc للإغلاق",
+    "palette.empty": 'لا توجد نتائج مطابقة لـ "{query}"',
+    "palette.page": "صفحة",
+    "palette.mod": "تعديل",
+    "risk.low": "خطورة منخفضة",
+    "risk.medium": "خطورة متوسطة",
+    "risk.high": "خطورة عالية",
+
+    "confirm.label": "تأكيد {label}",
+    "confirm.run": "تشغيل {label}",
+    "confirm.cancel": "إلغاء",
+    "confirm.effects": "ما الذي يتغير أيضاً",
+    "confirm.reboot": "يلزم إعادة التشغيل للإكمال",
+    "confirm.journal": "يمكن التراجع عنه من صفحة السجل",
+    "confirm.reversible": "يمكن التراجع عنه لاحقاً",
+    "confirm.irreversible": "لا يمكن التراجع عنه",
+    "confirm.admin": "يعمل بصلاحيات المسؤول",
+    "confirm.typed": "اكتب {word} للتأكيد",
+    "confirm.skip": "لا تسألني مجدداً عن هذا الإجراء",
+    "confirm.recipe.title": "تشغيل {name}",
+    "confirm.recipe.text": "تحتاج {count} خطوة في هذه الوصفة إلى تأكيدك:",
+    "palette.busy": "{label} قيد التشغيل بالفعل",
+    "palette.missing": "زر {label} غير موجود في الصفحة",
+
+    "hotkeys.head.action": "الإجراء",
+    "hotkeys.head.page": "الصفحة",
+    "hotkeys.head.key": "الاختصار",
+    "hotkeys.none": "غير محدد",
+    "hotkeys.press": "اضغط المفاتيح...",
+    "hotkeys.recordHint": "انقر ثم اضغط المفاتيح الجديدة. Esc للإلغاء و Backspace لحذف الاختصار.",
+    "hotkeys.reset": "استعادة الافتراضي",
+    "hotkeys.needsModifier": "استخدم Ctrl أو Alt مع {key} حتى لا تتأثر الكتابة",
+    "hotkeys.reserved": "{key} يفتح لوحة الأوامر",
+    "hotkeys.taken": "{key} مستخدم بالفعل لـ {label}",
+
+    "recipes.new": "وصفة جديدة",
+    "recipes.exportAll": "تصدير الكل",
+
+    "chart.showHistory": "عرض السجل",
+    "chart.window.1m": "1 د",
+    "chart.window.10m": "10 د",
+    "chart.window.1h": "1 س",
+    "chart.title": "سجل {metric}",
+    "chart.stat.min": "الأدنى: {value}",
+    "chart.stat.avg": "المتوسط: {value}",
+    "chart.stat.max": "الأقصى: {value}",
+    "chart.stat.samples": "العينات: {count}",
+    "chart.close": "إغلاق",
+    "chart.empty": "لا توجد عينات في هذه الفترة بعد",
+    "chart.now": "الآن",
+    "chart.persist": "الاحتفاظ بالسجل بين الجلسات",
+    "benchmark.title": "قياس الأداء",
+    "benchmark.measuring": "جارٍ قياس تأثير {label} لمدة {seconds} ث...",
+    "benchmark.empty": "لا توجد قياسات بعد. شغّل التنظيف الكامل أو التحسين أو إزالة البرامج الزائدة لتسجيل قياس.",
+    "benchmark.success": "نجح",
+    "benchmark.failed": "فشل",
+    "benchmark.notAvailable": "غير متاح",
+    "benchmark.field.cpu.usage": "المعالج",
+    "benchmark.field.ram.usage": "الذاكرة",
+    "benchmark.field.ram.used": "الذاكرة المستخدمة",
+    "benchmark.field.disk.usage": "القرص",
+    "benchmark.field.disk.free": "مساحة القرص الحرة",
+    "recipes.error.object": "يجب أن تكون الوصفة كائناً",
+    "recipes.error.name": "الاسم مطلوب",
+    "recipes.error.onError": 'عند الخطأ يجب أن تكون "stop" أو "continue"',
+    "recipes.error.noSteps": "تحتاج الوصفة إلى خطوة واحدة على الأقل",
+    "recipes.error.stepObject": "يجب أن تكون الخطوة {n} كائناً",
+    "recipes.error.unknownAction": 'الخطوة {n}: إجراء غير معروف "{action}"',
+    "recipes.error.args": "الخطوة {n}: يجب أن تكون المعاملات كائناً",
+    "recipes.error.delay": "الخطوة {n}: يجب أن يكون التأخير بين 0 و{max} دقائق",
+    "recipes.error.json": "ليس JSON صالحاً: {error}",
+    "recipes.error.newer": "يحتاج هذا الملف إلى إصدار أحدث (تنسيق الوصفات {version})",
+    "recipes.numbered": "الوصفة {n}",
+    "recipes.summary": "اكتملت {done} من {total} خطوة",
+    "recipes.cancelled": "تم إلغاء {name}",
+    "recipes.failed": "فشل {name}",
+    "recipes.empty": "لا توجد وصفات بعد. أنشئ واحدة أو استورد ملفاً من فريقك.",
+    "recipes.imported": "تم استيراد {count} وصفة من {source}",
+    "recipes.skipped": "تم تخطي بعض الوصفات في {source}",
+    "recipes.confirmDelete": 'حذف الوصفة "{name}"؟',
+    "recipes.mode.stop": "تتوقف عند الخطأ",
+    "recipes.mode.continue": "تستمر عند الخطأ",
+    "recipes.thenWait": "ثم انتظار {seconds} ث",
+    "recipes.run": "تشغيل",
+    "recipes.edit": "تعديل",
+    "recipes.save": "حفظ",
+    "recipes.dismiss": "إخفاء",
+    "recipes.addStep": "إضافة خطوة",
+    "recipes.field.name": "الاسم",
+    "recipes.field.description": "الوصف",
+    "recipes.field.onError": "عند فشل خطوة",
+    "recipes.onError.stop": "إيقاف الوصفة",
+    "recipes.onError.continue": "المتابعة إلى الخطوة التالية",
+    "recipes.step.action": "إجراء الخطوة {n}",
+    "recipes.step.args": "معاملات الخطوة {n} (JSON)",
+    "recipes.step.argsPlaceholder": "المعاملات، مثل {}",
+    "recipes.step.delay": "الانتظار بعد الخطوة {n} (بالثواني)",
+    "recipes.step.delayHint": "عدد الثواني للانتظار بعد هذه الخطوة",
+    "recipes.step.up": "نقل لأعلى",
+    "recipes.step.down": "نقل لأسفل",
+    "recipes.step.remove": "إزالة الخطوة",
+    "recipes.step.pending": "قيد الانتظار",
+    "recipes.step.running": "قيد التشغيل",
+    "recipes.step.waiting": "بانتظار المهلة",
+    "recipes.step.done": "تم",
+    "recipes.step.failed": "فشل",
+    "recipes.step.skipped": "تم التخطي",
+    "recipes.error.argsJson": "الخطوة {n}: المعاملات ليست JSON صالحاً",
+    "recipes.run.queued": "في الطابور",
+    "recipes.run.running": "قيد التشغيل",
+    "recipes.run.cancelling": "جارٍ الإلغاء",
+    "recipes.run.done": "تم",
+    "recipes.run.failed": "فشل",
+    "recipes.run.cancelled": "أُلغي",
+    "graphics.on": "تشغيل",
+    "graphics.off": "إيقاف",
+    "graphics.level": "المستوى {value}",
+    "presets.error.read": "تعذّرت قراءة {path} ({status})",
+    "presets.error.storage": "لا توجد مساحة تخزين كافية للاحتفاظ بهذا الإعداد",
+    "presets.reading": "جارٍ قراءة الإعدادات المرفقة...",
+    "presets.unreadable": 'تعذّرت قراءة {count} إعداد هنا. استخدم "فتح ملف .sav" لفحص ملف مباشرة.',
+    "presets.loaded": "تم تحميل {count} إعداد",
+    "presets.opened": "تم فتح {name}",
+    "presets.notPreset": "ليس ملف إعدادات",
+    "presets.showAll": "عرض كل الخصائص",
+    "presets.details": "{name} — {saveClass}، UE {engine}، {count} خاصية",
+    "presets.inspect": "فحص الإعدادات المرفقة",
+    "presets.open": "فتح ملف .sav",
+    "builder.name": "الاسم",
+    "builder.template": "البدء من",
+    "builder.save": "حفظ الإعداد",
+    "builder.editing": "تحرير نسخة من {name}",
+    "builder.nameRequired": "أدخل اسماً للإعداد أولاً",
+    "builder.templateRequired": "اختر قالباً للبدء منه",
+    "builder.error.layout": "يستخدم {name} تنسيقاً لا يستطيع الكاتب إعادة إنتاجه",
+    "builder.error.roundTrip": "لم تصمد {key} في إعادة القراءة",
+    "builder.saved": 'تم حفظ "{name}" مع {count} تغيير',
+    "builder.ready": "{name} جاهز في صفحة Gameloop وفي اللوحة السريعة",
+    "builder.savedTitle": "تم حفظ الإعداد",
+    "builder.notSaved": "لم يُحفظ الإعداد",
+    "builder.meta": "من {template} • {count} تغيير",
+    "builder.confirmDelete": 'حذف الإعداد "{name}"؟',
+    "diff.title": "مقارنة الإعدادات",
+    "diff.heading": "مقارنة الإعدادات",
+    "diff.left": "الإعداد الأيسر",
+    "diff.right": "الإعداد الأيمن",
+    "diff.vs": "مقابل",
+    "diff.onlyChanges": "الاختلافات فقط",
+    "diff.mine": "{name} (خاص بي)",
+    "diff.current": "حفظ اللعبة الحالي",
+    "diff.deleted": "تم حذف هذا الإعداد",
+    "diff.reading": "جارٍ قراءة الإعدادات...",
+    "diff.summary": "{changed} متغيّر، {added} مُضاف، {removed} محذوف • {same} متطابق",
+    "diff.property": "الخاصية",
+    "diff.status.changed": "متغيّر",
+    "diff.status.added": "مُضاف",
+    "diff.status.removed": "محذوف",
+    "diff.status.same": "متطابق",
+    "diff.identical": "هذان الإعدادان متطابقان",
+    "diff.handle": "المقارنة مع إعداد آخر",
+    "diff.compare": "مقارنة",
+    "tvm.loadHost": "تحميل من Gameloop",
+    "tvm.loadBundled": "تحميل المرفق",
+    "tvm.open": "فتح XML",
+    "tvm.reset": "إعادة تعيين عدد مرات التشغيل",
+    "tvm.resetHint": "التطبيقات المحددة فقط، أو كل التطبيقات إذا لم يُحدَّد أي منها",
+    "tvm.download": "تنزيل XML",
+    "tvm.save": "حفظ في Gameloop",
+    "tvm.unreadable": "ملف ملفات تعريف غير مقروء",
+    "tvm.error.host": "تعذّرت قراءة ملفات تعريف Gameloop: {error}",
+    "tvm.error.bundled": "تعذّرت قراءة ملف TVM_100.xml المرفق ({error}). افتح الملف بدلاً من ذلك.",
+    "tvm.resetDone": "أُعيد تعيين عدد مرات التشغيل لـ {count} تطبيق. احفظ لكتابته في Gameloop.",
+    "tvm.resetTitle": "عدد مرات التشغيل",
+    "tvm.label": "ملفات تعريف Gameloop",
+    "tvm.empty": "حمّل ملفات تعريف Gameloop لتحريرها",
+    "tvm.loaded": "{count} تطبيق من {source}",
+    "tvm.unsaved": "تغييرات غير محفوظة",
+    "tvm.started": "شُغّل {count} مرة",
+    "tvm.keyMappings": "{count} تعيين مفاتيح",
+    "tvm.updated": "{apk}: تم تحديث {field}",
+    "tvm.field.ModeID": "الوضع",
+    "tvm.field.EnableTips": "تلميحات المفاتيح",
+    "tvm.field.EnableGameKeyDT": "اكتشاف مفاتيح اللعبة",
+    "tvm.field.TipsTransparent": "شفافية التلميحات",
+    "tvm.field.Lightness": "السطوع",
+    "tvm.field.EnableSwitchViewLockMethod": "مفتاح قفل العرض",
+    "tvm.field.ExitFullScreenKey": "مفتاح الخروج من ملء الشاشة",
+    "journal.revertLabel": "التراجع عن {label}",
+    "journal.rollbackConfirm": "التراجع عن {count} تغيير منذ {since}؟",
+    "journal.rolledBack": "تم التراجع عن {count} تغيير حتى {since}",
+    "journal.rollbackDone": "اكتمل التراجع",
+    "journal.rollbackPartial": "تم التراجع عن {reverted} من {count} تغيير؛ البقية ما زالت مطبّقة",
+    "journal.rollbackStopped": "توقف التراجع",
+    "journal.clearConfirm": "مسح سجل التغييرات؟ لا يمكن التراجع عن الإدخالات الممسوحة.",
+    "journal.empty": "لم تُطبَّق أي تحسينات بعد. تظهر هنا التغييرات من صفحات التحسينات والإعدادات وويندوز.",
+    "journal.notSet": "(غير معيّن)",
+    "journal.status.applied": "مطبّق",
+    "journal.status.reverted": "تم التراجع",
+    "journal.status.failed": "فشل",
+    "journal.revertedAt": "تم التراجع {time}",
+    "journal.revertFailed": "فشل التراجع: {error}",
+    "journal.unreported": "لم يُبلغ التطبيق بما تغيّر؛ لا يمكن التراجع عن هذا الإدخال",
+    "journal.unchanged": "لم يتغيّر شيء",
+    "journal.revert": "تراجع",
+    "journal.rollback": "التراجع حتى هنا",
+    "journal.rollbackHint": "التراجع عن هذا التغيير وكل ما طُبّق بعده",
+    "alerts.metric.cpu": "المعالج",
+    "alerts.metric.gpu": "كرت الشاشة",
+    "alerts.metric.ram": "الذاكرة",
+    "alerts.metric.disk": "القرص",
+    "alerts.metric.proc": "وحدة المعالجة",
+    "alerts.column.metric": "المقياس",
+    "alerts.column.enabled": "مفعّل",
+    "alerts.column.warn": "تحذير %",
+    "alerts.column.critical": "حرج %",
+    "alerts.column.sustain": "المدة (ث)",
+    "alerts.column.hysteresis": "هامش التعافي",
+    "alerts.column.action": "الإجراء المقترح",
+    "alerts.reset": "استعادة الافتراضيات",
+    "alerts.none": "لا شيء",
+    "alerts.actionMissing": '"{action}" (غير متاح)',
+    "alerts.error.warn": "يجب أن يكون مستوى التحذير بين 1 و100",
+    "alerts.error.critical": "يجب أن يكون المستوى الحرج بين 1 و100",
+    "alerts.error.order": "يجب أن يكون مستوى التحذير أقل من المستوى الحرج",
+    "alerts.error.sustain": "يجب أن تكون المدة بين 0 و3600 ثانية",
+    "alerts.error.hysteresis": "يجب أن يكون هامش التعافي بين 0 و50",
+    "alerts.error.action": 'إجراء مقترح غير معروف "{action}"',
+    "alerts.recovered": "عاد استخدام {metric} إلى {value}%",
+    "alerts.recoveredTitle": "تعافى {metric}",
+    "alerts.above": "تجاوز استخدام {metric} {threshold}% (حالياً {value}%)",
+    "alerts.aboveFor": "تجاوز استخدام {metric} {threshold}% لمدة {seconds} ث (حالياً {value}%)",
+    "alerts.criticalTitle": "{metric} في مستوى حرج",
+    "alerts.highTitle": "{metric} مرتفع",
+    "alerts.run": "تشغيل {label}",
+    "graphics.setting.BattleFPS": "معدل الإطارات (المباراة)",
+    "graphics.setting.LobbyFPS": "معدل الإطارات (الردهة)",
+    "graphics.setting.MainCityFPS": "معدل الإطارات (المدينة الرئيسية)",
+    "graphics.setting.FPSLevel": "مستوى معدل الإطارات",
+    "graphics.setting.BattleRenderQuality": "الرسومات (المباراة)",
+    "graphics.setting.LobbyRenderQuality": "الرسومات (الردهة)",
+    "graphics.setting.MainCityRenderQuality": "الرسومات (المدينة الرئيسية)",
+    "graphics.setting.ManorRenderQuality": "الرسومات (القصر)",
+    "graphics.setting.BattleRenderStyle": "النمط (المباراة)",
+    "graphics.setting.LobbyRenderStyle": "النمط (الردهة)",
+    "graphics.setting.GraphicFavor": "تفضيل الرسومات",
+    "graphics.setting.GFBestQLobby": "أفضل جودة (الردهة)",
+    "graphics.setting.GFBestQBattle": "أفضل جودة (المباراة)",
+    "graphics.setting.HasGraphicsSeparateConfig": "رسومات منفصلة للردهة والمباراة",
+    "graphics.setting.ScreenLightness": "السطوع",
+    "graphics.fps.1": "منخفض",
+    "graphics.fps.2": "منخفض (20)",
+    "graphics.fps.3": "متوسط (25)",
+    "graphics.fps.4": "عالٍ (30)",
+    "graphics.fps.5": "فائق (40)",
+    "graphics.fps.6": "أقصى (60)",
+    "graphics.fps.7": "90 FPS",
+    "graphics.fps.8": "120 FPS",
+    "graphics.quality.1": "سلس",
+    "graphics.quality.2": "متوازن",
+    "graphics.quality.3": "HD",
+    "graphics.quality.4": "HDR",
+    "graphics.quality.5": "Ultra HD",
+    "graphics.quality.6": "Ultra HDR",
+    "graphics.style.1": "كلاسيكي",
+    "graphics.style.2": "ملوّن",
+    "graphics.style.3": "واقعي",
+    "graphics.style.4": "ناعم",
+    "graphics.style.5": "سينمائي",
+
+    "journal.rollbackTitle": "التراجع عن التغييرات",
+    "journal.clearTitle": "مسح سجل التغييرات",
+    "builder.deleteTitle": "حذف الإعداد",
+    "recipes.deleteTitle": "حذف الوصفة",
+    "settings.packs.removeTitle": "إزالة حزمة الإجراءات",
+    "activity.clearTitle": "مسح سجل النشاط",
+
+    "recipes.step.missing": '"{action}" (غير متاح)',
+    "recipes.error.missingAction": 'الإجراء "{action}" غير متاح. هل حزمة الإجراءات الخاصة به مفعّلة؟',
+
+    "jobs.panel": "قائمة الإجراءات",
+    "jobs.clear": "مسح المنتهية",
+    "jobs.inProgress": "الإجراءات • {count} قيد التنفيذ",
+    "jobs.allFinished": "الإجراءات • انتهت كلها",
+    "jobs.waitingFor": "بانتظار {label}",
+    "jobs.cancel": "إلغاء {label}",
+    "jobs.group.emulator": "تشغيل المحاكي وإيقافه",
+    "jobs.group.network": "الشبكة",
+    "jobs.group.disk": "تنظيف القرص",
+    "jobs.group.system": "تعديلات النظام",
+    "jobs.group.graphics": "رسومات اللعبة",
+    "jobs.state.pending": "قيد الانتظار",
+    "jobs.state.running": "قيد التشغيل",
+    "jobs.state.done": "تم",
+    "jobs.state.failed": "فشل",
+    "jobs.state.unconfirmed": "لا رد",
+    "jobs.state.cancelled": "أُلغي",
+    "activity.search": "ابحث في السجل...",
+    "activity.severity": "الخطورة",
+    "activity.action": "الإجراء",
+    "activity.level.debug": "كل شيء",
+    "activity.level.info": "المعلومات وما فوق",
+    "activity.level.warning": "التحذيرات والأخطاء",
+    "activity.level.error": "الأخطاء فقط",
+    "activity.allActions": "كل الإجراءات",
+    "activity.exportJson": "تصدير JSON",
+    "activity.exportText": "تصدير نص",
+    "activity.summary": "عرض {shown} من {total} إدخال",
+    "activity.empty": "لم يُسجَّل شيء بعد. تظهر هنا الإجراءات وردود البرنامج والتنبيهات والأخطاء.",
+    "activity.noMatch": "لا توجد إدخالات تطابق هذه الفلاتر",
+    "activity.confirmClear": "مسح سجل النشاط؟ لن يتمكن الدعم من رؤية ما حدث قبل الآن.",
+
+    "action.full-clean": "تنظيف كامل",
+    "action.clean-ram": "تنظيف الذاكرة",
+    "action.ip-flush": "تحديث عنوان IP",
+    "action.reset-firewall": "إعادة ضبط الجدار الناري",
+    "action.clear-temp": "حذف الملفات المؤقتة",
+    "action.kill-emulator": "إغلاق المحاكي",
+    "action.fix-98": "إصلاح 98",
+    "action.environment-fix": "إصلاح البيئة",
+    "action.super-smooth": "سلس فائق 120 FPS",
+    "action.ultra-hd": "Ultra HD 120 FPS",
+    "action.hdr": "HDR 120 FPS",
+    "action.smooth": "سلس 120 FPS",
+    "action.t-box-speed": "تسريع T Box",
+    "action.park-control": "التحكم في إيقاف الأنوية",
+    "action.timer-resolution": "دقة المؤقت",
+    "action.cru": "CRU",
+    "action.filterkeys": "مفاتيح التصفية",
+    "action.optimized-tweak": "التحسين الأمثل",
+    "action.debloat": "إزالة البرامج غير الضرورية",
+    "action.control-panel": "لوحة التحكم",
+    "action.visual-effects": "التأثيرات المرئية",
+    "action.msconfig": "Msconfig",
+    "action.windows-update-blocker": "حظر تحديثات ويندوز",
+    "action.defender-control": "التحكم في Defender",
+    "action.nx-script": "سكربت Nx",
+    "action.basic": "أساسي",
+    "action.advanced": "متقدم",
+    "action.ultimate": "الأقصى",
+    "action.windows-10-activation": "تفعيل ويندوز 10",
+    "action.basicF": "أساسي",
+    "action.advancedF": "متقدم",
+    "action.ultimateF": "الأقصى",
+    "action.commend": "الأوامر",
+    "action.cleanF": "تنظيف",
+    "action.apply-preset": "تطبيق إعداد رسومات",
+
+    "action.full-clean.description": "يحذف الملفات المؤقتة وذاكرة التخزين المؤقت والسجلات من النظام بالكامل.",
+    "action.full-clean.effect.0": "تُفرَّغ ذاكرة المتصفح والتطبيقات المؤقتة، لذا يكون أول تشغيل لكل تطبيق أبطأ",
+    "action.full-clean.effect.1": "تُحذف ملفات سجلات Windows والتطبيقات",
+    "action.reset-firewall.description": "يعيد جدار حماية Windows إلى إعداداته الافتراضية.",
+    "action.reset-firewall.effect.0": "تُحذف كل قواعد الدخول والخروج المخصصة",
+    "action.reset-firewall.effect.1": "قد تطلب الألعاب والتطبيقات الوصول إلى الشبكة مرة أخرى",
+    "action.optimized-tweak.description":
+      "يغيّر إعدادات السجل والطاقة والخدمات لتقليل زمن الاستجابة. أنشئ نقطة استعادة أولاً.",
+    "action.optimized-tweak.effect.0": "تتغير خطة الطاقة وإعدادات تقييد المعالج",
+    "action.optimized-tweak.effect.1": "تُعطَّل بعض خدمات الخلفية",
+    "action.debloat.description": "يزيل تطبيقات Windows المدمجة ويعطّل خدمات الخلفية.",
+    "action.debloat.effect.0": "يجب إعادة تثبيت التطبيقات المحذوفة من Microsoft Store",
+    "action.debloat.effect.1": "تتوقف خدمات القياس عن بُعد و SysMain وخدمات خلفية أخرى",
+    "action.windows-update-blocker.description": "يمنع Windows Update من تنزيل التحديثات وتثبيتها.",
+    "action.windows-update-blocker.effect.0": "لا تُثبَّت التصحيحات الأمنية حتى يُلغى حظر التحديثات",
+    "action.windows-update-blocker.effect.1": "قد تتوقف تحديثات تطبيقات Microsoft Store أيضاً",
+    "action.defender-control.description": "يوقف الحماية في الوقت الحقيقي في Microsoft Defender.",
+    "action.defender-control.effect.0": "لا تُفحص الملفات عند فتحها أو تنزيلها",
+    "action.defender-control.effect.1": "يستمر أمان Windows في التحذير حتى تُعاد الحماية",
+    "action.nx-script.description": "يطبّق مجموعة من التحسينات على مستوى النظام.",
+    "action.nx-script.effect.0": "تتغير إعدادات السجل والخدمات والمهام المجدولة",
+    "action.advanced.description": "يطبّق التحسينات الأساسية مع تغييرات أعمق على الخدمات والمهام المجدولة.",
+    "action.advanced.effect.0": "يشمل كل ما في الحزمة الأساسية",
+    "action.advanced.effect.1": "تُعطَّل خدمات الخلفية والمهام المجدولة",
+    "action.ultimate.description": "يطبّق كل تحسينات Windows، بما في ذلك تغييرات الخدمات والأمان.",
+    "action.ultimate.effect.0": "يشمل كل ما في الحزمتين الأساسية والمتقدمة",
+    "action.ultimate.effect.1": "تُعطَّل خدمات وميزات أمان",
+    "action.advancedF.description": "يطبّق تحسينات Fortnite الأساسية مع تغييرات في النظام لتقليل تأخر الإدخال.",
+    "action.advancedF.effect.0": "تُستبدل إعدادات الرسوميات في Fortnite",
+    "action.advancedF.effect.1": "تتغير إعدادات الطاقة والشبكة على مستوى النظام",
+    "action.ultimateF.description": "يطبّق كل تحسينات Fortnite، بما في ذلك تغييرات على مستوى النظام.",
+    "action.ultimateF.effect.0": "تُستبدل إعدادات الرسوميات والتحكم في Fortnite",
+    "action.ultimateF.effect.1": "تشمل تغييرات النظام من حزم Windows",
+    "action.cleanF.description": "يحذف ذاكرة التخزين المؤقت والسجلات وملفات الإعداد الخاصة بـ Fortnite.",
+    "action.cleanF.effect.0": "تعود إعدادات Fortnite إلى الافتراضي عند التشغيل التالي",
+    "action.cleanF.effect.1": "يُعاد بناء ذاكرة التظليل المؤقتة عند التشغيل التالي",
+    "action.apply-preset.description": "يستبدل ملف إعدادات الرسومات في اللعبة (Active.sav) بالإعداد المختار.",
+    "action.apply-preset.effect.0": "تُستبدل إعدادات الرسومات الحالية في اللعبة",
+
+    "free.loading.title": "جارٍ تهيئة تعديلات PUBG...",
+    "free.loading.text": "جارٍ تحميل المحرك الأساسي وقراءة ملفات الإعداد وتجهيز التحسينات الآمنة...",
+    "free.loading.unlock": "لفتح النسخة المدفوعة الكاملة، انضم إلى خادم Discord الخاص بنا.",
+    "free.loading.engineTitle": "جارٍ تهيئة المحرك...",
+    "free.loading.engineText": "جارٍ تحميل الوحدات الأساسية وقراءة الإعدادات وتجهيز التحسينات الآمنة...",
+    "free.loading.unlockTitle": "افتح النسخة الكاملة",
+    "free.welcome.title": "مرحباً بك في تعديلات PUBG من NX",
+    "free.welcome.text": "ارتقِ بتجربة PUBG إلى أقصى حد مع رسومات سينمائية وإطارات فائقة السلاسة.",
+    "free.welcome.enter": "دخول لوحة التحكم",
+    "free.section.graphics": "الرسومات",
+    "free.section.smooth": "السلاسة",
+    "free.section.hdr": "HDR",
+    "free.section.ultraHdr": "Ultra HDR",
+    "free.section.myPresets": "إعداداتي",
+    "free.section.emulator": "المحاكي",
+    "free.section.notice": "ملاحظة",
+    "free.notice.text": "هذه هي النسخة المجانية وليست النسخة الكاملة. للشراء، تواصل معنا:",
+    "free.mod.supersmooth120": "سلس فائق 120FPS",
+    "free.mod.smooth120": "سلس 120FPS",
+    "free.mod.balanced120": "متوازن 120FPS",
+    "free.mod.hdr60": "HDR 60FPS",
+    "free.mod.hdr90": "HDR 90FPS",
+    "free.mod.hdr120": "HDR 120FPS",
+    "free.mod.ultrahdr60": "Ultra HDR 60FPS",
+    "free.mod.ultrahdr90": "Ultra HDR 90FPS",
+    "free.mod.ultrahdr120": "Ultra HDR 120FPS",
+    "free.applying": "جارٍ تطبيق إعداد {name}...",
+    "free.modActivated": 'تم تفعيل التعديل "{mod}".',
+    "free.control.launchEmulator": "تشغيل المحاكي",
+    "free.control.launchGame": "تشغيل اللعبة",
+    "free.control.stopEmulator": "إيقاف المحاكي",
+    "free.job.launchGame": "تشغيل اللعبة",
+    "free.job.launchGamePending": "جارٍ تشغيل PUBG بملف التعديلات الحالي...",
+    "free.job.startEmulator": "تشغيل المحاكي",
+    "free.job.startEmulatorPending": "جارٍ تشغيل نسخة المحاكي...",
+    "free.job.stopEmulator": "إيقاف المحاكي",
+    "free.job.stopEmulatorPending": "جارٍ إيقاف عملية المحاكي...",
+    "free.job.waiting": "{label} بانتظار انتهاء {blocker}...",
+    "free.job.failed": "فشل {label}",
+    "free.job.unconfirmed": "تم إرسال {label} لكن المضيف لم يؤكد تنفيذه",
+    "session.label": "المحاكي",
+    "session.state.unknown": "بانتظار حالة المحاكي",
+    "session.state.stopped": "المحاكي متوقف",
+    "session.state.starting": "جارٍ تشغيل المحاكي...",
+    "session.state.running": "المحاكي يعمل",
+    "session.state.game-launched": "اللعبة قيد التشغيل",
+    "session.state.stopping": "جارٍ إيقاف المحاكي...",
+    "session.unavailable": "غير متاح حالياً: {state}",
+    "session.autoApply": "تطبيق {name} قبل تشغيل اللعبة",
+    "session.autoApplyNone": "طبّق إعداد رسومات لتشغيل اللعبة به",
+    "session.exit.emulator": "أُغلق المحاكي بشكل غير متوقع",
+    "session.exit.game": "أُغلقت اللعبة بشكل غير متوقع",
+    "session.exitCode": " (رمز الخروج {code})",
+    "session.timeout.starting": "لم يكتمل تشغيل المحاكي؛ حالته غير معروفة",
+    "session.timeout.stopping": "لم يؤكد المحاكي توقفه؛ حالته غير معروفة",
+    "session.presetFailed": "تعذّر تطبيق الإعداد، لذلك لم يتم تشغيل اللعبة",
+    "session.presetUnconfirmed": "لم يؤكد المضيف تطبيق الإعداد، لذلك لم يتم تشغيل اللعبة",
+
+    "login.help": "تحتاج مساعدة؟",
+    "login.tagline": "متقدم • موثوق • غير قابل للكشف",
+    "login.feature.boost": "تعزيز أداء متقدم",
+    "login.feature.secure": "غير قابل للكشف وآمن",
+    "login.feature.realtime": "تحسين في الوقت الفعلي",
+    "login.feature.quality": "جودة مميزة",
+    "login.online": "النظام متصل • جاهز للاستخدام",
+    "login.title": "بوابة الدخول",
+    "login.subtitle": "أدخل مفتاح الترخيص لفتح الميزات المميزة",
+    "login.keyLabel": "مفتاح الترخيص",
+    "login.showKey": "إظهار المفتاح",
+    "login.hideKey": "إخفاء المفتاح",
+    "login.remember": "تذكّر هذا الجهاز",
+    "login.button.enter": "أدخل مفتاح الترخيص",
+    "login.button.access": "دخول الأداة",
+    "login.button.verifying": "جارٍ التحقق...",
+    "login.button.locked": "أعد المحاولة بعد {time}",
+    "login.connect": "تواصل معنا",
+    "login.promo": "تجربة تحسين مميزة بانتظارك",
+    "login.verifying.title": "جارٍ التحقق من مفتاح الترخيص",
+    "login.verifying.text": "يرجى الانتظار أثناء التحقق من صلاحية وصولك...",
+    "login.restoring.title": "جارٍ استعادة الجلسة",
+    "login.restoring.text": "جارٍ تسجيل الدخول على هذا الجهاز المحفوظ...",
+    "login.lockout": "{message} • محاولات كثيرة جداً، أعد المحاولة بعد {time}",
+    "login.noHost": "افتح هذه الصفحة من تطبيق NX TWEAKER للتحقق من مفتاحك",
+    "login.unexpected": "استجابة غير متوقعة",
+  },
+}
+
+class I18n {
+  constructor(catalogs, storageKey = "nx.language") {
+    this.catalogs = catalogs
+    this.storageKey = storageKey
+    this.listeners = []
+    this.language = this.load()
+    // Bound so pages can keep a bare t() around
+    this.t = this.t.bind(this)
+  }
+
+  load() {
+    let stored = null
+    try {
+      stored = window.localStorage.getItem(this.storageKey)
+    } catch (error) {
+      console.log(`[v0] Could not read the language setting: ${error.message}`)
+    }
+    return I18N_LANGUAGES[stored] ? stored : I18N_DEFAULT_LANGUAGE
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  // Adds strings owned by another module, e.g. the English action labels
+  define(language, strings) {
+    this.catalogs[language] = Object.assign(this.catalogs[language] || {}, strings)
+  }
+
+  lookup(key) {
+    const own = this.catalogs[this.language] || {}
+    if (own[key] !== undefined) return own[key]
+    return this.catalogs[I18N_DEFAULT_LANGUAGE][key]
+  }
+
+  has(key) {
+    return this.lookup(key) !== undefined
+  }
+
+  t(key, params = {}, fallback = key) {
+    const text = this.lookup(key)
+    return String(text !== undefined ? text : fallback).replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match,
+    )
+  }
+
+  // The host's text for `field`, looked up by `${field}Key` when the catalog knows that key:
+  //   { message: "Freed 1.2 GB", messageKey: "host.clean.freed", params: { size: "1.2 GB" } }
+  hostText(source, field = "message") {
+    if (!source) return ""
+    const key = source[`${field}Key`]
+    if (typeof key === "string" && this.has(key)) return this.t(key, source.params || {})
+    return source[field]
+  }
+
+  timeUnits() {
+    return { d: this.t("time.d"), h: this.t("time.h"), m: this.t("time.m"), s: this.t("time.s") }
+  }
+
+  setLanguage(language) {
+    if (!I18N_LANGUAGES[language] || language === this.language) return
+    this.language = language
+    try {
+      window.localStorage.setItem(this.storageKey, language)
+    } catch (error) {
+      console.log(`[v0] Could not save the language setting: ${error.message}`)
+    }
+    this.apply()
+    this.listeners.forEach((listener) => listener(language))
+  }
+
+  // Elements keep their current text when no catalog has the key. data-i18n-html is
+  // only ever filled from the catalogs, never from host text.
+  apply(root = document) {
+    document.documentElement.lang = this.language
+    document.documentElement.dir = I18N_LANGUAGES[this.language].dir
+
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = this.t(el.dataset.i18n, {}, el.textContent)
+    })
+    root.querySelectorAll("[data-i18n-html]").forEach((el) => {
+      el.innerHTML = this.t(el.dataset.i18nHtml, {}, el.innerHTML)
+    })
+    I18N_ATTRIBUTES.forEach((attribute) => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+        el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`), {}, el.getAttribute(attribute)))
+      })
+    })
+  }
+}
+
+window.I18N_LANGUAGES = I18N_LANGUAGES
+window.I18n = I18n
+window.i18n = new I18n(I18N_CATALOGS)
+// Scripts are loaded at the end of <body>, so the markup is already there
+window.i18n.apply()
@@ -0,0 +1,258 @@
+// Central queue for host actions, shared by index.html (through runHostAction) and
+// free.html. Every job names the mutual-exclusion groups it belongs to; jobs that
+// share a group run one at a time in the order they were added, jobs with nothing in
+// common run side by side. A job's run(signal, job) gets an AbortSignal that fires
+// when the job is cancelled while running.
+
+const JOB_GROUP_LABELS = {
+  emulator: "Emulator lifecycle",
+  network: "Network",
+  disk: "Disk cleanup",
+  system: "System tweaks",
+  graphics: "Game graphics",
+}
+
+// English names; the interface reads them through jobs.group.* and jobs.state.*
+const JOB_STATE_LABELS = {
+  pending: "Pending",
+  running: "Running",
+  done: "Done",
+  failed: "Failed",
+  unconfirmed: "No answer",
+  cancelled: "Cancelled",
+}
+
+function jobQueueCatalog() {
+  const strings = {}
+  Object.keys(JOB_GROUP_LABELS).forEach((group) => (strings[`jobs.group.${group}`] = JOB_GROUP_LABELS[group]))
+  Object.keys(JOB_STATE_LABELS).forEach((state) => (strings[`jobs.state.${state}`] = JOB_STATE_LABELS[state]))
+  return strings
+}
+
+class JobCancelledError extends Error {
+  constructor(label) {
+    super(`${label} was cancelled`)
+    this.name = "JobCancelledError"
+    this.code = "cancelled"
+  }
+}
+
+// Thrown by a run() that gave up waiting for the host: the action was sent but nobody
+// said whether it worked, so the job is neither done nor failed
+class JobUnconfirmedError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "JobUnconfirmedError"
+    this.code = "unconfirmed"
+  }
+}
+
+class JobQueue {
+  constructor(options = {}) {
+    // Finished jobs stay listed in the panel until there are more than this
+    this.keepFinished = options.keepFinished || 20
+    this.jobs = []
+    this.listeners = []
+    this.sequence = 0
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+    return () => (this.listeners = this.listeners.filter((fn) => fn !== listener))
+  }
+
+  emit() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.jobs)
+      } catch (error) {
+        console.log(`[v0] JobQueue listener failed: ${error.message}`)
+      }
+    })
+  }
+
+  // Resolves job.promise to { ok, result } or { ok: false, error }; it never rejects.
+  // error.code is "cancelled" or "unconfirmed" when the job ended that way.
+  add({ label, groups = [], run, onStart = null }) {
+    this.sequence += 1
+    const job = {
+      id: `${Date.now().toString(36)}-${this.sequence}`,
+      label,
+      groups,
+      state: "pending",
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      run,
+      onStart,
+      controller: new AbortController(),
+    }
+    job.promise = new Promise((resolve) => (job.settle = resolve))
+
+    this.jobs.push(job)
+    this.emit()
+    this.pump()
+    return job
+  }
+
+  get(id) {
+    return this.jobs.find((job) => job.id === id) || null
+  }
+
+  active() {
+    return this.jobs.filter((job) => job.state === "pending" || job.state === "running")
+  }
+
+  // A job waits for every earlier unfinished job it shares a group with
+  blocker(job) {
+    for (const other of this.jobs) {
+      if (other === job) return null
+      const unfinished = other.state === "pending" || other.state === "running"
+      if (unfinished && other.groups.some((group) => job.groups.includes(group))) return other
+    }
+    return null
+  }
+
+  pump() {
+    this.jobs.filter((job) => job.state === "pending" && !this.blocker(job)).forEach((job) => this.start(job))
+  }
+
+  async start(job) {
+    job.state = "running"
+    job.startedAt = Date.now()
+    this.emit()
+    if (job.onStart) job.onStart(job)
+
+    let outcome
+    try {
+      outcome = { ok: true, result: await job.run(job.controller.signal, job) }
+    } catch (error) {
+      outcome = { ok: false, error }
+    }
+
+    // A cancelled job has already been settled; its late result is dropped
+    if (job.state !== "running") return
+    if (outcome.ok) this.finish(job, "done", outcome)
+    else this.finish(job, outcome.error && outcome.error.code === "unconfirmed" ? "unconfirmed" : "failed", outcome)
+  }
+
+  finish(job, state, outcome) {
+    job.state = state
+    job.finishedAt = Date.now()
+    job.error = outcome.ok ? null : outcome.error.message
+    job.settle(outcome)
+    this.prune()
+    this.emit()
+    this.pump()
+  }
+
+  // Pending jobs are dropped; running ones are aborted and release their groups at once
+  cancel(id) {
+    const job = this.get(id)
+    if (!job || (job.state !== "pending" && job.state !== "running")) return false
+
+    if (job.state === "running") job.controller.abort()
+    this.finish(job, "cancelled", { ok: false, error: new JobCancelledError(job.label) })
+    return true
+  }
+
+  clearFinished() {
+    this.jobs = this.active()
+    this.emit()
+  }
+
+  prune() {
+    const finished = this.jobs.filter((job) => job.state !== "pending" && job.state !== "running")
+    const drop = new Set(finished.slice(0, Math.max(0, finished.length - this.keepFinished)))
+    if (drop.size > 0) this.jobs = this.jobs.filter((job) => !drop.has(job))
+  }
+}
+
+// Docked list of queued, running and recently finished jobs
+class JobQueuePanel {
+  constructor(queue) {
+    this.queue = queue
+    this.collapsed = false
+    this.root = this.create()
+    document.body.appendChild(this.root)
+
+    queue.onChange(() => this.render())
+    window.i18n.onChange(() => this.render())
+    this.render()
+  }
+
+  create() {
+    const root = document.createElement("aside")
+    root.className = "job-queue"
+    root.hidden = true
+    root.innerHTML = `
+      <div class="job-queue-header">
+        <button class="job-queue-toggle" aria-expanded="true"></button>
+        <button class="job-queue-clear"></button>
+      </div>
+      <ul class="job-queue-list" aria-live="polite"></ul>`
+
+    this.toggle = root.querySelector(".job-queue-toggle")
+    this.clear = root.querySelector(".job-queue-clear")
+    this.list = root.querySelector(".job-queue-list")
+    this.toggle.addEventListener("click", () => {
+      this.collapsed = !this.collapsed
+      this.render()
+    })
+    this.clear.addEventListener("click", () => this.queue.clearFinished())
+    return root
+  }
+
+  render() {
+    const { t } = window.i18n
+    const jobs = this.queue.jobs
+    const active = this.queue.active()
+    this.root.hidden = jobs.length === 0
+    this.root.classList.toggle("collapsed", this.collapsed)
+    this.toggle.setAttribute("aria-expanded", String(!this.collapsed))
+    this.toggle.textContent = active.length > 0 ? t("jobs.inProgress", { count: active.length }) : t("jobs.allFinished")
+    this.root.setAttribute("aria-label", t("jobs.panel"))
+    this.clear.textContent = t("jobs.clear")
+    this.list.textContent = ""
+
+    jobs
+      .slice()
+      .reverse()
+      .forEach((job) => {
+        const item = document.createElement("li")
+        item.className = `job ${job.state}`
+        item.dataset.job = job.id
+
+        const label = document.createElement("span")
+        label.className = "job-label"
+        label.textContent = job.label
+        const state = document.createElement("span")
+        state.className = "job-state"
+        const blocker = job.state === "pending" ? this.queue.blocker(job) : null
+        state.textContent = blocker ? t("jobs.waitingFor", { label: blocker.label }) : t(`jobs.state.${job.state}`)
+        item.title = [job.groups.map((group) => t(`jobs.group.${group}`, {}, group)).join(", "), job.error]
+          .filter(Boolean)
+          .join("\n")
+        item.append(label, state)
+
+        if (job.state === "pending" || job.state === "running") {
+          const cancel = document.createElement("button")
+          cancel.className = "job-cancel"
+          cancel.setAttribute("aria-label", t("jobs.cancel", { label: job.label }))
+          cancel.textContent = "×"
+          cancel.addEventListener("click", () => this.queue.cancel(job.id))
+          item.appendChild(cancel)
+        }
+        this.list.appendChild(item)
+      })
+  }
+}
+
+window.JOB_GROUP_LABELS = JOB_GROUP_LABELS
+window.JobCancelledError = JobCancelledError
+window.JobUnconfirmedError = JobUnconfirmedError
+window.JobQueue = JobQueue
+window.JobQueuePanel = JobQueuePanel
+window.jobQueue = new JobQueue()
+window.i18n.define("en", jobQueueCatalog())
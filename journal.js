@@ -0,0 +1,299 @@
+// Persistent change journal for system tweaks (registry entries with journal: true).
+// A journaled action is sent with args { journal: true } and the host reports the
+// state it touched, keyed however it likes (registry paths, service names, ...):
+//   result: { message, state: { before: { key: value }, after: { key: value } } }
+// A null value means the key did not exist. A failed run may carry the same state in
+// error.details.state when it got part way. The History page reverts one entry with
+//   revert-change { entry, action, before, after }
+// which asks the host to put every key in `before` back. Rolling back to a point in
+// time reverts each applied entry from that point on, newest first.
+
+class ChangeJournal {
+  constructor(root, options = {}) {
+    this.root = root
+    this.storageKey = options.storageKey || "nx.journal"
+    this.limit = options.limit || 200
+    this.entries = this.load()
+    this.busy = false
+    this.list = root && root.querySelector(".journal-list")
+
+    if (root) {
+      root.querySelector(".journal-export").addEventListener("click", () => this.download())
+      root.querySelector(".journal-clear").addEventListener("click", () => this.clear())
+      window.i18n.onChange(() => this.render())
+    }
+
+    this.render()
+  }
+
+  load() {
+    try {
+      const entries = JSON.parse(window.localStorage.getItem(this.storageKey) || "[]")
+      return Array.isArray(entries) ? entries : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.entries))
+    } catch (error) {
+      console.log(`[v0] Could not save the change journal: ${error.message}`)
+    }
+  }
+
+  get(id) {
+    return this.entries.find((entry) => entry.id === id) || null
+  }
+
+  // Keys whose value differs between before and after
+  changes(entry) {
+    const before = entry.before || {}
+    const after = entry.after || {}
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    return keys
+      .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+      .map((key) => ({ key, before: before[key], after: after[key] }))
+  }
+
+  // Entries keep the action id, not its label, so History follows the language. Older
+  // entries still carry the English label as a fallback
+  label(entry) {
+    return window.actionRegistry.label({ id: entry.action, label: entry.label || entry.action })
+  }
+
+  revertible(entry) {
+    return entry.status === "applied" && entry.before !== null && this.changes(entry).length > 0
+  }
+
+  // Resolves to runHostAction()'s { ok, result, error }, like the execute() BenchmarkRunner.run() takes
+  async run(entry, args = {}) {
+    const startedAt = Date.now()
+    const label = window.actionRegistry.label(entry)
+    const outcome = await runHostAction(entry.command, Object.assign({}, args, { journal: true }), label)
+    const details = outcome.ok ? outcome.result : outcome.error.details
+    const state = details && details.state ? details.state : {}
+
+    this.entries.unshift({
+      id: `${startedAt.toString(36)}-${entry.id}`,
+      action: entry.id,
+      command: entry.command,
+      page: entry.page,
+      startedAt,
+      finishedAt: Date.now(),
+      // A failed run that still changed something can be reverted like a successful one
+      status: outcome.ok || state.before ? "applied" : "failed",
+      error: outcome.ok ? null : outcome.error.message,
+      before: state.before || null,
+      after: state.after || null,
+      revertedAt: null,
+    })
+    this.entries = this.entries.slice(0, this.limit)
+    this.save()
+    this.render()
+
+    const record = this.entries[0]
+    if (outcome.toast && this.revertible(record)) {
+      outcome.toast.update({
+        actions: [{ label: window.i18n.t("notify.undo"), onClick: () => this.revert(record.id) }],
+        duration: 8000,
+      })
+    }
+    return outcome
+  }
+
+  async revert(id) {
+    const entry = this.get(id)
+    if (!entry || !this.revertible(entry)) return false
+
+    const outcome = await runHostAction(
+      "revert-change",
+      { entry: entry.id, action: entry.command, before: entry.before, after: entry.after },
+      window.i18n.t("journal.revertLabel", { label: this.label(entry) }),
+    )
+    if (outcome.ok) {
+      entry.status = "reverted"
+      entry.revertedAt = Date.now()
+      entry.revertError = null
+    } else {
+      entry.revertError = outcome.error.message
+    }
+    this.save()
+    this.render()
+    return outcome.ok
+  }
+
+  // Every applied entry at or after the given one, newest first
+  entriesSince(id) {
+    const index = this.entries.findIndex((entry) => entry.id === id)
+    if (index === -1) return []
+    return this.entries.slice(0, index + 1).filter((entry) => this.revertible(entry))
+  }
+
+  async rollbackTo(id) {
+    if (this.busy) return
+
+    const { t } = window.i18n
+    const entries = this.entriesSince(id)
+    if (entries.length === 0) return
+    const since = new Date(this.get(id).startedAt).toLocaleString(window.i18n.language)
+    const { confirmed } = await window.confirmDialog.show({
+      title: t("journal.rollbackTitle"),
+      risk: "high",
+      description: t("journal.rollbackConfirm", { count: entries.length, since }),
+      effects: entries.map((entry) => this.label(entry)),
+      confirmLabel: t("journal.rollback"),
+    })
+    // Another rollback may have started while the dialog was open
+    if (!confirmed || this.busy) return
+
+    this.busy = true
+    let reverted = 0
+    try {
+      // Stop at the first failure: older changes may depend on the state it left behind
+      for (const entry of entries) {
+        if (!(await this.revert(entry.id))) break
+        reverted++
+      }
+    } finally {
+      this.busy = false
+    }
+
+    if (reverted === entries.length) {
+      notify.success(t("journal.rolledBack", { count: reverted, since }), t("journal.rollbackDone"))
+    } else {
+      notify.warning(t("journal.rollbackPartial", { reverted, count: entries.length }), t("journal.rollbackStopped"))
+    }
+  }
+
+  async clear() {
+    const { t } = window.i18n
+    if (this.entries.length > 0) {
+      const { confirmed } = await window.confirmDialog.show({
+        title: t("journal.clearTitle"),
+        description: t("journal.clearConfirm"),
+        confirmLabel: t("common.clear"),
+      })
+      if (!confirmed) return
+    }
+
+    this.entries = []
+    this.save()
+    this.render()
+  }
+
+  export() {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), entries: this.entries }, null, 2)
+  }
+
+  download() {
+    const blob = new Blob([this.export()], { type: "application/json" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = `nx-history-${new Date().toISOString().slice(0, 10)}.json`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(link.href), 0)
+  }
+
+  render() {
+    if (!this.list) return
+
+    this.list.textContent = ""
+
+    if (this.entries.length === 0) {
+      const empty = document.createElement("div")
+      empty.className = "benchmark-empty"
+      empty.textContent = window.i18n.t("journal.empty")
+      this.list.appendChild(empty)
+      return
+    }
+
+    this.entries.forEach((entry) => this.list.appendChild(this.renderEntry(entry)))
+  }
+
+  renderValue(value) {
+    if (value === undefined || value === null) return window.i18n.t("journal.notSet")
+    return typeof value === "object" ? JSON.stringify(value) : String(value)
+  }
+
+  renderEntry(entry) {
+    const { t, language } = window.i18n
+    const card = document.createElement("div")
+    card.className = `journal-entry ${entry.status}`
+    card.dataset.entry = entry.id
+
+    const header = document.createElement("div")
+    header.className = "benchmark-header"
+    const title = document.createElement("h4")
+    title.textContent = this.label(entry)
+    const status = document.createElement("span")
+    status.className = "journal-status"
+    status.textContent = t(`journal.status.${entry.status}`)
+    const meta = document.createElement("span")
+    meta.className = "benchmark-meta"
+    const parts = [new Date(entry.startedAt).toLocaleString(language), t(`nav.${entry.page}`, {}, entry.page)]
+    if (entry.revertedAt) {
+      parts.push(t("journal.revertedAt", { time: new Date(entry.revertedAt).toLocaleString(language) }))
+    }
+    meta.textContent = parts.join(" • ")
+    header.append(title, status, meta)
+    card.appendChild(header)
+
+    ;[entry.error, entry.revertError && t("journal.revertFailed", { error: entry.revertError })]
+      .filter(Boolean)
+      .forEach((text) => {
+        const error = document.createElement("p")
+        error.className = "benchmark-error"
+        error.textContent = text
+        card.appendChild(error)
+      })
+
+    const changes = this.changes(entry)
+    const rows = document.createElement("div")
+    rows.className = "journal-changes"
+    changes.forEach((change) => {
+      const row = document.createElement("div")
+      row.className = "journal-change"
+      const key = document.createElement("span")
+      key.className = "journal-key"
+      key.textContent = change.key
+      key.title = change.key
+      const values = document.createElement("span")
+      values.textContent = `${this.renderValue(change.before)} → ${this.renderValue(change.after)}`
+      row.append(key, values)
+      rows.appendChild(row)
+    })
+    if (changes.length === 0 && entry.status !== "failed") {
+      const note = document.createElement("p")
+      note.className = "benchmark-meta"
+      note.textContent = t(entry.before === null ? "journal.unreported" : "journal.unchanged")
+      rows.appendChild(note)
+    }
+    card.appendChild(rows)
+
+    if (this.revertible(entry)) {
+      const actions = document.createElement("div")
+      actions.className = "journal-actions"
+      const revert = document.createElement("button")
+      revert.className = "benchmark-tool-btn journal-revert"
+      revert.textContent = t("journal.revert")
+      revert.addEventListener("click", () => {
+        if (!this.busy) this.revert(entry.id)
+      })
+      const rollback = document.createElement("button")
+      rollback.className = "benchmark-tool-btn journal-rollback"
+      rollback.textContent = t("journal.rollback")
+      rollback.title = t("journal.rollbackHint")
+      rollback.addEventListener("click", () => this.rollbackTo(entry.id))
+      actions.append(revert, rollback)
+      card.appendChild(actions)
+    }
+
+    return card
+  }
+}
+
+window.ChangeJournal = ChangeJournal
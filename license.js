@@ -0,0 +1,205 @@
+// License sessions, shared by login.html (verification) and index.html (expiry countdown).
+//
+//   page -> host  event verifyLicense { key, remember }
+//                 event resumeSession { token }        a remembered device starting up again
+//   host -> page  event licenseResult { code, message, expiresAt, token }
+//
+// code is one of LICENSE_RESULTS and message, when present, replaces the default text
+// (messageKey and params may name a catalog string instead, see i18n.js).
+// expiresAt is a timestamp in ms or an ISO date, left out for keys that never expire.
+// token is only sent when remember was asked for. Hosts that predate result codes reply
+// with { valid, message } or the bare string "success"; readLicenseResult() maps both.
+
+const LICENSE_RESULTS = {
+  ok: {
+    title: "License Verified Successfully!",
+    message: "Welcome to NX TWEAKER Professional Edition",
+  },
+  invalid: {
+    title: "Invalid License Key",
+    message: "Please check your key and try again",
+  },
+  expired: {
+    title: "License Expired",
+    message: "Renew your license to keep using NX TWEAKER",
+  },
+  "device-limit": {
+    title: "Device Limit Reached",
+    message: "This key is already active on the maximum number of devices",
+  },
+  "host-error": {
+    title: "Verification Failed",
+    message: "NX TWEAKER could not check the key. Restart the app and try again.",
+  },
+  offline: {
+    title: "No Connection",
+    message: "The license server could not be reached. Check your connection and try again.",
+  },
+}
+
+// Only wrong keys count towards the lockout; the other failures are not the user's doing
+const LICENSE_LOCKOUT = { freeAttempts: 3, baseMs: 30 * 1000, maxMs: 15 * 60 * 1000 }
+const LICENSE_SESSION_KEY = "nx.license.session"
+
+// The host decides what a valid key looks like, so the key is sent as typed or pasted,
+// only without the surrounding whitespace
+function normalizeLicenseKey(raw) {
+  return String(raw).trim()
+}
+
+function parseExpiry(value) {
+  if (value === undefined || value === null) return null
+  const time = typeof value === "number" ? value : Date.parse(value)
+  return Number.isFinite(time) ? time : null
+}
+
+// Turns a message from readHostMessage() into { code, message, messageKey, expiresAt, token }, or
+// null when it is not an answer to verifyLicense / resumeSession
+function readLicenseResult(message) {
+  if (message.type !== "event") return null
+  const payload = message.payload || {}
+
+  if (message.name === "text") return { code: payload.text === "success" ? "ok" : "invalid", message: null }
+  if (message.name !== "licenseResult") return null
+
+  let code = payload.code
+  if (code === undefined && typeof payload.valid === "boolean") code = payload.valid ? "ok" : "invalid"
+  if (!LICENSE_RESULTS[code]) {
+    return {
+      code: "host-error",
+      message: `The host answered with an unknown result "${code}"`,
+      messageKey: "host.unknownResult",
+      params: { code: String(code) },
+    }
+  }
+
+  return {
+    code,
+    message: typeof payload.message === "string" && payload.message ? payload.message : null,
+    messageKey: typeof payload.messageKey === "string" ? payload.messageKey : null,
+    params: payload.params || {},
+    expiresAt: parseExpiry(payload.expiresAt),
+    token: typeof payload.token === "string" ? payload.token : null,
+  }
+}
+
+// units lets the caller pass translated suffixes, e.g. i18n.timeUnits()
+function formatTimeLeft(ms, units = { d: "d", h: "h", m: "m", s: "s" }) {
+  const total = Math.max(0, Math.ceil(ms / 1000))
+  const days = Math.floor(total / 86400)
+  const hours = Math.floor((total % 86400) / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const seconds = total % 60
+
+  if (days > 0) return `${days}${units.d} ${hours}${units.h}`
+  if (hours > 0) return `${hours}${units.h} ${minutes}${units.m}`
+  if (minutes > 0) return `${minutes}${units.m} ${seconds}${units.s}`
+  return `${seconds}${units.s}`
+}
+
+// Consecutive wrong keys, kept in storage so reloading the page does not reset the wait
+class LicenseLockout {
+  constructor(storage, storageKey = "nx.license.lockout") {
+    this.storage = storage
+    this.storageKey = storageKey
+    this.state = { failures: 0, lockedUntil: 0 }
+    try {
+      Object.assign(this.state, JSON.parse(storage.getItem(storageKey)))
+    } catch (error) {
+      console.log(`[v0] Ignoring unreadable license lockout: ${error.message}`)
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.state))
+    } catch (error) {
+      console.log(`[v0] Could not save the license lockout: ${error.message}`)
+    }
+  }
+
+  remaining(now = Date.now()) {
+    return Math.max(0, this.state.lockedUntil - now)
+  }
+
+  // Doubles the wait with every wrong key past the free attempts
+  fail(now = Date.now()) {
+    this.state.failures += 1
+    const over = this.state.failures - LICENSE_LOCKOUT.freeAttempts
+    if (over >= 0) {
+      this.state.lockedUntil = now + Math.min(LICENSE_LOCKOUT.maxMs, LICENSE_LOCKOUT.baseMs * 2 ** over)
+    }
+    this.save()
+    return this.remaining(now)
+  }
+
+  reset() {
+    this.state = { failures: 0, lockedUntil: 0 }
+    this.save()
+  }
+}
+
+// Remembered sessions live in localStorage; the rest only last until the app closes
+function saveLicenseSession({ token, expiresAt, remember }) {
+  clearLicenseSession()
+  const storage = remember ? window.localStorage : window.sessionStorage
+  const session = { token: remember ? token : null, expiresAt, remember, verifiedAt: Date.now() }
+  try {
+    storage.setItem(LICENSE_SESSION_KEY, JSON.stringify(session))
+  } catch (error) {
+    console.log(`[v0] Could not save the license session: ${error.message}`)
+  }
+}
+
+function loadLicenseSession() {
+  for (const storage of [window.sessionStorage, window.localStorage]) {
+    try {
+      const session = JSON.parse(storage.getItem(LICENSE_SESSION_KEY))
+      if (session) return session
+    } catch (error) {
+      console.log(`[v0] Ignoring unreadable license session: ${error.message}`)
+    }
+  }
+  return null
+}
+
+function clearLicenseSession() {
+  for (const storage of [window.sessionStorage, window.localStorage]) {
+    try {
+      storage.removeItem(LICENSE_SESSION_KEY)
+    } catch (error) {
+      console.log(`[v0] Could not clear the license session: ${error.message}`)
+    }
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.LICENSE_RESULTS = LICENSE_RESULTS
+  window.normalizeLicenseKey = normalizeLicenseKey
+  window.readLicenseResult = readLicenseResult
+  window.formatTimeLeft = formatTimeLeft
+  window.LicenseLockout = LicenseLockout
+  window.saveLicenseSession = saveLicenseSession
+  window.loadLicenseSession = loadLicenseSession
+  window.clearLicenseSession = clearLicenseSession
+
+  // LICENSE_RESULTS is the English side of license.result.*
+  if (window.i18n) {
+    const strings = {}
+    Object.keys(LICENSE_RESULTS).forEach((code) => {
+      strings[`license.result.${code}.title`] = LICENSE_RESULTS[code].title
+      strings[`license.result.${code}.message`] = LICENSE_RESULTS[code].message
+    })
+    window.i18n.define("en", strings)
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LICENSE_RESULTS,
+    normalizeLicenseKey,
+    readLicenseResult,
+    formatTimeLeft,
+    LicenseLockout,
+  }
+}
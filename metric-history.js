@@ -0,0 +1,173 @@
+// Per-metric history for the dashboard cards. Each metric keeps a fixed-size ring
+// buffer of { t, v } points (timestamp in ms, usage in %). With persistence on, the
+// buffers are written to localStorage so charts survive a restart of the app.
+
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity
+    this.items = new Array(capacity)
+    this.start = 0
+    this.length = 0
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity
+    this.items[index] = item
+
+    if (this.length < this.capacity) {
+      this.length += 1
+    } else {
+      this.start = (this.start + 1) % this.capacity
+    }
+  }
+
+  // Oldest first
+  toArray() {
+    const out = []
+    for (let i = 0; i < this.length; i++) {
+      out.push(this.items[(this.start + i) % this.capacity])
+    }
+    return out
+  }
+
+  replaceLast(item) {
+    if (this.length === 0) return this.push(item)
+    this.items[(this.start + this.length - 1) % this.capacity] = item
+  }
+
+  last() {
+    return this.length > 0 ? this.items[(this.start + this.length - 1) % this.capacity] : null
+  }
+
+  clear() {
+    this.items = new Array(this.capacity)
+    this.start = 0
+    this.length = 0
+  }
+}
+
+class MetricHistory {
+  constructor(options = {}) {
+    // At most one point per 2 second slot, so 1800 points always cover the 1 h chart
+    // window however often the host sends samples
+    this.resolution = options.resolution || 2000
+    this.capacity = options.capacity || Math.ceil((60 * 60 * 1000) / this.resolution)
+    this.storageKey = options.storageKey || "nx.metricHistory"
+    this.saveEvery = options.saveEvery || 15
+    this.buffers = {}
+    this.unsaved = 0
+    this.persist = options.persist !== undefined ? options.persist : MetricHistory.isPersistenceEnabled()
+
+    if (this.persist) {
+      this.load()
+    }
+  }
+
+  static isPersistenceEnabled() {
+    try {
+      return window.localStorage.getItem("nx.persistHistory") === "1"
+    } catch (error) {
+      return false
+    }
+  }
+
+  setPersistence(enabled) {
+    this.persist = enabled
+
+    try {
+      window.localStorage.setItem("nx.persistHistory", enabled ? "1" : "0")
+      if (enabled) {
+        this.save()
+      } else {
+        window.localStorage.removeItem(this.storageKey)
+      }
+    } catch (error) {
+      console.log(`[v0] Metric history persistence unavailable: ${error.message}`)
+      this.persist = false
+    }
+  }
+
+  buffer(metric) {
+    if (!this.buffers[metric]) {
+      this.buffers[metric] = new RingBuffer(this.capacity)
+    }
+    return this.buffers[metric]
+  }
+
+  record(metric, timestamp, value) {
+    const buffer = this.buffer(metric)
+    const last = buffer.last()
+
+    // Ignore out-of-order samples so series stay sorted by time
+    if (last && timestamp < last.t) return
+
+    // A newer sample in the same slot replaces the older one
+    if (last && Math.floor(last.t / this.resolution) === Math.floor(timestamp / this.resolution)) {
+      buffer.replaceLast({ t: timestamp, v: value })
+    } else {
+      buffer.push({ t: timestamp, v: value })
+    }
+
+    if (this.persist && ++this.unsaved >= this.saveEvery) {
+      this.save()
+    }
+  }
+
+  series(metric, windowMs, now = Date.now()) {
+    const from = now - windowMs
+    return this.buffer(metric)
+      .toArray()
+      .filter((point) => point.t >= from && point.t <= now)
+  }
+
+  stats(points) {
+    if (points.length === 0) return null
+
+    const values = points.map((point) => point.v)
+    const sum = values.reduce((total, value) => total + value, 0)
+    return {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      avg: sum / values.length,
+      last: values[values.length - 1],
+    }
+  }
+
+  save() {
+    if (!this.persist) return
+    this.unsaved = 0
+
+    const data = {}
+    Object.keys(this.buffers).forEach((metric) => {
+      data[metric] = this.buffers[metric].toArray()
+    })
+
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(data))
+    } catch (error) {
+      console.log(`[v0] Could not save metric history: ${error.message}`)
+    }
+  }
+
+  load() {
+    let data = null
+    try {
+      data = JSON.parse(window.localStorage.getItem(this.storageKey) || "null")
+    } catch (error) {
+      console.log("[v0] Discarding unreadable metric history")
+    }
+    if (!data || typeof data !== "object") return
+
+    Object.keys(data).forEach((metric) => {
+      if (!Array.isArray(data[metric])) return
+      const buffer = this.buffer(metric)
+      buffer.clear()
+      data[metric]
+        .filter((point) => point && Number.isFinite(point.t) && Number.isFinite(point.v))
+        .forEach((point) => buffer.push(point))
+    })
+  }
+}
+
+window.RingBuffer = RingBuffer
+window.MetricHistory = MetricHistory
@@ -0,0 +1,277 @@
+// Toast notifications shared by index.html and free.html. Titles and messages are always
+// set as text, never as HTML, because the host can show notifications of its own.
+//
+//   const toast = notifier.show({ type, title, message, actions, progress, duration })
+//   toast.update({ type, title, message, actions, progress, duration })
+//   toast.close()
+//
+// At most maxVisible toasts are on screen; the rest wait their turn. A progress toast
+// shows a spinner and stays until it is updated to another type or closed, so a
+// "Running..." toast can turn into the outcome in place. Progress toasts do not count
+// toward maxVisible, so a long job never holds back the errors that come in meanwhile. actions are buttons shown
+// under the message ({ label, onClick(toast), dismiss = true }). Every toast is read
+// out through a hidden live region, errors assertively.
+
+const NOTIFICATION_ICONS = {
+  success: "✓",
+  error: "⚠",
+  warning: "⚡",
+  info: "ℹ",
+  loading: "⟳",
+  default: "🔔",
+}
+
+class Toast {
+  constructor(notifier, { type = "info", title = null, message = "", actions = [], progress, duration }) {
+    this.notifier = notifier
+    this.type = type
+    this.customTitle = title !== null && title !== undefined
+    this.title = this.customTitle ? title : notifier.defaultTitle(type)
+    this.message = message
+    this.actions = actions
+    this.progress = progress !== undefined ? progress : type === "loading"
+    this.duration = duration || notifier.duration
+    this.closed = false
+    this.timer = null
+    this.deadline = null
+    this.paused = false
+
+    this.element = document.createElement("div")
+    this.element.addEventListener("mouseenter", () => this.pause())
+    this.element.addEventListener("mouseleave", () => this.resume())
+    this.element.addEventListener("focusin", () => this.pause())
+    this.element.addEventListener("focusout", (event) => {
+      if (!this.element.contains(event.relatedTarget)) this.resume()
+    })
+    this.render()
+  }
+
+  get mounted() {
+    return this.element.isConnected
+  }
+
+  update(changes = {}) {
+    if (this.closed) return this
+    const typeChanged = changes.type !== undefined && changes.type !== this.type
+    if (changes.type !== undefined) this.type = changes.type
+    if (changes.title !== undefined) {
+      this.customTitle = changes.title !== null
+      this.title = this.customTitle ? changes.title : this.notifier.defaultTitle(this.type)
+    } else if (typeChanged && !this.customTitle) {
+      this.title = this.notifier.defaultTitle(this.type)
+    }
+    if (changes.message !== undefined) this.message = changes.message
+    if (changes.actions !== undefined) this.actions = changes.actions
+    if (changes.duration !== undefined) this.duration = changes.duration
+    // Turning into another type is how a progress toast reports its outcome
+    if (changes.progress !== undefined) this.progress = changes.progress
+    else if (typeChanged) this.progress = false
+
+    this.render()
+    if (typeChanged || changes.message !== undefined) this.notifier.announce(this)
+    if (this.mounted) this.startTimer()
+    this.notifier.fill()
+    return this
+  }
+
+  close() {
+    if (this.closed) return
+    this.closed = true
+    clearTimeout(this.timer)
+    this.notifier.release(this)
+  }
+
+  startTimer() {
+    clearTimeout(this.timer)
+    this.timer = null
+    this.deadline = null
+    if (this.progress || this.paused) return
+    this.deadline = Date.now() + this.duration
+    this.timer = setTimeout(() => this.close(), this.duration)
+  }
+
+  // Hovering or focusing a toast keeps it open; it gets at least a couple of seconds once left
+  pause() {
+    if (this.paused) return
+    this.paused = true
+    this.element.classList.add("paused")
+    this.remaining = this.deadline ? this.deadline - Date.now() : this.duration
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  resume() {
+    if (!this.paused || this.closed) return
+    this.paused = false
+    this.element.classList.remove("paused")
+    if (this.progress) return
+    const delay = Math.max(this.remaining || 0, 2000)
+    this.deadline = Date.now() + delay
+    this.timer = setTimeout(() => this.close(), delay)
+  }
+
+  render() {
+    const element = this.element
+    const shown = element.classList.contains("notification-show")
+    element.className = `notification ${this.type}`
+    element.classList.toggle("progress", this.progress)
+    element.classList.toggle("notification-show", shown)
+    element.classList.toggle("paused", this.paused)
+    element.setAttribute("aria-busy", String(this.progress))
+    element.textContent = ""
+
+    if (this.progress) {
+      const spinner = document.createElement("span")
+      spinner.className = "notification-spinner"
+      spinner.setAttribute("aria-hidden", "true")
+      element.appendChild(spinner)
+    } else {
+      const icon = document.createElement("span")
+      icon.className = "notification-icon"
+      icon.setAttribute("aria-hidden", "true")
+      const glyph = this.notifier.icons[this.type] || this.notifier.icons.default
+      if (typeof glyph === "string") icon.textContent = glyph
+      else if (glyph) icon.appendChild(glyph.cloneNode(true))
+      element.appendChild(icon)
+    }
+
+    const content = document.createElement("div")
+    content.className = "notification-content"
+    if (this.title) {
+      const title = document.createElement("h4")
+      title.className = "notification-title"
+      title.textContent = this.title
+      content.appendChild(title)
+    }
+    const text = document.createElement("p")
+    text.className = "notification-text"
+    text.textContent = this.message
+    content.appendChild(text)
+
+    if (this.actions.length > 0) {
+      const actions = document.createElement("div")
+      actions.className = "notification-actions"
+      this.actions.forEach((action) => {
+        const button = document.createElement("button")
+        button.className = "notification-action"
+        button.textContent = action.label
+        button.addEventListener("click", () => {
+          if (action.onClick) action.onClick(this)
+          if (action.dismiss !== false) this.close()
+        })
+        actions.appendChild(button)
+      })
+      content.appendChild(actions)
+    }
+    element.appendChild(content)
+
+    const close = document.createElement("button")
+    close.className = "notification-close"
+    close.textContent = "×"
+    close.setAttribute("aria-label", this.notifier.closeLabel())
+    close.addEventListener("click", () => this.close())
+    element.appendChild(close)
+  }
+}
+
+class Notifier {
+  constructor(options = {}) {
+    this.containerId = options.containerId || "notification-container"
+    this.maxVisible = options.maxVisible || 4
+    this.duration = options.duration || 4500
+    // How long the page's leave animation runs before the element is removed
+    this.leaveMs = options.leaveMs !== undefined ? options.leaveMs : 600
+    this.icons = Object.assign({}, NOTIFICATION_ICONS, options.icons)
+    this.defaultTitle = options.defaultTitle || (() => null)
+    this.closeLabel = options.closeLabel || (() => "Close")
+    this.onAnnounce = options.onAnnounce || null
+    this.visible = []
+    this.waiting = []
+    this.regions = null
+  }
+
+  container() {
+    let container = document.getElementById(this.containerId)
+    if (!container) {
+      container = document.createElement("div")
+      container.id = this.containerId
+      document.body.appendChild(container)
+    }
+    return container
+  }
+
+  // Two hidden live regions: errors interrupt the screen reader, everything else waits
+  liveRegions() {
+    if (this.regions && this.regions.polite.isConnected) return this.regions
+    const region = (role, politeness) => {
+      const element = document.createElement("div")
+      element.className = "notification-live"
+      element.setAttribute("role", role)
+      element.setAttribute("aria-live", politeness)
+      element.setAttribute("aria-atomic", "true")
+      document.body.appendChild(element)
+      return element
+    }
+    this.regions = { polite: region("status", "polite"), assertive: region("alert", "assertive") }
+    return this.regions
+  }
+
+  announce(toast) {
+    const region = this.liveRegions()[toast.type === "error" ? "assertive" : "polite"]
+    const text = toast.title ? `${toast.title}: ${toast.message}` : toast.message
+    // Cleared first so the same message twice in a row is still read out
+    region.textContent = ""
+    setTimeout(() => (region.textContent = text), 50)
+    if (this.onAnnounce) this.onAnnounce(toast)
+  }
+
+  show(options) {
+    const toast = new Toast(this, options)
+    this.announce(toast)
+    this.waiting.push(toast)
+    this.fill()
+    return toast
+  }
+
+  // Mounts waiting toasts, oldest first, while there is room; progress toasts always have room
+  fill() {
+    const counted = () => this.visible.filter((toast) => !toast.progress).length
+    this.waiting.slice().forEach((toast) => {
+      if (!toast.progress && counted() >= this.maxVisible) return
+      this.waiting.splice(this.waiting.indexOf(toast), 1)
+      this.mount(toast)
+    })
+  }
+
+  mount(toast) {
+    this.visible.push(toast)
+    this.container().appendChild(toast.element)
+    requestAnimationFrame(() => toast.element.classList.add("notification-show"))
+    toast.startTimer()
+  }
+
+  release(toast) {
+    const waiting = this.waiting.indexOf(toast)
+    if (waiting !== -1) {
+      this.waiting.splice(waiting, 1)
+      return
+    }
+
+    const index = this.visible.indexOf(toast)
+    if (index === -1) return
+    this.visible.splice(index, 1)
+    toast.element.classList.remove("notification-show")
+    toast.element.classList.add("leaving")
+    setTimeout(() => toast.element.remove(), this.leaveMs)
+    this.fill()
+  }
+
+  clear() {
+    this.waiting = []
+    this.visible.slice().forEach((toast) => toast.close())
+  }
+}
+
+window.NOTIFICATION_ICONS = NOTIFICATION_ICONS
+window.Toast = Toast
+window.Notifier = Notifier
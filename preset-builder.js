@@ -0,0 +1,251 @@
+// Preset builder on the gameloop page. A preset starts from one of the bundled
+// Active.sav templates, the graphics settings are changed in a form and the result is
+// serialized with serializeGvas() and kept in UserPresetStore. User presets show up as
+// extra mod buttons; applying one sends the bytes to the host:
+//   apply-preset { id, name, data }   data = base64 Active.sav
+// The diff view reads the game's current save with:
+//   read-active-save {} -> { data }
+
+class PresetBuilder {
+  constructor(library, store, root) {
+    this.library = library
+    this.store = store
+    this.root = root
+    this.template = null
+    this.templateValues = {}
+    this.grid = document.querySelector("#gameloop .mods-grid")
+
+    this.store.onChange(() => this.renderUserPresets())
+    this.renderUserPresets()
+    if (!root) return
+
+    this.nameInput = root.querySelector(".preset-name")
+    this.templateSelect = root.querySelector(".preset-template")
+    this.fields = root.querySelector(".preset-fields")
+    this.status = root.querySelector(".preset-builder-status")
+
+    this.library.presets
+      .filter((preset) => preset.path)
+      .forEach((preset) => {
+        const option = document.createElement("option")
+        option.value = preset.id
+        option.textContent = preset.label
+        this.templateSelect.appendChild(option)
+      })
+
+    this.renderFields()
+    window.i18n.onChange(() => {
+      this.translateFields()
+      this.renderUserPresets()
+    })
+    this.templateSelect.addEventListener("change", () => this.selectTemplate(this.templateSelect.value))
+    root.querySelector(".preset-save").addEventListener("click", () => this.build())
+    this.selectTemplate(this.templateSelect.value)
+  }
+
+  setStatus(text) {
+    if (this.status) this.status.textContent = text
+  }
+
+  renderFields() {
+    this.fields.textContent = ""
+
+    GRAPHICS_SETTINGS.forEach((setting) => {
+      const label = document.createElement("label")
+      label.className = "preset-field"
+      const text = document.createElement("span")
+      text.className = "preset-field-label"
+
+      let input
+      const labels = GRAPHICS_VALUE_LABELS[setting.format]
+      if (labels) {
+        input = document.createElement("select")
+        Object.keys(labels).forEach((value) => {
+          const option = document.createElement("option")
+          option.value = value
+          input.appendChild(option)
+        })
+      } else if (setting.key === "HasGraphicsSeparateConfig") {
+        input = document.createElement("input")
+        input.type = "checkbox"
+      } else {
+        input = document.createElement("input")
+        input.type = "number"
+        if (setting.format === "percent") {
+          input.min = 0
+          input.max = 100
+        }
+      }
+
+      input.dataset.key = setting.key
+      input.dataset.format = setting.format || ""
+      input.disabled = true
+      label.append(text, input)
+      this.fields.appendChild(label)
+    })
+    this.translateFields()
+  }
+
+  translateFields() {
+    GRAPHICS_SETTINGS.forEach((setting) => {
+      const input = this.fields.querySelector(`[data-key="${setting.key}"]`)
+      input.parentElement.querySelector(".preset-field-label").textContent = graphicsSettingLabel(setting)
+      if (input.tagName !== "SELECT") return
+      Array.from(input.options).forEach((option) => {
+        option.textContent = `${graphicsValueLabel(setting.format, option.value)} (${option.value})`
+      })
+    })
+  }
+
+  async selectTemplate(id) {
+    const preset = this.library.get(id)
+    this.template = null
+    this.fields.querySelectorAll("[data-key]").forEach((input) => (input.disabled = true))
+    if (!preset) return
+
+    try {
+      const save = await this.library.load(preset)
+      this.template = preset
+      this.templateValues = gvasValues(save)
+    } catch (error) {
+      this.setStatus(`${preset.label}: ${error.message}`)
+      return
+    }
+
+    this.fields.querySelectorAll("[data-key]").forEach((input) => {
+      const value = this.templateValues[input.dataset.key]
+      input.disabled = value === undefined
+      if (value === undefined) return
+
+      if (input.type === "checkbox") input.checked = value
+      else if (input.dataset.format === "percent") input.value = Math.round(value * 100)
+      else input.value = value
+    })
+    this.setStatus(window.i18n.t("builder.editing", { name: preset.label }))
+  }
+
+  // Only settings that differ from the template are written
+  changes() {
+    const changes = {}
+    this.fields.querySelectorAll("[data-key]:not(:disabled)").forEach((input) => {
+      const key = input.dataset.key
+      let value
+      if (input.type === "checkbox") value = input.checked
+      else if (input.dataset.format === "percent") value = Number(input.value) / 100
+      else value = Number(input.value)
+
+      const original = this.templateValues[key]
+      const same = typeof original === "number" ? Math.abs(original - value) < 0.001 : original === value
+      if (!same) changes[key] = value
+    })
+    return changes
+  }
+
+  async build() {
+    const { t } = window.i18n
+    const name = this.nameInput.value.trim()
+    if (!name) {
+      this.setStatus(t("builder.nameRequired"))
+      this.nameInput.focus()
+      return
+    }
+    if (!this.template) {
+      this.setStatus(t("builder.templateRequired"))
+      return
+    }
+
+    try {
+      const template = await this.library.loadBytes(this.template)
+      if (!gvasRoundTrips(template)) {
+        throw new Error(t("builder.error.layout", { name: this.template.label }))
+      }
+
+      const changes = this.changes()
+      const bytes = serializeGvas(setGvasValues(parseGvas(template), changes))
+
+      // Read the result back so a bad write is caught here and not in the game
+      const written = gvasValues(parseGvas(bytes))
+      Object.keys(changes).forEach((key) => {
+        const value = written[key]
+        const ok = typeof value === "number" ? Math.abs(value - changes[key]) < 0.001 : value === changes[key]
+        if (!ok) throw new Error(t("builder.error.roundTrip", { key }))
+      })
+
+      this.store.add({ name, template: this.template.id, changes, bytes })
+      this.setStatus(t("builder.saved", { name, count: Object.keys(changes).length }))
+      notify.success(t("builder.ready", { name }), t("builder.savedTitle"))
+      this.nameInput.value = ""
+    } catch (error) {
+      this.setStatus(error.message)
+      notify.error(error.message, t("builder.notSaved"))
+    }
+  }
+
+  renderUserPresets() {
+    if (this.grid) {
+      this.grid.querySelectorAll("[data-user-preset]").forEach((button) => button.remove())
+      this.store.all().forEach((preset) => this.grid.appendChild(this.createButton(preset)))
+    }
+
+    const list = this.root && this.root.querySelector(".user-preset-list")
+    if (!list) return
+    list.textContent = ""
+    const { t } = window.i18n
+
+    this.store.all().forEach((preset) => {
+      const row = document.createElement("div")
+      row.className = "user-preset-row"
+      const name = document.createElement("span")
+      name.textContent = preset.name
+      const meta = document.createElement("span")
+      meta.className = "user-preset-meta"
+      const template = this.library.get(preset.template)
+      meta.textContent = t("builder.meta", {
+        template: template ? template.label : preset.template,
+        count: Object.keys(preset.changes).length,
+      })
+      const remove = document.createElement("button")
+      remove.className = "benchmark-tool-btn"
+      remove.textContent = t("common.delete")
+      remove.addEventListener("click", async () => {
+        const { confirmed } = await window.confirmDialog.show({
+          title: t("builder.deleteTitle"),
+          risk: "low",
+          description: t("builder.confirmDelete", { name: preset.name }),
+          confirmLabel: t("common.delete"),
+        })
+        if (confirmed) this.store.remove(preset.id)
+      })
+      row.append(name, meta, remove)
+      list.appendChild(row)
+    })
+  }
+
+  createButton(preset) {
+    const button = document.createElement("button")
+    button.className = "mod-btn user-preset"
+    button.dataset.userPreset = preset.id
+    button.title = Object.keys(preset.changes)
+      .map((key) => `${key} = ${preset.changes[key]}`)
+      .join("\n")
+
+    const glow = document.createElement("div")
+    glow.className = "mod-btn-glow"
+    const icon = document.createElement("i")
+    icon.className = "fas fa-user-cog"
+    const text = document.createElement("span")
+    text.className = "mod-btn-text"
+    text.textContent = preset.name
+    const ripple = document.createElement("div")
+    ripple.className = "mod-btn-ripple"
+    button.append(glow, icon, text, ripple)
+
+    button.addEventListener("click", () => {
+      runButtonlessAction("apply-preset", { id: preset.id, name: preset.name, data: preset.data }, preset.name)
+    })
+    if (window.presetDiff) window.presetDiff.addCompareHandle(button, `user:${preset.id}`)
+    return button
+  }
+}
+
+window.PresetBuilder = PresetBuilder
@@ -0,0 +1,243 @@
+// Side-by-side diff of two graphics presets, property by property (diffGvas). Either
+// side can be a bundled preset, a user preset, a .sav opened from disk or, when the
+// page has a host, the game's current Active.sav. Opened from the small compare handle
+// on every mod button, on both the gameloop page and free.html.
+
+class PresetDiffView {
+  constructor(library, store, options = {}) {
+    this.library = library
+    this.store = store
+    // Resolves to the bytes of the current Active.sav; left out where there is no host
+    this.readCurrent = options.readCurrent || null
+    this.saves = new Map()
+    this.modal = this.createModal()
+    document.body.appendChild(this.modal)
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && !this.modal.hidden) this.close()
+    })
+    window.i18n.onChange(() => {
+      if (this.modal.hidden) return
+      this.renderOptions()
+      this.compare()
+    })
+  }
+
+  createModal() {
+    const modal = document.createElement("div")
+    modal.className = "preset-diff-modal"
+    modal.hidden = true
+    modal.setAttribute("role", "dialog")
+    modal.setAttribute("aria-modal", "true")
+    modal.setAttribute("aria-label", window.i18n.t("diff.title"))
+    modal.dataset.i18nAriaLabel = "diff.title"
+    modal.innerHTML = `
+      <div class="preset-diff-dialog">
+        <div class="preset-diff-header">
+          <h3 data-i18n="diff.heading">COMPARE PRESETS</h3>
+          <button class="preset-diff-close" aria-label="Close" data-i18n-aria-label="chart.close">×</button>
+        </div>
+        <div class="preset-diff-controls">
+          <select class="preset-diff-a" aria-label="Left preset" data-i18n-aria-label="diff.left"></select>
+          <span class="preset-diff-vs" data-i18n="diff.vs">vs</span>
+          <select class="preset-diff-b" aria-label="Right preset" data-i18n-aria-label="diff.right"></select>
+          <label class="preset-diff-open">
+            <span data-i18n="presets.open">Open .sav</span>
+            <input type="file" accept=".sav" hidden>
+          </label>
+          <label class="preset-diff-only">
+            <input type="checkbox" checked>
+            <span data-i18n="diff.onlyChanges">Only differences</span>
+          </label>
+        </div>
+        <div class="preset-diff-summary" role="status"></div>
+        <div class="preset-diff-body">
+          <table class="preset-diff-table"></table>
+        </div>
+      </div>`
+
+    window.i18n.apply(modal)
+
+    this.selectA = modal.querySelector(".preset-diff-a")
+    this.selectB = modal.querySelector(".preset-diff-b")
+    this.onlyChanges = modal.querySelector(".preset-diff-only input")
+    this.summary = modal.querySelector(".preset-diff-summary")
+    this.table = modal.querySelector(".preset-diff-table")
+
+    this.selectA.addEventListener("change", () => this.compare())
+    this.selectB.addEventListener("change", () => this.compare())
+    this.onlyChanges.addEventListener("change", () => this.compare())
+    modal.querySelector(".preset-diff-close").addEventListener("click", () => this.close())
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) this.close()
+    })
+
+    const input = modal.querySelector(".preset-diff-open input")
+    input.addEventListener("change", async () => {
+      const file = input.files[0]
+      input.value = ""
+      if (!file) return
+      try {
+        const preset = await this.library.loadFile(file)
+        this.renderOptions()
+        this.selectB.value = preset.id
+        this.compare()
+      } catch (error) {
+        this.summary.textContent = `${file.name}: ${error.message}`
+      }
+    })
+
+    return modal
+  }
+
+  sources() {
+    const { t } = window.i18n
+    const sources = this.library.presets.map((preset) => ({ id: preset.id, label: preset.label }))
+    this.store.all().forEach((preset) => {
+      sources.push({ id: `user:${preset.id}`, label: t("diff.mine", { name: preset.name }) })
+    })
+    if (this.readCurrent) sources.push({ id: "current", label: t("diff.current") })
+    return sources
+  }
+
+  renderOptions() {
+    const sources = this.sources()
+    ;[this.selectA, this.selectB].forEach((select) => {
+      const value = select.value
+      select.textContent = ""
+      sources.forEach((source) => {
+        const option = document.createElement("option")
+        option.value = source.id
+        option.textContent = source.label
+        select.appendChild(option)
+      })
+      if (value) select.value = value
+    })
+  }
+
+  async load(id) {
+    if (id === "current") {
+      // Always re-read: the game may have rewritten it since the last look
+      return parseGvas(await this.readCurrent())
+    }
+    if (this.saves.has(id)) return this.saves.get(id)
+
+    let save
+    if (id.startsWith("user:")) {
+      const preset = this.store.get(id.slice(5))
+      if (!preset) throw new Error(window.i18n.t("diff.deleted"))
+      save = parseGvas(this.store.bytes(preset))
+    } else {
+      save = await this.library.load(this.library.get(id))
+    }
+    this.saves.set(id, save)
+    return save
+  }
+
+  open(a, b) {
+    this.renderOptions()
+    const others = this.sources().filter((source) => source.id !== a)
+    this.selectA.value = a
+    this.selectB.value = b || (this.readCurrent ? "current" : others.length > 0 ? others[0].id : a)
+    this.modal.hidden = false
+    this.compare()
+  }
+
+  close() {
+    this.modal.hidden = true
+  }
+
+  async compare() {
+    const { t } = window.i18n
+    const a = this.selectA.value
+    const b = this.selectB.value
+    this.summary.textContent = t("diff.reading")
+    this.table.textContent = ""
+
+    let rows
+    try {
+      const [left, right] = await Promise.all([this.load(a), this.load(b)])
+      rows = diffGvas(left, right)
+    } catch (error) {
+      this.summary.textContent = error.message
+      return
+    }
+    // A newer comparison may have started while this one was loading
+    if (a !== this.selectA.value || b !== this.selectB.value) return
+
+    const counts = { changed: 0, added: 0, removed: 0, same: 0 }
+    rows.forEach((row) => counts[row.status]++)
+    this.summary.textContent = t("diff.summary", counts)
+
+    const visible = this.onlyChanges.checked ? rows.filter((row) => row.status !== "same") : rows
+    const head = document.createElement("tr")
+    ;[
+      t("diff.property"),
+      this.selectA.selectedOptions[0].textContent,
+      this.selectB.selectedOptions[0].textContent,
+      "",
+    ].forEach((text) => {
+      const th = document.createElement("th")
+      th.textContent = text
+      head.appendChild(th)
+    })
+    this.table.appendChild(head)
+
+    const settings = {}
+    GRAPHICS_SETTINGS.forEach((setting) => (settings[setting.key] = setting))
+    visible.forEach((row) => {
+      const tr = document.createElement("tr")
+      tr.className = `diff-${row.status}`
+      const setting = settings[row.path] || {}
+      const show = (value) => (value === undefined ? "" : formatGraphicsValue(setting, value))
+
+      const cells = [row.path, show(row.before), show(row.after), t(`diff.status.${row.status}`)]
+      cells.forEach((text, index) => {
+        const td = document.createElement("td")
+        td.textContent = text
+        if (index === 0) td.title = `${row.path} (${row.type})`
+        tr.appendChild(td)
+      })
+      this.table.appendChild(tr)
+    })
+
+    if (visible.length === 0) {
+      const tr = document.createElement("tr")
+      const td = document.createElement("td")
+      td.colSpan = 4
+      td.className = "preset-diff-empty"
+      td.textContent = t("diff.identical")
+      tr.appendChild(td)
+      this.table.appendChild(tr)
+    }
+  }
+
+  // Compare handle inside a mod button. It is a span, not a nested button, and it stops
+  // the click so the preset is not applied.
+  addCompareHandle(button, sourceId) {
+    if (!button || button.querySelector(".mod-diff")) return
+
+    const handle = document.createElement("span")
+    handle.className = "mod-diff"
+    handle.setAttribute("role", "button")
+    handle.setAttribute("tabindex", "0")
+    handle.setAttribute("aria-label", window.i18n.t("diff.handle"))
+    handle.dataset.i18nAriaLabel = "diff.handle"
+    handle.title = window.i18n.t("diff.compare")
+    handle.dataset.i18nTitle = "diff.compare"
+    handle.textContent = "⇄"
+
+    const open = (e) => {
+      e.preventDefault()
+      e.stopPropagation()
+      this.open(sourceId)
+    }
+    handle.addEventListener("click", open)
+    handle.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") open(e)
+    })
+    button.appendChild(handle)
+  }
+}
+
+window.PresetDiffView = PresetDiffView
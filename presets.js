@@ -0,0 +1,446 @@
+// Graphics presets: the bundled Active.sav files behind the mod buttons, decoded with
+// parseGvas() so the gameloop page can show what each one actually sets. Files are
+// fetched relative to the app folder; when that is not allowed (file:// pages) a .sav
+// can still be opened from disk, so nothing here needs the host or the network.
+
+const BUNDLED_PRESETS = [
+  {
+    id: "super-smooth",
+    label: "Super Smooth 120 FPS",
+    path: "Super Smooth 120 FPS/Super Smooth 120 FPS/Active.sav",
+    mod: "super-smooth",
+  },
+  { id: "smooth", label: "Smooth 120 FPS", path: "Smooth 120 Fps/Smooth 120 Fps/Active.sav", mod: "smooth" },
+  { id: "hdr", label: "HDR 120 FPS", path: "Hdr 120 Fps/Hdr 120 Fps/Active.sav", mod: "hdr" },
+  {
+    id: "ultra-hd",
+    label: "Ultra HD 120 FPS",
+    path: "Ultra Hdr 120 Fps/Ultra Hdr 120 Fps/Active.sav",
+    mod: "ultra-hd",
+  },
+  {
+    id: "supersmooth120",
+    label: "Super Smooth 120FPS (free)",
+    path: "New folder (2)/Active(supersmooth120)/Active.sav",
+    freeMod: "ultra",
+  },
+  {
+    id: "smooth120",
+    label: "Smooth 120FPS (free)",
+    path: "New folder (2)/Active(smooth120fbs)/Active.sav",
+    freeMod: "other",
+  },
+  {
+    id: "balanced120",
+    label: "Balanced 120FPS",
+    path: "New folder (2)/Active(Balanced120)/Active.sav",
+    freeMod: "balanced120",
+  },
+  { id: "hdr60", label: "HDR 60FPS", path: "New folder (2)/Active(hdr60fbs)/Active.sav", freeMod: "hdr60" },
+  { id: "hdr90", label: "HDR 90FPS", path: "New folder (2)/Active(HDR90FBS)/Active.sav", freeMod: "hdr90" },
+  { id: "hdr120", label: "HDR 120FPS", path: "New folder (2)/Active(HDR120FPS)/Active.sav", freeMod: "hdr120" },
+  {
+    id: "ultrahdr60",
+    label: "Ultra HDR 60FPS",
+    path: "New folder (2)/Active(ULTRAHDR 60 FPS)/Active.sav",
+    freeMod: "ultrahdr60",
+  },
+  {
+    id: "ultrahdr90",
+    label: "Ultra HDR 90FPS",
+    path: "New folder (2)/Active(ULTRAHDR 90 FPS)/Active.sav",
+    freeMod: "ultrahdr90",
+  },
+  {
+    id: "ultrahdr120",
+    label: "Ultra HDR 120FPS",
+    path: "New folder (2)/Active(ultrahdr120)/Active.sav",
+    freeMod: "ultrahdr120",
+  },
+]
+
+// Value names as shown in the game's graphics menu
+const GRAPHICS_VALUE_LABELS = {
+  fps: {
+    1: "Low",
+    2: "Low (20)",
+    3: "Medium (25)",
+    4: "High (30)",
+    5: "Ultra (40)",
+    6: "Extreme (60)",
+    7: "90 FPS",
+    8: "120 FPS",
+  },
+  quality: { 1: "Smooth", 2: "Balanced", 3: "HD", 4: "HDR", 5: "Ultra HD", 6: "Ultra HDR" },
+  style: { 1: "Classic", 2: "Colorful", 3: "Realistic", 4: "Soft", 5: "Movie" },
+}
+
+// The properties of SettingConfig_C that the graphics menu writes
+const GRAPHICS_SETTINGS = [
+  { key: "BattleFPS", label: "Frame rate (match)", format: "fps" },
+  { key: "LobbyFPS", label: "Frame rate (lobby)", format: "fps" },
+  { key: "MainCityFPS", label: "Frame rate (main city)", format: "fps" },
+  { key: "FPSLevel", label: "Frame rate level", format: "fps" },
+  { key: "BattleRenderQuality", label: "Graphics (match)", format: "quality" },
+  { key: "LobbyRenderQuality", label: "Graphics (lobby)", format: "quality" },
+  { key: "MainCityRenderQuality", label: "Graphics (main city)", format: "quality" },
+  { key: "ManorRenderQuality", label: "Graphics (manor)", format: "quality" },
+  { key: "BattleRenderStyle", label: "Style (match)", format: "style" },
+  { key: "LobbyRenderStyle", label: "Style (lobby)", format: "style" },
+  { key: "GraphicFavor", label: "Graphics preference" },
+  { key: "GFBestQLobby", label: "Best quality (lobby)" },
+  { key: "GFBestQBattle", label: "Best quality (match)" },
+  { key: "HasGraphicsSeparateConfig", label: "Separate lobby/match graphics" },
+  { key: "ScreenLightness", label: "Brightness", format: "percent" },
+]
+
+// The tables above are the English catalog (graphics.*); these read them in the
+// interface language
+function graphicsSettingLabel(setting) {
+  return window.i18n.t(`graphics.setting.${setting.key}`, {}, setting.label)
+}
+
+function graphicsValueLabel(format, value) {
+  const labels = GRAPHICS_VALUE_LABELS[format]
+  return labels && labels[value] ? window.i18n.t(`graphics.${format}.${value}`, {}, labels[value]) : null
+}
+
+function graphicsCatalog() {
+  const strings = {}
+  GRAPHICS_SETTINGS.forEach((setting) => (strings[`graphics.setting.${setting.key}`] = setting.label))
+  Object.keys(GRAPHICS_VALUE_LABELS).forEach((format) => {
+    Object.keys(GRAPHICS_VALUE_LABELS[format]).forEach((value) => {
+      strings[`graphics.${format}.${value}`] = GRAPHICS_VALUE_LABELS[format][value]
+    })
+  })
+  return strings
+}
+
+function formatGraphicsValue(setting, value) {
+  const { t } = window.i18n
+  if (value === undefined) return "--"
+  if (typeof value === "boolean") return t(value ? "graphics.on" : "graphics.off")
+  if (typeof value === "string" || (value && value.text !== undefined)) return gvasText(value)
+  if (setting.format === "percent") return `${Math.round(value * 100)}%`
+
+  if (GRAPHICS_VALUE_LABELS[setting.format]) {
+    const label = graphicsValueLabel(setting.format, value)
+    return label ? `${label} (${value})` : t("graphics.level", { value })
+  }
+  return typeof value === "number" ? String(Math.round(value * 1000) / 1000) : JSON.stringify(value)
+}
+
+class PresetLibrary {
+  constructor(presets = BUNDLED_PRESETS) {
+    this.presets = presets
+    this.cache = new Map()
+    this.files = new Map()
+  }
+
+  get(id) {
+    return this.presets.find((preset) => preset.id === id) || null
+  }
+
+  forMod(mod) {
+    return this.presets.find((preset) => preset.mod === mod || preset.freeMod === mod) || null
+  }
+
+  async loadBytes(preset) {
+    if (this.files.has(preset.id)) return this.files.get(preset.id)
+
+    const response = await fetch(encodeURI(preset.path))
+    if (!response.ok) {
+      throw new Error(window.i18n.t("presets.error.read", { path: preset.path, status: response.status }))
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer())
+    this.files.set(preset.id, bytes)
+    return bytes
+  }
+
+  async load(preset) {
+    if (this.cache.has(preset.id)) return this.cache.get(preset.id)
+
+    const save = parseGvas(await this.loadBytes(preset))
+    this.cache.set(preset.id, save)
+    return save
+  }
+
+  // A .sav picked by the user; it joins the library under its file name
+  async loadFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer())
+    const save = parseGvas(bytes)
+    const id = `file:${file.name}:${file.size}`
+    let preset = this.get(id)
+
+    if (!preset) {
+      preset = { id, label: file.name, path: null }
+      this.presets.push(preset)
+    }
+    this.cache.set(id, save)
+    this.files.set(id, bytes)
+    return preset
+  }
+
+  graphics(save) {
+    const values = gvasValues(save)
+    return GRAPHICS_SETTINGS.map((setting) => ({
+      ...setting,
+      value: values[setting.key],
+      display: formatGraphicsValue(setting, values[setting.key]),
+    }))
+  }
+}
+
+const bytesToBase64 = (bytes) => {
+  let binary = ""
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), (char) => char.charCodeAt(0))
+
+// Presets built with the preset builder, shared by index.html and free.html through
+// localStorage. Each entry keeps the finished Active.sav as base64 so applying it only
+// needs the host to write the bytes:
+//   { id, name, template, changes: { BattleFPS: 7 }, data, createdAt }
+class UserPresetStore {
+  constructor(storageKey = "nx.userPresets") {
+    this.storageKey = storageKey
+    this.listeners = []
+    this.presets = this.load()
+
+    // Keep both pages in sync when the other one saves
+    window.addEventListener("storage", (e) => {
+      if (e.key !== this.storageKey) return
+      this.presets = this.load()
+      this.emit()
+    })
+  }
+
+  load() {
+    try {
+      const presets = JSON.parse(window.localStorage.getItem(this.storageKey) || "[]")
+      return Array.isArray(presets) ? presets.filter((preset) => preset && preset.id && preset.data) : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.presets))
+    } catch (error) {
+      console.log(`[v0] Could not save user presets: ${error.message}`)
+      throw new Error(window.i18n.t("presets.error.storage"))
+    }
+    this.emit()
+  }
+
+  all() {
+    return this.presets.slice()
+  }
+
+  get(id) {
+    return this.presets.find((preset) => preset.id === id) || null
+  }
+
+  add({ name, template, changes, bytes }) {
+    const preset = {
+      id: `user-${Date.now().toString(36)}`,
+      name,
+      template,
+      changes,
+      data: bytesToBase64(bytes),
+      createdAt: Date.now(),
+    }
+    this.presets.push(preset)
+    this.save()
+    return preset
+  }
+
+  remove(id) {
+    this.presets = this.presets.filter((preset) => preset.id !== id)
+    this.save()
+  }
+
+  bytes(preset) {
+    return base64ToBytes(preset.data)
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  emit() {
+    this.listeners.forEach((listener) => listener(this.all()))
+  }
+}
+
+// Comparison table on the gameloop page: one column per preset, one row per graphics
+// setting. Rows where the presets disagree are highlighted, and so is every cell that
+// differs from the most common value in its row.
+class PresetInspector {
+  constructor(library, root) {
+    this.library = library
+    this.root = root
+    this.loaded = []
+    this.selected = null
+    if (!root) return
+
+    this.table = root.querySelector(".preset-table")
+    this.status = root.querySelector(".preset-status")
+    this.details = root.querySelector(".preset-properties")
+
+    root.querySelector(".preset-load").addEventListener("click", () => this.loadBundled())
+    const input = root.querySelector(".preset-file")
+    input.addEventListener("change", () => {
+      if (input.files[0]) this.openFile(input.files[0])
+      input.value = ""
+    })
+    window.i18n.onChange(() => (this.selected ? this.select(this.selected) : this.render()))
+  }
+
+  setStatus(text) {
+    if (this.status) this.status.textContent = text
+  }
+
+  async loadBundled() {
+    const { t } = window.i18n
+    this.setStatus(t("presets.reading"))
+    const failed = []
+
+    for (const preset of this.library.presets) {
+      if (!preset.path || this.loaded.includes(preset)) continue
+      try {
+        await this.library.load(preset)
+        this.loaded.push(preset)
+      } catch (error) {
+        console.log(`[v0] Preset ${preset.id}: ${error.message}`)
+        failed.push(preset.label)
+      }
+    }
+
+    this.setStatus(
+      failed.length > 0
+        ? t("presets.unreadable", { count: failed.length })
+        : t("presets.loaded", { count: this.loaded.length }),
+    )
+    this.render()
+  }
+
+  async openFile(file) {
+    try {
+      const preset = await this.library.loadFile(file)
+      if (!this.loaded.includes(preset)) this.loaded.push(preset)
+      this.setStatus(window.i18n.t("presets.opened", { name: file.name }))
+      this.select(preset)
+      this.render()
+    } catch (error) {
+      this.setStatus(`${file.name}: ${error.message}`)
+      notify.error(error.message, window.i18n.t("presets.notPreset"))
+    }
+  }
+
+  render() {
+    if (!this.table) return
+    this.table.textContent = ""
+    if (this.loaded.length === 0) return
+
+    const head = document.createElement("tr")
+    head.appendChild(document.createElement("th"))
+    this.loaded.forEach((preset) => {
+      const th = document.createElement("th")
+      const button = document.createElement("button")
+      button.className = "preset-column"
+      button.textContent = preset.label
+      button.title = window.i18n.t("presets.showAll")
+      button.classList.toggle("active", preset === this.selected)
+      button.addEventListener("click", () => this.select(preset))
+      th.appendChild(button)
+      head.appendChild(th)
+    })
+    this.table.appendChild(head)
+
+    const columns = this.loaded.map((preset) => this.library.graphics(this.library.cache.get(preset.id)))
+    GRAPHICS_SETTINGS.forEach((setting, index) => {
+      const cells = columns.map((column) => column[index])
+      const common = this.mostCommon(cells.map((cell) => cell.display))
+      const row = document.createElement("tr")
+      row.classList.toggle(
+        "differs",
+        cells.some((cell) => cell.display !== common),
+      )
+
+      const label = document.createElement("th")
+      label.textContent = graphicsSettingLabel(setting)
+      label.title = setting.key
+      row.appendChild(label)
+
+      cells.forEach((cell) => {
+        const td = document.createElement("td")
+        td.textContent = cell.display
+        td.classList.toggle("changed", cell.display !== common)
+        row.appendChild(td)
+      })
+      this.table.appendChild(row)
+    })
+  }
+
+  mostCommon(values) {
+    const counts = new Map()
+    values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1))
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0]
+  }
+
+  select(preset) {
+    this.selected = preset
+    this.render()
+    if (!this.details) return
+
+    const save = this.library.cache.get(preset.id)
+    const { header } = save
+    this.details.textContent = ""
+
+    const title = document.createElement("h4")
+    title.textContent = window.i18n.t("presets.details", {
+      name: preset.label,
+      saveClass: gvasText(header.saveGameClass),
+      engine: `${header.engineVersion.major}.${header.engineVersion.minor}`,
+      count: save.properties.length,
+    })
+    this.details.appendChild(title)
+
+    const list = document.createElement("div")
+    list.className = "preset-property-list"
+    save.properties.forEach((property) => {
+      const row = document.createElement("div")
+      row.className = "preset-property"
+      const name = document.createElement("span")
+      name.textContent = gvasText(property.name)
+      const type = document.createElement("span")
+      type.className = "preset-property-type"
+      type.textContent = property.type.replace("Property", "")
+      const value = document.createElement("span")
+      value.textContent = formatGraphicsValue({}, property.value !== undefined ? property.value : property.raw)
+      row.append(name, type, value)
+      list.appendChild(row)
+    })
+    this.details.appendChild(list)
+  }
+}
+
+window.BUNDLED_PRESETS = BUNDLED_PRESETS
+window.GRAPHICS_SETTINGS = GRAPHICS_SETTINGS
+window.GRAPHICS_VALUE_LABELS = GRAPHICS_VALUE_LABELS
+window.formatGraphicsValue = formatGraphicsValue
+window.graphicsSettingLabel = graphicsSettingLabel
+window.graphicsValueLabel = graphicsValueLabel
+window.PresetLibrary = PresetLibrary
+window.PresetInspector = PresetInspector
+window.UserPresetStore = UserPresetStore
+window.presetLibrary = new PresetLibrary()
+window.userPresets = new UserPresetStore()
+window.i18n.define("en", graphicsCatalog())
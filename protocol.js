@@ -0,0 +1,138 @@
+// Host message schema shared by index.html (bridge.js), free.html and login.html.
+// Every message in either direction is a plain object carrying the schema version:
+//
+//   page -> host
+//     { v: 1, type: "request", id, action, args }       replies carry the same id
+//     { v: 1, type: "cancel", id }                       the page stopped waiting for id
+//   host -> page
+//     { v: 1, type: "progress", id, progress, message }
+//     { v: 1, type: "success", id, result }
+//     { v: 1, type: "error", id, error: { code, message } }
+//   both ways
+//     { v: 1, type: "event", name, payload }             fire and forget
+//
+// Messages from hosts that predate the schema are upgraded on the way in: bridge replies
+// { id, status, ... }, free.html's { type, payload } pushes and login.html's bare
+// strings (event "text" with payload { text }). Anything else is a ProtocolError.
+//
+// Wherever the host sends a `message` (progress, error, results and event payloads) it
+// may add `messageKey` and `params` naming a string in the page's catalogs (i18n.js);
+// the page shows that string in the user's language and falls back to `message`.
+
+const PROTOCOL_VERSION = 1
+
+class ProtocolError extends Error {
+  constructor(message, data = null) {
+    super(message)
+    this.name = "ProtocolError"
+    this.code = "protocol"
+    this.data = data
+  }
+}
+
+// Required and optional fields per message type; "object" means a plain object
+const MESSAGE_SCHEMAS = {
+  request: { from: "page", required: { id: "string", action: "string", args: "object" } },
+  cancel: { from: "page", required: { id: "string" } },
+  progress: {
+    from: "host",
+    required: { id: "string" },
+    optional: { progress: "number", message: "string", messageKey: "string", params: "object" },
+  },
+  success: { from: "host", required: { id: "string" }, optional: { result: "object" } },
+  error: { from: "host", required: { id: "string", error: "object" } },
+  event: { from: "both", required: { name: "string" }, optional: { payload: "object" } },
+}
+
+function describeType(type) {
+  return `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`
+}
+
+function fieldType(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "array"
+  return typeof value
+}
+
+// from: "page" for outbound messages, "host" for inbound ones. Returns a list of problems.
+function validateHostMessage(message, from) {
+  if (fieldType(message) !== "object") return ["A message must be an object"]
+  if (message.v !== PROTOCOL_VERSION) return [`Unsupported protocol version ${message.v}`]
+
+  const schema = MESSAGE_SCHEMAS[message.type]
+  if (!schema) return [`Unknown message type "${message.type}"`]
+  if (schema.from !== "both" && schema.from !== from) return [`"${message.type}" cannot be sent by the ${from}`]
+
+  const errors = []
+  Object.entries(schema.required).forEach(([field, type]) => {
+    if (fieldType(message[field]) !== type) errors.push(`${message.type}.${field} must be ${describeType(type)}`)
+  })
+  Object.entries(schema.optional || {}).forEach(([field, type]) => {
+    if (message[field] !== undefined && fieldType(message[field]) !== type) {
+      errors.push(`${message.type}.${field} must be ${describeType(type)}`)
+    }
+  })
+  if (message.type === "error" && errors.length === 0 && typeof message.error.message !== "string") {
+    errors.push("error.message must be a string")
+  }
+  return errors
+}
+
+// Builds an outbound message and refuses to build an invalid one
+function createHostMessage(type, fields = {}) {
+  const message = Object.assign({ v: PROTOCOL_VERSION, type }, fields)
+  const errors = validateHostMessage(message, "page")
+  if (errors.length > 0) throw new ProtocolError(errors.join("; "), message)
+  return message
+}
+
+function upgradeLegacyMessage(data) {
+  if (typeof data === "string") return { v: PROTOCOL_VERSION, type: "event", name: "text", payload: { text: data } }
+  if (fieldType(data) !== "object" || data.v !== undefined) return data
+
+  if (data.id !== undefined && data.status !== undefined) {
+    const { status, ...rest } = data
+    return Object.assign({ v: PROTOCOL_VERSION, type: status }, rest)
+  }
+  if (typeof data.type === "string") {
+    return { v: PROTOCOL_VERSION, type: "event", name: data.type, payload: data.payload || {} }
+  }
+  return data
+}
+
+// Parses and validates an inbound message (object or JSON text); throws ProtocolError
+function readHostMessage(data) {
+  let value = data
+  if (typeof data === "string" && data.trim().startsWith("{")) {
+    try {
+      value = JSON.parse(data)
+    } catch (error) {
+      throw new ProtocolError(`Malformed JSON from the host: ${error.message}`, data)
+    }
+  }
+
+  const message = upgradeLegacyMessage(value)
+  const errors = validateHostMessage(message, "host")
+  if (errors.length > 0) throw new ProtocolError(errors.join("; "), data)
+  return message
+}
+
+if (typeof window !== "undefined") {
+  window.PROTOCOL_VERSION = PROTOCOL_VERSION
+  window.ProtocolError = ProtocolError
+  window.validateHostMessage = validateHostMessage
+  window.createHostMessage = createHostMessage
+  window.upgradeLegacyMessage = upgradeLegacyMessage
+  window.readHostMessage = readHostMessage
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PROTOCOL_VERSION,
+    ProtocolError,
+    validateHostMessage,
+    createHostMessage,
+    upgradeLegacyMessage,
+    readHostMessage,
+  }
+}
@@ -0,0 +1,376 @@
+// Recipes page: the list of recipes, an inline editor, JSON import/export and the
+// step-by-step progress of queued and running recipes (recipes.js).
+
+class RecipePanel {
+  constructor(store, runner, registry, root) {
+    this.store = store
+    this.runner = runner
+    this.registry = registry
+    this.root = root
+    this.editing = null
+    if (!root) return
+
+    this.list = root.querySelector(".recipe-list")
+    this.editor = root.querySelector(".recipe-editor")
+    this.runsPanel = root.querySelector(".recipe-runs")
+
+    root.querySelector(".recipe-new").addEventListener("click", () => this.edit(null))
+    root.querySelector(".recipe-export-all").addEventListener("click", () => this.download())
+    const input = root.querySelector(".recipe-import-file")
+    input.addEventListener("change", async () => {
+      const file = input.files[0]
+      input.value = ""
+      if (file) this.importText(await file.text(), file.name)
+    })
+
+    this.store.onChange(() => this.render())
+    this.runner.onChange(() => this.renderRuns())
+    window.i18n.onChange(() => {
+      this.render()
+      this.renderRuns()
+      if (this.editing) this.renderEditor()
+    })
+    this.render()
+    this.renderRuns()
+  }
+
+  // Same confirmations the buttons ask for, in one dialog up front instead of halfway through the run
+  async run(recipe) {
+    if (await window.confirmDialog.confirmRecipe(recipe)) this.runner.enqueue(recipe)
+  }
+
+  async remove(recipe) {
+    const { t } = window.i18n
+    const { confirmed } = await window.confirmDialog.show({
+      title: t("recipes.deleteTitle"),
+      risk: "low",
+      description: t("recipes.confirmDelete", { name: recipe.name }),
+      confirmLabel: t("common.delete"),
+    })
+    if (confirmed) this.store.remove(recipe.id)
+  }
+
+  importText(text, source) {
+    const { t } = window.i18n
+    const { added, errors } = this.store.import(text)
+    if (added.length > 0) notify.success(t("recipes.imported", { count: added.length, source }), t("nav.recipes"))
+    if (errors.length > 0) notify.error(errors.join("\n"), t("recipes.skipped", { source }))
+  }
+
+  download(recipe = null) {
+    const blob = new Blob([this.store.export(recipe ? [recipe.id] : null)], { type: "application/json" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = recipe ? `${recipe.id}.recipe.json` : "nx-recipes.json"
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(link.href), 0)
+  }
+
+  render() {
+    this.list.textContent = ""
+    const recipes = this.store.all()
+
+    if (recipes.length === 0) {
+      const empty = document.createElement("div")
+      empty.className = "benchmark-empty"
+      empty.textContent = window.i18n.t("recipes.empty")
+      this.list.appendChild(empty)
+      return
+    }
+
+    recipes.forEach((recipe) => this.list.appendChild(this.renderRecipe(recipe)))
+  }
+
+  renderRecipe(recipe) {
+    const { t } = window.i18n
+    const card = document.createElement("div")
+    card.className = "recipe-card"
+    card.dataset.recipe = recipe.id
+
+    const header = document.createElement("div")
+    header.className = "benchmark-header"
+    const title = document.createElement("h4")
+    title.textContent = recipe.name
+    const mode = document.createElement("span")
+    mode.className = "recipe-mode"
+    mode.textContent = t(recipe.onError === "stop" ? "recipes.mode.stop" : "recipes.mode.continue")
+    header.append(title, mode)
+    if (recipe.description) {
+      const description = document.createElement("span")
+      description.className = "benchmark-meta"
+      description.textContent = recipe.description
+      header.appendChild(description)
+    }
+    card.appendChild(header)
+
+    const steps = document.createElement("ol")
+    steps.className = "recipe-steps"
+    recipe.steps.forEach((step) => {
+      const item = document.createElement("li")
+      const args = Object.keys(step.args).length > 0 ? ` ${JSON.stringify(step.args)}` : ""
+      const delay = step.delayMs > 0 ? ` • ${t("recipes.thenWait", { seconds: step.delayMs / 1000 })}` : ""
+      item.textContent = `${this.stepLabel(step.action)}${args}${delay}`
+      item.classList.toggle("missing", !this.registry.get(step.action))
+      steps.appendChild(item)
+    })
+    card.appendChild(steps)
+
+    const actions = document.createElement("div")
+    actions.className = "recipe-actions"
+    const buttons = [
+      [t("recipes.run"), "fa-play", () => this.run(recipe)],
+      [t("recipes.edit"), "fa-pen", () => this.edit(recipe)],
+      [t("common.export"), "fa-file-export", () => this.download(recipe)],
+      [t("common.delete"), "fa-trash", () => this.remove(recipe)],
+    ]
+    buttons.forEach(([label, icon, handler]) => actions.appendChild(this.button(label, icon, handler)))
+    card.appendChild(actions)
+
+    return card
+  }
+
+  // Steps can name an action from a pack that is switched off or was removed
+  stepLabel(action) {
+    const entry = this.registry.get(action)
+    return entry ? this.registry.label(entry) : window.i18n.t("recipes.step.missing", { action })
+  }
+
+  button(label, icon, handler) {
+    const button = document.createElement("button")
+    button.className = "benchmark-tool-btn"
+    const i = document.createElement("i")
+    i.className = `fas ${icon}`
+    const text = document.createElement("span")
+    text.textContent = label
+    button.append(i, text)
+    button.addEventListener("click", handler)
+    return button
+  }
+
+  // Editor for a copy of the recipe; null starts a new one
+  edit(recipe) {
+    this.editing = recipe
+      ? JSON.parse(JSON.stringify(recipe))
+      : {
+          name: "",
+          description: "",
+          onError: "stop",
+          steps: [{ action: this.registry.all()[0].id, args: {}, delayMs: 0 }],
+        }
+    this.renderEditor()
+    this.editor.hidden = false
+    this.editor.querySelector(".recipe-name").focus()
+  }
+
+  closeEditor() {
+    this.editing = null
+    this.editor.hidden = true
+    this.editor.textContent = ""
+  }
+
+  // The markup keeps the English text; i18n.apply() fills in the interface language
+  renderEditor() {
+    const { t } = window.i18n
+    const recipe = this.editing
+    this.editor.innerHTML = `
+      <div class="preset-builder-form">
+        <label class="preset-field">
+          <span data-i18n="recipes.field.name">Name</span>
+          <input type="text" class="recipe-name" maxlength="60">
+        </label>
+        <label class="preset-field">
+          <span data-i18n="recipes.field.description">Description</span>
+          <input type="text" class="recipe-description" maxlength="160">
+        </label>
+        <label class="preset-field">
+          <span data-i18n="recipes.field.onError">When a step fails</span>
+          <select class="recipe-on-error">
+            <option value="stop" data-i18n="recipes.onError.stop">Stop the recipe</option>
+            <option value="continue" data-i18n="recipes.onError.continue">Continue with the next step</option>
+          </select>
+        </label>
+      </div>
+      <div class="recipe-step-rows"></div>
+      <ul class="recipe-errors"></ul>
+      <div class="preset-builder-footer"></div>`
+    window.i18n.apply(this.editor)
+
+    const name = this.editor.querySelector(".recipe-name")
+    const description = this.editor.querySelector(".recipe-description")
+    const onError = this.editor.querySelector(".recipe-on-error")
+    name.value = recipe.name
+    description.value = recipe.description
+    onError.value = recipe.onError
+    name.addEventListener("input", () => (recipe.name = name.value))
+    description.addEventListener("input", () => (recipe.description = description.value))
+    onError.addEventListener("change", () => (recipe.onError = onError.value))
+
+    this.renderStepRows()
+
+    const footer = this.editor.querySelector(".preset-builder-footer")
+    footer.appendChild(
+      this.button(t("recipes.addStep"), "fa-plus", () => {
+        recipe.steps.push({ action: recipe.steps[recipe.steps.length - 1].action, args: {}, delayMs: 0 })
+        this.renderStepRows()
+      }),
+    )
+    const right = document.createElement("div")
+    right.className = "recipe-actions"
+    right.append(
+      this.button(t("confirm.cancel"), "fa-times", () => this.closeEditor()),
+      this.button(t("recipes.save"), "fa-save", () => this.saveEditor()),
+    )
+    footer.appendChild(right)
+  }
+
+  renderStepRows() {
+    const { t } = window.i18n
+    const rows = this.editor.querySelector(".recipe-step-rows")
+    const steps = this.editing.steps
+    rows.textContent = ""
+
+    steps.forEach((step, index) => {
+      const row = document.createElement("div")
+      row.className = "recipe-step-row"
+
+      const number = document.createElement("span")
+      number.className = "recipe-step-number"
+      number.textContent = index + 1
+
+      const action = document.createElement("select")
+      action.setAttribute("aria-label", t("recipes.step.action", { n: index + 1 }))
+      const groups = {}
+      this.registry.all().forEach((entry) => {
+        if (!groups[entry.page]) {
+          groups[entry.page] = document.createElement("optgroup")
+          groups[entry.page].label = t(`nav.${entry.page}`, {}, entry.page)
+          action.appendChild(groups[entry.page])
+        }
+        const option = document.createElement("option")
+        option.value = entry.id
+        option.textContent = this.registry.label(entry)
+        groups[entry.page].appendChild(option)
+      })
+      // Kept selected so saving reports the missing action instead of swapping in another
+      if (!this.registry.get(step.action)) {
+        const option = document.createElement("option")
+        option.value = step.action
+        option.textContent = this.stepLabel(step.action)
+        action.prepend(option)
+      }
+      action.value = step.action
+      action.addEventListener("change", () => (step.action = action.value))
+
+      // Kept as text while editing so a half-typed object is not lost; parsed on save
+      const args = document.createElement("input")
+      args.type = "text"
+      args.placeholder = t("recipes.step.argsPlaceholder")
+      args.setAttribute("aria-label", t("recipes.step.args", { n: index + 1 }))
+      args.value = step.argsText !== undefined ? step.argsText : JSON.stringify(step.args || {})
+      args.addEventListener("input", () => (step.argsText = args.value))
+
+      const delay = document.createElement("input")
+      delay.type = "number"
+      delay.min = 0
+      delay.step = "0.5"
+      delay.title = t("recipes.step.delayHint")
+      delay.setAttribute("aria-label", t("recipes.step.delay", { n: index + 1 }))
+      delay.value = (step.delayMs || 0) / 1000
+      delay.addEventListener("input", () => (step.delayMs = Math.round(Number(delay.value) * 1000)))
+
+      const move = (offset) => {
+        const target = index + offset
+        if (target < 0 || target >= steps.length) return
+        ;[steps[index], steps[target]] = [steps[target], steps[index]]
+        this.renderStepRows()
+      }
+      const up = this.button("", "fa-arrow-up", () => move(-1))
+      up.setAttribute("aria-label", t("recipes.step.up"))
+      up.disabled = index === 0
+      const down = this.button("", "fa-arrow-down", () => move(1))
+      down.setAttribute("aria-label", t("recipes.step.down"))
+      down.disabled = index === steps.length - 1
+      const remove = this.button("", "fa-trash", () => {
+        steps.splice(index, 1)
+        this.renderStepRows()
+      })
+      remove.setAttribute("aria-label", t("recipes.step.remove"))
+      remove.disabled = steps.length === 1
+
+      row.append(number, action, args, delay, up, down, remove)
+      rows.appendChild(row)
+    })
+  }
+
+  saveEditor() {
+    const errors = []
+    const recipe = Object.assign({}, this.editing, {
+      steps: this.editing.steps.map((step, index) => {
+        let args = step.args
+        if (step.argsText !== undefined) {
+          try {
+            args = step.argsText.trim() === "" ? {} : JSON.parse(step.argsText)
+          } catch (error) {
+            errors.push(window.i18n.t("recipes.error.argsJson", { n: index + 1 }))
+          }
+        }
+        return { action: step.action, args, delayMs: step.delayMs || 0 }
+      }),
+    })
+
+    if (errors.length === 0) errors.push(...this.store.put(recipe))
+    const list = this.editor.querySelector(".recipe-errors")
+    list.textContent = ""
+    errors.forEach((text) => {
+      const item = document.createElement("li")
+      item.textContent = text
+      list.appendChild(item)
+    })
+    if (errors.length === 0) this.closeEditor()
+  }
+
+  renderRuns() {
+    const { t } = window.i18n
+    this.runsPanel.textContent = ""
+    this.runsPanel.hidden = this.runner.runs.length === 0
+
+    this.runner.runs.forEach((run) => {
+      const card = document.createElement("div")
+      card.className = `recipe-run ${run.state}`
+
+      const header = document.createElement("div")
+      header.className = "benchmark-header"
+      const title = document.createElement("h4")
+      title.textContent = run.recipe.name
+      const state = document.createElement("span")
+      state.className = "recipe-run-state"
+      state.textContent = t(`recipes.run.${run.cancelled && run.state === "running" ? "cancelling" : run.state}`)
+      header.append(title, state)
+
+      const active = run.state === "queued" || run.state === "running"
+      const control = active
+        ? this.button(t("confirm.cancel"), "fa-stop", () => this.runner.cancel(run.id))
+        : this.button(t("recipes.dismiss"), "fa-times", () => this.runner.dismiss(run.id))
+      control.disabled = run.cancelled
+      header.appendChild(control)
+      card.appendChild(header)
+
+      const steps = document.createElement("ol")
+      steps.className = "recipe-steps"
+      run.steps.forEach((item) => {
+        const li = document.createElement("li")
+        li.className = `recipe-step ${item.state}`
+        const status = t(`recipes.step.${item.waiting ? "waiting" : item.state}`)
+        li.textContent = `${this.stepLabel(item.step.action)} • ${status}${item.error ? `: ${item.error}` : ""}`
+        steps.appendChild(li)
+      })
+      card.appendChild(steps)
+
+      this.runsPanel.appendChild(card)
+    })
+  }
+}
+
+window.RecipePanel = RecipePanel
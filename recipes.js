@@ -0,0 +1,367 @@
+// Recipes: named, ordered sequences of registry actions that run one after another,
+// e.g. Full Clean, Clear Temp, Timer Resolution and then a mod preset.
+//
+//   { id, name, description, onError: "stop" | "continue",
+//     steps: [{ action, args, delayMs }] }
+//
+// `action` is a registry id, `args` is passed to the host with the request and
+// `delayMs` is a pause after the step before the next one starts. Recipes are kept in
+// localStorage and shared as JSON files ({ format: "nx-recipes", version: 1, recipes }).
+
+const RECIPE_FORMAT = "nx-recipes"
+const RECIPE_VERSION = 1
+const RECIPE_MAX_DELAY = 10 * 60 * 1000
+
+const DEFAULT_RECIPES = [
+  {
+    id: "competitive-pubg",
+    name: "Competitive PUBG",
+    description: "Clean up, tighten the timer and switch GameLoop to Super Smooth 120 FPS",
+    onError: "stop",
+    steps: [
+      { action: "full-clean", args: {}, delayMs: 0 },
+      { action: "clear-temp", args: {}, delayMs: 2000 },
+      { action: "timer-resolution", args: {}, delayMs: 0 },
+      { action: "super-smooth", args: {}, delayMs: 0 },
+    ],
+  },
+  {
+    id: "fortnite-streaming",
+    name: "Fortnite streaming",
+    description: "Free memory and network state, then apply the basic Fortnite pack",
+    onError: "continue",
+    steps: [
+      { action: "clean-ram", args: {}, delayMs: 0 },
+      { action: "clear-temp", args: {}, delayMs: 0 },
+      { action: "ip-flush", args: {}, delayMs: 3000 },
+      { action: "basicF", args: {}, delayMs: 0 },
+    ],
+  },
+]
+
+// Returns a list of problems; an empty list means the recipe can be stored and run.
+// Without a registry the action ids are not checked.
+function validateRecipe(recipe, registry) {
+  const { t } = window.i18n
+  const errors = []
+  if (!recipe || typeof recipe !== "object") return [t("recipes.error.object")]
+
+  if (typeof recipe.name !== "string" || recipe.name.trim() === "") errors.push(t("recipes.error.name"))
+  if (recipe.onError !== "stop" && recipe.onError !== "continue") errors.push(t("recipes.error.onError"))
+  if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+    errors.push(t("recipes.error.noSteps"))
+    return errors
+  }
+
+  recipe.steps.forEach((step, index) => {
+    const n = index + 1
+    if (!step || typeof step !== "object") {
+      errors.push(t("recipes.error.stepObject", { n }))
+      return
+    }
+    if (registry && !registry.get(step.action)) {
+      errors.push(t("recipes.error.unknownAction", { n, action: step.action }))
+    }
+    if (step.args !== undefined && (step.args === null || typeof step.args !== "object" || Array.isArray(step.args))) {
+      errors.push(t("recipes.error.args", { n }))
+    }
+    const delay = step.delayMs === undefined ? 0 : step.delayMs
+    if (!Number.isFinite(delay) || delay < 0 || delay > RECIPE_MAX_DELAY) {
+      errors.push(t("recipes.error.delay", { n, max: RECIPE_MAX_DELAY / 60000 }))
+    }
+  })
+
+  return errors
+}
+
+// Copy with only the known fields, so stored and exported recipes stay clean
+function normalizeRecipe(recipe) {
+  return {
+    id: recipe.id,
+    name: recipe.name.trim(),
+    description: typeof recipe.description === "string" ? recipe.description.trim() : "",
+    onError: recipe.onError,
+    steps: recipe.steps.map((step) => ({
+      action: step.action,
+      args: Object.assign({}, step.args),
+      delayMs: Math.round(step.delayMs || 0),
+    })),
+  }
+}
+
+class RecipeStore {
+  constructor(registry, storageKey = "nx.recipes") {
+    this.registry = registry
+    this.storageKey = storageKey
+    this.listeners = []
+    this.recipes = this.load()
+  }
+
+  load() {
+    let stored = null
+    try {
+      stored = JSON.parse(window.localStorage.getItem(this.storageKey))
+    } catch (error) {
+      console.log(`[v0] Ignoring unreadable recipes: ${error.message}`)
+    }
+    const recipes = Array.isArray(stored) ? stored : DEFAULT_RECIPES
+    // Steps the registry does not know yet are kept: action packs register theirs later.
+    // RecipeRunner checks each step again when it gets to it.
+    return recipes.filter((recipe) => validateRecipe(recipe, null).length === 0).map(normalizeRecipe)
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.recipes))
+    } catch (error) {
+      console.log(`[v0] Could not save recipes: ${error.message}`)
+    }
+    this.listeners.forEach((listener) => listener(this.recipes))
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  all() {
+    return this.recipes.slice()
+  }
+
+  get(id) {
+    return this.recipes.find((recipe) => recipe.id === id) || null
+  }
+
+  uniqueId(name) {
+    const slug = name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+    const base = slug || "recipe"
+    let id = base
+    for (let n = 2; this.get(id); n++) id = `${base}-${n}`
+    return id
+  }
+
+  // Adds a new recipe or replaces the one with the same id. Returns the problems found, if any.
+  put(recipe) {
+    const errors = validateRecipe(recipe, this.registry)
+    if (errors.length > 0) return errors
+
+    const stored = normalizeRecipe(Object.assign({}, recipe, { id: recipe.id || this.uniqueId(recipe.name) }))
+    const index = this.recipes.findIndex((candidate) => candidate.id === stored.id)
+    if (index === -1) this.recipes.push(stored)
+    else this.recipes[index] = stored
+    this.save()
+    return []
+  }
+
+  remove(id) {
+    this.recipes = this.recipes.filter((recipe) => recipe.id !== id)
+    this.save()
+  }
+
+  export(ids = null) {
+    const recipes = ids ? this.recipes.filter((recipe) => ids.includes(recipe.id)) : this.recipes
+    return JSON.stringify({ format: RECIPE_FORMAT, version: RECIPE_VERSION, recipes }, null, 2)
+  }
+
+  // Accepts an export file, a bare list or a single recipe. Imported recipes never
+  // overwrite existing ones; a clashing id gets a new one.
+  import(text) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      return { added: [], errors: [window.i18n.t("recipes.error.json", { error: error.message })] }
+    }
+
+    if (data && data.format === RECIPE_FORMAT && data.version > RECIPE_VERSION) {
+      return { added: [], errors: [window.i18n.t("recipes.error.newer", { version: data.version })] }
+    }
+
+    const recipes = data && Array.isArray(data.recipes) ? data.recipes : Array.isArray(data) ? data : [data]
+    const added = []
+    const errors = []
+    recipes.forEach((recipe, index) => {
+      const label = recipe && recipe.name ? `"${recipe.name}"` : window.i18n.t("recipes.numbered", { n: index + 1 })
+      const problems = validateRecipe(recipe, this.registry)
+      if (problems.length > 0) {
+        errors.push(`${label}: ${problems.join("; ")}`)
+        return
+      }
+      const id = recipe.id && !this.get(recipe.id) ? recipe.id : this.uniqueId(recipe.name)
+      this.put(Object.assign({}, recipe, { id }))
+      added.push(id)
+    })
+    return { added, errors }
+  }
+}
+
+// Runs recipes strictly one at a time; recipes started while another is running wait
+// in the queue. execute(entry, args) must resolve to { ok, error } like runHostAction().
+class RecipeRunner {
+  constructor(registry, execute) {
+    this.registry = registry
+    this.execute = execute
+    this.runs = []
+    this.listeners = []
+    this.sequence = 0
+    this.active = false
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  emit() {
+    this.listeners.forEach((listener) => listener(this.runs))
+  }
+
+  enqueue(recipe) {
+    this.sequence += 1
+    const run = {
+      id: `${Date.now().toString(36)}-${this.sequence}`,
+      recipe,
+      state: "queued",
+      cancelled: false,
+      wake: null,
+      steps: recipe.steps.map((step) => ({
+        step,
+        entry: this.registry.get(step.action),
+        state: "pending",
+        error: null,
+      })),
+    }
+    this.runs.push(run)
+    this.emit()
+    this.next()
+    return run
+  }
+
+  async next() {
+    if (this.active) return
+    const run = this.runs.find((candidate) => candidate.state === "queued")
+    if (!run) return
+
+    this.active = true
+    try {
+      await this.perform(run)
+    } catch (error) {
+      // Never leave a run showing as running when something outside a step broke
+      console.log(`[v0] Recipe ${run.recipe.name} stopped: ${error.message}`)
+      run.state = "failed"
+      run.finishedAt = Date.now()
+      run.steps.forEach((item) => {
+        if (item.state === "pending" || item.state === "running") item.state = "skipped"
+      })
+      this.emit()
+    } finally {
+      this.active = false
+    }
+    this.next()
+  }
+
+  async perform(run) {
+    run.state = "running"
+    run.startedAt = Date.now()
+    this.emit()
+
+    let failed = false
+    const halted = () => run.cancelled || (failed && run.recipe.onError === "stop")
+    for (let index = 0; index < run.steps.length; index++) {
+      const item = run.steps[index]
+      if (halted()) {
+        item.state = "skipped"
+        continue
+      }
+
+      // The action may belong to a pack that is switched off
+      item.entry = this.registry.get(item.step.action)
+      if (!item.entry) {
+        item.state = "failed"
+        item.error = window.i18n.t("recipes.error.missingAction", { action: item.step.action })
+        failed = true
+        this.emit()
+        continue
+      }
+
+      item.state = "running"
+      this.emit()
+      const outcome = await this.step(item)
+      item.state = outcome.ok ? "done" : "failed"
+      item.error = outcome.ok ? null : outcome.error
+      failed = failed || !outcome.ok
+      this.emit()
+
+      const last = index === run.steps.length - 1
+      if (item.step.delayMs > 0 && !last && !halted()) {
+        item.waiting = true
+        this.emit()
+        await this.wait(run, item.step.delayMs)
+        item.waiting = false
+      }
+    }
+
+    run.state = run.cancelled ? "cancelled" : failed ? "failed" : "done"
+    run.finishedAt = Date.now()
+    this.emit()
+
+    const { t } = window.i18n
+    const { name } = run.recipe
+    const done = run.steps.filter((item) => item.state === "done").length
+    const summary = t("recipes.summary", { done, total: run.steps.length })
+    if (run.state === "done") notify.success(summary, name)
+    else if (run.state === "cancelled") notify.info(summary, t("recipes.cancelled", { name }))
+    else notify.error(summary, t("recipes.failed", { name }))
+  }
+
+  // A step that throws, synchronously or by rejecting, fails like one the host refused
+  async step(item) {
+    let outcome
+    try {
+      outcome = await this.execute(item.entry, item.step.args)
+    } catch (error) {
+      outcome = { ok: false, error }
+    }
+    if (outcome && outcome.ok) return { ok: true }
+    const error = outcome && outcome.error
+    return { ok: false, error: error && error.message ? error.message : String(error) }
+  }
+
+  // A delay that cancel() can cut short
+  wait(run, ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms)
+      run.wake = () => {
+        clearTimeout(timer)
+        resolve()
+      }
+    })
+  }
+
+  // A queued run is dropped; a running one finishes its current step and skips the rest
+  cancel(id) {
+    const run = this.runs.find((candidate) => candidate.id === id)
+    if (!run) return
+
+    if (run.state === "queued") {
+      run.state = "cancelled"
+      run.steps.forEach((item) => (item.state = "skipped"))
+    } else if (run.state === "running") {
+      run.cancelled = true
+      if (run.wake) run.wake()
+    }
+    this.emit()
+  }
+
+  // Finished runs are kept for the progress panel until dismissed
+  dismiss(id) {
+    this.runs = this.runs.filter((run) => run.id !== id || run.state === "queued" || run.state === "running")
+    this.emit()
+  }
+}
+
+window.DEFAULT_RECIPES = DEFAULT_RECIPES
+window.validateRecipe = validateRecipe
+window.RecipeStore = RecipeStore
+window.RecipeRunner = RecipeRunner
@@ -0,0 +1,378 @@
+// Hardware-aware recommendations for the dashboard: which graphics preset fits the PC
+// and which tweaks are worth running on it, each with the reasons it was picked.
+// The specs come from the host, which sends
+//
+//   { v: 1, type: "event", name: "hardware", payload: {
+//       cpu: { name, cores, threads, freq }, ram: { total }, gpu: { name, memory },
+//       display: { refreshRate, width, height } } }
+//
+// once after start and whenever something changes (a second monitor, a new GPU driver).
+// freq is the rated clock in GHz, ram.total and gpu.memory are GB. Every field is
+// optional. Until the host reports, the telemetry samples (proc.cores, ram.total) and
+// the browser's own thread count fill in what they can; the host always wins.
+
+const HARDWARE_SCHEMA = {
+  cpu: {
+    name: { text: true },
+    cores: { min: 1, max: 1024, integer: true },
+    threads: { min: 1, max: 4096, integer: true },
+    freq: { min: 0.1, max: 10 },
+  },
+  ram: { total: { min: 0.1, max: 4096 } },
+  gpu: { name: { text: true }, memory: { min: 0, max: 256 } },
+  display: {
+    refreshRate: { min: 1, max: 1000 },
+    width: { min: 1, max: 16384, integer: true },
+    height: { min: 1, max: 16384, integer: true },
+  },
+}
+
+// Later sources are more trustworthy; a field never goes back to a worse source
+const HARDWARE_SOURCES = ["browser", "telemetry", "host"]
+
+class HardwareProfile {
+  constructor(schema = HARDWARE_SCHEMA) {
+    this.schema = schema
+    this.specs = {}
+    this.sources = {}
+    this.listeners = []
+    Object.keys(schema).forEach((part) => {
+      this.specs[part] = {}
+      this.sources[part] = {}
+    })
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  get known() {
+    return Object.values(this.specs).some((fields) => Object.keys(fields).length > 0)
+  }
+
+  check(rule, value) {
+    if (!rule) return "is not a known field"
+    if (rule.text) return typeof value === "string" && value.length <= 120 ? null : "must be a short string"
+    if (typeof value !== "number" || !Number.isFinite(value)) return "must be a finite number"
+    if (value < rule.min || value > rule.max) return `= ${value} is outside ${rule.min}..${rule.max}`
+    if (rule.integer && !Number.isInteger(value)) return "must be an integer"
+    return null
+  }
+
+  // Merges the fields in data and returns the rejected ones. Missing or undefined fields
+  // leave what is known alone.
+  update(data, source = "host") {
+    if (!data || typeof data !== "object" || Array.isArray(data)) return ["hardware details must be an object"]
+
+    const rank = HARDWARE_SOURCES.indexOf(source)
+    const rejected = []
+    let changed = false
+    Object.entries(data).forEach(([part, fields]) => {
+      const schema = this.schema[part]
+      if (!schema) {
+        rejected.push(`unknown part "${part}"`)
+        return
+      }
+      if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+        rejected.push(`${part} must be an object`)
+        return
+      }
+
+      Object.entries(fields).forEach(([field, value]) => {
+        if (value === undefined) return
+        const error = this.check(schema[field], value)
+        if (error) {
+          rejected.push(`${part}.${field} ${error}`)
+          return
+        }
+        const current = this.sources[part][field]
+        if (current !== undefined && HARDWARE_SOURCES.indexOf(current) > rank) return
+        if (this.specs[part][field] === value) return
+        this.specs[part][field] = value
+        this.sources[part][field] = source
+        changed = true
+      })
+    })
+
+    if (changed) this.listeners.forEach((listener) => listener(this.specs))
+    return rejected
+  }
+
+  // A hardware event from the host
+  report(payload) {
+    const rejected = this.update(payload, "host")
+    if (rejected.length > 0) {
+      window.activityLog.warning("host", `Rejected hardware details: ${rejected.join("; ")}`, { details: payload })
+    }
+    return rejected.length === 0
+  }
+
+  // The fixed figures in a telemetry sample. cpu.freq there is the current clock and
+  // gpu.memory what is in use, so neither says anything about the hardware.
+  updateFromTelemetry(values) {
+    const { proc = {}, ram = {} } = values
+    this.update({ cpu: { cores: proc.cores, threads: proc.threads }, ram: { total: ram.total } }, "telemetry")
+  }
+}
+
+// Each part is rated 0 (entry) to 4 (top) and the weakest known one rates the PC.
+// Windows reports a little less memory than is installed, hence the odd thresholds.
+function rateHardware(specs) {
+  const { cpu, ram, gpu } = specs
+  const ratings = []
+  if (cpu.cores !== undefined) {
+    let score = cpu.cores >= 8 ? 4 : cpu.cores >= 6 ? 3 : cpu.cores >= 4 ? 2 : cpu.cores >= 2 ? 1 : 0
+    // Many slow cores still make a slow CPU for one game thread
+    if (cpu.freq !== undefined && cpu.freq < 2.5) score = Math.max(0, score - 1)
+    ratings.push({ part: "cpu", score })
+  }
+  if (ram.total !== undefined) {
+    const score = ram.total >= 30 ? 4 : ram.total >= 15 ? 3 : ram.total >= 11 ? 2 : ram.total >= 7.5 ? 1 : 0
+    ratings.push({ part: "ram", score })
+  }
+  if (gpu.memory !== undefined) {
+    const score = gpu.memory >= 7.5 ? 4 : gpu.memory >= 5.5 ? 3 : gpu.memory >= 3.5 ? 2 : gpu.memory >= 1.5 ? 1 : 0
+    ratings.push({ part: "gpu", score })
+  }
+  if (ratings.length === 0) return null
+  return ratings.reduce((weakest, rating) => (rating.score < weakest.score ? rating : weakest))
+}
+
+// The highest frame rate the display can show; unknown displays count as 60 Hz
+function displayFps(specs) {
+  const hz = specs.display.refreshRate
+  return hz >= 120 ? 120 : hz >= 90 ? 90 : 60
+}
+
+// Preset ids from BUNDLED_PRESETS (presets.js) by rating. The two lowest trade quality
+// for a steady 120 FPS; from the middle up, frames the display cannot show go into quality.
+const PRESET_BY_RATING = [
+  () => "super-smooth",
+  () => "smooth",
+  (fps) => (fps === 60 ? "hdr60" : "balanced120"),
+  (fps) => `hdr${fps}`,
+  (fps) => `ultrahdr${fps}`,
+]
+
+// Tweaks worth running, with the parameters of their recommend.why.<action> text
+const TWEAK_RULES = [
+  { action: "park-control", applies: ({ cpu }) => cpu.cores >= 4, params: ({ cpu }) => ({ cores: cpu.cores }) },
+  { action: "timer-resolution", applies: ({ cpu }) => cpu.cores <= 4, params: ({ cpu }) => ({ cores: cpu.cores }) },
+  {
+    action: "clean-ram",
+    applies: ({ ram }) => ram.total < 11,
+    params: ({ ram }) => ({ total: Math.round(ram.total) }),
+  },
+  { action: "visual-effects", applies: ({ ram, gpu }) => ram.total < 11 || gpu.memory < 3.5, params: () => ({}) },
+  {
+    action: "cru",
+    applies: ({ display }) => display.refreshRate <= 60,
+    params: ({ display }) => ({ hz: Math.round(display.refreshRate) }),
+  },
+]
+
+// What one part of the PC looks like, for the reasons and the summary line
+function describeHardware(part, specs) {
+  const { t } = window.i18n
+  const fields = specs[part]
+  let text = null
+  if (part === "cpu" && fields.cores !== undefined) {
+    text =
+      fields.freq !== undefined
+        ? t("recommend.spec.cpuFreq", { cores: fields.cores, freq: fields.freq.toFixed(1) })
+        : t("recommend.spec.cpu", { cores: fields.cores })
+  } else if (part === "ram" && fields.total !== undefined) {
+    text = t("recommend.spec.ram", { total: Math.round(fields.total) })
+  } else if (part === "gpu" && fields.memory !== undefined) {
+    text = t("recommend.spec.gpu", { memory: Math.round(fields.memory) })
+  } else if (part === "display" && fields.refreshRate !== undefined) {
+    text = t("recommend.spec.display", { hz: Math.round(fields.refreshRate) })
+  }
+  if (fields.name && text) return `${fields.name} (${text})`
+  return fields.name || text
+}
+
+// [{ id, kind: "preset" | "tweak", preset | entry, reasons }] for the given specs
+function recommendFor(specs, registry, library = window.presetLibrary) {
+  const { t } = window.i18n
+  const recommendations = []
+
+  const rating = rateHardware(specs)
+  const preset = rating && library.get(PRESET_BY_RATING[rating.score](displayFps(specs)))
+  if (preset) {
+    const reasons = [
+      t("recommend.reason.limit", {
+        part: t(`recommend.part.${rating.part}`),
+        value: describeHardware(rating.part, specs),
+      }),
+    ]
+    if (rating.score <= 1) reasons.push(t("recommend.reason.light"))
+    else if (specs.display.refreshRate === undefined) reasons.push(t("recommend.reason.displayUnknown"))
+    else {
+      reasons.push(t("recommend.reason.display", { fps: displayFps(specs), hz: Math.round(specs.display.refreshRate) }))
+    }
+    recommendations.push({ id: `preset:${preset.id}`, kind: "preset", preset, reasons })
+  }
+
+  TWEAK_RULES.forEach((rule) => {
+    const entry = registry.get(rule.action)
+    if (!entry || !rule.applies(specs)) return
+    const reasons = [t(`recommend.why.${rule.action}`, rule.params(specs))]
+    recommendations.push({ id: `action:${entry.id}`, kind: "tweak", entry, reasons })
+  })
+  return recommendations
+}
+
+// The dashboard cards. Presets that have a mod button are applied through it, the others
+// by sending the bundled Active.sav with apply-preset, like a user preset. A dismissed
+// card stays hidden across reloads until the user brings the dismissed ones back; a
+// different pick for new hardware has a different id and shows up again.
+class RecommendationPanel {
+  constructor(profile, registry, root, { library = window.presetLibrary, storageKey = "nx.recommend.dismissed" } = {}) {
+    this.profile = profile
+    this.registry = registry
+    this.root = root
+    this.library = library
+    this.storageKey = storageKey
+    this.dismissed = this.load()
+
+    profile.onChange(() => this.render())
+    window.i18n.onChange(() => this.render())
+    this.render()
+  }
+
+  load() {
+    try {
+      const ids = JSON.parse(window.localStorage.getItem(this.storageKey) || "[]")
+      return new Set(Array.isArray(ids) ? ids.filter((id) => typeof id === "string") : [])
+    } catch (error) {
+      console.log(`[v0] Ignoring unreadable dismissed recommendations: ${error.message}`)
+      return new Set()
+    }
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.dismissed)))
+    } catch (error) {
+      console.log(`[v0] Could not save dismissed recommendations: ${error.message}`)
+    }
+  }
+
+  dismiss(id) {
+    this.dismissed.add(id)
+    this.save()
+    this.render()
+  }
+
+  restore() {
+    this.dismissed.clear()
+    this.save()
+    this.render()
+  }
+
+  render() {
+    const { t } = window.i18n
+    const specs = this.profile.specs
+    this.root.textContent = ""
+
+    const summary = document.createElement("div")
+    summary.className = "recommend-specs"
+    const parts = Object.keys(specs)
+      .map((part) => describeHardware(part, specs))
+      .filter(Boolean)
+    summary.textContent = parts.length > 0 ? t("recommend.basedOn", { specs: parts.join(" • ") }) : ""
+    this.root.appendChild(summary)
+
+    const recommendations = recommendFor(specs, this.registry, this.library)
+    if (recommendations.length === 0) {
+      const empty = document.createElement("div")
+      empty.className = "benchmark-empty"
+      empty.textContent = t("recommend.waiting")
+      this.root.appendChild(empty)
+      return
+    }
+
+    const grid = document.createElement("div")
+    grid.className = "tips-grid"
+    const shown = recommendations.filter((item) => !this.dismissed.has(item.id))
+    shown.forEach((item) => grid.appendChild(this.renderCard(item)))
+    this.root.appendChild(grid)
+
+    const hidden = recommendations.length - shown.length
+    if (hidden > 0) {
+      const restore = document.createElement("button")
+      restore.className = "benchmark-tool-btn recommend-restore"
+      restore.textContent = t("recommend.restore", { count: hidden })
+      restore.addEventListener("click", () => this.restore())
+      this.root.appendChild(restore)
+    }
+  }
+
+  renderCard(item) {
+    const { t } = window.i18n
+    const preset = item.kind === "preset"
+    const card = document.createElement("div")
+    card.className = `tip-card ${preset ? "gaming" : "system"}`
+    card.dataset.recommendation = item.id
+    card.innerHTML = `
+      <div class="tip-header">
+        <div class="tip-icon"><i></i></div>
+        <div class="tip-badge"></div>
+      </div>
+      <div class="tip-body">
+        <h4></h4>
+        <ul class="recommend-reasons"></ul>
+        <div class="tip-action">
+          <button class="benchmark-tool-btn recommend-apply"></button>
+          <button class="benchmark-tool-btn recommend-dismiss"></button>
+        </div>
+      </div>
+    `
+    card.querySelector(".tip-icon i").className = preset ? "fas fa-magic" : item.entry.icon || "fas fa-bolt"
+    card.querySelector(".tip-badge").textContent = t(preset ? "recommend.badge.preset" : "recommend.badge.tweak")
+    card.querySelector("h4").textContent = preset ? item.preset.label : this.registry.label(item.entry)
+    const reasons = card.querySelector(".recommend-reasons")
+    item.reasons.forEach((reason) => {
+      const line = document.createElement("li")
+      line.textContent = reason
+      reasons.appendChild(line)
+    })
+    const apply = card.querySelector(".recommend-apply")
+    apply.textContent = t(preset ? "recommend.apply" : "recommend.run")
+    apply.addEventListener("click", () => this.apply(item))
+    const dismiss = card.querySelector(".recommend-dismiss")
+    dismiss.textContent = t("recommend.dismiss")
+    dismiss.addEventListener("click", () => this.dismiss(item.id))
+    return card
+  }
+
+  async apply(item) {
+    if (item.kind === "tweak") {
+      clickActionButton(this.registry, item.entry)
+      return
+    }
+
+    const preset = item.preset
+    const mod = preset.mod && this.registry.get(preset.mod)
+    if (mod) {
+      clickActionButton(this.registry, mod)
+      return
+    }
+    let bytes
+    try {
+      bytes = await this.library.loadBytes(preset)
+    } catch (error) {
+      notify.error(error.message, window.i18n.t("recommend.failed", { name: preset.label }))
+      return
+    }
+    runButtonlessAction("apply-preset", { id: preset.id, name: preset.label, data: bytesToBase64(bytes) }, preset.label)
+  }
+}
+
+window.HARDWARE_SCHEMA = HARDWARE_SCHEMA
+window.HardwareProfile = HardwareProfile
+window.rateHardware = rateHardware
+window.recommendFor = recommendFor
+window.RecommendationPanel = RecommendationPanel
+window.hardwareProfile = new HardwareProfile()
@@ -5,23 +5,20 @@ class PerformanceDashboard {
     this.startRealTimeUpdates()
   }
 
+  // Delegated, so sidebar buttons added later by action packs switch pages too
   initializeNavigation() {
-    const navButtons = document.querySelectorAll(".nav-btn")
-    const pages = document.querySelectorAll(".page")
-
-    navButtons.forEach((button) => {
-      button.addEventListener("click", (e) => {
-        const targetPage = e.currentTarget.dataset.page
-        this.switchPage(targetPage, navButtons, pages)
-        this.createRippleEffect(e)
-      })
+    document.querySelector(".nav-buttons").addEventListener("click", (e) => {
+      const button = e.target.closest(".nav-btn")
+      if (!button) return
+      this.switchPage(button.dataset.page)
+      this.createRippleEffect(button)
     })
   }
 
-  switchPage(targetPage, navButtons, pages) {
+  switchPage(targetPage) {
     // Remove active class from all buttons and pages
-    navButtons.forEach((btn) => btn.classList.remove("active"))
-    pages.forEach((page) => page.classList.remove("active"))
+    document.querySelectorAll(".nav-btn").forEach((btn) => btn.classList.remove("active"))
+    document.querySelectorAll(".page").forEach((page) => page.classList.remove("active"))
 
     // Add active class to clicked button and corresponding page
     const activeButton = document.querySelector(`[data-page="${targetPage}"]`)
@@ -33,8 +30,8 @@ class PerformanceDashboard {
     }
   }
 
-  createRippleEffect(e) {
-    const ripple = e.currentTarget.querySelector(".btn-ripple")
+  createRippleEffect(button) {
+    const ripple = button.querySelector(".btn-ripple")
     if (ripple) {
       ripple.style.animation = "none"
       ripple.offsetHeight // Trigger reflow
@@ -43,79 +40,86 @@ class PerformanceDashboard {
   }
 
   initializePerformanceMonitoring() {
-    // Initialize performance data
-    this.performanceData = {
-      disk: { usage: 0, used: 0, free: 0, total: 100 },
-      gpu: { usage: 0, temp: 0, memory: 0 },
-      proc: { usage: 0, cores: 0, threads: 0 },
-      ram: { usage: 0, used: 0, total: 16 },
-      cpu: { usage: 0, freq: 0, temp: 0 },
-    }
+    // Samples come from the host through window.updateDashboard; nothing is invented here
+    this.telemetry = new TelemetryStore()
+    this.performanceData = this.telemetry.values
+    this.demoMode = TelemetryStore.isDemoMode()
+
+    // Every accepted sample also lands in the per-metric history behind the charts
+    // and is checked against the alert rules edited on the settings page
+    this.history = new MetricHistory()
+    this.charts = new MetricCharts(this.history)
+    this.alerts = new AlertEngine({ registry: window.actionRegistry })
+    this.alerts.renderEditor(document.getElementById("alert-rules"))
+    window.i18n.onChange(() => this.alerts.renderEditor(document.getElementById("alert-rules")))
+    window.i18n.onChange(() => this.updateUI())
+    // Only fields the host actually sent are recorded; values[] also holds older ones
+    this.telemetry.onSample(({ metrics, values, samples, timestamp }) => {
+      window.hardwareProfile.updateFromTelemetry(values)
+      metrics.forEach((metric) => {
+        const sample = samples[metric]
+        if (sample && sample.usage !== undefined) {
+          this.history.record(metric, timestamp, sample.usage)
+          this.alerts.evaluate(metric, sample.usage, timestamp)
+        }
+      })
+    })
 
-    this.detectSystemInfo()
-  }
+    this.benchmarks = new BenchmarkRunner(this)
 
-  async detectSystemInfo() {
-    try {
-      // Try to get real system information where possible
-      if ("navigator" in window) {
-        // Get CPU cores
-        this.performanceData.proc.cores = navigator.hardwareConcurrency || 8
-        this.performanceData.proc.threads = this.performanceData.proc.cores * 2
-
-        // Get memory info (Chrome only)
-        if ("memory" in performance) {
-          const memInfo = performance.memory
-          this.performanceData.ram.total = Math.round(memInfo.totalJSHeapSize / (1024 * 1024 * 1024))
-          this.performanceData.ram.used = Math.round(memInfo.usedJSHeapSize / (1024 * 1024 * 1024))
-        }
+    this.detectSystemInfo()
 
-        // Get storage info (if available)
-        if ("storage" in navigator && "estimate" in navigator.storage) {
-          const estimate = await navigator.storage.estimate()
-          if (estimate.quota && estimate.usage) {
-            this.performanceData.disk.total = Math.round(estimate.quota / (1024 * 1024 * 1024))
-            this.performanceData.disk.used = Math.round(estimate.usage / (1024 * 1024 * 1024))
-            this.performanceData.disk.free = this.performanceData.disk.total - this.performanceData.disk.used
-            this.performanceData.disk.usage = Math.round(
-              (this.performanceData.disk.used / this.performanceData.disk.total) * 100,
-            )
-          }
-        }
-      }
-    } catch (error) {
-      console.log("[v0] Could not access system APIs, using simulated data")
+    if (this.demoMode) {
+      console.log("[v0] Demo mode enabled, dashboard metrics are simulated")
+      this.initializeSimulatedData()
     }
+  }
+
+  detectSystemInfo() {
+    // The logical processor count is the only hardware figure the page can read itself.
+    // It is a fallback until the host reports the real specs (recommendations.js).
+    const threads = ("navigator" in window && navigator.hardwareConcurrency) || undefined
+    window.hardwareProfile.update({ cpu: { threads } }, "browser")
 
     // Update static info
     this.updateStaticInfo()
-
-    // Fallback to simulated data with realistic values
-    this.initializeSimulatedData()
   }
 
   updateStaticInfo() {
+    const { t } = window.i18n
+    const proc = this.performanceData.proc
+    const ram = this.performanceData.ram
+    const threads = proc.threads !== undefined ? proc.threads : window.hardwareProfile.specs.cpu.threads
+
     // Update processor info
-    document.getElementById("proc-cores").textContent = `Cores: ${this.performanceData.proc.cores}`
-    document.getElementById("proc-threads").textContent = `Threads: ${this.performanceData.proc.threads}`
+    this.setText("proc-cores", t("home.metric.cores", { value: proc.cores !== undefined ? proc.cores : "--" }))
+    this.setText("proc-threads", t("home.metric.threads", { value: threads || "--" }))
 
     // Update RAM total
-    document.getElementById("ram-total").textContent = `Total: ${this.performanceData.ram.total} GB`
+    this.setText("ram-total", t("home.metric.total", { value: ram.total !== undefined ? `${ram.total} GB` : "--" }))
+  }
+
+  setText(id, text) {
+    const element = document.getElementById(id)
+    if (element) element.textContent = text
   }
 
   initializeSimulatedData() {
-    // Fallback to simulated data with realistic values
-    this.performanceData = {
-      disk: { usage: 78, used: 234, free: 66, total: 300 },
-      gpu: { usage: 45, temp: 67, memory: 6.2 },
-      proc: { usage: 32, cores: 8, threads: 16 },
-      ram: { usage: 67, used: 10.7, total: 16 },
-      cpu: { usage: 28, freq: 3.2, temp: 52 },
-    }
+    // Demo-only starting point with realistic values
+    this.telemetry.ingest(
+      {
+        disk: { usage: 78, used: 234, free: 66, total: 300 },
+        gpu: { usage: 45, temp: 67, memory: 6.2 },
+        proc: { usage: 32, cores: 8, threads: 16 },
+        ram: { usage: 67, used: 10.7, total: 16 },
+        cpu: { usage: 28, freq: 3.2, temp: 52 },
+      },
+      { source: "demo" },
+    )
   }
 
   startRealTimeUpdates() {
-    // Update performance metrics every 2 seconds
+    // Refresh the cards every 2 seconds so stale metrics are flagged even when the host goes quiet
     setInterval(() => {
       this.updatePerformanceMetrics()
     }, 2000)
@@ -125,155 +129,124 @@ class PerformanceDashboard {
   }
 
   updatePerformanceMetrics() {
-    try {
-      // Get real CPU usage approximation using performance timing
-      this.measureCPUUsage()
-
-      // Get real memory usage (Chrome only)
-      this.measureMemoryUsage()
-
-      // Simulate other metrics with realistic fluctuations
-      this.simulateOtherMetrics()
-
-      // Update UI
-      this.updateUI()
-    } catch (error) {
-      console.log("[v0] Error updating metrics, using simulated data")
-      this.simulateAllMetrics()
-      this.updateUI()
-    }
-  }
-
-  measureCPUUsage() {
-    const start = performance.now()
-
-    // Perform some CPU-intensive work to measure performance
-    let iterations = 0
-    const targetTime = 10 // 10ms of work
-
-    while (performance.now() - start < targetTime) {
-      Math.random() * Math.random()
-      iterations++
+    if (this.demoMode) {
+      this.simulateMetrics()
     }
 
-    const actualTime = performance.now() - start
-
-    // Estimate CPU usage based on how long the work took
-    const efficiency = targetTime / actualTime
-    const estimatedUsage = Math.max(0, Math.min(100, (1 - efficiency) * 100))
-
-    // Smooth the CPU usage with previous values
-    this.performanceData.cpu.usage = Math.round(this.performanceData.cpu.usage * 0.7 + estimatedUsage * 0.3)
-
-    // Simulate temperature based on usage
-    this.performanceData.cpu.temp = Math.round(35 + this.performanceData.cpu.usage * 0.4)
-    this.performanceData.cpu.freq = (2.8 + this.performanceData.cpu.usage * 0.01).toFixed(1)
+    this.updateUI()
   }
 
-  measureMemoryUsage() {
-    if ("memory" in performance) {
-      const memInfo = performance.memory
-      const usedGB = memInfo.usedJSHeapSize / (1024 * 1024 * 1024)
-      const totalGB = memInfo.totalJSHeapSize / (1024 * 1024 * 1024)
+  simulateMetrics() {
+    const walk = (value, step, min, max) =>
+      Math.round(Math.max(min, Math.min(max, value + (Math.random() - 0.5) * step)))
+    const { cpu, gpu, proc, ram, disk } = this.performanceData
+    const sample = {}
 
-      this.performanceData.ram.used = usedGB.toFixed(1)
-      this.performanceData.ram.usage = Math.round((usedGB / this.performanceData.ram.total) * 100)
-    }
-  }
+    sample.cpu = { usage: walk(cpu.usage, 10, 5, 95) }
+    sample.cpu.temp = Math.round(35 + sample.cpu.usage * 0.4)
+    sample.cpu.freq = Number((2.8 + sample.cpu.usage * 0.01).toFixed(1))
 
-  simulateOtherMetrics() {
-    // Simulate GPU usage with realistic patterns
-    this.performanceData.gpu.usage += (Math.random() - 0.5) * 10
-    this.performanceData.gpu.usage = Math.max(20, Math.min(90, this.performanceData.gpu.usage))
-    this.performanceData.gpu.usage = Math.round(this.performanceData.gpu.usage)
+    // GPU temperature and memory correlate with usage
+    sample.gpu = { usage: walk(gpu.usage, 10, 20, 90) }
+    sample.gpu.temp = Math.round(45 + sample.gpu.usage * 0.5)
+    sample.gpu.memory = Number((4 + sample.gpu.usage * 0.05).toFixed(1))
 
-    // GPU temperature correlates with usage
-    this.performanceData.gpu.temp = Math.round(45 + this.performanceData.gpu.usage * 0.5)
-    this.performanceData.gpu.memory = (4 + this.performanceData.gpu.usage * 0.05).toFixed(1)
+    sample.proc = { usage: walk(proc.usage, 8, 15, 85) }
 
-    // Processor usage (different from CPU)
-    this.performanceData.proc.usage += (Math.random() - 0.5) * 8
-    this.performanceData.proc.usage = Math.max(15, Math.min(85, this.performanceData.proc.usage))
-    this.performanceData.proc.usage = Math.round(this.performanceData.proc.usage)
+    sample.ram = { usage: walk(ram.usage, 4, 30, 95) }
+    sample.ram.used = Number(((sample.ram.usage / 100) * ram.total).toFixed(1))
 
     // Disk usage changes slowly
     if (Math.random() < 0.1) {
-      // 10% chance to change
-      this.performanceData.disk.usage += (Math.random() - 0.5) * 2
-      this.performanceData.disk.usage = Math.max(60, Math.min(95, this.performanceData.disk.usage))
-      this.performanceData.disk.usage = Math.round(this.performanceData.disk.usage)
-
-      this.performanceData.disk.used = Math.round(
-        (this.performanceData.disk.usage / 100) * this.performanceData.disk.total,
-      )
-      this.performanceData.disk.free = this.performanceData.disk.total - this.performanceData.disk.used
+      const usage = walk(disk.usage, 2, 60, 95)
+      const used = Math.round((usage / 100) * disk.total)
+      sample.disk = { usage, used, free: disk.total - used }
     }
-  }
 
-  simulateAllMetrics() {
-    // Fallback simulation for all metrics
-    Object.keys(this.performanceData).forEach((key) => {
-      if (key !== "disk") {
-        // Disk changes slowly
-        this.performanceData[key].usage += (Math.random() - 0.5) * 10
-        this.performanceData[key].usage = Math.max(10, Math.min(90, this.performanceData[key].usage))
-        this.performanceData[key].usage = Math.round(this.performanceData[key].usage)
-      }
-    })
+    this.telemetry.ingest(sample, { source: "demo" })
   }
 
   updateUI() {
+    const now = Date.now()
+
     // Update all performance cards
-    Object.keys(this.performanceData).forEach((metric) => {
+    this.telemetry.metrics.forEach((metric) => {
       const data = this.performanceData[metric]
+      const state = this.telemetry.state(metric, now)
+      const hasUsage = state !== "unavailable" && data.usage !== undefined
+
+      this.updateCardState(metric, state)
 
       // Update percentage value
       const valueElement = document.getElementById(`${metric}-value`)
       if (valueElement) {
-        valueElement.textContent = `${data.usage}%`
+        valueElement.textContent = hasUsage ? `${Math.round(data.usage)}%` : "--"
         valueElement.style.animation = "valueFlicker 0.5s ease-in-out"
       }
 
       // Update progress bar
       const fillElement = document.getElementById(`${metric}-fill`)
       if (fillElement) {
-        fillElement.style.width = `${data.usage}%`
+        fillElement.style.width = hasUsage ? `${data.usage}%` : "0%"
       }
 
       // Update specific details
       this.updateMetricDetails(metric, data)
 
       // Update status indicator color based on usage
-      this.updateStatusIndicator(metric, data.usage)
+      this.updateStatusIndicator(metric, hasUsage ? data.usage : null)
     })
+
+    this.updateStaticInfo()
+    this.charts.renderSparklines(now)
+  }
+
+  updateCardState(metric, state) {
+    const card = document.querySelector(`[data-metric="${metric}"]`)
+    if (!card) return
+
+    const demo = state !== "unavailable" && this.telemetry.meta[metric].source === "demo"
+    const previous = card.dataset.state
+    if (previous === "live" && state === "stale") {
+      window.activityLog.warning(
+        "metric",
+        `${metric} telemetry went stale, no sample for ${this.telemetry.staleAfter / 1000}s`,
+      )
+    } else if (previous === "stale" && state === "live") {
+      window.activityLog.info("metric", `${metric} telemetry resumed`)
+    }
+    card.dataset.state = state
+    card.classList.toggle("demo", demo)
+
+    const badge = card.querySelector(".metric-state")
+    if (badge) {
+      badge.textContent = window.i18n.t(`home.state.${demo ? "demo" : state}`)
+    }
   }
 
   updateMetricDetails(metric, data) {
+    // detail("temp", data.temp, "°C") -> "Temp: 52°C"
+    const detail = (name, value, unit = "") =>
+      window.i18n.t(`home.metric.${name}`, { value: value !== undefined ? `${value}${unit}` : "--" })
+
     switch (metric) {
       case "disk":
-        const diskUsed = document.getElementById("disk-used")
-        const diskFree = document.getElementById("disk-free")
-        if (diskUsed) diskUsed.textContent = `Used: ${data.used} GB`
-        if (diskFree) diskFree.textContent = `Free: ${data.free} GB`
+        this.setText("disk-used", detail("used", data.used, " GB"))
+        this.setText("disk-free", detail("free", data.free, " GB"))
         break
 
       case "gpu":
-        const gpuTemp = document.getElementById("gpu-temp")
-        const gpuMemory = document.getElementById("gpu-memory")
-        if (gpuTemp) gpuTemp.textContent = `Temp: ${data.temp}°C`
-        if (gpuMemory) gpuMemory.textContent = `Memory: ${data.memory} GB`
+        this.setText("gpu-temp", detail("temp", data.temp, "°C"))
+        this.setText("gpu-memory", detail("memory", data.memory, " GB"))
         break
 
       case "ram":
-        const ramUsed = document.getElementById("ram-used")
-        if (ramUsed) ramUsed.textContent = `Used: ${data.used} GB`
+        this.setText("ram-used", detail("used", data.used, " GB"))
         break
 
       case "cpu":
-        const cpuFreq = document.getElementById("cpu-freq")
-        const cpuTemp = document.getElementById("cpu-temp")
-        if (cpuFreq) cpuFreq.textContent = `Freq: ${data.freq} GHz`
-        if (cpuTemp) cpuTemp.textContent = `Temp: ${data.temp}°C`
+        this.setText("cpu-freq", detail("freq", data.freq, " GHz"))
+        this.setText("cpu-temp", detail("temp", data.temp, "°C"))
         break
     }
   }
@@ -283,10 +256,15 @@ class PerformanceDashboard {
     const indicator = card?.querySelector(".status-indicator")
 
     if (indicator) {
-      if (usage > 80) {
-        indicator.style.background = "#ff4444" // Red for high usage
-      } else if (usage > 60) {
-        indicator.style.background = "#ffaa00" // Orange for medium usage
+      // Levels come from the alert rules so the dot and the alerts always agree
+      const level = usage === null ? null : this.alerts.level(metric)
+
+      if (level === null) {
+        indicator.style.background = "var(--light-gray)" // No data
+      } else if (level === "critical") {
+        indicator.style.background = "#ff4444" // Red for critical usage
+      } else if (level === "warn") {
+        indicator.style.background = "#ffaa00" // Orange for warning usage
       } else {
         indicator.style.background = "var(--primary-red)" // Normal red
       }
@@ -295,10 +273,18 @@ class PerformanceDashboard {
 
   // Public method for external control (C# integration)
   updateMetric(metric, value) {
-    if (this.performanceData[metric]) {
-      this.performanceData[metric].usage = Math.max(0, Math.min(100, value))
-      this.updateUI()
-    }
+    this.ingestSamples({ [metric]: { usage: value } })
+  }
+
+  // Validate host samples and refresh the cards; rejected metrics are logged, never shown
+  ingestSamples(data) {
+    const { rejected } = this.telemetry.ingest(data)
+    rejected.forEach(({ metric, errors }) => {
+      window.activityLog.warning("metric", `Rejected telemetry for ${metric}: ${errors.join("; ")}`, {
+        details: data[metric],
+      })
+    })
+    this.updateUI()
   }
 
   // Public method to switch pages (C# integration)
@@ -328,273 +314,291 @@ window.switchToPage = (pageName) => {
     window.dashboard.switchToPage(pageName)
   }
 }
-const fullCleanBtn = document.querySelector('[data-action="full-clean"]');
-fullCleanBtn.addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("full-clean"); // ده الرسالة اللي C# بيستقبلها
-    } else {
-        console.log("WebView host not available");
-    }
-});
-
-const cleanRamBtn = document.querySelector('[data-action="clean-ram"]');
-cleanRamBtn.addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("clean-ram");
-    } else {
-        console.log("WebView host not available");
-    }
-});
-
-// Full Clean
-document.querySelector('[data-action="full-clean"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("full-clean");
-    }
-});
-
-// Clean RAM
-document.querySelector('[data-action="clean-ram"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("clean-ram");
-    }
-});
-
-// IP Flush
-document.querySelector('[data-action="ip-flush"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("ip-flush");
-    }
-});
-
-// Reset Firewall
-document.querySelector('[data-action="reset-firewall"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("reset-firewall");
-    }
-});
-
-// Clear Temp
-document.querySelector('[data-action="clear-temp"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("clear-temp");
-    }
-});
-
-// Kill Emulator
-document.querySelector('[data-action="kill-emulator"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("kill-emulator");
-    }
-});
 
-// fix 98
-document.querySelector('[data-action="fix-98"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("fix-98");
-    }
-});
-
-// environment-fix
-document.querySelector('[data-action="environment-fix"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("environment-fix");
-    }
-});
-
-// super-smooth
-document.querySelector('[data-mod="super-smooth"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("super-smooth");
-    }
-});
-
-
-// ultra-hd
-document.querySelector('[data-mod="ultra-hd"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("ultra-hd");
-    }
-});
-
-// hdr
-document.querySelector('[data-mod="hdr"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("hdr");
-    }
-});
-
-// smooth
-document.querySelector('[data-mod="smooth"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("smooth");
-    }
-});
-
-// t-box-speed
-document.querySelector('[data-mod="t-box-speed"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("t-box-speed");
-    }
-});
-
-// park-control
-document.querySelector('[data-action="park-control"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("park-control");
-    }
-});
-
-// timer-resolution
-document.querySelector('[data-action="timer-resolution"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("timer-resolution");
-    }
-});
-
-// cru
-document.querySelector('[data-action="cru"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("cru");
-    }
-});
-
-// filterkeys
-document.querySelector('[data-action="filterkeys"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("filterkeys");
-    }
-});
-
-// optimized-tweak
-document.querySelector('[data-action="optimized-tweak"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("optimized-tweak");
-    }
-});
-
-// debloat
-document.querySelector('[data-action="debloat"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("debloat");
-    }
-});
+function hostActionGroups(action) {
+  const entry = window.actionRegistry.byCommand(action)
+  return entry ? entry.groups : HOST_ACTION_GROUPS[action] || []
+}
 
-// control-panel
-document.querySelector('[data-action="control-panel"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("control-panel");
+// Send an action through the job queue and host bridge and report the outcome the host
+// actually returned. Actions sharing a mutual-exclusion group wait for each other.
+function runHostAction(action, args = {}, label = action) {
+  const { t } = window.i18n
+  // Updated in place while the job runs and turned into the outcome when it ends
+  const toast = notify.loading(t("host.running", { label }))
+  const setProgress = (message) => toast.update({ message })
+
+  const job = window.jobQueue.add({
+    label,
+    groups: hostActionGroups(action),
+    onStart: () => setProgress(t("host.running", { label })),
+    run: (signal) =>
+      window.hostBridge.request(action, args, {
+        signal,
+        onProgress: ({ progress, message }) => {
+          setProgress(progress !== undefined ? `${message || label} (${progress}%)` : message)
+        },
+      }),
+  })
+  if (job.state === "pending") setProgress(t("host.waiting", { label, blocker: window.jobQueue.blocker(job).label }))
+
+  return job.promise.then((outcome) => {
+    if (outcome.ok) {
+      toast.update({ type: "success", message: window.i18n.hostText(outcome.result) || t("host.completed", { label }) })
+    } else if (outcome.error.code === "cancelled") {
+      toast.update({ type: "info", message: t("host.cancelled", { label }) })
+    } else {
+      toast.update({
+        type: "error",
+        title: outcome.error.code === "timeout" ? t("host.noResponse") : null,
+        message: outcome.error.message,
+        actions: [{ label: t("notify.viewLog"), onClick: () => window.switchToPage("activity") }],
+      })
     }
-});
+    // The journal adds an Undo button to it (journal.js)
+    outcome.toast = toast
+    return outcome
+  })
+}
 
-// visual-effects
-document.querySelector('[data-action="visual-effects"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("visual-effects");
-    }
-});
+// Run a registry entry the way its button does, journaled and benchmarked where the
+// entry asks for it. Confirmation is left to the caller (confirmDialog.confirmAction() or
+// confirmRecipe()). Resolves to { ok, result, error }.
+async function runRegisteredAction(entry, args = {}) {
+  const execute = () =>
+    entry.journal && window.changeJournal
+      ? window.changeJournal.run(entry, args)
+      : runHostAction(entry.command, args, window.actionRegistry.label(entry))
 
-// msconfig
-document.querySelector('[data-action="msconfig"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("msconfig");
-    }
-});
+  if (!entry.benchmark || !window.dashboard) return execute()
 
-// windows-update-blocker
-document.querySelector('[data-action="windows-update-blocker"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("windows-update-blocker");
-    }
-});
+  let outcome
+  await window.dashboard.benchmarks.run(entry, async () => (outcome = await execute()))
+  return outcome
+}
 
-// defender-control
-document.querySelector('[data-action="defender-control"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("defender-control");
-    }
-});
+// Run one of the BUTTONLESS_ACTIONS (actions.js) after the same confirmation its
+// registry entry would get behind a button. label names what it runs on, e.g. the
+// preset. Resolves to { ok, result, error }, or { ok: false, cancelled: true }.
+async function runButtonlessAction(id, args = {}, label) {
+  const entry = window.actionRegistry.lookup(id)
+  if (!(await window.confirmDialog.confirmAction(entry))) return { ok: false, cancelled: true }
+  return runHostAction(entry.command, args, label || window.actionRegistry.label(entry))
+}
 
-// nx-script
-document.querySelector('[data-action="nx-script"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("nx-script");
-    }
-});
+// Bind every registered action button. A button that is missing from the page is
+// skipped with a warning instead of throwing and stopping the rest of the script.
+// The command palette, hotkeys and alert suggestions click these buttons too, so the
+// confirmation below covers every way of starting an action.
+function bindActionButtons(registry) {
+  registry.all().forEach((entry) => bindActionButton(registry, entry))
+}
 
-// basic
-document.querySelector('[data-action="basic"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("basic");
-    }
-});
+// Also used for the buttons action packs add at runtime
+function bindActionButton(registry, entry) {
+  const button = registry.findButton(entry)
+  if (!button) {
+    console.log(`[v0] No button found for action "${entry.id}" on page "${entry.page}"`)
+    return
+  }
 
-// advanced
-document.querySelector('[data-action="advanced"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("advanced");
+  // Disabled until the job finishes, so a second click cannot queue the same action twice
+  button.addEventListener("click", async () => {
+    if (!(await window.confirmDialog.confirmAction(entry))) return
+    button.disabled = true
+    button.classList.add("busy")
+    try {
+      await runRegisteredAction(entry)
+    } finally {
+      button.disabled = false
+      button.classList.remove("busy")
+      window.gameSession.refresh()
     }
-});
+  })
+}
 
-// ultimate
-document.querySelector('[data-action="ultimate"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("ultimate");
-    }
-});
+window.activityLog.watchBridge(window.hostBridge)
+window.activityPanel = new ActivityLogPanel(window.activityLog, document.getElementById("activity"))
+window.jobPanel = new JobQueuePanel(window.jobQueue)
+window.confirmDialog = new ConfirmDialog(window.actionRegistry)
+window.gameSession = new GameSession()
+window.changeJournal = new ChangeJournal(document.getElementById("history"))
+bindActionButtons(window.actionRegistry)
+
+// Gameloop actions that only make sense in some emulator states (session.js)
+const SESSION_ACTIONS = {
+  "kill-emulator": ["starting", "running", "game-launched"],
+  // Fix 98 rewrites emulator files, which Gameloop holds open while it runs
+  "fix-98": ["stopped"],
+}
 
-// windows-10-activation
-document.querySelector('[data-action="windows-10-activation"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("windows-10-activation");
-    }
-});
+Object.entries(SESSION_ACTIONS).forEach(([id, states]) => {
+  const entry = window.actionRegistry.get(id)
+  if (entry) window.gameSession.bind(window.actionRegistry.findButton(entry), states)
+})
 
-// basicF
-document.querySelector('[data-action="basicF"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("basicF");
-    }
-});
+function renderSessionStatus() {
+  const status = document.getElementById("gameloop-session")
+  if (!status) return
+  status.dataset.state = window.gameSession.state
+  status.querySelector(".session-state").textContent = window.i18n.t(`session.state.${window.gameSession.state}`)
+}
 
-// advanced
-document.querySelector('[data-action="advancedF"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("advancedF");
-    }
-});
+window.gameSession.onChange((state, previous, change) => {
+  const { t } = window.i18n
+  renderSessionStatus()
+  if (change.exit) {
+    const code = change.exitCode !== null ? t("session.exitCode", { code: change.exitCode }) : ""
+    notify.error(t(`session.exit.${change.exit}`) + code, t("session.label"), {
+      actions: [{ label: t("notify.viewLog"), onClick: () => window.switchToPage("activity") }],
+    })
+  } else if (change.timeout) {
+    notify.warning(t(`session.timeout.${change.timeout}`), t("session.label"))
+  }
+})
+window.i18n.onChange(renderSessionStatus)
+renderSessionStatus()
+
+window.recipeStore = new RecipeStore(window.actionRegistry)
+window.recipeRunner = new RecipeRunner(window.actionRegistry, runRegisteredAction)
+window.recipePanel = new RecipePanel(
+  window.recipeStore,
+  window.recipeRunner,
+  window.actionRegistry,
+  document.getElementById("recipes"),
+)
+
+window.presetInspector = new PresetInspector(window.presetLibrary, document.getElementById("preset-inspector"))
+window.presetDiff = new PresetDiffView(window.presetLibrary, window.userPresets, {
+  readCurrent: () => window.hostBridge.request("read-active-save").then((result) => base64ToBytes(result.data)),
+})
+document.querySelectorAll("#gameloop .mod-btn[data-mod]").forEach((button) => {
+  const preset = window.presetLibrary.forMod(button.dataset.mod)
+  if (preset) window.presetDiff.addCompareHandle(button, preset.id)
+})
+window.presetBuilder = new PresetBuilder(
+  window.presetLibrary,
+  window.userPresets,
+  document.getElementById("preset-builder"),
+)
+window.tvmEditor = new TvmEditor(document.getElementById("tvm-editor"))
+window.recommendations = new RecommendationPanel(
+  window.hardwareProfile,
+  window.actionRegistry,
+  document.getElementById("recommendations"),
+)
+
+window.hotkeys = new HotkeyMap(window.actionRegistry)
+window.commandPalette = new CommandPalette(window.actionRegistry, window.hotkeys)
+const hotkeyEditor = document.getElementById("hotkey-editor")
+window.hotkeys.renderEditor(hotkeyEditor)
+window.i18n.onChange(() => window.hotkeys.renderEditor(hotkeyEditor))
+
+const confirmSettings = document.getElementById("confirm-settings")
+window.confirmDialog.renderSettings(confirmSettings)
+window.confirmDialog.onChange(() => window.confirmDialog.renderSettings(confirmSettings))
+window.i18n.onChange(() => window.confirmDialog.renderSettings(confirmSettings))
+
+// Action packs (action-packs.js): imported packs are mounted right away, bundled ones
+// once packs/index.json has been read
+window.actionPacks = new ActionPackStore(window.actionRegistry)
+window.actionPackPages = new ActionPackPages(window.actionPacks, window.actionRegistry, {
+  bindButton: (entry) => bindActionButton(window.actionRegistry, entry),
+  onChange: () => {
+    window.hotkeys.renderEditor(hotkeyEditor)
+    if (window.dashboard) window.dashboard.alerts.renderEditor(document.getElementById("alert-rules"))
+    window.confirmDialog.renderSettings(confirmSettings)
+  },
+})
+window.actionPackPages.renderSettings(document.getElementById("action-packs"))
+window.actionPacks.loadBundled()
+
+const packImport = document.querySelector(".action-pack-import-file")
+packImport.addEventListener("change", async () => {
+  const file = packImport.files[0]
+  packImport.value = ""
+  if (file) window.actionPackPages.importText(await file.text(), file.name)
+})
 
-// basicF
-document.querySelector('[data-action="ultimateF"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("ultimateF");
+// Time left on the license verified at login (license.js); keys that never expire show nothing
+const LICENSE_WARNING_MS = 3 * 24 * 60 * 60 * 1000
+
+function startLicenseCountdown(element) {
+  const session = loadLicenseSession()
+  if (!element || !session || !session.expiresAt) return
+
+  const { i18n } = window
+  element.hidden = false
+  const update = () => {
+    const left = session.expiresAt - Date.now()
+    const date = new Date(session.expiresAt).toLocaleString(i18n.language)
+    element.title = i18n.t("license.expires", { date })
+    element.classList.toggle("warning", left > 0 && left < LICENSE_WARNING_MS)
+    element.classList.toggle("expired", left <= 0)
+    element.textContent =
+      left > 0 ? i18n.t("license.left", { time: formatTimeLeft(left, i18n.timeUnits()) }) : i18n.t("license.expired")
+    if (left <= 0) {
+      clearInterval(timer)
+      notify.error(i18n.t("license.renew"), i18n.t("license.expired"))
     }
-});
+  }
+  const timer = setInterval(update, 1000)
+  update()
+}
 
-// basicF
-document.querySelector('[data-action="commend"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("commend");
-    }
-});
+// Language picker on the settings page; i18n.setLanguage() re-translates the page and
+// flips the layout direction
+function renderLanguageOptions(container) {
+  container.textContent = ""
+  Object.entries(I18N_LANGUAGES).forEach(([code, language]) => {
+    const button = document.createElement("button")
+    button.className = "benchmark-tool-btn language-option"
+    button.lang = code
+    button.dir = language.dir
+    button.textContent = language.name
+    button.setAttribute("aria-pressed", String(code === window.i18n.language))
+    button.addEventListener("click", () => window.i18n.setLanguage(code))
+    container.appendChild(button)
+  })
+}
 
-// basicF
-document.querySelector('[data-action="cleanF"]').addEventListener("click", () => {
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.postMessage("cleanF");
-    }
-});
+const languageOptions = document.getElementById("language-options")
+if (languageOptions) {
+  renderLanguageOptions(languageOptions)
+  window.i18n.onChange(() => renderLanguageOptions(languageOptions))
+}
 
+document.addEventListener("DOMContentLoaded", () => {
+  startLicenseCountdown(document.querySelector(".sidebar .license-expiry"))
+})
 
 window.updateDashboard = (data) => {
-  if (window.dashboard && window.dashboard.performanceData) {
-    // Update all metrics with real data from C#
-    Object.keys(data).forEach((metric) => {
-      if (window.dashboard.performanceData[metric]) {
-        Object.assign(window.dashboard.performanceData[metric], data[metric]);
-      }
-    });
-    window.dashboard.updateUI();
+  if (window.dashboard) {
+    // Real data from C#, validated against TELEMETRY_SCHEMA
+    window.dashboard.ingestSamples(data)
   }
-};
+}
 
+// Events the host may push over the bridge; the functions above stay for hosts that
+// still call them through ExecuteScriptAsync
+const HOST_EVENTS = {
+  telemetry: (payload) => window.updateDashboard(payload),
+  "switch-page": (payload) => window.switchToPage(payload.page),
+  notification: (payload) => {
+    const show = notify[payload.kind] || notify.info
+    show(window.i18n.hostText(payload), window.i18n.hostText(payload, "title"))
+  },
+  session: (payload) => window.gameSession.report(payload),
+  hardware: (payload) => window.hardwareProfile.report(payload),
+}
+
+window.hostBridge.on("event", ({ name, payload = {} }) => {
+  const handler = HOST_EVENTS[name]
+  if (handler) handler(payload)
+  else notify.error(window.i18n.t("host.unknownEvent", { name }), window.i18n.t("host.ignored"))
+})
+
+// Logged with the raw message by activityLog.watchBridge()
+window.hostBridge.on("invalid", ({ error }) => {
+  notify.error(error.message, window.i18n.t("host.invalid"))
+})
@@ -0,0 +1,167 @@
+// Emulator and game session, shared by free.html and the gameloop page of index.html.
+// The state follows what the host reports; the page never guesses. The host sends
+//
+//   { v: 1, type: "event", name: "session", payload: { state, exitCode, reason } }
+//
+// whenever Gameloop or the game changes state. state is one of
+//
+//   stopped -> starting -> running -> game-launched -> stopping -> stopped
+//
+// Until the first report the state is "unknown" and every control stays enabled, as it
+// was for hosts that do not send session events. Leaving starting, running or
+// game-launched for stopped without going through stopping is an unexpected exit, as is
+// the game closing with a non-zero exitCode or reason "crash".
+
+const SESSION_STATES = ["unknown", "stopped", "starting", "running", "game-launched", "stopping"]
+
+// Names for the activity log, which stays in English. The interface shows the states
+// with the session.state.* catalog keys
+const SESSION_LABELS = {
+  unknown: "Unknown",
+  stopped: "Stopped",
+  starting: "Starting",
+  running: "Running",
+  "game-launched": "Game running",
+  stopping: "Stopping",
+}
+
+// A host that stays in one of these longer than this has lost track of the emulator
+const SESSION_WATCHDOG_MS = { starting: 120000, stopping: 30000 }
+
+class GameSession {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || "nx.session"
+    this.watchdogMs = Object.assign({}, SESSION_WATCHDOG_MS, options.watchdogMs)
+    this.state = "unknown"
+    this.since = Date.now()
+    this.listeners = []
+    this.controls = []
+    this.watchdog = null
+    this.settings = this.load()
+  }
+
+  load() {
+    const defaults = { autoApply: false, preset: null }
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(this.storageKey) || "{}")
+      return Object.assign(defaults, saved && typeof saved === "object" ? saved : {})
+    } catch (error) {
+      console.log(`[v0] Ignoring unreadable session settings: ${error.message}`)
+      return defaults
+    }
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(this.settings))
+    } catch (error) {
+      console.log(`[v0] Could not save session settings: ${error.message}`)
+    }
+  }
+
+  // listener(state, previous, change); change.exit is "emulator" or "game" after an
+  // unexpected exit, change.timeout is the state the host never left
+  onChange(listener) {
+    this.listeners.push(listener)
+  }
+
+  // Preset applied before the game launches, when autoApply is on
+  get autoApply() {
+    return this.settings.autoApply && !!this.settings.preset
+  }
+
+  setAutoApply(enabled) {
+    this.settings.autoApply = !!enabled
+    this.save()
+  }
+
+  setPreset(preset) {
+    this.settings.preset = preset
+    this.save()
+  }
+
+  // A session event from the host. Returns false for a payload that names no known state.
+  report(payload = {}) {
+    const next = payload.state
+    if (next === "unknown" || !SESSION_STATES.includes(next)) {
+      window.activityLog.warning("host", `Ignoring session state "${next}"`, { details: payload })
+      return false
+    }
+
+    const previous = this.state
+    const change = {
+      exitCode: payload.exitCode === undefined ? null : payload.exitCode,
+      reason: payload.reason || null,
+    }
+    if (next === "stopped" && ["starting", "running", "game-launched"].includes(previous)) {
+      change.exit = "emulator"
+    } else if (previous === "game-launched" && next === "running") {
+      const crashed = payload.reason === "crash" || (typeof payload.exitCode === "number" && payload.exitCode !== 0)
+      if (crashed) change.exit = "game"
+    }
+    this.transition(next, change)
+    return true
+  }
+
+  transition(next, change = {}) {
+    const previous = this.state
+    clearTimeout(this.watchdog)
+    this.watchdog = null
+    if (this.watchdogMs[next]) {
+      this.watchdog = setTimeout(() => this.expire(next), this.watchdogMs[next])
+    }
+
+    if (change.exit) {
+      const what = change.exit === "game" ? "The game" : "The emulator"
+      const code = change.exitCode !== null ? ` (exit code ${change.exitCode})` : ""
+      window.activityLog.error(
+        "host",
+        `${what} exited unexpectedly while ${SESSION_LABELS[previous].toLowerCase()}${code}`,
+        {
+          details: { previous, state: next, exitCode: change.exitCode, reason: change.reason },
+        },
+      )
+    } else if (next !== previous) {
+      window.activityLog.info(
+        "host",
+        `Session ${SESSION_LABELS[previous].toLowerCase()} -> ${SESSION_LABELS[next].toLowerCase()}`,
+      )
+    }
+
+    this.state = next
+    this.since = Date.now()
+    this.refresh()
+    this.listeners.forEach((listener) => listener(next, previous, change))
+  }
+
+  // Stuck starting or stopping: the state is no longer known, so every control comes back
+  expire(state) {
+    if (this.state !== state) return
+    const seconds = Math.round(this.watchdogMs[state] / 1000)
+    window.activityLog.warning("host", `No session update after ${seconds}s ${SESSION_LABELS[state].toLowerCase()}`)
+    this.transition("unknown", { timeout: state })
+  }
+
+  allows(states) {
+    return this.state === "unknown" || states.includes(this.state)
+  }
+
+  // Keeps a button enabled only in the given states. Buttons with the "busy" class are
+  // running a job and stay disabled until the page removes it and calls refresh().
+  bind(button, states) {
+    if (!button) return
+    this.controls.push({ button, states })
+    this.refresh()
+  }
+
+  refresh() {
+    this.controls.forEach(({ button, states }) => {
+      const allowed = this.allows(states)
+      button.disabled = !allowed || button.classList.contains("busy")
+      button.classList.toggle("session-blocked", !allowed)
+    })
+  }
+}
+
+window.SESSION_STATES = SESSION_STATES
+window.GameSession = GameSession
@@ -0,0 +1,169 @@
+// Metric samples pushed by the C# host through window.updateDashboard(). Samples are
+// validated against TELEMETRY_SCHEMA before they reach the dashboard cards, and every
+// metric tracks when it was last updated so a card can say whether its numbers are
+// "live", "stale" or "unavailable" instead of showing invented values.
+//
+// Sample shape (every field optional, unknown metrics and fields are rejected):
+//   { cpu: { usage: 23, freq: 3.6, temp: 54 }, ram: { usage: 61, used: 9.8, total: 16 } }
+// Sending null for a metric (e.g. { gpu: null }) marks it unavailable.
+
+const TELEMETRY_SCHEMA = {
+  cpu: {
+    usage: { min: 0, max: 100, unit: "%" },
+    freq: { min: 0, max: 10, unit: "GHz" },
+    temp: { min: -20, max: 130, unit: "°C" },
+  },
+  gpu: {
+    usage: { min: 0, max: 100, unit: "%" },
+    temp: { min: -20, max: 130, unit: "°C" },
+    memory: { min: 0, max: 256, unit: "GB" },
+  },
+  ram: {
+    usage: { min: 0, max: 100, unit: "%" },
+    used: { min: 0, max: 4096, unit: "GB" },
+    total: { min: 0, max: 4096, unit: "GB" },
+  },
+  disk: {
+    usage: { min: 0, max: 100, unit: "%" },
+    used: { min: 0, max: 1000000, unit: "GB" },
+    free: { min: 0, max: 1000000, unit: "GB" },
+    total: { min: 0, max: 1000000, unit: "GB" },
+  },
+  proc: {
+    usage: { min: 0, max: 100, unit: "%" },
+    cores: { min: 1, max: 1024, integer: true },
+    threads: { min: 1, max: 4096, integer: true },
+  },
+}
+
+class TelemetryStore {
+  constructor(options = {}) {
+    this.schema = options.schema || TELEMETRY_SCHEMA
+    this.staleAfter = options.staleAfter || 6000
+    this.listeners = []
+    this.values = {}
+    this.meta = {}
+
+    Object.keys(this.schema).forEach((metric) => {
+      this.values[metric] = {}
+      this.meta[metric] = { updatedAt: null, source: null, available: false }
+    })
+  }
+
+  get metrics() {
+    return Object.keys(this.schema)
+  }
+
+  validate(metric, sample) {
+    const fields = this.schema[metric]
+    const errors = []
+
+    if (!fields) {
+      return { valid: false, errors: [`unknown metric "${metric}"`] }
+    }
+    if (!sample || typeof sample !== "object" || Array.isArray(sample)) {
+      return { valid: false, errors: [`${metric} sample must be an object`] }
+    }
+
+    const keys = Object.keys(sample)
+    if (keys.length === 0) {
+      errors.push(`${metric} sample has no fields`)
+    }
+
+    keys.forEach((key) => {
+      const rule = fields[key]
+      const value = sample[key]
+
+      if (!rule) {
+        errors.push(`${metric}.${key} is not a known field`)
+      } else if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(`${metric}.${key} must be a finite number`)
+      } else if (value < rule.min || value > rule.max) {
+        errors.push(`${metric}.${key} = ${value} is outside ${rule.min}..${rule.max}`)
+      } else if (rule.integer && !Number.isInteger(value)) {
+        errors.push(`${metric}.${key} must be an integer`)
+      }
+    })
+
+    return { valid: errors.length === 0, errors }
+  }
+
+  // Apply a batch of samples. Invalid metrics are rejected as a whole so a card never
+  // mixes fresh and rejected fields.
+  ingest(data, options = {}) {
+    const timestamp = options.timestamp || Date.now()
+    const source = options.source || "host"
+    const accepted = []
+    const rejected = []
+
+    if (!data || typeof data !== "object") {
+      return { accepted, rejected: [{ metric: null, errors: ["telemetry payload must be an object"] }] }
+    }
+
+    Object.keys(data).forEach((metric) => {
+      if (metric === "timestamp") return
+
+      if (data[metric] === null && this.schema[metric]) {
+        this.markUnavailable(metric, timestamp)
+        accepted.push(metric)
+        return
+      }
+
+      const { valid, errors } = this.validate(metric, data[metric])
+      if (!valid) {
+        rejected.push({ metric, errors })
+        return
+      }
+
+      Object.assign(this.values[metric], data[metric])
+      this.meta[metric] = { updatedAt: timestamp, source, available: true }
+      accepted.push(metric)
+    })
+
+    if (accepted.length > 0) {
+      this.emit({ metrics: accepted, values: this.values, samples: data, timestamp, source })
+    }
+
+    return { accepted, rejected }
+  }
+
+  markUnavailable(metric, timestamp = Date.now()) {
+    this.values[metric] = {}
+    this.meta[metric] = { updatedAt: timestamp, source: null, available: false }
+  }
+
+  state(metric, now = Date.now()) {
+    const meta = this.meta[metric]
+    if (!meta || !meta.available) return "unavailable"
+    return now - meta.updatedAt > this.staleAfter ? "stale" : "live"
+  }
+
+  onSample(listener) {
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter((fn) => fn !== listener)
+    }
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event)
+      } catch (error) {
+        console.log(`[v0] Telemetry listener failed: ${error.message}`)
+      }
+    })
+  }
+
+  // Demo mode is opt-in: ?demo in the URL or localStorage "nx.demoMode" = "1"
+  static isDemoMode() {
+    try {
+      return /[?&]demo\b/.test(window.location.search) || window.localStorage.getItem("nx.demoMode") === "1"
+    } catch (error) {
+      return false
+    }
+  }
+}
+
+window.TELEMETRY_SCHEMA = TELEMETRY_SCHEMA
+window.TelemetryStore = TelemetryStore
@@ -0,0 +1,61 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain } = require("./harness")
+
+const SCRIPTS = ["activity-log.js", "i18n.js", "job-queue.js", "actions.js", "action-packs.js"]
+
+function pack(actions, fields = {}) {
+  return Object.assign({ format: "nx-action-pack", version: 1, id: "demo", name: "Demo", actions }, fields)
+}
+
+function action(fields = {}) {
+  return Object.assign({ id: "flush", label: "Flush", command: "demo.flush", risk: "low" }, fields)
+}
+
+test("a well-formed pack has no problems", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS })
+  t.after(page.close)
+  const { validateActionPack, actionRegistry } = page.window
+
+  assert.deepEqual(plain(validateActionPack(pack([action()]), actionRegistry)), [])
+})
+
+test("a pack cannot reuse the host command of a built-in action", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS })
+  t.after(page.close)
+  const { validateActionPack, actionRegistry } = page.window
+
+  // A registry button, a button-less action and host requests the app sends itself
+  for (const command of ["defender-control", "reset-firewall", "apply-preset", "revert-change", "write-tvm-config"]) {
+    const errors = validateActionPack(pack([action({ command })]), actionRegistry)
+    assert.deepEqual(plain(errors), [`Action 1: command "${command}" belongs to a built-in action`])
+  }
+})
+
+test("two packs cannot send the same host command", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS })
+  t.after(page.close)
+  const { validateActionPack, actionPackEntries, actionRegistry } = page.window
+
+  actionPackEntries(pack([action()])).forEach((entry) => actionRegistry.register(entry))
+  // The installed pack itself still validates, so it can be mounted again
+  assert.deepEqual(plain(validateActionPack(pack([action()]), actionRegistry)), [])
+
+  const other = pack([action({ id: "other-flush" })], { id: "other" })
+  assert.deepEqual(plain(validateActionPack(other, actionRegistry)), [
+    'Action 1: command "demo.flush" is already used by another pack',
+  ])
+})
+
+test("high risk pack actions have to confirm", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS })
+  t.after(page.close)
+  const { validateActionPack, actionRegistry } = page.window
+
+  assert.deepEqual(plain(validateActionPack(pack([action({ risk: "high" })]), actionRegistry)), [
+    "Action 1: high risk actions need confirm",
+  ])
+  assert.deepEqual(plain(validateActionPack(pack([action({ risk: "high", confirm: "typed" })]), actionRegistry)), [
+    "Action 1: actions that confirm need a description",
+  ])
+})
@@ -0,0 +1,113 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain } = require("./harness")
+
+const SCRIPTS = ["activity-log.js", "i18n.js", "actions.js", "alerts.js"]
+
+// Records the toasts instead of showing them
+function recordToasts(window) {
+  window.toasts = []
+  const record = (kind) => (message, title, options) => window.toasts.push({ kind, title, options })
+  window.notify = {
+    success: record("success"),
+    info: record("info"),
+    warning: record("warning"),
+    error: record("error"),
+  }
+}
+
+async function loadAlerts(t, localStorage = {}) {
+  const page = await loadPage({ scripts: SCRIPTS }, { localStorage, beforeParse: recordToasts })
+  t.after(page.close)
+  const alerts = new page.window.AlertEngine({ registry: page.window.actionRegistry })
+  // Feeds one value per second from start to end (seconds) and returns the level after each
+  const feed = (metric, valueAt, start, end) => {
+    const levels = []
+    for (let second = start; second < end; second++)
+      levels.push(alerts.evaluate(metric, valueAt(second), second * 1000))
+    return levels
+  }
+  return { page, alerts, feed, toasts: () => page.window.toasts.map((toast) => toast.kind) }
+}
+
+test("an alert fires only once the value has stayed above the level for the sustain time", async (t) => {
+  const { alerts, feed, toasts } = await loadAlerts(t)
+
+  // RAM: warn 80, critical 90, sustain 15 s
+  const levels = feed("ram", () => 85, 0, 20)
+  assert.equal(levels[14], "normal")
+  assert.equal(levels[15], "warn")
+  assert.deepEqual(toasts(), ["warning"])
+  assert.equal(alerts.level("ram"), "warn")
+})
+
+test("dropping below the level before the sustain time starts the wait over", async (t) => {
+  const { feed, toasts } = await loadAlerts(t)
+
+  const levels = feed("ram", (second) => (second === 10 || second === 20 ? 60 : 85), 0, 30)
+  assert.ok(levels.every((level) => level === "normal"))
+  assert.deepEqual(toasts(), [])
+})
+
+test("a value swinging around the critical line still fires warn", async (t) => {
+  const { alerts, feed, toasts } = await loadAlerts(t)
+
+  const levels = feed("ram", (second) => (second % 2 === 0 ? 89 : 91), 0, 120)
+  assert.equal(levels[14], "normal")
+  assert.equal(levels[15], "warn")
+  assert.equal(alerts.level("ram"), "warn")
+  assert.deepEqual(toasts(), ["warning"])
+})
+
+test("critical fires after its own sustain time, straight from normal", async (t) => {
+  const { feed, toasts } = await loadAlerts(t)
+
+  const levels = feed("ram", () => 95, 0, 16)
+  assert.equal(levels[14], "normal")
+  assert.equal(levels[15], "critical")
+  assert.deepEqual(toasts(), ["error"])
+})
+
+test("an alert clears only below the threshold minus the hysteresis band", async (t) => {
+  const { alerts, feed, toasts } = await loadAlerts(t)
+  feed("ram", () => 95, 0, 16)
+  assert.equal(alerts.level("ram"), "critical")
+
+  // Critical 90 - 5: 86 still counts as critical, 84 steps down to warn without a toast
+  assert.equal(alerts.evaluate("ram", 86, 16000), "critical")
+  assert.equal(alerts.evaluate("ram", 84, 17000), "warn")
+  // Warn 80 - 5: 76 holds warn, 74 recovers
+  assert.equal(alerts.evaluate("ram", 76, 18000), "warn")
+  assert.equal(alerts.evaluate("ram", 74, 19000), "normal")
+  assert.deepEqual(toasts(), ["error", "info"])
+})
+
+test("a rule without a sustain time fires at once", async (t) => {
+  const { alerts, toasts } = await loadAlerts(t)
+
+  // Disk: warn 85, critical 95, sustain 0
+  assert.equal(alerts.evaluate("disk", 90, 0), "warn")
+  assert.equal(alerts.evaluate("disk", 96, 1000), "critical")
+  assert.deepEqual(toasts(), ["warning", "error"])
+})
+
+test("a suggested action from an action pack survives a reload and is offered once registered", async (t) => {
+  const saved = { ram: { action: "demo-pack.flush", critical: 85 } }
+  const { page, alerts, feed } = await loadAlerts(t, { "nx.alertRules": JSON.stringify(saved) })
+  assert.equal(alerts.rules.ram.action, "demo-pack.flush")
+  assert.equal(alerts.rules.ram.critical, 85)
+
+  // Editing another field keeps it, while picking an unknown action is still refused
+  assert.deepEqual(plain(alerts.updateRule("ram", { sustain: 0 })), [])
+  assert.equal(alerts.rules.ram.action, "demo-pack.flush")
+  assert.equal(alerts.updateRule("ram", { action: "nothing" }).length, 1)
+
+  const offered = () => page.window.toasts.at(-1).options.actions.length
+  feed("ram", () => 95, 0, 1)
+  assert.equal(offered(), 0)
+
+  page.window.actionRegistry.register({ id: "demo-pack.flush", page: "pack-demo", label: "Flush", command: "flush" })
+  alerts.evaluate("ram", 10, 2000)
+  feed("ram", () => 95, 3, 4)
+  assert.equal(offered(), 1)
+})
@@ -0,0 +1,138 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain, settle } = require("./harness")
+
+async function loadBridge() {
+  const page = await loadPage({ scripts: ["protocol.js", "bridge.js"] })
+  return { page, bridge: page.window.hostBridge, host: page.host }
+}
+
+test("a request posts one schema message and resolves with the result", async (t) => {
+  const { page, bridge, host } = await loadBridge()
+  t.after(page.close)
+
+  const replies = []
+  bridge.on("reply", (reply) => replies.push(reply))
+  const promise = bridge.request("clean-ram", { level: 2 })
+  const [request] = host.take()
+  assert.deepEqual(Object.keys(request).sort(), ["action", "args", "id", "type", "v"])
+  assert.equal(request.type, "request")
+  assert.equal(request.action, "clean-ram")
+  assert.deepEqual(request.args, { level: 2 })
+
+  host.reply(request, "success", { result: { freedMb: 512 } })
+  assert.deepEqual(await promise, { freedMb: 512 })
+  assert.equal(replies.length, 1)
+  assert.equal(replies[0].ok, true)
+  assert.equal(bridge.pending.size, 0)
+})
+
+test("progress reaches onProgress and error replies reject with the host's code", async (t) => {
+  const { page, bridge, host } = await loadBridge()
+  t.after(page.close)
+
+  const progress = []
+  const promise = bridge.request("full-clean", {}, { onProgress: (update) => progress.push(update) })
+  const [request] = host.take()
+  host.reply(request, "progress", { progress: 50, message: "Half way" })
+  host.reply(request, "error", { error: { code: "denied", message: "Run as administrator" } })
+
+  await assert.rejects(promise, (error) => error.name === "HostBridgeError" && error.code === "denied")
+  assert.deepEqual(plain(progress), [{ progress: 50, message: "Half way" }])
+})
+
+test("a request times out when the host stays quiet, and a late reply is ignored", async (t) => {
+  const { page, bridge, host } = await loadBridge()
+  t.after(page.close)
+
+  const timeouts = []
+  bridge.on("timeout", (event) => timeouts.push(event.action))
+  const promise = bridge.request("ip-flush", {}, { timeout: 20 })
+  const [request] = host.take()
+
+  await assert.rejects(promise, (error) => error.code === "timeout")
+  assert.deepEqual(timeouts, ["ip-flush"])
+  host.reply(request, "success", { result: {} })
+  assert.equal(bridge.pending.size, 0)
+})
+
+test("progress re-arms the timeout", async (t) => {
+  const { page, bridge, host } = await loadBridge()
+  t.after(page.close)
+
+  const promise = bridge.request("debloat", {}, { timeout: 40 })
+  const [request] = host.take()
+  await settle(25)
+  host.reply(request, "progress", { progress: 10 })
+  await settle(25)
+  host.reply(request, "success", { result: { done: true } })
+  assert.deepEqual(await promise, { done: true })
+})
+
+test("aborting the signal posts a cancel and rejects as cancelled", async (t) => {
+  const { page, bridge, host } = await loadBridge()
+  t.after(page.close)
+
+  const controller = new page.window.AbortController()
+  const promise = bridge.request("full-clean", {}, { signal: controller.signal })
+  const [request] = host.take()
+  controller.abort()
+
+  await assert.rejects(promise, (error) => error.code === "cancelled")
+  assert.deepEqual(plain(host.take()), [{ v: 1, type: "cancel", id: request.id }])
+  host.reply(request, "success", { result: {} })
+  assert.equal(bridge.pending.size, 0)
+})
+
+test("an already aborted signal never reaches the host", async (t) => {
+  const { page, bridge, host } = await loadBridge()
+  t.after(page.close)
+
+  const controller = new page.window.AbortController()
+  controller.abort()
+  await assert.rejects(bridge.request("clean-ram", {}, { signal: controller.signal }), (error) => {
+    return error.code === "cancelled"
+  })
+  assert.deepEqual(host.posted, [])
+})
+
+test("invalid host messages are reported, not dropped", async (t) => {
+  const { page, bridge, host } = await loadBridge()
+  t.after(page.close)
+
+  const invalid = []
+  bridge.on("invalid", ({ error }) => invalid.push(error.message))
+  host.dispatch({ v: 9, type: "success", id: "x" })
+  host.dispatch("{broken")
+  assert.equal(invalid.length, 2)
+  assert.match(invalid[0], /Unsupported protocol version 9/)
+  assert.match(invalid[1], /Malformed JSON/)
+})
+
+test("without a host requests fail with no-host", async (t) => {
+  const page = await loadPage({ scripts: ["protocol.js", "bridge.js"] }, { host: false })
+  t.after(page.close)
+  await assert.rejects(page.window.hostBridge.request("clean-ram"), (error) => error.code === "no-host")
+})
+
+test("a settled request stops listening to its signal", async (t) => {
+  const { page, bridge, host } = await loadBridge()
+  t.after(page.close)
+
+  const controller = new page.window.AbortController()
+  const removed = []
+  const remove = controller.signal.removeEventListener.bind(controller.signal)
+  controller.signal.removeEventListener = (type, listener) => {
+    removed.push(type)
+    remove(type, listener)
+  }
+
+  const promise = bridge.request("clean-ram", {}, { signal: controller.signal })
+  const [request] = host.take()
+  host.reply(request, "success", { result: {} })
+  await promise
+  assert.deepEqual(removed, ["abort"])
+
+  controller.abort()
+  assert.deepEqual(host.take(), [])
+})
@@ -0,0 +1,46 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain, settle } = require("./harness")
+
+// Actions that ask first are confirmed, typing the word where the dialog wants it
+async function confirmIfAsked(page, entry) {
+  const dialog = page.document.querySelector(".confirm-overlay")
+  if (!dialog) return
+  const typed = dialog.querySelector(".confirm-dialog-typed")
+  if (!typed.hidden) {
+    typed.querySelector("input").value = page.window.actionRegistry.label(entry).toLocaleUpperCase()
+    typed.querySelector("input").dispatchEvent(new page.window.Event("input"))
+  }
+  dialog.querySelector(".confirm-dialog-confirm").click()
+  await settle()
+}
+
+test("every data-action and data-mod button posts exactly one well-formed request", async (t) => {
+  const page = await loadPage("index.html")
+  t.after(page.close)
+  const { actionRegistry, validateHostMessage } = page.window
+
+  const buttons = Array.from(page.document.querySelectorAll("button[data-action], button[data-mod]"))
+  assert.ok(buttons.length > 0)
+  for (const button of buttons) {
+    const id = button.dataset.action || button.dataset.mod
+    const entry = actionRegistry.get(id)
+    assert.ok(entry, `"${id}" has no registry entry`)
+
+    page.host.take()
+    button.click()
+    await settle()
+    await confirmIfAsked(page, entry)
+
+    const sent = page.host.requests()
+    assert.equal(sent.length, 1, `"${id}" posted ${sent.length} requests`)
+    const [request] = sent
+    assert.deepEqual(plain(validateHostMessage(request, "page")), [], `"${id}" posted an invalid request`)
+    assert.equal(request.action, entry.command)
+
+    // Answered before the next click so no button waits on another's group
+    page.host.reply(request, "success", { result: {} })
+    await settle()
+  }
+  assert.deepEqual(page.errors, [])
+})
@@ -0,0 +1,104 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, settle } = require("./harness")
+
+const USER_PRESET = { id: "p1", name: "My 90", template: "hdr", changes: { BattleFPS: 7 }, data: "AAAA" }
+
+function dialog(page) {
+  return page.document.querySelector(".confirm-overlay")
+}
+
+function answer(page, button) {
+  dialog(page).querySelector(`.confirm-dialog-${button}`).click()
+}
+
+test("applying a user preset asks first and sends nothing when cancelled", async (t) => {
+  const page = await loadPage("index.html", {
+    localStorage: { "nx.userPresets": JSON.stringify([USER_PRESET]) },
+  })
+  t.after(page.close)
+  page.host.take()
+
+  const button = page.document.querySelector('[data-user-preset="p1"]')
+  button.click()
+  await settle()
+  assert.ok(dialog(page))
+  assert.match(dialog(page).textContent, /Apply graphics preset/)
+  assert.deepEqual(page.host.requests(), [])
+
+  answer(page, "cancel")
+  await settle()
+  assert.equal(dialog(page), null)
+  assert.deepEqual(page.host.requests(), [])
+
+  button.click()
+  await settle()
+  answer(page, "confirm")
+  await settle()
+  const [request] = page.host.requests()
+  assert.equal(request.action, "apply-preset")
+  assert.equal(request.args.data, "AAAA")
+})
+
+test("don't ask again for presets is listed on the settings page", async (t) => {
+  const page = await loadPage("index.html", {
+    localStorage: { "nx.userPresets": JSON.stringify([USER_PRESET]) },
+  })
+  t.after(page.close)
+
+  page.document.querySelector('[data-user-preset="p1"]').click()
+  await settle()
+  dialog(page).querySelector(".confirm-dialog-skip input").checked = true
+  answer(page, "confirm")
+  await settle()
+
+  const settings = page.document.querySelector(".confirm-skip-row")
+  assert.match(settings.textContent, /Apply graphics preset/)
+  const [first] = page.host.requests()
+  page.host.reply(first, "success", { result: {} })
+  await settle()
+  page.host.take()
+  page.document.querySelector('[data-user-preset="p1"]').click()
+  await settle()
+  assert.equal(dialog(page), null)
+  assert.equal(page.host.requests().length, 1)
+})
+
+test("advanced packs are confirmed before they run", async (t) => {
+  const page = await loadPage("index.html")
+  t.after(page.close)
+  const { actionRegistry } = page.window
+
+  for (const id of ["advanced", "advancedF"]) {
+    const entry = actionRegistry.get(id)
+    assert.equal(entry.confirm, "ask")
+    assert.ok(entry.description)
+    assert.ok(entry.sideEffects.length > 0)
+  }
+
+  page.host.take()
+  actionRegistry.findButton(actionRegistry.get("advanced")).click()
+  await settle()
+  assert.ok(dialog(page))
+  assert.deepEqual(page.host.requests(), [])
+})
+
+test("clearing the history uses the dialog, not window.confirm", async (t) => {
+  const entries = [{ id: "a-1", action: "debloat", label: "Debloat", page: "tweeks", status: "failed", startedAt: 1 }]
+  const page = await loadPage("index.html", { localStorage: { "nx.journal": JSON.stringify(entries) } })
+  t.after(page.close)
+  page.window.confirm = () => assert.fail("window.confirm was used")
+
+  page.document.querySelector(".journal-clear").click()
+  await settle()
+  assert.match(dialog(page).textContent, /Clear the change history/)
+  answer(page, "cancel")
+  await settle()
+  assert.equal(page.window.changeJournal.entries.length, 1)
+
+  page.document.querySelector(".journal-clear").click()
+  await settle()
+  answer(page, "confirm")
+  await settle()
+  assert.equal(page.window.changeJournal.entries.length, 0)
+})
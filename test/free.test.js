@@ -0,0 +1,206 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain, settle } = require("./harness")
+
+const EVENT_FOR = {
+  ENTER_DASHBOARD: "enterDashboard",
+  LAUNCH_EMULATOR: "startEmulator",
+  LAUNCH_GAME: "startGame",
+  STOP_EMULATOR: "killEmulator",
+}
+
+function event(name, payload = {}) {
+  return { v: 1, type: "event", name, payload }
+}
+
+function notifications(page) {
+  return page.document.getElementById("notification-container").textContent
+}
+
+test("the page announces itself to the host", async (t) => {
+  const page = await loadPage("free.html")
+  t.after(page.close)
+
+  const [ready] = page.host.events("ready")
+  assert.equal(ready.payload.command, "READY")
+  assert.ok(ready.payload.features.includes("session"))
+})
+
+test("every command button sends exactly one well-formed event", async (t) => {
+  const page = await loadPage("free.html")
+  t.after(page.close)
+  const { validateHostMessage } = page.window
+
+  const buttons = Array.from(page.document.querySelectorAll("button[data-command]"))
+  assert.equal(buttons.length, 13)
+  for (const button of buttons) {
+    page.host.take()
+    button.click()
+    await settle()
+
+    const sent = page.host.take()
+    const command = button.dataset.command
+    assert.equal(sent.length, 1, `${command} posted ${sent.length} messages`)
+    const [message] = sent
+    assert.deepEqual(plain(validateHostMessage(message, "page")), [])
+    assert.equal(message.name, EVENT_FOR[command] || "activateMod")
+    assert.equal(message.payload.command, command)
+    assert.equal(message.payload.code, button.dataset.code)
+
+    // Jobs in one group run one at a time, so each is finished before the next click
+    if (message.payload.job) {
+      page.host.dispatch(event("jobResult", { job: message.payload.job, ok: true }))
+      await settle()
+    }
+  }
+})
+
+test("exec runs the named command", async (t) => {
+  const page = await loadPage("free.html")
+  t.after(page.close)
+  page.host.take()
+
+  page.host.dispatch(event("exec", { command: "ENTER_DASHBOARD" }))
+  assert.equal(page.document.getElementById("dashboard").style.display, "flex")
+  page.host.dispatch(event("exec", { command: "HDR_60" }))
+  await settle()
+
+  const sent = page.host.take()
+  assert.deepEqual(
+    sent.map((message) => message.name),
+    ["enterDashboard", "activateMod"],
+  )
+  assert.equal(sent[1].payload.mod, "hdr60")
+  assert.equal(sent[1].payload.code, "NX_HDR_60")
+  assert.equal(typeof sent[1].payload.job, "string")
+})
+
+test("exec with an unknown command is refused", async (t) => {
+  const page = await loadPage("free.html")
+  t.after(page.close)
+  page.host.take()
+
+  page.host.dispatch(event("exec", { command: "FORMAT_C" }))
+  assert.deepEqual(page.host.take(), [])
+  assert.match(notifications(page), /FORMAT_C/)
+})
+
+test("unknown, invalid and non-event messages are shown, never run", async (t) => {
+  const page = await loadPage("free.html")
+  t.after(page.close)
+  page.host.take()
+
+  page.host.dispatch(event("selfDestruct"))
+  await settle()
+  assert.match(notifications(page), /selfDestruct/)
+
+  page.host.dispatch({ v: 7, type: "event", name: "exec" })
+  await settle()
+  assert.match(notifications(page), /Unsupported protocol version 7/)
+  const logged = page.window.activityLog.entries.filter((entry) => entry.severity === "error")
+  assert.ok(logged.some((entry) => /Unsupported protocol version 7/.test(entry.message)))
+
+  page.host.dispatch({ v: 1, type: "success", id: "x" })
+  await settle()
+  assert.match(notifications(page), /"success"/)
+  assert.deepEqual(page.host.take(), [])
+})
+
+test("legacy { type, payload } pushes are still routed", async (t) => {
+  const page = await loadPage("free.html")
+  t.after(page.close)
+  page.host.take()
+
+  page.host.dispatch({ type: "activateMod", payload: { mod: "ultra" } })
+  await settle()
+  const [message] = page.host.take()
+  assert.equal(message.payload.command, "ULTRA_120")
+
+  page.host.dispatch({ type: "setStyle" })
+  assert.ok(page.document.body.classList.contains("theme-minimal"))
+})
+
+test("jobResult settles the job it names", async (t) => {
+  const page = await loadPage("free.html")
+  t.after(page.close)
+  page.host.take()
+
+  const job = page.window.eval("activateMod(null, 'hdr90')")
+  const [message] = page.host.take()
+  page.host.dispatch(event("jobResult", { job: message.payload.job, ok: false, message: "Save is read-only" }))
+  const outcome = await job.promise
+  assert.equal(outcome.ok, false)
+  assert.equal(outcome.error.message, "Save is read-only")
+  assert.match(notifications(page), /Save is read-only/)
+})
+
+// Runs the page with JOB_SETTLE_MS (8 s) cut down so a silent host can be waited out
+function quickSettle(window) {
+  const setTimeout = window.setTimeout.bind(window)
+  window.setTimeout = (fn, ms, ...args) => setTimeout(fn, ms === 8000 ? 5 : ms, ...args)
+}
+
+test("a job the host never answers ends unconfirmed, not done", async (t) => {
+  const page = await loadPage("free.html", { beforeParse: quickSettle })
+  t.after(page.close)
+  page.host.take()
+
+  const job = page.window.eval("activateMod(null, 'hdr90')")
+  const outcome = await job.promise
+  assert.equal(outcome.ok, false)
+  assert.equal(outcome.error.code, "unconfirmed")
+  assert.equal(job.state, "unconfirmed")
+  assert.match(notifications(page), /never confirmed/)
+
+  // A late answer changes nothing
+  page.host.dispatch(event("jobResult", { job: job.id, ok: true }))
+  assert.equal(job.state, "unconfirmed")
+})
+
+test("auto-apply does not launch the game on an unconfirmed preset", async (t) => {
+  const page = await loadPage("free.html", {
+    beforeParse: quickSettle,
+    localStorage: { "nx.session": JSON.stringify({ autoApply: true, preset: "hdr90" }) },
+  })
+  t.after(page.close)
+  page.host.dispatch(event("session", { state: "running" }))
+  page.host.take()
+
+  page.host.dispatch(event("exec", { command: "LAUNCH_GAME" }))
+  await settle(50)
+  assert.deepEqual(
+    page.host.take().map((message) => message.name),
+    ["activateMod"],
+  )
+  assert.match(notifications(page), /never confirmed the preset/)
+})
+
+test("auto-apply launches the game once the host confirms the preset", async (t) => {
+  const page = await loadPage("free.html", {
+    localStorage: { "nx.session": JSON.stringify({ autoApply: true, preset: "hdr90" }) },
+  })
+  t.after(page.close)
+  page.host.dispatch(event("session", { state: "running" }))
+  page.host.take()
+
+  page.host.dispatch(event("exec", { command: "LAUNCH_GAME" }))
+  await settle()
+  const [preset] = page.host.take()
+  page.host.dispatch(event("jobResult", { job: preset.payload.job, ok: true }))
+  await settle()
+  assert.deepEqual(
+    page.host.take().map((message) => message.name),
+    ["startGame"],
+  )
+})
+
+test("protocol errors are shown in the chosen language", async (t) => {
+  const page = await loadPage("free.html", { localStorage: { "nx.language": "ar" } })
+  t.after(page.close)
+
+  page.host.dispatch(event("exec", { command: "FORMAT_C" }))
+  page.host.dispatch({ v: 1, type: "success", id: "x" })
+  await settle()
+  assert.match(notifications(page), /أمر غير معروف "FORMAT_C"/)
+  assert.match(notifications(page), /رسالة "success" غير متوقعة/)
+})
@@ -0,0 +1,92 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const { ROOT } = require("./harness")
+const {
+  GvasError,
+  parseGvas,
+  gvasRoundTrips,
+  gvasText,
+  gvasValues,
+  serializeGvas,
+  setGvasValues,
+} = require("../gvas.js")
+
+// Every Active.sav shipped with the app, keyed by its path in the repo
+function bundledSaves(dir = ROOT, out = []) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const file = path.join(dir, entry.name)
+    if (entry.isDirectory() && entry.name !== "node_modules" && !entry.name.startsWith(".")) bundledSaves(file, out)
+    else if (entry.name === "Active.sav") out.push(path.relative(ROOT, file))
+  })
+  return out
+}
+
+const SAVES = bundledSaves()
+const read = (file) => new Uint8Array(fs.readFileSync(path.join(ROOT, file)))
+
+test("every bundled save is found", () => {
+  assert.equal(SAVES.length, 14)
+})
+
+test("every bundled save parses completely with the known graphics keys", () => {
+  SAVES.forEach((file) => {
+    const save = parseGvas(read(file))
+    assert.equal(save.header.saveGameClass, "SettingConfig_C", file)
+    assert.deepEqual(
+      save.properties.filter((property) => property.raw !== undefined).map((property) => property.name),
+      [],
+      `${file} has undecoded properties`,
+    )
+
+    const values = gvasValues(save)
+    ;["BattleFPS", "LobbyFPS", "FPSLevel"].forEach((key) => {
+      assert.ok(Number.isInteger(values[key]) && values[key] >= 1 && values[key] <= 8, `${file} ${key}`)
+    })
+    ;["BattleRenderQuality", "LobbyRenderQuality"].forEach((key) => {
+      assert.ok(Number.isInteger(values[key]) && values[key] >= 1 && values[key] <= 6, `${file} ${key}`)
+    })
+    assert.equal(typeof values.HasGraphicsSeparateConfig, "boolean", file)
+    assert.equal(typeof values.ScreenLightness, "number", file)
+  })
+})
+
+test("the match frame rate matches the preset's name", () => {
+  const fpsLevel = { 60: 6, 90: 7, 120: 8 }
+  SAVES.forEach((file) => {
+    const fps = path.dirname(file).match(/(60|90|120)/)
+    if (!fps) return
+    assert.equal(gvasValues(parseGvas(read(file))).BattleFPS, fpsLevel[fps[1]], file)
+  })
+})
+
+test("parse then serialize gives back every bundled save byte for byte", () => {
+  SAVES.forEach((file) => {
+    const bytes = read(file)
+    assert.deepEqual(Buffer.from(serializeGvas(parseGvas(bytes))), Buffer.from(bytes), file)
+    assert.equal(gvasRoundTrips(bytes), true, file)
+  })
+})
+
+test("edited Int, Bool and Str values read back after a write", () => {
+  const save = parseGvas(read(SAVES[0]))
+  setGvasValues(save, { BattleFPS: 6.6, HasGraphicsSeparateConfig: false, GameVersion: "نسخة 2 — 画質" })
+
+  const reread = parseGvas(serializeGvas(save))
+  const values = gvasValues(reread)
+  assert.equal(values.BattleFPS, 7)
+  assert.equal(values.HasGraphicsSeparateConfig, false)
+  assert.equal(gvasText(values.GameVersion), "نسخة 2 — 画質")
+  assert.deepEqual(Buffer.from(serializeGvas(reread)), Buffer.from(serializeGvas(save)))
+
+  setGvasValues(reread, { GameVersion: "1.0.0" })
+  assert.equal(gvasText(gvasValues(parseGvas(serializeGvas(reread))).GameVersion), "1.0.0")
+})
+
+test("setGvasValues refuses unknown names and wrong types", () => {
+  const save = parseGvas(read(SAVES[0]))
+  assert.throws(() => setGvasValues(save, { NotAKey: 1 }), GvasError)
+  assert.throws(() => setGvasValues(save, { BattleFPS: "high" }), /must be a number/)
+  assert.throws(() => setGvasValues(save, { QuickSignIDList: [] }), /cannot be edited/)
+})
@@ -0,0 +1,183 @@
+// Loads the pages under jsdom with a fake WebView2 host in place of window.chrome.webview.
+//
+//   const page = await loadPage("free.html")
+//   page.host.dispatch({ v: 1, type: "event", name: "exec", payload: { command: "HDR_60" } })
+//   page.host.posted          every message the page posted, in order
+//   page.close()
+//
+// Pages are loaded from file:// URLs. Only the repo's own files are served; scripts and
+// styles from other hosts are skipped. jsdom gives file:// pages no storage, so
+// localStorage and sessionStorage are plain in-memory shims (storage: false makes every
+// call throw, like a browser with storage switched off). fetch() reads repo files too.
+
+const fs = require("fs")
+const path = require("path")
+const { pathToFileURL, fileURLToPath } = require("url")
+const { JSDOM, ResourceLoader, VirtualConsole } = require("jsdom")
+
+const ROOT = path.join(__dirname, "..")
+
+class LocalResources extends ResourceLoader {
+  fetch(url, options) {
+    if (!url.startsWith("file:")) return null
+    return super.fetch(url, options)
+  }
+}
+
+// Records what the page posts and delivers host messages the way WebView2 does
+class FakeWebView {
+  constructor() {
+    this.posted = []
+    this.listeners = []
+  }
+
+  postMessage(message) {
+    this.posted.push(message)
+  }
+
+  addEventListener(type, listener) {
+    if (type === "message") this.listeners.push(listener)
+  }
+
+  removeEventListener(type, listener) {
+    if (type === "message") this.listeners = this.listeners.filter((fn) => fn !== listener)
+  }
+
+  dispatch(data) {
+    this.listeners.forEach((listener) => listener({ data }))
+  }
+
+  // Answers a posted request: reply(request, "success", { result })
+  reply(request, type, fields = {}) {
+    this.dispatch(Object.assign({ v: 1, type, id: request.id }, fields))
+  }
+
+  // The messages posted since the last take()
+  take() {
+    return this.posted.splice(0)
+  }
+
+  requests() {
+    return this.posted.filter((message) => message.type === "request")
+  }
+
+  events(name) {
+    return this.posted.filter((message) => message.type === "event" && (!name || message.name === name))
+  }
+}
+
+class MemoryStorage {
+  constructor(entries = {}) {
+    this.items = new Map(Object.entries(entries))
+  }
+
+  get length() {
+    return this.items.size
+  }
+
+  key(index) {
+    return Array.from(this.items.keys())[index] ?? null
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value))
+  }
+
+  removeItem(key) {
+    this.items.delete(key)
+  }
+
+  clear() {
+    this.items.clear()
+  }
+}
+
+function blockedStorage() {
+  const fail = () => {
+    throw new Error("SecurityError: storage is not available")
+  }
+  return { getItem: fail, setItem: fail, removeItem: fail, clear: fail, key: fail, length: 0 }
+}
+
+function fakeFetch(window) {
+  return async (url) => {
+    const target = new URL(url, window.location.href)
+    let bytes = null
+    if (target.protocol === "file:") {
+      try {
+        bytes = fs.readFileSync(fileURLToPath(target))
+      } catch (error) {
+        bytes = null
+      }
+    }
+    const body = bytes || Buffer.alloc(0)
+    return {
+      ok: bytes !== null,
+      status: bytes ? 200 : 404,
+      text: async () => body.toString("utf8"),
+      json: async () => JSON.parse(body.toString("utf8")),
+      arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength),
+    }
+  }
+}
+
+// page is a file in the repo, or { scripts: [...] } for a blank page running only those
+// scripts. localStorage / sessionStorage seed the shims; host: false leaves out the webview.
+function loadPage(page, options = {}) {
+  const { host = true, storage = true, localStorage = {}, sessionStorage = {}, beforeParse } = options
+  const file = typeof page === "string" ? path.join(ROOT, page) : path.join(ROOT, "test.html")
+  const html =
+    typeof page === "string"
+      ? fs.readFileSync(file, "utf8")
+      : `<!DOCTYPE html><html><body>${page.scripts.map((src) => `<script src="${src}"></script>`).join("")}</body></html>`
+
+  const errors = []
+  const virtualConsole = new VirtualConsole()
+  virtualConsole.on("jsdomError", (error) => errors.push(error.message))
+  const webview = host ? new FakeWebView() : null
+
+  const dom = new JSDOM(html, {
+    url: pathToFileURL(file).href,
+    runScripts: "dangerously",
+    resources: new LocalResources(),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      const shim = (entries) => (storage ? new MemoryStorage(entries) : blockedStorage())
+      Object.defineProperty(window, "localStorage", { value: shim(localStorage), configurable: true })
+      Object.defineProperty(window, "sessionStorage", { value: shim(sessionStorage), configurable: true })
+      window.fetch = fakeFetch(window)
+      window.HTMLCanvasElement.prototype.getContext = () => null
+      if (webview) window.chrome = { webview }
+      if (beforeParse) beforeParse(window)
+    },
+  })
+
+  return new Promise((resolve) => {
+    dom.window.addEventListener("load", () =>
+      resolve({
+        window: dom.window,
+        document: dom.window.document,
+        host: webview,
+        errors,
+        close: () => dom.window.close(),
+      }),
+    )
+  })
+}
+
+// Objects made inside the page have the page's prototypes; deepEqual wants plain ones
+function plain(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+// Lets promise callbacks and zero-delay timers run
+function settle(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+module.exports = { ROOT, FakeWebView, MemoryStorage, loadPage, plain, settle }
@@ -0,0 +1,63 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage } = require("./harness")
+
+// Every script that adds English strings of its own with i18n.define("en", ...)
+const SCRIPTS = ["activity-log.js", "i18n.js", "job-queue.js", "actions.js", "license.js", "gvas.js", "presets.js"]
+
+test("English and Arabic have the same keys", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS })
+  t.after(page.close)
+  assert.deepEqual(page.errors, [])
+
+  const { en, ar } = page.window.i18n.catalogs
+  const missing = (from, to) => Object.keys(from).filter((key) => !(key in to))
+  assert.deepEqual(missing(en, ar), [], "missing from ar")
+  assert.deepEqual(missing(ar, en), [], "missing from en")
+})
+
+test("placeholders match between the languages", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS })
+  t.after(page.close)
+
+  const { en, ar } = page.window.i18n.catalogs
+  const names = (text) => (String(text).match(/\{\w+\}/g) || []).sort()
+  const mismatched = Object.keys(en).filter((key) => key in ar && names(en[key]).join() !== names(ar[key]).join())
+  assert.deepEqual(mismatched, [])
+})
+
+test("the job queue panel is translated and follows a language change", async (t) => {
+  const page = await loadPage({ scripts: ["activity-log.js", "i18n.js", "job-queue.js"] })
+  t.after(page.close)
+  const { i18n, jobQueue, JobQueuePanel } = page.window
+
+  const panel = new JobQueuePanel(jobQueue)
+  jobQueue.add({ label: "Clean RAM", groups: ["disk"], run: () => new Promise(() => {}) })
+  jobQueue.add({ label: "Clear temp", groups: ["disk"], run: () => new Promise(() => {}) })
+  const text = () => panel.root.textContent.replace(/\s+/g, " ").trim()
+  assert.match(text(), /Actions • 2 in progress/)
+  assert.match(text(), /Waiting for Clean RAM/)
+
+  i18n.setLanguage("ar")
+  assert.match(text(), /الإجراءات • 2 قيد التنفيذ/)
+  assert.match(text(), /بانتظار Clean RAM/)
+  assert.match(text(), /قيد التشغيل/)
+  assert.match(text(), /مسح المنتهية/)
+  assert.equal(panel.root.querySelector(".job-cancel").getAttribute("aria-label"), "إلغاء Clear temp")
+})
+
+test("the dashboard cards use the catalogs for their details and state badge", async (t) => {
+  const page = await loadPage("index.html", { localStorage: { "nx.language": "ar" } })
+  t.after(page.close)
+  const { document, i18n } = page.window
+  const text = (selector) => document.querySelector(selector).textContent
+
+  assert.equal(text("#cpu-temp"), "الحرارة: --")
+  assert.equal(text("#disk-free"), "المتاح: --")
+  assert.equal(text('[data-metric="ram"] .metric-state'), "غير متاح")
+
+  i18n.setLanguage("en")
+  assert.equal(text("#cpu-temp"), "Temp: --")
+  assert.equal(text("#proc-cores"), "Cores: --")
+  assert.equal(text('[data-metric="ram"] .metric-state'), "unavailable")
+})
@@ -0,0 +1,200 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, settle } = require("./harness")
+
+const KEY = "ABCD-1234-EFGH-5678"
+
+function licenseResult(payload) {
+  return { v: 1, type: "event", name: "licenseResult", payload }
+}
+
+function status(page) {
+  const element = page.document.getElementById("statusMessage")
+  return { classes: element.className, text: element.textContent.replace(/\s+/g, " ").trim() }
+}
+
+function typeKey(page, text) {
+  const input = page.document.getElementById("license")
+  input.value = text
+  input.dispatchEvent(new page.window.Event("input"))
+}
+
+// Pastes the key with the stray whitespace a copy often brings along and submits the form
+function submitKey(page, key = KEY, { remember = false } = {}) {
+  typeKey(page, ` ${key}\n`)
+  page.document.getElementById("rememberDevice").checked = remember
+  page.document.querySelector(".login-form").dispatchEvent(new page.window.Event("submit", { cancelable: true }))
+}
+
+test("a verified key signs in and keeps the session for this run", async (t) => {
+  const page = await loadPage("login.html")
+  t.after(page.close)
+
+  submitKey(page)
+  const [request] = page.host.take()
+  assert.equal(request.name, "verifyLicense")
+  assert.deepEqual({ ...request.payload }, { key: KEY, remember: false })
+  assert.match(status(page).classes, /loading/)
+  assert.equal(page.document.getElementById("accessButton").disabled, true)
+
+  page.host.dispatch(licenseResult({ code: "ok", expiresAt: Date.now() + 86400000 }))
+  assert.match(status(page).classes, /success/)
+  assert.match(status(page).text, /License Verified Successfully/)
+  const session = JSON.parse(page.window.sessionStorage.getItem("nx.license.session"))
+  assert.equal(session.remember, false)
+  assert.equal(page.window.localStorage.getItem("nx.license.session"), null)
+})
+
+test("the key is sent as typed, only trimmed, whatever its length or format", async (t) => {
+  const page = await loadPage("login.html")
+  t.after(page.close)
+  const button = page.document.getElementById("accessButton")
+
+  typeKey(page, "   ")
+  assert.equal(button.disabled, true)
+  typeKey(page, "nx")
+  assert.equal(button.disabled, false)
+
+  const key = "nx-pro_2026.abcdefghijklmnop/42"
+  submitKey(page, key)
+  const [request] = page.host.take()
+  assert.equal(request.payload.key, key)
+})
+
+test("the key is masked until the eye button shows it", async (t) => {
+  const page = await loadPage("login.html")
+  t.after(page.close)
+  const input = page.document.getElementById("license")
+  const toggle = page.document.getElementById("keyToggle")
+
+  assert.equal(input.type, "password")
+  toggle.click()
+  assert.equal(input.type, "text")
+  assert.equal(toggle.getAttribute("aria-pressed"), "true")
+  assert.equal(toggle.getAttribute("aria-label"), "Hide key")
+  toggle.click()
+  assert.equal(input.type, "password")
+  assert.equal(toggle.getAttribute("aria-label"), "Show key")
+})
+
+test("remember keeps the host's token and resumes with it next time", async (t) => {
+  const first = await loadPage("login.html")
+  submitKey(first, KEY, { remember: true })
+  first.host.dispatch(licenseResult({ code: "ok", token: "tok-1" }))
+  const saved = first.window.localStorage.getItem("nx.license.session")
+  first.close()
+  assert.equal(JSON.parse(saved).token, "tok-1")
+
+  const page = await loadPage("login.html", { localStorage: { "nx.license.session": saved } })
+  t.after(page.close)
+  const [resume] = page.host.take()
+  assert.equal(resume.name, "resumeSession")
+  assert.equal(resume.payload.token, "tok-1")
+})
+
+test("an invalid key is reported and three in a row lock the form", async (t) => {
+  const page = await loadPage("login.html")
+  t.after(page.close)
+  const button = page.document.getElementById("accessButton")
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    submitKey(page)
+    assert.equal(page.host.take().length, 1)
+    page.host.dispatch(licenseResult({ code: "invalid" }))
+    assert.match(status(page).classes, /error/)
+    assert.match(status(page).text, /Invalid License Key/)
+  }
+
+  assert.match(status(page).text, /Too many attempts/)
+  assert.equal(button.disabled, true)
+  assert.match(page.document.getElementById("buttonText").textContent, /TRY AGAIN IN/)
+  submitKey(page)
+  assert.deepEqual(page.host.take(), [])
+  assert.ok(JSON.parse(page.window.localStorage.getItem("nx.license.lockout")).lockedUntil > Date.now())
+})
+
+test("the lockout survives a reload", async (t) => {
+  const lockout = JSON.stringify({ failures: 3, lockedUntil: Date.now() + 60000 })
+  const page = await loadPage("login.html", { localStorage: { "nx.license.lockout": lockout } })
+  t.after(page.close)
+
+  submitKey(page)
+  assert.deepEqual(page.host.take(), [])
+  assert.equal(page.document.getElementById("accessButton").disabled, true)
+})
+
+test("hosts that answer with a bare string still work", async (t) => {
+  const page = await loadPage("login.html")
+  t.after(page.close)
+
+  submitKey(page)
+  page.host.dispatch("success")
+  assert.match(status(page).classes, /success/)
+
+  submitKey(page)
+  page.host.dispatch("nope")
+  await settle()
+  assert.match(status(page).text, /Invalid License Key/)
+})
+
+test("an unknown reply while waiting fails the check as a host error", async (t) => {
+  const page = await loadPage("login.html")
+  t.after(page.close)
+
+  submitKey(page)
+  page.host.dispatch({ v: 1, type: "event", name: "telemetry", payload: {} })
+  assert.match(status(page).classes, /error/)
+  assert.match(status(page).text, /Verification Failed/)
+  assert.match(status(page).text, /telemetry/)
+})
+
+test("an unknown result code is a translated host error", async (t) => {
+  const page = await loadPage("login.html", { localStorage: { "nx.language": "ar" } })
+  t.after(page.close)
+
+  submitKey(page)
+  page.host.dispatch(licenseResult({ code: "banana" }))
+  assert.match(status(page).classes, /error/)
+  assert.match(status(page).text, /أجاب التطبيق بنتيجة غير معروفة "banana"/)
+})
+
+// Cuts LICENSE_REPLY_TIMEOUT_MS (20 s) down so a late reply can be tested
+function quickTimeout(window) {
+  const setTimeout = window.setTimeout.bind(window)
+  window.setTimeout = (fn, ms, ...args) => setTimeout(fn, ms === 20000 ? 5 : ms, ...args)
+}
+
+test("a result nobody asked for neither signs in nor counts as a failure", async (t) => {
+  const page = await loadPage("login.html")
+  t.after(page.close)
+
+  page.host.dispatch(licenseResult({ code: "ok", token: "stolen" }))
+  page.host.dispatch(licenseResult({ code: "invalid" }))
+  assert.doesNotMatch(status(page).classes, /success|error/)
+  assert.equal(page.window.sessionStorage.getItem("nx.license.session"), null)
+  assert.equal(page.window.localStorage.getItem("nx.license.session"), null)
+  assert.equal(page.window.localStorage.getItem("nx.license.lockout"), null)
+
+  const ignored = page.window.activityLog.entries.filter((entry) => /nobody was waiting/.test(entry.message))
+  assert.equal(ignored.length, 2)
+  assert.ok(ignored.every((entry) => entry.severity === "warning"))
+})
+
+test("a reply that comes after the timeout is ignored", async (t) => {
+  const page = await loadPage("login.html", { beforeParse: quickTimeout })
+  t.after(page.close)
+
+  submitKey(page)
+  await settle(20)
+  assert.match(status(page).text, /No Connection/)
+
+  page.host.dispatch(licenseResult({ code: "ok" }))
+  assert.match(status(page).text, /No Connection/)
+  assert.equal(page.window.sessionStorage.getItem("nx.license.session"), null)
+})
+
+test("clearing the session survives storage that throws", async (t) => {
+  const page = await loadPage({ scripts: ["license.js"] }, { storage: false })
+  t.after(page.close)
+  assert.doesNotThrow(() => page.window.clearLicenseSession())
+})
@@ -0,0 +1,43 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain } = require("./harness")
+
+async function loadNotifier(t) {
+  const page = await loadPage({ scripts: ["notifications.js"] })
+  t.after(page.close)
+  const notifier = new page.window.Notifier({ maxVisible: 2, leaveMs: 0 })
+  const shown = () => plain(notifier.visible.map((toast) => toast.message))
+  return { notifier, shown }
+}
+
+test("progress toasts do not hold back the toasts that come after them", async (t) => {
+  const { notifier, shown } = await loadNotifier(t)
+
+  const jobs = [1, 2, 3].map((n) => notifier.show({ type: "loading", message: `job ${n}` }))
+  notifier.show({ type: "error", message: "first error" })
+  notifier.show({ type: "error", message: "second error" })
+  notifier.show({ type: "info", message: "info" })
+  assert.deepEqual(shown(), ["job 1", "job 2", "job 3", "first error", "second error"])
+  assert.equal(notifier.waiting.length, 1)
+
+  // A finished job counts again, so the waiting toast still waits for a free slot
+  jobs[0].update({ type: "success", message: "job 1 done" })
+  assert.equal(notifier.waiting.length, 1)
+  notifier.visible.find((toast) => toast.message === "first error").close()
+  assert.equal(notifier.waiting.length, 1)
+  jobs[0].close()
+  assert.deepEqual(shown(), ["job 2", "job 3", "second error", "info"])
+  assert.equal(notifier.waiting.length, 0)
+})
+
+test("a waiting toast that turns into a progress toast is shown right away", async (t) => {
+  const { notifier, shown } = await loadNotifier(t)
+
+  notifier.show({ type: "warning", message: "one" })
+  notifier.show({ type: "warning", message: "two" })
+  const later = notifier.show({ type: "info", message: "three" })
+  assert.deepEqual(shown(), ["one", "two"])
+
+  later.update({ type: "loading", message: "working", progress: true })
+  assert.deepEqual(shown(), ["one", "two", "working"])
+})
@@ -0,0 +1,81 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const {
+  PROTOCOL_VERSION,
+  ProtocolError,
+  createHostMessage,
+  readHostMessage,
+  upgradeLegacyMessage,
+} = require("../protocol.js")
+
+test("readHostMessage accepts every host message type", () => {
+  const messages = [
+    { v: 1, type: "progress", id: "a", progress: 40, message: "Cleaning" },
+    { v: 1, type: "success", id: "a", result: { freedMb: 12 } },
+    { v: 1, type: "error", id: "a", error: { code: "denied", message: "No admin rights" } },
+    { v: 1, type: "event", name: "telemetry", payload: { cpu: { usage: 3 } } },
+  ]
+  messages.forEach((message) => assert.deepEqual(readHostMessage(message), message))
+})
+
+test("readHostMessage parses JSON text", () => {
+  const message = readHostMessage('{"v":1,"type":"success","id":"x"}')
+  assert.equal(message.type, "success")
+  assert.equal(message.id, "x")
+})
+
+test("readHostMessage rejects malformed and invalid messages", () => {
+  const invalid = [
+    ["{not json", /Malformed JSON/],
+    [{ v: 2, type: "success", id: "a" }, /Unsupported protocol version 2/],
+    [{ v: 1, type: "reboot", id: "a" }, /Unknown message type "reboot"/],
+    [{ v: 1, type: "request", id: "a", action: "x", args: {} }, /cannot be sent by the host/],
+    [{ v: 1, type: "success" }, /success.id must be a string/],
+    [{ v: 1, type: "error", id: "a", error: {} }, /error.message must be a string/],
+    [{ v: 1, type: "progress", id: "a", progress: "half" }, /progress.progress must be a number/],
+    [42, /must be an object/],
+  ]
+  invalid.forEach(([data, pattern]) => {
+    assert.throws(
+      () => readHostMessage(data),
+      (error) => error instanceof ProtocolError && pattern.test(error.message),
+    )
+  })
+})
+
+test("createHostMessage only builds valid page messages", () => {
+  assert.deepEqual(createHostMessage("cancel", { id: "a" }), { v: PROTOCOL_VERSION, type: "cancel", id: "a" })
+  assert.throws(() => createHostMessage("request", { id: "a", action: "x" }), /request.args must be an object/)
+  assert.throws(() => createHostMessage("success", { id: "a" }), /cannot be sent by the page/)
+})
+
+test("upgradeLegacyMessage maps the pre-schema formats", () => {
+  assert.deepEqual(upgradeLegacyMessage({ id: "a", status: "success", result: { ok: 1 } }), {
+    v: 1,
+    type: "success",
+    id: "a",
+    result: { ok: 1 },
+  })
+  assert.deepEqual(upgradeLegacyMessage({ type: "activateMod", payload: { mod: "hdr60" } }), {
+    v: 1,
+    type: "event",
+    name: "activateMod",
+    payload: { mod: "hdr60" },
+  })
+  assert.deepEqual(upgradeLegacyMessage({ type: "setStyle" }), { v: 1, type: "event", name: "setStyle", payload: {} })
+  assert.deepEqual(upgradeLegacyMessage("success"), { v: 1, type: "event", name: "text", payload: { text: "success" } })
+})
+
+test("upgradeLegacyMessage leaves versioned and unknown data alone", () => {
+  const current = { v: 1, type: "event", name: "x" }
+  assert.equal(upgradeLegacyMessage(current), current)
+  const future = { v: 3, id: "a", status: "success" }
+  assert.equal(upgradeLegacyMessage(future), future)
+  assert.deepEqual(upgradeLegacyMessage({ hello: true }), { hello: true })
+  assert.equal(upgradeLegacyMessage(null), null)
+})
+
+test("legacy messages come out of readHostMessage validated", () => {
+  assert.equal(readHostMessage({ id: "a", status: "progress", progress: 10 }).type, "progress")
+  assert.throws(() => readHostMessage({ id: "a", status: "done" }), /Unknown message type "done"/)
+})
@@ -0,0 +1,130 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain, settle } = require("./harness")
+
+const SCRIPTS = ["activity-log.js", "i18n.js", "notifications.js", "actions.js", "recipes.js"]
+
+// A recipe with a step from an action pack, as saved while the pack was switched on
+const PACK_RECIPE = {
+  id: "with-pack",
+  name: "With pack",
+  onError: "continue",
+  steps: [
+    { action: "clean-ram", args: {}, delayMs: 0 },
+    { action: "demo-pack.flush", args: {}, delayMs: 0 },
+    { action: "clear-temp", args: {}, delayMs: 0 },
+  ],
+}
+
+const storage = { "nx.recipes": JSON.stringify([PACK_RECIPE]) }
+
+// index.html defines notify inline; the bare script pages only need it to exist
+function quietNotify(window) {
+  const ignore = () => {}
+  window.notify = { success: ignore, info: ignore, warning: ignore, error: ignore }
+}
+
+function waitFor(run) {
+  return new Promise((resolve) => {
+    const check = () => (["done", "failed", "cancelled"].includes(run.state) ? resolve(run) : setTimeout(check, 1))
+    check()
+  })
+}
+
+test("recipes using actions that are not registered yet survive a reload", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS }, { localStorage: storage })
+  t.after(page.close)
+
+  const store = new page.window.RecipeStore(page.window.actionRegistry)
+  assert.deepEqual(plain(store.get("with-pack").steps.map((step) => step.action)), [
+    "clean-ram",
+    "demo-pack.flush",
+    "clear-temp",
+  ])
+  // Saving does not drop it either
+  store.remove("nothing")
+  assert.ok(JSON.parse(page.window.localStorage.getItem("nx.recipes")).some((recipe) => recipe.id === "with-pack"))
+})
+
+test("a step whose action is missing fails without stalling the run", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS }, { localStorage: storage, beforeParse: quietNotify })
+  t.after(page.close)
+  const { actionRegistry, RecipeRunner, RecipeStore } = page.window
+
+  const ran = []
+  const runner = new RecipeRunner(actionRegistry, async (entry) => {
+    ran.push(entry.id)
+    return { ok: true }
+  })
+  const recipe = new RecipeStore(actionRegistry).get("with-pack")
+
+  const run = await waitFor(runner.enqueue(recipe))
+  assert.equal(run.state, "failed")
+  assert.deepEqual(ran, ["clean-ram", "clear-temp"])
+  assert.deepEqual(plain(run.steps.map((item) => item.state)), ["done", "failed", "done"])
+  assert.match(run.steps[1].error, /demo-pack\.flush/)
+
+  // Once the pack registers the action the same recipe runs through
+  actionRegistry.register({ id: "demo-pack.flush", page: "tweeks", label: "Flush", command: "flush" })
+  const again = await waitFor(runner.enqueue(recipe))
+  assert.equal(again.state, "done")
+  assert.deepEqual(ran.slice(2), ["clean-ram", "demo-pack.flush", "clear-temp"])
+})
+
+test("the recipes page shows a missing action instead of throwing", async (t) => {
+  const page = await loadPage("index.html", { localStorage: storage })
+  t.after(page.close)
+  assert.deepEqual(page.errors, [])
+
+  const card = page.document.querySelector('[data-recipe="with-pack"]')
+  assert.match(card.querySelector(".missing").textContent, /demo-pack\.flush.*not available/)
+
+  page.window.recipePanel.run(page.window.recipeStore.get("with-pack"))
+  await settle()
+  page.host.requests().forEach((request) => page.host.reply(request, "success", { result: {} }))
+  await settle(20)
+  page.host.requests().forEach((request) => page.host.reply(request, "success", { result: {} }))
+  await settle(20)
+
+  const runs = page.document.querySelector(".recipe-runs")
+  assert.match(runs.textContent, /demo-pack\.flush.*not available/)
+  assert.deepEqual(page.errors, [])
+})
+
+test("a step that throws fails and the runner moves on to the next recipe", async (t) => {
+  const page = await loadPage({ scripts: SCRIPTS }, { beforeParse: quietNotify })
+  t.after(page.close)
+  const { actionRegistry, RecipeRunner } = page.window
+
+  const ran = []
+  const runner = new RecipeRunner(actionRegistry, (entry) => {
+    ran.push(entry.id)
+    if (entry.id === "clean-ram") throw new Error("bridge gone")
+    if (entry.id === "clear-temp") return Promise.reject(new Error("timed out"))
+    return Promise.resolve({ ok: true })
+  })
+  const recipe = (id, onError, actions) => ({
+    id,
+    name: id,
+    onError,
+    steps: actions.map((action) => ({ action, args: {}, delayMs: 0 })),
+  })
+
+  const first = runner.enqueue(recipe("first", "continue", ["clean-ram", "clear-temp", "ip-flush"]))
+  const second = runner.enqueue(recipe("second", "stop", ["clear-temp", "ip-flush"]))
+  const third = runner.enqueue(recipe("third", "stop", ["ip-flush"]))
+
+  await waitFor(first)
+  assert.equal(first.state, "failed")
+  assert.deepEqual(plain(first.steps.map((item) => item.state)), ["failed", "failed", "done"])
+  assert.deepEqual(plain(first.steps.map((item) => item.error)), ["bridge gone", "timed out", null])
+
+  await waitFor(second)
+  assert.equal(second.state, "failed")
+  assert.deepEqual(plain(second.steps.map((item) => item.state)), ["failed", "skipped"])
+
+  await waitFor(third)
+  assert.equal(third.state, "done")
+  assert.equal(runner.active, false)
+  assert.deepEqual(ran, ["clean-ram", "clear-temp", "ip-flush", "clear-temp", "ip-flush"])
+})
@@ -0,0 +1,127 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain } = require("./harness")
+
+const SCRIPTS = ["activity-log.js", "i18n.js", "actions.js", "gvas.js", "presets.js", "recommendations.js"]
+
+const STRONG = {
+  cpu: { cores: 8, freq: 3.6 },
+  ram: { total: 31.9 },
+  gpu: { memory: 8 },
+  display: { refreshRate: 144 },
+}
+
+// A copy of STRONG with some fields replaced
+function withSpecs(changes) {
+  const specs = JSON.parse(JSON.stringify(STRONG))
+  Object.entries(changes).forEach(([part, fields]) => Object.assign(specs[part], fields))
+  return specs
+}
+
+async function loadEngine(t) {
+  const page = await loadPage({ scripts: SCRIPTS })
+  t.after(page.close)
+  const { HardwareProfile, recommendFor, actionRegistry } = page.window
+  // [preset id, ...tweak ids] for the given specs
+  const picks = (specs) => {
+    const profile = new HardwareProfile()
+    assert.deepEqual(plain(profile.update(specs)), [])
+    return plain(recommendFor(profile.specs, actionRegistry).map((item) => item.id))
+  }
+  return { page, picks }
+}
+
+test("the weakest part picks the preset and the display caps its frame rate", async (t) => {
+  const { picks } = await loadEngine(t)
+  const preset = (changes) => picks(withSpecs(changes))[0]
+
+  assert.equal(preset({}), "preset:ultrahdr120")
+  assert.equal(preset({ display: { refreshRate: 90 } }), "preset:ultrahdr90")
+  assert.equal(preset({ display: { refreshRate: 75 } }), "preset:ultrahdr60")
+
+  // RAM just under each threshold drops one rating
+  assert.equal(preset({ ram: { total: 30 } }), "preset:ultrahdr120")
+  assert.equal(preset({ ram: { total: 29.9 } }), "preset:hdr120")
+  assert.equal(preset({ ram: { total: 14.9 } }), "preset:balanced120")
+  assert.equal(preset({ ram: { total: 14.9 }, display: { refreshRate: 60 } }), "preset:hdr60")
+  assert.equal(preset({ ram: { total: 10.9 } }), "preset:smooth")
+  assert.equal(preset({ ram: { total: 7.4 } }), "preset:super-smooth")
+
+  // Slow cores count one rating lower, as does a GPU under the 7.5 GB mark
+  assert.equal(preset({ cpu: { freq: 2.4 } }), "preset:hdr120")
+  assert.equal(preset({ gpu: { memory: 7.4 } }), "preset:hdr120")
+  assert.equal(preset({ cpu: { cores: 4 }, gpu: { memory: 1 } }), "preset:super-smooth")
+})
+
+test("tweaks are picked by their own thresholds", async (t) => {
+  const { picks } = await loadEngine(t)
+  const tweaks = (changes) => picks(withSpecs(changes)).slice(1)
+
+  assert.deepEqual(tweaks({}), ["action:park-control"])
+  assert.deepEqual(tweaks({ cpu: { cores: 4 } }), ["action:park-control", "action:timer-resolution"])
+  assert.deepEqual(tweaks({ cpu: { cores: 2 } }), ["action:timer-resolution"])
+  assert.deepEqual(tweaks({ ram: { total: 10.9 } }), [
+    "action:park-control",
+    "action:clean-ram",
+    "action:visual-effects",
+  ])
+  assert.deepEqual(tweaks({ gpu: { memory: 3 } }), ["action:park-control", "action:visual-effects"])
+  assert.deepEqual(tweaks({ display: { refreshRate: 60 } }), ["action:park-control", "action:cru"])
+})
+
+test("a missing or partial hardware profile recommends only what it can back up", async (t) => {
+  const { page, picks } = await loadEngine(t)
+  const { HardwareProfile, RecommendationPanel, actionRegistry, document } = page.window
+
+  assert.deepEqual(picks({}), [])
+  // A display alone says nothing about the PC's power
+  assert.deepEqual(picks({ display: { refreshRate: 60 } }), ["action:cru"])
+  // RAM alone picks a preset; the CPU tweaks wait for a core count
+  assert.deepEqual(picks({ ram: { total: 16 } }), ["preset:hdr60"])
+
+  const root = document.createElement("div")
+  const profile = new HardwareProfile()
+  new RecommendationPanel(profile, actionRegistry, root)
+  assert.equal(root.querySelectorAll("[data-recommendation]").length, 0)
+  assert.match(root.textContent, /Waiting for NX TWEAKER to report your hardware/)
+
+  profile.update({ ram: { total: 16 } })
+  assert.deepEqual(
+    Array.from(root.querySelectorAll("[data-recommendation]"), (card) => card.dataset.recommendation),
+    ["preset:hdr60"],
+  )
+  assert.match(root.querySelector(".recommend-reasons").textContent, /60 Hz is assumed/)
+})
+
+test("dismissed recommendations stay dismissed after a reload", async (t) => {
+  const open = async (localStorage) => {
+    const page = await loadPage("index.html", { localStorage })
+    t.after(page.close)
+    page.host.dispatch({ v: 1, type: "event", name: "hardware", payload: withSpecs({ cpu: { cores: 4 } }) })
+    const cards = () =>
+      Array.from(
+        page.document.querySelectorAll("#recommendations [data-recommendation]"),
+        (card) => card.dataset.recommendation,
+      )
+    return { page, cards }
+  }
+
+  const first = await open({})
+  assert.deepEqual(first.page.errors, [])
+  assert.deepEqual(first.cards(), ["preset:balanced120", "action:park-control", "action:timer-resolution"])
+  first.page.document.querySelector('[data-recommendation="action:park-control"] .recommend-dismiss').click()
+  assert.deepEqual(first.cards(), ["preset:balanced120", "action:timer-resolution"])
+
+  const saved = Object.fromEntries(first.page.window.localStorage.items)
+  const second = await open(saved)
+  assert.deepEqual(second.cards(), ["preset:balanced120", "action:timer-resolution"])
+  const restore = second.page.document.querySelector("#recommendations .recommend-restore")
+  assert.equal(restore.textContent, "Show 1 dismissed")
+
+  // Bringing them back is saved too
+  restore.click()
+  assert.equal(second.cards().length, 3)
+  const third = await open(Object.fromEntries(second.page.window.localStorage.items))
+  assert.equal(third.cards().length, 3)
+  assert.equal(third.page.document.querySelector("#recommendations .recommend-restore"), null)
+})
@@ -0,0 +1,36 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { loadPage, plain } = require("./harness")
+
+async function load(t) {
+  const page = await loadPage({ scripts: ["telemetry.js", "metric-history.js"] })
+  t.after(page.close)
+  return page.window
+}
+
+test("listeners see only the fields of the incoming sample", async (t) => {
+  const { TelemetryStore } = await load(t)
+  const store = new TelemetryStore()
+  const events = []
+  store.onSample((event) => events.push(event))
+
+  store.ingest({ cpu: { usage: 40, temp: 50 } })
+  store.ingest({ cpu: { temp: 55 } })
+
+  assert.deepEqual(plain(events[1].samples.cpu), { temp: 55 })
+  assert.equal(events[1].values.cpu.usage, 40)
+})
+
+test("history keeps one point per slot so the buffer covers an hour", async (t) => {
+  const { MetricHistory } = await load(t)
+  const history = new MetricHistory({ persist: false })
+  assert.equal(history.capacity * history.resolution, 60 * 60 * 1000)
+
+  history.record("cpu", 10000, 20)
+  history.record("cpu", 10500, 30)
+  history.record("cpu", 12000, 40)
+  assert.deepEqual(plain(history.series("cpu", 60000, 12000)), [
+    { t: 10500, v: 30 },
+    { t: 12000, v: 40 },
+  ])
+})
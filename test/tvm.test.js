@@ -0,0 +1,57 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const { ROOT, loadPage } = require("./harness")
+
+const XML = fs.readFileSync(path.join(ROOT, "TVM_100.xml"), "utf8")
+
+test("mode settings refuse empty and out-of-range values and keep the old one", async (t) => {
+  const page = await loadPage({ scripts: ["tvm.js"] })
+  t.after(page.close)
+  const { parseTvm, serializeTvm, listTvmApps, setTvmMode, TvmError } = page.window
+
+  const doc = parseTvm(XML)
+  const index = listTvmApps(doc).findIndex((app) => app.settings.Lightness !== undefined)
+  assert.ok(index >= 0, "TVM_100.xml has an app with a brightness setting")
+  const { item, settings } = listTvmApps(doc)[index]
+  const written = () => listTvmApps(parseTvm(serializeTvm(doc)))[index].settings
+
+  ;["", "  ", "1.5", "-0.1", "bright"].forEach((value) => {
+    assert.throws(() => setTvmMode(item, "Lightness", value), TvmError, JSON.stringify(value))
+  })
+  assert.throws(() => setTvmMode(item, "ModeID", ""), /must be a number/)
+  assert.equal(written().Lightness, settings.Lightness)
+  assert.equal(written().ModeID, settings.ModeID)
+
+  setTvmMode(item, "Lightness", "0.25")
+  assert.equal(written().Lightness, 0.25)
+})
+
+test("files round-trip byte for byte, entities and tag spacing included", async (t) => {
+  const page = await loadPage({ scripts: ["tvm.js"] })
+  t.after(page.close)
+  const { parseTvm, serializeTvm } = page.window
+
+  assert.equal(serializeTvm(parseTvm(XML)), XML)
+  ;[
+    `<Item ApkName="a&gt;b&#65;"/>`,
+    `<Item  ApkName = 'x&quot;y'   备注="" >\r\n<StartInfo StartTimes="1" />\r\n</Item >\r\n`,
+  ].forEach((text) => assert.equal(serializeTvm(parseTvm(text)), text))
+})
+
+test("editing a mode setting changes only that attribute", async (t) => {
+  const page = await loadPage({ scripts: ["tvm.js"] })
+  t.after(page.close)
+  const { parseTvm, serializeTvm, listTvmApps, setTvmMode } = page.window
+
+  const doc = parseTvm(XML)
+  const { item } = listTvmApps(doc).find((app) => app.apk === "com.tencent.ig")
+  setTvmMode(item, "Lightness", "0.5")
+
+  const before = `<LastMode ModeID="4" EnableTips="0" EnableGameKeyDT="1" TipsTransparent="0.500000" Lightness="1.000000"`
+  const after = `<LastMode ModeID="4" EnableTips="0" EnableGameKeyDT="1" TipsTransparent="0.500000" Lightness="0.500000"`
+  const written = serializeTvm(doc)
+  assert.equal(written, XML.replace(before, after))
+  assert.ok(written.includes(`<Item ApkName="com.tencent.ig" 备注="绝地求生——刺激战场国际版" VersionCode="17000">`))
+})
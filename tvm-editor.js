@@ -0,0 +1,208 @@
+// Gameloop app profiles editor on the gameloop page, backed by tvm.js. The XML comes
+// from the host (Gameloop's own TVM_100.xml), the copy bundled with the app or a file
+// picked from disk, and is written back through the host:
+//   read-tvm-config {} -> { xml }
+//   write-tvm-config { xml }
+
+class TvmEditor {
+  constructor(root) {
+    this.root = root
+    this.doc = null
+    this.source = null
+    this.dirty = false
+    if (!root) return
+
+    this.list = root.querySelector(".tvm-app-list")
+    this.status = root.querySelector(".tvm-status")
+
+    root.querySelector(".tvm-load-host").addEventListener("click", () => this.loadFromHost())
+    root.querySelector(".tvm-load-bundled").addEventListener("click", () => this.loadBundled())
+    root.querySelector(".tvm-reset-starts").addEventListener("click", () => this.resetStartTimes())
+    root.querySelector(".tvm-save").addEventListener("click", () => this.save())
+    root.querySelector(".tvm-download").addEventListener("click", () => this.download())
+
+    const input = root.querySelector(".tvm-file")
+    input.addEventListener("change", async () => {
+      const file = input.files[0]
+      input.value = ""
+      if (file) this.open(await file.text(), file.name)
+    })
+
+    window.i18n.onChange(() => this.render())
+    this.render()
+  }
+
+  setStatus(text) {
+    if (this.status) this.status.textContent = text
+  }
+
+  open(xml, source) {
+    try {
+      this.doc = parseTvm(xml)
+    } catch (error) {
+      this.setStatus(`${source}: ${error.message}`)
+      notify.error(error.message, window.i18n.t("tvm.unreadable"))
+      return
+    }
+
+    this.source = source
+    this.dirty = false
+    this.render()
+  }
+
+  async loadFromHost() {
+    try {
+      const result = await window.hostBridge.request("read-tvm-config")
+      this.open(result.xml, "Gameloop")
+    } catch (error) {
+      this.setStatus(window.i18n.t("tvm.error.host", { error: error.message }))
+    }
+  }
+
+  async loadBundled() {
+    try {
+      const response = await fetch("TVM_100.xml")
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      this.open(await response.text(), "TVM_100.xml")
+    } catch (error) {
+      this.setStatus(window.i18n.t("tvm.error.bundled", { error: error.message }))
+    }
+  }
+
+  selectedApks() {
+    return [...this.list.querySelectorAll(".tvm-select:checked")].map((input) => input.dataset.apk)
+  }
+
+  resetStartTimes() {
+    if (!this.doc) return
+
+    // Nothing ticked means every app
+    const apks = this.selectedApks()
+    const count = resetTvmStartTimes(this.doc, apks.length > 0 ? apks : null)
+    this.dirty = this.dirty || count > 0
+    this.render()
+    notify.info(window.i18n.t("tvm.resetDone", { count }), window.i18n.t("tvm.resetTitle"))
+  }
+
+  serialize() {
+    const xml = serializeTvm(this.doc)
+    // Never hand the host something this parser cannot read back
+    parseTvm(xml)
+    return xml
+  }
+
+  async save() {
+    if (!this.doc) return
+
+    const outcome = await runHostAction("write-tvm-config", { xml: this.serialize() }, window.i18n.t("tvm.label"))
+    if (outcome.ok) {
+      this.dirty = false
+      this.render()
+    }
+  }
+
+  download() {
+    if (!this.doc) return
+
+    const blob = new Blob([this.serialize()], { type: "application/xml" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = "TVM_100.xml"
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(link.href), 0)
+  }
+
+  render() {
+    const { t } = window.i18n
+    this.root.querySelectorAll(".tvm-needs-doc").forEach((button) => (button.disabled = !this.doc))
+    this.list.textContent = ""
+
+    if (!this.doc) {
+      this.setStatus(t("tvm.empty"))
+      return
+    }
+
+    const apps = listTvmApps(this.doc)
+    const status = t("tvm.loaded", { count: apps.length, source: this.source })
+    this.setStatus(this.dirty ? `${status} • ${t("tvm.unsaved")}` : status)
+    apps.forEach((app) => this.list.appendChild(this.renderApp(app)))
+  }
+
+  renderApp(app) {
+    const { t } = window.i18n
+    const card = document.createElement("div")
+    card.className = "tvm-app"
+
+    const header = document.createElement("label")
+    header.className = "tvm-app-header"
+    const select = document.createElement("input")
+    select.type = "checkbox"
+    select.className = "tvm-select"
+    select.dataset.apk = app.apk
+    const name = document.createElement("span")
+    name.className = "tvm-app-name"
+    name.textContent = app.note || app.apk
+    const apk = document.createElement("span")
+    apk.className = "tvm-app-apk"
+    apk.textContent = app.note ? app.apk : ""
+    const meta = document.createElement("span")
+    meta.className = "tvm-app-meta"
+    const started = t("tvm.started", { count: app.startTimes !== null ? app.startTimes : "?" })
+    meta.textContent =
+      app.keyMappings > 0 ? `${started} • ${t("tvm.keyMappings", { count: app.keyMappings })}` : started
+    header.append(select, name, apk, meta)
+    card.appendChild(header)
+
+    const fields = document.createElement("div")
+    fields.className = "tvm-fields"
+    TVM_MODE_FIELDS.forEach((field) => {
+      const value = app.settings[field.name]
+      if (value === undefined) return
+
+      const label = document.createElement("label")
+      label.className = "tvm-field"
+      const fieldLabel = t(`tvm.field.${field.name}`, {}, field.label)
+      const text = document.createElement("span")
+      text.textContent = fieldLabel
+      const input = document.createElement("input")
+
+      if (field.type === "flag") {
+        input.type = "checkbox"
+        input.checked = value
+      } else {
+        input.type = "number"
+        input.value = value
+        if (field.type === "float") input.step = "0.05"
+        if (field.min !== undefined) input.min = field.min
+        if (field.max !== undefined) input.max = field.max
+      }
+
+      // A rejected edit puts the last written value back so the field never shows
+      // something the file does not hold
+      let current = value
+      input.addEventListener("change", () => {
+        const next = field.type === "flag" ? input.checked : input.value
+        try {
+          setTvmMode(app.item, field.name, next)
+          current = field.type === "flag" ? next : Number(next)
+          this.dirty = true
+          this.setStatus(`${t("tvm.updated", { apk: app.apk, field: fieldLabel })} • ${t("tvm.unsaved")}`)
+        } catch (error) {
+          if (field.type === "flag") input.checked = current
+          else input.value = current
+          this.setStatus(error.message)
+        }
+      })
+
+      label.append(text, input)
+      fields.appendChild(label)
+    })
+    card.appendChild(fields)
+
+    return card
+  }
+}
+
+window.TvmEditor = TvmEditor
@@ -0,0 +1,261 @@
+// Parser and serializer for Gameloop's TVM_100.xml, the per-APK profile file. It is a
+// list of top-level <Item ApkName=... 备注=...> elements with no root element, so a
+// DOMParser cannot read it as is. parseTvm() keeps attribute order, unknown attributes,
+// comments, the whitespace between and inside tags and each attribute's source text
+// (entities included), so serializeTvm(parseTvm(text)) === text. Only attributes whose
+// value was changed are written out again.
+//
+//   { nodes: [element], trailing: "\r\n", bom: false, newline: "\r\n" }
+//   element = { name, attributes: [{ name, value, quote, raw }], children: [], selfClosing,
+//               before: "\r\n", end: "", closeBefore: "\r\n", closeEnd: "" }
+//   raw = ' ApkName="a&gt;b"', the attribute as it was read, leading whitespace included
+
+class TvmError extends Error {
+  constructor(message, line) {
+    super(line !== undefined ? `${message} (line ${line})` : message)
+    this.name = "TvmError"
+    this.line = line
+  }
+}
+
+const TVM_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }
+
+function decodeTvmValue(value) {
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1] === "x" || entity[1] === "X" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return String.fromCodePoint(code)
+    }
+    return TVM_ENTITIES[entity] !== undefined ? TVM_ENTITIES[entity] : match
+  })
+}
+
+function encodeTvmValue(value, quote) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(new RegExp(quote, "g"), quote === '"' ? "&quot;" : "&apos;")
+}
+
+// Tags, comments and the processing instruction; anything else between them must be whitespace
+const TVM_TOKEN =
+  /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)(\s*)(\/?)>/g
+const TVM_ATTRIBUTE = /\s+([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+
+function parseTvm(text) {
+  const bom = text.charCodeAt(0) === 0xfeff
+  const source = bom ? text.slice(1) : text
+  const root = { children: [] }
+  const stack = [root]
+  let position = 0
+  let match
+
+  const lineAt = (index) => source.slice(0, index).split("\n").length
+  const takeWhitespace = (index) => {
+    const gap = source.slice(position, index)
+    if (gap.trim() !== "") throw new TvmError("Unexpected text between tags", lineAt(position))
+    return gap
+  }
+
+  TVM_TOKEN.lastIndex = 0
+  while ((match = TVM_TOKEN.exec(source))) {
+    const before = takeWhitespace(match.index)
+    const parent = stack[stack.length - 1]
+    position = TVM_TOKEN.lastIndex
+
+    if (match[2] === undefined) {
+      // Comment or <?xml ...?> declaration, kept verbatim
+      parent.children.push({ raw: match[0], before })
+      continue
+    }
+
+    const [, closing, name, attributeText, end, selfClosing] = match
+    if (closing) {
+      if (parent === root || parent.name !== name) {
+        throw new TvmError(`Unexpected </${name}>`, lineAt(match.index))
+      }
+      parent.closeBefore = before
+      parent.closeEnd = end
+      stack.pop()
+      continue
+    }
+
+    const element = { name, attributes: [], children: [], selfClosing: Boolean(selfClosing), before, end }
+    TVM_ATTRIBUTE.lastIndex = 0
+    let attribute
+    while ((attribute = TVM_ATTRIBUTE.exec(attributeText))) {
+      const quote = attribute[2][0]
+      const value = attribute[3] !== undefined ? attribute[3] : attribute[4]
+      element.attributes.push({ name: attribute[1], value: decodeTvmValue(value), quote, raw: attribute[0] })
+    }
+
+    parent.children.push(element)
+    if (!element.selfClosing) stack.push(element)
+  }
+
+  if (stack.length > 1) {
+    throw new TvmError(`<${stack[stack.length - 1].name}> is never closed`)
+  }
+
+  const trailing = takeWhitespace(source.length)
+  return { nodes: root.children, trailing, bom, newline: source.includes("\r\n") ? "\r\n" : "\n" }
+}
+
+// The decoded value of one attribute's source text
+function readTvmAttribute(raw) {
+  TVM_ATTRIBUTE.lastIndex = 0
+  const match = TVM_ATTRIBUTE.exec(raw)
+  return decodeTvmValue(match[3] !== undefined ? match[3] : match[4])
+}
+
+function serializeTvmNode(node, newline) {
+  const before = node.before !== undefined ? node.before : newline
+  if (node.raw !== undefined) return before + node.raw
+
+  // An attribute still holding the value it was read with is written as it was read
+  const attributes = node.attributes
+    .map(({ name, value, quote = '"', raw }) =>
+      raw !== undefined && readTvmAttribute(raw) === value
+        ? raw
+        : ` ${name}=${quote}${encodeTvmValue(value, quote)}${quote}`,
+    )
+    .join("")
+  const end = node.end || ""
+
+  if (node.selfClosing && node.children.length === 0) {
+    return `${before}<${node.name}${attributes}${end}/>`
+  }
+
+  const children = node.children.map((child) => serializeTvmNode(child, newline)).join("")
+  const closeBefore = node.closeBefore !== undefined ? node.closeBefore : newline
+  return `${before}<${node.name}${attributes}${end}>${children}${closeBefore}</${node.name}${node.closeEnd || ""}>`
+}
+
+function serializeTvm(doc) {
+  const body = doc.nodes.map((node) => serializeTvmNode(node, doc.newline)).join("")
+  return (doc.bom ? "\ufeff" : "") + body + doc.trailing
+}
+
+function tvmAttr(element, name) {
+  const attribute = element && element.attributes.find((candidate) => candidate.name === name)
+  return attribute ? attribute.value : undefined
+}
+
+// Updates the attribute in place so its position is kept; new attributes go last
+function setTvmAttr(element, name, value) {
+  const attribute = element.attributes.find((candidate) => candidate.name === name)
+  if (attribute) attribute.value = String(value)
+  else element.attributes.push({ name, value: String(value), quote: '"' })
+}
+
+function tvmChild(element, name) {
+  return element.children.find((child) => child.name === name) || null
+}
+
+// The LastMode attributes the editor understands; anything else on the element is kept as is
+const TVM_MODE_FIELDS = [
+  { name: "ModeID", label: "Mode", type: "int" },
+  { name: "EnableTips", label: "Key tips", type: "flag" },
+  { name: "EnableGameKeyDT", label: "Game key detection", type: "flag" },
+  { name: "TipsTransparent", label: "Tips opacity", type: "float", min: 0, max: 1 },
+  { name: "Lightness", label: "Brightness", type: "float", min: 0, max: 1 },
+  { name: "EnableSwitchViewLockMethod", label: "View lock switch", type: "flag" },
+  { name: "ExitFullScreenKey", label: "Exit full screen key", type: "int" },
+]
+
+const TVM_NOTE = "备注"
+
+// Gameloop writes floats with six decimals and flags as 0/1
+function formatTvmField(field, value) {
+  if (field.type === "float") return Number(value).toFixed(6)
+  if (field.type === "flag") return value ? "1" : "0"
+  return String(Math.round(Number(value)))
+}
+
+function countTvmElements(element, names) {
+  return (element.children || []).reduce(
+    (total, child) => total + (names.includes(child.name) ? 1 : 0) + countTvmElements(child, names),
+    0,
+  )
+}
+
+function listTvmApps(doc) {
+  return doc.nodes
+    .filter((node) => node.name === "Item")
+    .map((item) => {
+      const start = tvmChild(item, "StartInfo")
+      const mode = tvmChild(item, "LastMode")
+      const settings = {}
+      TVM_MODE_FIELDS.forEach((field) => {
+        const value = tvmAttr(mode, field.name)
+        if (value !== undefined) settings[field.name] = field.type === "flag" ? value === "1" : Number(value)
+      })
+
+      return {
+        item,
+        apk: tvmAttr(item, "ApkName"),
+        note: tvmAttr(item, TVM_NOTE) || "",
+        startTimes: start ? Number(tvmAttr(start, "StartTimes")) : null,
+        settings,
+        keyMappings: countTvmElements(item, ["KeyMapping", "KeyMappingEx"]),
+      }
+    })
+}
+
+function setTvmMode(item, name, value) {
+  const field = TVM_MODE_FIELDS.find((candidate) => candidate.name === name)
+  if (!field) throw new TvmError(`Unknown mode setting ${name}`)
+  if (field.type !== "flag") {
+    // Number("") is 0, so an emptied field would silently write zero
+    if (String(value).trim() === "" || !Number.isFinite(Number(value))) {
+      throw new TvmError(`${field.label} must be a number`)
+    }
+    if (
+      (field.min !== undefined && Number(value) < field.min) ||
+      (field.max !== undefined && Number(value) > field.max)
+    ) {
+      throw new TvmError(`${field.label} must be between ${field.min} and ${field.max}`)
+    }
+  }
+
+  const mode = tvmChild(item, "LastMode")
+  if (!mode) throw new TvmError(`${tvmAttr(item, "ApkName")} has no LastMode entry`)
+  setTvmAttr(mode, name, formatTvmField(field, value))
+}
+
+function resetTvmStartTimes(doc, apks = null) {
+  let count = 0
+  listTvmApps(doc).forEach(({ item, apk }) => {
+    const start = tvmChild(item, "StartInfo")
+    if (!start || (apks && !apks.includes(apk))) return
+    setTvmAttr(start, "StartTimes", 0)
+    count++
+  })
+  return count
+}
+
+if (typeof window !== "undefined") {
+  window.TvmError = TvmError
+  window.TVM_MODE_FIELDS = TVM_MODE_FIELDS
+  window.parseTvm = parseTvm
+  window.serializeTvm = serializeTvm
+  window.listTvmApps = listTvmApps
+  window.setTvmMode = setTvmMode
+  window.resetTvmStartTimes = resetTvmStartTimes
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    TvmError,
+    TVM_MODE_FIELDS,
+    parseTvm,
+    serializeTvm,
+    tvmAttr,
+    setTvmAttr,
+    tvmChild,
+    listTvmApps,
+    setTvmMode,
+    resetTvmStartTimes,
+  }
+}